@@ -6,7 +6,9 @@ const config = {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     rateLimitMax: parseInt(process.env.API_RATE_LIMIT) || 100,
-    webhookSecret: process.env.WEBHOOK_SECRET || 'dev-secret-key'
+    webhookSecret: process.env.WEBHOOK_SECRET || null,
+    // Express "trust proxy" (true, hop count or subnet list) so req.ip is the real client behind a proxy
+    trustProxy: process.env.TRUST_PROXY || null
   },
 
   // Jotform Configuration
@@ -16,6 +18,7 @@ const config = {
     apiUrl: process.env.JOTFORM_API_URL || 'https://api.jotform.com',
     endpoints: {
       form: '/form/{formID}',
+      questions: '/form/{formID}/questions',
       submissions: '/form/{formID}/submissions',
       submission: '/submission/{submissionID}'
     }
@@ -38,11 +41,7 @@ const config = {
     // API Configuration
     timeout: parseInt(process.env.BITRIX24_TIMEOUT) || 30000,
     retryAttempts: parseInt(process.env.BITRIX24_RETRY_ATTEMPTS) || 3,
-    retryDelay: parseInt(process.env.BITRIX24_RETRY_DELAY) || 1000,
-    
-    // Access Token Storage (will be obtained via OAuth2)
-    accessToken: process.env.BITRIX24_ACCESS_TOKEN || null,
-    refreshToken: process.env.BITRIX24_REFRESH_TOKEN || null
+    retryDelay: parseInt(process.env.BITRIX24_RETRY_DELAY) || 1000
   },
 
   // Logging Configuration
@@ -8,6 +8,7 @@ class WebhookController {
     this.jotformService = new JotformService();
     this.container = null;
     this.bitrix24Service = null;
+    this.fieldMappingService = null;
   }
 
   // Initialize services asynchronously
@@ -16,6 +17,7 @@ class WebhookController {
       this.container = ServiceContainer.getInstance();
       await this.container.initializeServices();
       this.bitrix24Service = await this.container.getBitrix24Service();
+      this.fieldMappingService = await this.container.getFieldMappingService();
     }
     return { container: this.container, bitrix24Service: this.bitrix24Service };
   }
@@ -53,10 +55,8 @@ class WebhookController {
           formData = JSON.parse(req.body.rawRequest);
           logger.info('=== PARSED FORM DATA ===', {
             submissionId,
-            formData,
-            hasQ3Name: !!formData.q3_name,
-            hasQ4Phone: !!formData.q4_phoneNumber,
-            hasQ5Email: !!formData.q5_email
+            formId: req.body.formID,
+            formData
           });
         } catch (parseError) {
           logger.error('Failed to parse rawRequest JSON', {
@@ -84,7 +84,7 @@ class WebhookController {
       logger.info('Processing Jotform webhook', { submissionId });
 
       // Parse contact data trực tiếp từ form data thay vì call API
-      const contactData = this.parseJotformData(formData, submissionId);
+      const contactData = await this.parseJotformData(formData, submissionId, req.body.formID);
       
       logger.info('=== CONTACT DATA PARSED ===', {
         submissionId,
@@ -94,7 +94,8 @@ class WebhookController {
         hasPhone: !!contactData.phone
       });
       
-      if (!contactData.fullName && !contactData.email && !contactData.phone) {
+      if (!contactData.fullName && !contactData.email && !contactData.phone &&
+          Object.keys(contactData.fields || {}).length === 0) {
         logger.warn('No valid contact data found in submission', {
           submissionId,
           contactData,
@@ -252,22 +253,26 @@ class WebhookController {
   /**
    * Verify webhook signature (if Jotform provides one)
    * @param {string} signature - Webhook signature
-   * @param {Object} payload - Webhook payload
+   * @param {Buffer|Object} payload - Raw request body (or parsed payload)
    * @param {string} secret - Webhook secret
    * @returns {boolean} Signature is valid
    */
   verifyWebhookSignature(signature, payload, secret) {
     try {
-      if (!signature || !secret) {
-        return true; // Skip verification if no signature or secret
+      if (!secret) {
+        return true; // Verification not configured
+      }
+      if (!signature) {
+        return false;
       }
       
       const expectedSignature = crypto
         .createHmac('sha256', secret)
-        .update(JSON.stringify(payload))
+        .update(Buffer.isBuffer(payload) ? payload : JSON.stringify(payload))
         .digest('hex');
       
-      return signature === expectedSignature;
+      return signature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
     } catch (error) {
       logger.error('Error verifying webhook signature', {
         error: error.message
@@ -379,56 +384,22 @@ class WebhookController {
   }
 
   /**
-   * Parse Jotform data directly from webhook
+   * Parse Jotform data directly from webhook using the form's field mapping
    * @param {Object} formData - Form data from rawRequest
    * @param {string} submissionId - Submission ID
-   * @returns {Object} Parsed contact data
+   * @param {string} formId - Jotform form ID
+   * @returns {Promise<Object>} Parsed contact data
    */
-  parseJotformData(formData, submissionId) {
+  async parseJotformData(formData, submissionId, formId = null) {
     try {
-      const contactData = {
-        fullName: '',
-        phone: '',
-        email: '',
-        submissionId: submissionId,
-        submittedAt: formData.submitDate ? new Date(parseInt(formData.submitDate)).toISOString() : new Date().toISOString()
-      };
-
-      // Parse name from q3_name
-      if (formData.q3_name) {
-        const nameObj = formData.q3_name;
-        if (typeof nameObj === 'object') {
-          const firstName = nameObj.first || '';
-          const lastName = nameObj.last || '';
-          contactData.fullName = `${firstName} ${lastName}`.trim();
-        } else {
-          contactData.fullName = nameObj.toString();
-        }
-      }
-
-      // Parse phone from q4_phoneNumber
-      if (formData.q4_phoneNumber) {
-        const phoneObj = formData.q4_phoneNumber;
-        if (typeof phoneObj === 'object') {
-          contactData.phone = phoneObj.full || phoneObj.area + phoneObj.phone || '';
-        } else {
-          contactData.phone = phoneObj.toString();
-        }
-      }
+      await this.initializeServices();
 
-      // Parse email from q5_email
-      if (formData.q5_email) {
-        contactData.email = formData.q5_email.toString();
-      }
+      const contactData = await this.fieldMappingService.mapRawRequest(formId, formData, submissionId);
 
       logger.info('Parsed Jotform contact data', {
         submissionId,
-        contactData,
-        originalFormData: {
-          q3_name: formData.q3_name,
-          q4_phoneNumber: formData.q4_phoneNumber,
-          q5_email: formData.q5_email
-        }
+        formId,
+        contactData
       });
 
       return contactData;
@@ -444,7 +415,9 @@ class WebhookController {
         phone: '',
         email: '',
         submissionId: submissionId,
-        submittedAt: new Date().toISOString()
+        formId,
+        submittedAt: new Date().toISOString(),
+        fields: {}
       };
     }
   }
@@ -0,0 +1,82 @@
+const logger = require('../utils/logger');
+const { ServiceContainer } = require('../services/service-container');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Require an admin API key (see ApiKeyService) with a scope. Without an
+ * explicit scope, GET/HEAD/OPTIONS need "read" and other methods "write".
+ * The key is looked up once per request and kept in req.apiKey, so routes
+ * can add a stricter check after the router-wide one.
+ */
+function apiKeyAuth(scope = null) {
+  return async (req, res, next) => {
+    try {
+      const apiKeyService = await ServiceContainer.getInstance().getApiKeyService();
+      if (!apiKeyService.enabled) {
+        return next();
+      }
+
+      if (!req.apiKey) {
+        const rawKey = apiKeyService.getRequestKey(req);
+        const apiKey = await apiKeyService.authenticate(rawKey);
+
+        if (!apiKey) {
+          logger.warn('🚫 API request without a valid key', {
+            method: req.method,
+            url: req.originalUrl,
+            ip: req.ip,
+            hasKey: !!rawKey
+          });
+
+          return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: rawKey ?
+              'Invalid or revoked API key' :
+              `Missing API key (${apiKeyService.header} header or Authorization: Bearer)`
+          });
+        }
+
+        req.apiKey = apiKey;
+      }
+
+      const required = scope || (READ_METHODS.includes(req.method) ? 'read' : 'write');
+      if (!apiKeyService.hasScope(req.apiKey, required)) {
+        logger.warn('🚫 API key lacks scope', {
+          keyId: req.apiKey.id,
+          scopes: req.apiKey.scopes,
+          required,
+          method: req.method,
+          url: req.originalUrl
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: `API key needs the "${required}" scope`
+        });
+      }
+
+      next();
+    } catch (error) {
+      // The detail stays in the log, the caller has not been authenticated
+      logger.error('API authentication error', {
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        url: req.originalUrl
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'API key check failed'
+      });
+    }
+  };
+}
+
+module.exports = {
+  apiKeyAuth
+};
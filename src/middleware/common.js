@@ -1,5 +1,15 @@
 const logger = require('../utils/logger');
 
+/**
+ * Request URL for logs, without the webhook token
+ * (/webhook/jotform/:portal/:token and ?token=)
+ */
+function redactUrl(url) {
+  return String(url)
+    .replace(/^(\/webhook\/jotform\/[^/?]+\/)[^/?]+/i, '$1***')
+    .replace(/([?&]token=)[^&#]*/gi, '$1***');
+}
+
 /**
  * Request logging middleware
  */
@@ -8,7 +18,7 @@ function requestLogger(req, res, next) {
   
   logger.info('Request received', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.originalUrl),
     ip: req.ip,
     userAgent: req.get('User-Agent')
   });
@@ -18,7 +28,7 @@ function requestLogger(req, res, next) {
     
     logger.info('Request completed', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.originalUrl),
       statusCode: res.statusCode,
       duration,
       ip: req.ip
@@ -36,7 +46,7 @@ function errorHandler(err, req, res, next) {
     error: err.message,
     stack: err.stack,
     method: req.method,
-    url: req.url
+    url: redactUrl(req.originalUrl)
   });
 
   // Default error response
@@ -67,19 +77,20 @@ function errorHandler(err, req, res, next) {
 function notFound(req, res) {
   logger.warn('Route not found', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.originalUrl),
     ip: req.ip
   });
 
   res.status(404).json({
     success: false,
     error: 'Route not found',
-    message: `${req.method} ${req.url} not found`
+    message: `${req.method} ${redactUrl(req.originalUrl)} not found`
   });
 }
 
 module.exports = {
   requestLogger,
   errorHandler,
-  notFound
+  notFound,
+  redactUrl
 };
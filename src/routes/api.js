@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { ServiceContainer } = require('../services/service-container');
+const { apiKeyAuth } = require('../middleware/api-auth');
 
 let container;
 let bitrix24Service;
@@ -16,6 +17,9 @@ async function initializeServices() {
   return { container, bitrix24Service };
 }
 
+// Every /api route needs an API key: "read" for GET, "write" for changes
+router.use(apiKeyAuth());
+
 /**
  * GET /api/contacts - Get contact list
  */
@@ -263,15 +267,218 @@ router.get('/products', async (req, res) => {
 });
 
 /**
- * POST /api/bitrix24 - Generic Bitrix24 API call
+ * GET /api/items/types - Smart process types (?portal=domain)
+ */
+router.get('/items/types', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    bitrix24Service = services.bitrix24Service;
+
+    const result = await bitrix24Service.getSmartProcessTypes(req.query.portal || null);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.types,
+        total: result.total,
+        message: result.message
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error,
+        details: result.details
+      });
+    }
+
+  } catch (error) {
+    logger.error('API: Smart process types error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/items/:entityTypeId/fields - Smart process fields for mappings
+ * (?portal=domain, ?refresh=true to bypass the cache)
+ */
+router.get('/items/:entityTypeId/fields', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    bitrix24Service = services.bitrix24Service;
+
+    const entityTypeId = parseInt(req.params.entityTypeId, 10);
+    if (!(entityTypeId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'entityTypeId must be a positive number'
+      });
+    }
+
+    const fields = await bitrix24Service.getItemFields(entityTypeId, req.query.portal || null, req.query.refresh === 'true');
+
+    res.json({
+      success: true,
+      data: Object.keys(fields).map(name => ({
+        name,
+        upperName: fields[name].upperName,
+        title: fields[name].title,
+        type: fields[name].type,
+        isRequired: !!fields[name].isRequired,
+        isReadOnly: !!fields[name].isReadOnly,
+        isMultiple: !!fields[name].isMultiple
+      }))
+    });
+
+  } catch (error) {
+    logger.error('API: Smart process fields error', {
+      entityTypeId: req.params.entityTypeId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/items/:entityTypeId - List smart process items
+ * (?select=, ?filter=, ?order= as JSON, ?start=, ?portal=)
+ */
+router.get('/items/:entityTypeId', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    bitrix24Service = services.bitrix24Service;
+
+    const entityTypeId = parseInt(req.params.entityTypeId, 10);
+    if (!(entityTypeId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'entityTypeId must be a positive number'
+      });
+    }
+
+    const options = {
+      select: req.query.select ? req.query.select.split(',') : undefined,
+      filter: req.query.filter ? JSON.parse(req.query.filter) : {},
+      order: req.query.order ? JSON.parse(req.query.order) : undefined,
+      start: req.query.start ? parseInt(req.query.start) : 0
+    };
+
+    logger.info('API: Getting smart process items', {
+      entityTypeId,
+      options: options,
+      userAgent: req.get('User-Agent')
+    });
+
+    const result = await bitrix24Service.getItemList(entityTypeId, options, req.query.portal || null);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.items,
+        total: result.total,
+        next: result.next,
+        message: result.message
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error,
+        details: result.details
+      });
+    }
+
+  } catch (error) {
+    logger.error('API: Smart process item list error', {
+      entityTypeId: req.params.entityTypeId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/items/:entityTypeId/:id - Get a smart process item (?portal=domain)
+ */
+router.get('/items/:entityTypeId/:id', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    bitrix24Service = services.bitrix24Service;
+
+    const entityTypeId = parseInt(req.params.entityTypeId, 10);
+    if (!(entityTypeId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'entityTypeId must be a positive number'
+      });
+    }
+
+    const result = await bitrix24Service.getItem(entityTypeId, req.params.id, req.query.portal || null);
+
+    if (result.success && result.item) {
+      res.json({
+        success: true,
+        data: result.item,
+        message: result.message
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error || 'Item not found',
+        details: result.details
+      });
+    }
+
+  } catch (error) {
+    logger.error('API: Get smart process item error', {
+      entityTypeId: req.params.entityTypeId,
+      itemId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/bitrix24 - Generic Bitrix24 API call, subject to the proxy
+ * policy (allow/deny lists, read-only mode, the API key's methods)
  */
 router.post('/bitrix24', async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
     bitrix24Service = services.bitrix24Service;
+    const proxyPolicyService = await services.container.getBitrix24ProxyPolicyService();
 
-    const { method, params } = req.body;
+    const { method, params, portal } = req.body;
 
     if (!method) {
       return res.status(400).json({
@@ -280,13 +487,25 @@ router.post('/bitrix24', async (req, res) => {
       });
     }
 
+    const policy = proxyPolicyService.check(method, params, req.apiKey);
+    if (policy.rejection) {
+      return res.status(policy.rejection.status).json({
+        success: false,
+        error: policy.rejection.status === 403 ? 'Bitrix24 method not allowed' : 'Invalid Bitrix24 call',
+        message: policy.rejection.reason,
+        method
+      });
+    }
+
     logger.info('API: Generic Bitrix24 call', {
       method,
-      hasParams: !!params,
+      portal,
+      params: proxyPolicyService.redactParams(method, params),
+      keyId: req.apiKey ? req.apiKey.id : null,
       userAgent: req.get('User-Agent')
     });
 
-    const result = await bitrix24Service.callBitrixAPI(method, params || {});
+    const result = await bitrix24Service.callBitrixAPI(method, params || {}, portal || null);
 
     if (result.success) {
       res.json({
@@ -319,7 +538,7 @@ router.post('/bitrix24', async (req, res) => {
 });
 
 /**
- * GET /api/test-token - Test current token
+ * GET /api/test-token - Test current token (?portal=domain for a specific portal)
  */
 router.get('/test-token', async (req, res) => {
   try {
@@ -327,9 +546,9 @@ router.get('/test-token', async (req, res) => {
     const services = await initializeServices();
     bitrix24Service = services.bitrix24Service;
 
-    logger.info('API: Testing current token');
+    logger.info('API: Testing current token', { portal: req.query.portal });
 
-    const result = await bitrix24Service.getTokenStatus();
+    const result = await bitrix24Service.getTokenStatus(req.query.portal || null);
 
     if (result.hasToken) {
       res.json({
@@ -362,7 +581,7 @@ router.get('/test-token', async (req, res) => {
 /**
  * POST /api/token/clear - Clear current token and recommend OAuth 2.0
  */
-router.post('/token/clear', async (req, res) => {
+router.post('/token/clear', apiKeyAuth('admin'), async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
@@ -410,7 +629,7 @@ router.post('/token/clear', async (req, res) => {
 /**
  * POST /api/test-onappinstall - Test ONAPPINSTALL event simulation
  */
-router.post('/test-onappinstall', async (req, res) => {
+router.post('/test-onappinstall', apiKeyAuth('admin'), async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
@@ -572,7 +791,7 @@ router.get('/simplified-auth-test', async (req, res) => {
 /**
  * POST /api/upgrade-to-oauth2 - Clear simplified auth and upgrade to OAuth 2.0
  */
-router.post('/upgrade-to-oauth2', async (req, res) => {
+router.post('/upgrade-to-oauth2', apiKeyAuth('admin'), async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
@@ -584,7 +803,9 @@ router.post('/upgrade-to-oauth2', async (req, res) => {
     await databaseService.clearAllTokens();
 
     // Generate OAuth 2.0 authorization URL
-    const authUrl = bitrix24Service.getAuthorizationUrl();
+    const oauthStateService = await services.container.getOAuthStateService();
+    const state = await oauthStateService.create(bitrix24Service.domain);
+    const authUrl = bitrix24Service.getAuthorizationUrl(null, state);
 
     res.json({
       success: true,
@@ -625,7 +846,7 @@ router.post('/upgrade-to-oauth2', async (req, res) => {
 /**
  * DELETE /api/token - Clear current token and recommend OAuth 2.0
  */
-router.delete('/token', async (req, res) => {
+router.delete('/token', apiKeyAuth('admin'), async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
@@ -704,23 +925,730 @@ router.get('/test-methods', async (req, res) => {
 });
 
 /**
- * GET /api/status - Get API status
+ * GET /api/queue - Get submission queue stats and recent jobs
  */
-router.get('/status', async (req, res) => {
+router.get('/queue', async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
-    bitrix24Service = services.bitrix24Service;
+    const submissionQueue = await services.container.getSubmissionQueueService();
+    const databaseService = await services.container.getDatabaseService();
 
-    logger.info('API: Getting status');
+    const status = req.query.status;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
 
-    const tokenStatus = await bitrix24Service.getTokenStatus();
+    logger.info('API: Getting submission queue', { status, limit });
+
+    const stats = await submissionQueue.getStats();
+    const jobs = await databaseService.getSubmissionJobs({ status, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        jobs: jobs.map(job => ({
+          id: job.id,
+          submissionId: job.submission_id,
+          formId: job.form_id,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.max_attempts,
+          nextAttemptAt: job.next_attempt_at,
+          lastError: job.last_error,
+          result: job.result,
+          createdAt: job.created_at,
+          updatedAt: job.updated_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Queue status error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/queue/:id/retry - Move a dead-letter job back to the queue
+ */
+router.post('/queue/:id/retry', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const submissionQueue = await services.container.getSubmissionQueueService();
+
+    const jobId = parseInt(req.params.id);
+
+    logger.info('API: Retrying submission job', { jobId });
+
+    let job;
+    try {
+      job = await submissionQueue.retryJob(jobId);
+    } catch (error) {
+      if (!error.notRetryable) {
+        throw error;
+      }
+      return res.status(409).json({
+        success: false,
+        error: 'Job cannot be retried',
+        message: error.message
+      });
+    }
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job returned to queue',
+      data: {
+        id: job.id,
+        submissionId: job.submission_id,
+        status: job.status,
+        nextAttemptAt: job.next_attempt_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Retry job error', {
+      jobId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/mappings - List loaded per-form field mappings
+ */
+router.get('/mappings', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const fieldMappingService = await services.container.getFieldMappingService();
+
+    logger.info('API: Listing field mappings');
+
+    res.json({
+      success: true,
+      data: {
+        directory: fieldMappingService.directory,
+        mappings: fieldMappingService.listMappings()
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: List mappings error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/mappings/reload - Reload field mapping definitions from disk
+ */
+router.post('/mappings/reload', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const fieldMappingService = await services.container.getFieldMappingService();
+
+    logger.info('API: Reloading field mappings');
+
+    fieldMappingService.loadMappings();
+
+    res.json({
+      success: true,
+      message: 'Field mappings reloaded',
+      data: {
+        mappings: fieldMappingService.listMappings()
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Reload mappings error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/portals - List installed Bitrix24 portals and form bindings
+ */
+router.get('/portals', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const portalService = await services.container.getPortalService();
+
+    logger.info('API: Listing portals');
+
+    res.json({
+      success: true,
+      data: {
+        defaultDomain: portalService.defaultDomain,
+        portals: await portalService.listPortals(),
+        bindings: await portalService.listBindings()
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: List portals error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/portals/bindings/:formId - Bind a Jotform form to a portal
+ */
+router.put('/portals/bindings/:formId', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const portalService = await services.container.getPortalService();
+
+    const formId = req.params.formId;
+    const { portal } = req.body;
+
+    if (!portal) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing portal parameter (domain or member_id)'
+      });
+    }
+
+    logger.info('API: Binding form to portal', { formId, portal });
+
+    const portalStatus = await portalService.findPortal(portal);
+    if (!portalStatus) {
+      return res.status(404).json({
+        success: false,
+        error: `Bitrix24 portal "${portal}" is not installed`
+      });
+    }
+
+    const binding = await portalService.bindForm(formId, portal);
+
+    res.json({
+      success: true,
+      message: 'Form bound to portal',
+      data: binding
+    });
+
+  } catch (error) {
+    logger.error('API: Bind form error', {
+      formId: req.params.formId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/portals/bindings/:formId - Remove a form binding
+ */
+router.delete('/portals/bindings/:formId', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const portalService = await services.container.getPortalService();
+
+    const formId = req.params.formId;
+
+    logger.info('API: Removing form binding', { formId });
+
+    const removed = await portalService.unbindForm(formId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Binding not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Form binding removed, submissions go to the default portal'
+    });
+
+  } catch (error) {
+    logger.error('API: Remove binding error', {
+      formId: req.params.formId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backfill - Import a form's existing submissions in a date range
+ * Body: { formId, from, to, dryRun, portal, pageSize }. Runs in the background;
+ * follow progress with GET /api/backfill/:id.
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const backfillService = await services.container.getBackfillService();
+    const portalService = await services.container.getPortalService();
+
+    const { formId, from, to, dryRun, portal, pageSize } = req.body;
+
+    logger.info('API: Starting backfill', { formId, from, to, dryRun, portal });
+
+    if (portal && !(await portalService.findPortal(portal))) {
+      return res.status(404).json({
+        success: false,
+        error: `Bitrix24 portal "${portal}" is not installed`
+      });
+    }
+
+    let run;
+    try {
+      run = await backfillService.createRun({
+        formId,
+        from,
+        to,
+        portal,
+        pageSize,
+        dryRun: dryRun === true || dryRun === 'true'
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Failures are recorded on the run (status "failed", last_error)
+    backfillService.execute(run.id).catch(() => {});
+
+    res.status(202).json({
+      success: true,
+      message: run.dry_run ? 'Backfill dry run started' : 'Backfill started',
+      data: run
+    });
+
+  } catch (error) {
+    logger.error('API: Start backfill error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backfill - List recent backfill runs (?formId=...&limit=20)
+ */
+router.get('/backfill', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const backfillService = await services.container.getBackfillService();
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+
+    res.json({
+      success: true,
+      data: await backfillService.listRuns({ formId: req.query.formId, limit })
+    });
+
+  } catch (error) {
+    logger.error('API: List backfill runs error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backfill/:id - Progress of a backfill run
+ */
+router.get('/backfill/:id', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const backfillService = await services.container.getBackfillService();
+
+    const run = await backfillService.getRun(parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    logger.error('API: Get backfill run error', {
+      runId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backfill/:id/resume - Continue an interrupted or failed backfill run
+ */
+router.post('/backfill/:id/resume', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const backfillService = await services.container.getBackfillService();
+
+    const run = await backfillService.getRun(parseInt(req.params.id));
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill run not found'
+      });
+    }
+
+    if (run.status === 'completed' || run.active) {
+      return res.status(409).json({
+        success: false,
+        error: run.active ? 'Backfill run is already running' : 'Backfill run is already completed'
+      });
+    }
+
+    logger.info('API: Resuming backfill', { runId: run.id, offset: run.next_offset });
+
+    // Failures are recorded on the run (status "failed", last_error)
+    backfillService.resume(run.id).catch(() => {});
+
+    res.status(202).json({
+      success: true,
+      message: 'Backfill resumed',
+      data: run
+    });
+
+  } catch (error) {
+    logger.error('API: Resume backfill error', {
+      runId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/polling - Jotform poller state (high-water mark per form)
+ */
+router.get('/polling', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const submissionPoller = await services.container.getSubmissionPollerService();
+
+    res.json({
+      success: true,
+      data: await submissionPoller.getStatus()
+    });
+
+  } catch (error) {
+    logger.error('API: Polling status error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/polling/:formId/run - Poll a form for new submissions now
+ */
+router.post('/polling/:formId/run', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const submissionPoller = await services.container.getSubmissionPollerService();
+
+    logger.info('API: Polling form', { formId: req.params.formId });
+
+    const result = await submissionPoller.pollForm(req.params.formId);
+
+    res.json({
+      success: true,
+      message: result.skipped ? result.message : 'Form polled',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('API: Poll form error', {
+      formId: req.params.formId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhook/rejections - Audit trail of rejected Jotform webhook requests
+ */
+router.get('/webhook/rejections', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const databaseService = await services.container.getDatabaseService();
+    const webhookAuthService = await services.container.getWebhookAuthService();
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+    logger.info('API: Getting webhook rejections', { ip: req.query.ip, limit });
+
+    res.json({
+      success: true,
+      data: {
+        verification: webhookAuthService.getStatus(),
+        rejections: await databaseService.getWebhookRejections({ ip: req.query.ip, limit })
+      }
+    });
+
+  } catch (error) {
+    logger.error('API: Webhook rejections error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/keys - Admin API keys (never the keys themselves)
+ */
+router.get('/keys', apiKeyAuth('admin'), async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const apiKeyService = await services.container.getApiKeyService();
+
+    res.json({
+      success: true,
+      data: await apiKeyService.list()
+    });
+
+  } catch (error) {
+    logger.error('API: List API keys error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/keys - Create an API key. Body: { name, scopes: "read,write",
+ * methods: "crm.lead.*" } (methods limits the POST /api/bitrix24 proxy).
+ * The key is only returned in this response.
+ */
+router.post('/keys', apiKeyAuth('admin'), async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const apiKeyService = await services.container.getApiKeyService();
+
+    const { name, scopes, methods } = req.body;
+
+    let created;
+    try {
+      created = await apiKeyService.create(name, scopes, methods);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key request',
+        message: error.message
+      });
+    }
+
+    logger.info('API: API key created', { id: created.id, name, createdBy: req.apiKey && req.apiKey.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store the key now, it cannot be shown again',
+      data: created
+    });
+
+  } catch (error) {
+    logger.error('API: Create API key error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id - Revoke an API key
+ */
+router.delete('/keys/:id', apiKeyAuth('admin'), async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    const apiKeyService = await services.container.getApiKeyService();
+
+    const revoked = await apiKeyService.revoke(parseInt(req.params.id, 10));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    logger.info('API: API key revoked', { id: req.params.id, revokedBy: req.apiKey && req.apiKey.id });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    logger.error('API: Revoke API key error', {
+      id: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/status - Get API status (?portal=domain for a specific portal)
+ */
+router.get('/status', async (req, res) => {
+  try {
+    // Ensure services are initialized
+    const services = await initializeServices();
+    bitrix24Service = services.bitrix24Service;
+
+    logger.info('API: Getting status', { portal: req.query.portal });
+
+    const tokenStatus = await bitrix24Service.getTokenStatus(req.query.portal || null);
     const configStatus = {
       hasClientId: !!bitrix24Service.clientId,
       hasClientSecret: !!bitrix24Service.clientSecret,
       hasDomain: !!bitrix24Service.domain,
       hasRedirectUri: !!bitrix24Service.redirectUri
     };
+    const submissionQueue = await services.container.getSubmissionQueueService();
+    const queueStatus = await submissionQueue.getStats();
+    const tokenRefresh = await services.container.getTokenRefreshService();
+    const webhookAuth = await services.container.getWebhookAuthService();
+    const rateLimiter = await services.container.getRateLimiterService();
+    const circuitBreaker = await services.container.getCircuitBreakerService();
+    const assignment = await services.container.getAssignmentService();
 
     res.json({
       success: true,
@@ -729,6 +1657,12 @@ router.get('/status', async (req, res) => {
         timestamp: new Date().toISOString(),
         token: tokenStatus,
         config: configStatus,
+        queue: queueStatus,
+        tokenRefresh: tokenRefresh.getStatus(),
+        webhookVerification: webhookAuth.getStatus(),
+        rateLimit: rateLimiter.getStatus(),
+        circuitBreakers: circuitBreaker.getStatus(),
+        assignment: await assignment.getStatus(),
         recommendations: tokenStatus.recommendation ? [tokenStatus.recommendation] : []
       }
     });
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { ServiceContainer } = require('../services/service-container');
+
+let container;
+let bitrix24Service;
+let eventService;
+
+// Initialize services asynchronously
+async function initializeServices() {
+  if (!container) {
+    container = ServiceContainer.getInstance();
+    await container.initializeServices();
+    bitrix24Service = await container.getBitrix24Service();
+    eventService = await container.getBitrix24EventService();
+  }
+  return { container, bitrix24Service, eventService };
+}
+
+/**
+ * POST /bitrix24/events - Bitrix24 event handler
+ * Register as the ONAPPUNINSTALL handler (event.bind or the app's settings).
+ * Every event must carry the portal's application_token.
+ */
+router.post('/', async (req, res) => {
+  try {
+    await initializeServices();
+
+    const body = req.body || {};
+    const event = String(body.event || '').toUpperCase();
+
+    const verification = await eventService.verifyEvent(body);
+    if (verification.rejection) {
+      await eventService.recordRejection(req, verification.rejection);
+      return res.status(verification.rejection.status).json({
+        success: false,
+        error: 'Event rejected',
+        message: verification.rejection.reason
+      });
+    }
+
+    if (event === 'ONAPPUNINSTALL') {
+      const result = await eventService.handleUninstall(verification.token, body);
+
+      return res.json({
+        success: true,
+        message: 'Application uninstalled, portal tokens purged',
+        data: result
+      });
+    }
+
+    if (event === 'ONAPPINSTALL') {
+      const result = await bitrix24Service.processInstallation(body);
+      if (!result.hasToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to process installation event',
+          message: 'No token generated'
+        });
+      }
+
+      const formsResumed = await eventService.handleInstall(result.domain);
+
+      return res.json({
+        success: true,
+        message: 'Application installed and authorized successfully',
+        data: {
+          domain: result.domain,
+          memberId: result.memberId,
+          formsResumed
+        }
+      });
+    }
+
+    logger.info('📨 Bitrix24 event received, no handler', {
+      event: body.event,
+      domain: body.auth.domain
+    });
+
+    res.json({
+      success: true,
+      message: 'Event acknowledged',
+      data: { event: body.event, handled: false }
+    });
+
+  } catch (error) {
+    logger.error('Bitrix24 event processing error', {
+      error: error.message,
+      event: req.body && req.body.event
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
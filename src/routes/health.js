@@ -1,5 +1,5 @@
 const express = require('express');
-const { testConnection } = require('../services/bitrix24');
+const { ServiceContainer } = require('../services/service-container');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -8,22 +8,31 @@ const router = express.Router();
  * GET /health
  * Health check endpoint
  */
-router.get('/', async (req, res) => {
+router.get('/health', async (req, res) => {
   try {
     logger.info('Health check requested');
     
-    // Test Bitrix24 connection
-    const bitrix24Status = await testConnection();
+    const container = ServiceContainer.getInstance();
+
+    // Test Bitrix24 connection with the token the webhook would use
+    const bitrix24Service = await container.getBitrix24Service();
+    const bitrix24Status = await bitrix24Service.testConnection();
+
+    // Upstream hosts whose circuit is open are failing fast
+    const circuitBreaker = await container.getCircuitBreakerService();
+    const circuits = circuitBreaker.getStatus();
     
     const response = {
-      status: bitrix24Status.success ? 'healthy' : 'partial',
+      status: bitrix24Status.success && circuits.open.length === 0 ? 'healthy' : 'partial',
       timestamp: new Date().toISOString(),
       services: {
         bitrix24: {
           status: bitrix24Status.success ? 'up' : 'down',
+          domain: bitrix24Status.domain || null,
           message: bitrix24Status.message || bitrix24Status.error
         }
-      }
+      },
+      circuits
     };
     
     const statusCode = bitrix24Status.success ? 200 : 503;
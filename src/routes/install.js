@@ -6,6 +6,7 @@ const { ServiceContainer } = require('../services/service-container');
 
 let container;
 let bitrix24Service;
+let eventService;
 
 // Initialize services asynchronously
 async function initializeServices() {
@@ -13,8 +14,28 @@ async function initializeServices() {
     container = ServiceContainer.getInstance();
     await container.initializeServices();
     bitrix24Service = await container.getBitrix24Service();
+    eventService = await container.getBitrix24EventService();
   }
-  return { container, bitrix24Service };
+  return { container, bitrix24Service, eventService };
+}
+
+/**
+ * Reject an ONAPPINSTALL event whose application_token does not belong to
+ * the portal. Returns true when a response was sent.
+ */
+async function rejectForgedEvent(req, res) {
+  const verification = await eventService.verifyEvent(req.body);
+  if (!verification.rejection) {
+    return false;
+  }
+
+  await eventService.recordRejection(req, verification.rejection);
+  res.status(verification.rejection.status).json({
+    success: false,
+    error: 'Event rejected',
+    message: verification.rejection.reason
+  });
+  return true;
 }
 
 /**
@@ -48,10 +69,16 @@ router.post('/install', async (req, res) => {
         status: body.auth.status
       });
 
+      if (await rejectForgedEvent(req, res)) {
+        return;
+      }
+
       // Process the ONAPPINSTALL event
       const result = await bitrix24Service.processInstallation(body);
 
       if (result.hasToken) {
+        await eventService.handleInstall(result.domain);
+
         logger.info('✅ ONAPPINSTALL EVENT PROCESSED SUCCESSFULLY', {
           domain: result.domain,
           memberId: result.memberId,
@@ -152,10 +179,16 @@ router.post('/', async (req, res) => {
         },
         fullAuthObject: body.auth
       });
+
+      if (await rejectForgedEvent(req, res)) {
+        return;
+      }
       
       const result = await bitrix24Service.processInstallation(body.auth);
       
       if (result.hasToken) {
+        await eventService.handleInstall(result.domain);
+
         logger.info('✅ INSTALLATION EVENT PROCESSED SUCCESSFULLY', {
           domain: result.domain,
           memberId: result.memberId,
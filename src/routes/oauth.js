@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { ServiceContainer } = require('../services/service-container');
+const { apiKeyAuth } = require('../middleware/api-auth');
 
 let container;
 let bitrix24Service;
+let oauthStateService;
 
 // Initialize services asynchronously
 async function initializeServices() {
@@ -12,8 +14,9 @@ async function initializeServices() {
     container = ServiceContainer.getInstance();
     await container.initializeServices();
     bitrix24Service = await container.getBitrix24Service();
+    oauthStateService = await container.getOAuthStateService();
   }
-  return { container, bitrix24Service };
+  return { container, bitrix24Service, oauthStateService };
 }
 
 /**
@@ -34,7 +37,8 @@ router.get('/test', async (req, res) => {
     });
 
     // Generate test authorization URL
-    const authUrl = bitrix24Service.getAuthorizationUrl(targetDomain);
+    const state = await oauthStateService.create(targetDomain);
+    const authUrl = bitrix24Service.getAuthorizationUrl(targetDomain, state);
     
     // Check current token status
     const tokenStatus = await bitrix24Service.getTokenStatus();
@@ -75,14 +79,16 @@ router.get('/test', async (req, res) => {
 
 /**
  * GET /oauth/authorize - Redirect to Bitrix24 OAuth2 authorization
+ * Optional returnUrl: where the callback redirects after success
  */
 router.get('/authorize', async (req, res) => {
   try {
     const { container, bitrix24Service } = await initializeServices();
-    const { domain } = req.query;
+    const { domain, returnUrl } = req.query;
     
     // If domain is provided, use it; otherwise use default from config
-    const authUrl = bitrix24Service.getAuthorizationUrl(domain);
+    const state = await oauthStateService.create(domain || bitrix24Service.domain, returnUrl);
+    const authUrl = bitrix24Service.getAuthorizationUrl(domain, state);
     
     logger.info('Redirecting to Bitrix24 OAuth2 authorization', {
       domain: domain || 'default',
@@ -105,6 +111,14 @@ router.get('/authorize', async (req, res) => {
     res.redirect(authUrl);
 
   } catch (error) {
+    if (error.invalidReturnUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid return URL',
+        message: error.message
+      });
+    }
+
     logger.error('OAuth authorization error', {
       error: error.message,
       stack: error.stack
@@ -168,14 +182,22 @@ router.get('/callback', async (req, res) => {
       });
     }
 
+    const verified = await oauthStateService.consume(state, domain);
+    if (verified.rejection) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid OAuth state',
+        message: verified.rejection.reason
+      });
+    }
+
     // Exchange code for tokens
     logger.info('🔄 STARTING TOKEN EXCHANGE', {
       code: code.substring(0, 20) + '...',
-      domain,
-      state
+      domain: verified.domain
     });
 
-    const tokenResult = await bitrix24Service.handleOAuthCallback(code, domain);
+    const tokenResult = await bitrix24Service.handleOAuthCallback(code, verified.domain);
 
     logger.info('🎯 TOKEN EXCHANGE RESULT', {
       success: tokenResult.success,
@@ -204,6 +226,10 @@ router.get('/callback', async (req, res) => {
         serverEndpoint: tokenResult.serverEndpoint
       });
 
+      if (verified.returnUrl) {
+        return res.redirect(verified.returnUrl);
+      }
+
       // For development, show the tokens
       if (process.env.NODE_ENV === 'development') {
         return res.json({
@@ -220,9 +246,8 @@ router.get('/callback', async (req, res) => {
             clientEndpoint: tokenResult.clientEndpoint
           },
           nextSteps: [
-            'Save these tokens securely',
-            'Set BITRIX24_ACCESS_TOKEN environment variable',
-            'Set BITRIX24_REFRESH_TOKEN environment variable',
+            'Tokens are saved in the database and refreshed automatically',
+            'Check the connection with GET /health',
             'Test the webhook endpoint'
           ]
         });
@@ -277,7 +302,7 @@ router.get('/callback', async (req, res) => {
 router.get('/status', async (req, res) => {
   try {
     const { container, bitrix24Service } = await initializeServices();
-    const accessToken = bitrix24Service.getAccessToken();
+    const accessToken = await bitrix24Service.getAccessToken();
     
     if (!accessToken) {
       return res.json({
@@ -316,11 +341,12 @@ router.get('/status', async (req, res) => {
 
 /**
  * POST /oauth/token - Manually set access token (for development)
+ * domain defaults to BITRIX24_DOMAIN. Needs an API key with the admin scope.
  */
-router.post('/token', async (req, res) => {
+router.post('/token', apiKeyAuth('admin'), async (req, res) => {
   try {
     const { container, bitrix24Service } = await initializeServices();
-    const { accessToken, refreshToken } = req.body;
+    const { accessToken, refreshToken, domain } = req.body;
 
     if (!accessToken) {
       return res.status(400).json({
@@ -330,9 +356,10 @@ router.post('/token', async (req, res) => {
       });
     }
 
-    bitrix24Service.setTokens(accessToken, refreshToken);
+    const savedDomain = await bitrix24Service.setTokens(accessToken, refreshToken, domain);
 
     logger.info('Access token set manually', {
+      domain: savedDomain,
       hasAccessToken: !!accessToken,
       hasRefreshToken: !!refreshToken
     });
@@ -340,6 +367,7 @@ router.post('/token', async (req, res) => {
     res.json({
       success: true,
       message: 'Access token set successfully',
+      domain: savedDomain,
       hasRefreshToken: !!refreshToken
     });
 
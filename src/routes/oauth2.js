@@ -5,6 +5,7 @@ const { ServiceContainer } = require('../services/service-container');
 
 let container;
 let bitrix24Service;
+let oauthStateService;
 
 // Initialize services asynchronously
 async function initializeServices() {
@@ -12,13 +13,31 @@ async function initializeServices() {
     container = ServiceContainer.getInstance();
     await container.initializeServices();
     bitrix24Service = await container.getBitrix24Service();
+    oauthStateService = await container.getOAuthStateService();
   }
-  return { container, bitrix24Service };
+  return { container, bitrix24Service, oauthStateService };
+}
+
+/**
+ * Respond 400 to a rejected return URL; returns whether it did
+ */
+function rejectReturnUrl(res, error) {
+  if (!error.invalidReturnUrl) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid return URL',
+    message: error.message
+  });
+  return true;
 }
 
 /**
  * GET /oauth2/start - Start Complete OAuth 2.0 Authorization Protocol
  * User provides their Bitrix24 domain and gets redirected to authorization
+ * Optional returnUrl: where the callback redirects after success
  */
 router.get('/start', async (req, res) => {
   try {
@@ -26,7 +45,7 @@ router.get('/start', async (req, res) => {
     const services = await initializeServices();
     bitrix24Service = services.bitrix24Service;
 
-    const { domain } = req.query;
+    const { domain, returnUrl } = req.query;
 
     if (!domain) {
       return res.status(400).json({
@@ -42,7 +61,8 @@ router.get('/start', async (req, res) => {
       ip: req.ip
     });
 
-    const authUrl = bitrix24Service.getAuthorizationUrl(domain);
+    const state = await oauthStateService.create(domain, returnUrl);
+    const authUrl = bitrix24Service.getAuthorizationUrl(domain, state);
     
     logger.info('🔗 GENERATED AUTHORIZATION URL', {
       domain: domain,
@@ -67,6 +87,10 @@ router.get('/start', async (req, res) => {
     res.redirect(authUrl);
 
   } catch (error) {
+    if (rejectReturnUrl(res, error)) {
+      return;
+    }
+
     logger.error('❌ OAUTH2 START ERROR', {
       error: error.message,
       stack: error.stack,
@@ -91,7 +115,7 @@ router.post('/domain', async (req, res) => {
     const services = await initializeServices();
     bitrix24Service = services.bitrix24Service;
 
-    const { domain } = req.body;
+    const { domain, returnUrl } = req.body;
 
     if (!domain) {
       return res.status(400).json({
@@ -107,7 +131,8 @@ router.post('/domain', async (req, res) => {
       ip: req.ip
     });
 
-    const authUrl = bitrix24Service.getAuthorizationUrl(domain);
+    const state = await oauthStateService.create(domain, returnUrl);
+    const authUrl = bitrix24Service.getAuthorizationUrl(domain, state);
     
     res.json({
       success: true,
@@ -121,6 +146,10 @@ router.post('/domain', async (req, res) => {
     });
 
   } catch (error) {
+    if (rejectReturnUrl(res, error)) {
+      return;
+    }
+
     logger.error('❌ DOMAIN SUBMISSION ERROR', {
       error: error.message,
       stack: error.stack,
@@ -188,14 +217,22 @@ router.get('/callback', async (req, res) => {
       });
     }
 
+    const verified = await oauthStateService.consume(state, domain);
+    if (verified.rejection) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid OAuth state',
+        message: verified.rejection.reason
+      });
+    }
+
     // Exchange code for tokens
     logger.info('🔄 STARTING TOKEN EXCHANGE', {
       code: code.substring(0, 20) + '...',
-      domain,
-      state
+      domain: verified.domain
     });
 
-    const result = await bitrix24Service.exchangeCodeForToken(code, state);
+    const result = await bitrix24Service.exchangeCodeForToken(code, verified.domain);
 
     if (result.success) {
       logger.info('✅ TOKEN EXCHANGE SUCCESSFUL', {
@@ -204,6 +241,10 @@ router.get('/callback', async (req, res) => {
         method: result.method
       });
 
+      if (verified.returnUrl) {
+        return res.redirect(verified.returnUrl);
+      }
+
       return res.json({
         success: true,
         message: 'OAuth2 authorization completed successfully',
@@ -2,12 +2,17 @@ const express = require('express');
 const multer = require('multer');
 const logger = require('../utils/logger');
 const { ServiceContainer } = require('../services/service-container');
+const { apiKeyAuth } = require('../middleware/api-auth');
 
 const router = express.Router();
 const upload = multer(); // For parsing multipart/form-data
 
 let container;
 let bitrix24Service;
+let submissionQueue;
+let fieldMappingService;
+let portalService;
+let webhookAuthService;
 
 // Initialize services asynchronously
 async function initializeServices() {
@@ -15,70 +20,107 @@ async function initializeServices() {
     container = ServiceContainer.getInstance();
     await container.initializeServices();
     bitrix24Service = await container.getBitrix24Service();
+    submissionQueue = await container.getSubmissionQueueService();
+    fieldMappingService = await container.getFieldMappingService();
+    portalService = await container.getPortalService();
+    webhookAuthService = await container.getWebhookAuthService();
   }
-  return { container, bitrix24Service };
+  return { container, bitrix24Service, submissionQueue, fieldMappingService, portalService, webhookAuthService };
 }
 
 /**
- * Parse Jotform data from webhook
+ * Keep the raw multipart body for HMAC verification while multer parses it
+ * (JSON and urlencoded bodies are kept by the body parsers in server.js)
  */
-function parseJotformData(formData, submissionId) {
-  const contactData = {
-    fullName: '',
-    phone: '',
-    email: '',
-    submissionId: submissionId,
-    submittedAt: formData.submitDate ? new Date(parseInt(formData.submitDate)).toISOString() : new Date().toISOString()
-  };
-
-  // Parse name from q3_name
-  if (formData.q3_name) {
-    const nameObj = formData.q3_name;
-    if (typeof nameObj === 'object') {
-      const firstName = nameObj.first || '';
-      const lastName = nameObj.last || '';
-      contactData.fullName = `${firstName} ${lastName}`.trim();
-    } else {
-      contactData.fullName = nameObj.toString();
-    }
+function captureRawBody(req, res, next) {
+  if (req.rawBody || !req.is('multipart/form-data')) {
+    return next();
   }
 
-  // Parse phone from q4_phoneNumber
-  if (formData.q4_phoneNumber) {
-    const phoneObj = formData.q4_phoneNumber;
-    if (typeof phoneObj === 'object') {
-      contactData.phone = phoneObj.full || '';
-    } else {
-      contactData.phone = phoneObj.toString();
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    req.rawBody = Buffer.concat(chunks);
+  });
+  next();
+}
+
+/**
+ * Reject webhook requests that fail verification (see WebhookAuthService)
+ */
+async function verifyWebhook(req, res, next) {
+  try {
+    const services = await initializeServices();
+    webhookAuthService = services.webhookAuthService;
+
+    const rejection = await webhookAuthService.verify(req);
+    if (!rejection) {
+      return next();
     }
-  }
 
-  // Parse email from q5_email
-  if (formData.q5_email) {
-    contactData.email = formData.q5_email.toString();
+    await webhookAuthService.recordRejection(req, rejection);
+
+    return res.status(rejection.status).json({
+      success: false,
+      error: { 401: 'Unauthorized', 403: 'Forbidden' }[rejection.status] || 'Service Unavailable',
+      message: 'Webhook verification failed'
+    });
+
+  } catch (error) {
+    logger.error('Webhook verification error', { error: error.message });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
+}
 
-  return contactData;
+/**
+ * Check whether the caller explicitly asked to re-sync a submission
+ * (?force=true or forceResync=true in the body)
+ */
+function isForceResync(req) {
+  const flag = req.query.force ?? (req.body && req.body.forceResync);
+  return flag === true || flag === 'true' || flag === '1';
 }
 
 /**
  * POST /webhook/jotform
- * Handle Jotform webhook submissions
+ * POST /webhook/jotform/:portal - deliver to a specific Bitrix24 portal (domain or member_id)
+ * POST /webhook/jotform/:portal/:token - same, with the webhook token in the path
+ * Handle Jotform webhook submissions (webhook token also accepted as ?token=)
  */
-router.post('/jotform', upload.none(), async (req, res) => {
+router.post(['/jotform', '/jotform/:portal', '/jotform/:portal/:token'], captureRawBody, upload.none(), verifyWebhook, async (req, res) => {
   const startTime = Date.now();
   
   try {
     // Ensure services are initialized
     const services = await initializeServices();
-    bitrix24Service = services.bitrix24Service;
+    submissionQueue = services.submissionQueue;
+    fieldMappingService = services.fieldMappingService;
+    portalService = services.portalService;
 
     logger.info('Jotform webhook received', {
       submissionID: req.body.submissionID,
+      portal: req.params.portal,
       hasRawRequest: !!req.body.rawRequest,
       ip: req.ip
     });
 
+    // Webhook URL gắn với portal: portal phải đã cài app
+    let portal = null;
+    if (req.params.portal) {
+      const found = await portalService.findPortal(req.params.portal);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown Bitrix24 portal: ${req.params.portal}`
+        });
+      }
+      portal = found.domain;
+    }
+
     // Lấy submission ID
     const submissionId = req.body.submissionID;
     if (!submissionId) {
@@ -102,58 +144,100 @@ router.post('/jotform', upload.none(), async (req, res) => {
       }
     }
 
-    // Parse contact data
-    const contactData = parseJotformData(formData, submissionId);
+    // Map câu trả lời theo định nghĩa mapping của form
+    const formId = req.body.formID || formData.formID || null;
+    const contactData = await fieldMappingService.mapRawRequest(formId, formData, submissionId);
+    contactData.portal = portal;
     
     logger.info('Contact data parsed', {
       submissionId,
+      formId,
       fullName: contactData.fullName,
       email: contactData.email,
-      phone: contactData.phone
+      phone: contactData.phone,
+      mappedFields: Object.keys(contactData.fields)
     });
 
     // Validate có ít nhất một thông tin liên hệ
-    if (!contactData.fullName && !contactData.email && !contactData.phone) {
+    if (!fieldMappingService.hasContactData(contactData)) {
       return res.status(400).json({
         success: false,
         error: 'No valid contact data found'
       });
     }
 
-    // Tạo lead trong Bitrix24
-    const result = await bitrix24Service.createLead(contactData);
-    const duration = Date.now() - startTime;
+    const force = isForceResync(req);
 
-    if (result.success) {
-      logger.info('Lead created successfully', {
-        submissionId,
-        leadId: result.leadId,
-        duration
-      });
+    // Jotform retry hoặc replay thủ công: trả về kết quả cũ thay vì tạo lead mới
+    if (!force) {
+      const existing = await submissionQueue.findExisting(submissionId);
 
-      return res.status(200).json({
-        success: true,
-        message: 'Lead created successfully in Bitrix24',
-        data: {
+      if (existing && existing.state === 'synced') {
+        logger.info('Duplicate webhook delivery, submission already synced', {
           submissionId,
-          leadId: result.leadId,
-          processingTime: duration
-        }
-      });
-    } else {
-      logger.error('Failed to create lead', {
-        submissionId,
-        error: result.error,
-        duration
-      });
+          entityType: existing.record.entity_type,
+          entityId: existing.record.entity_id
+        });
 
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to create lead in Bitrix24',
-        details: result.error
-      });
+        return res.status(200).json({
+          success: true,
+          message: 'Submission already synced to Bitrix24',
+          data: {
+            submissionId,
+            leadId: existing.record.entity_type === 'lead' ? existing.record.entity_id : null,
+            entityType: existing.record.entity_type,
+            entityId: existing.record.entity_id,
+            duplicate: true,
+            syncedAt: existing.record.updated_at,
+            processingTime: Date.now() - startTime
+          }
+        });
+      }
+
+      if (existing && existing.state === 'queued') {
+        logger.info('Duplicate webhook delivery, submission already queued', {
+          submissionId,
+          jobId: existing.job.id
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: 'Submission already queued for Bitrix24',
+          data: {
+            submissionId,
+            jobId: existing.job.id,
+            status: existing.job.status,
+            duplicate: true,
+            processingTime: Date.now() - startTime
+          }
+        });
+      }
     }
 
+    // Đưa submission vào hàng đợi, worker sẽ tạo lead trong Bitrix24
+    const jobId = await submissionQueue.enqueue(contactData, formId, { force });
+    const duration = Date.now() - startTime;
+
+    logger.info('Submission queued for Bitrix24', {
+      submissionId,
+      jobId,
+      portal,
+      force,
+      duration
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Submission accepted and queued for Bitrix24',
+      data: {
+        submissionId,
+        jobId,
+        status: 'pending',
+        forceResync: force,
+        processingTime: duration
+      }
+    });
+
   } catch (error) {
     const duration = Date.now() - startTime;
     
@@ -209,35 +293,44 @@ router.get('/test', async (req, res) => {
 
 /**
  * POST /webhook/test
- * Test endpoint for development
+ * Test endpoint for development. It creates a real lead on the default
+ * portal, so it needs a "write" API key like the rest of the admin API.
  */
-router.post('/test', async (req, res) => {
+router.post('/test', apiKeyAuth('write'), async (req, res) => {
   try {
     // Ensure services are initialized
     const services = await initializeServices();
-    bitrix24Service = services.bitrix24Service;
+    submissionQueue = services.submissionQueue;
 
     logger.info('Test webhook called');
 
-    // Tạo test data
+    // Tạo test data (gửi lại cùng submissionID để kiểm tra idempotency)
     const testContactData = {
       fullName: 'Test User',
       email: 'test@example.com',
       phone: '0123456789',
-      submissionId: 'test_' + Date.now(),
+      submissionId: (req.body && req.body.submissionID) || 'test_' + Date.now(),
       submittedAt: new Date().toISOString()
     };
 
     // Test tạo lead
-    const result = await bitrix24Service.createLead(testContactData);
+    const result = await submissionQueue.processSubmission(testContactData, {
+      force: isForceResync(req)
+    });
 
     if (result.success) {
       return res.status(200).json({
         success: true,
-        message: 'Test webhook processed successfully',
+        message: result.duplicate ?
+          'Test submission already synced to Bitrix24' :
+          'Test webhook processed successfully',
         data: {
           testContactData,
-          leadId: result.leadId || result.contactId
+          leadId: result.leadId,
+          entityType: result.entityType,
+          entityId: result.entityId,
+          action: result.action,
+          duplicate: result.duplicate
         }
       });
     } else {
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Admin API key management
+ *
+ *   npm run apikeys -- create <name> [--scopes read,write,admin] [--methods crm.lead.*,...]
+ *   npm run apikeys -- list
+ *   npm run apikeys -- revoke <id>
+ *
+ * The first key has to come from here, since /api/keys needs an admin key:
+ *   npm run apikeys -- create bootstrap --scopes admin
+ * The key is printed once; only its hash is stored. --methods limits which
+ * Bitrix24 methods the key may call through POST /api/bitrix24.
+ */
+require('dotenv').config();
+
+const { ServiceContainer } = require('../services/service-container');
+
+function parseOptions(args) {
+  const options = { positional: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--scopes') {
+      options.scopes = args[++i];
+    } else if (arg === '--methods') {
+      options.methods = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function formatKey(key) {
+  const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+  const methods = key.methods ? ` methods=${key.methods.join(',')}` : '';
+  return `#${key.id} ${key.name} (${key.prefix}…) scopes=${key.scopes.join(',')}${methods} ` +
+    `${status}, last used ${key.lastUsedAt || 'never'}`;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+  const [target] = options.positional;
+
+  if (!['create', 'list', 'revoke'].includes(command) || (command !== 'list' && !target)) {
+    console.log('Usage: node src/scripts/api-keys.js <create <name> [--scopes read,write,admin] [--methods patterns]|list|revoke <id>>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const container = ServiceContainer.getInstance();
+  await container.initializeServices();
+  const apiKeyService = await container.getApiKeyService();
+  const databaseService = await container.getDatabaseService();
+
+  try {
+    if (command === 'create') {
+      const apiKey = await apiKeyService.create(target, options.scopes, options.methods);
+      console.log(`🔑 API key #${apiKey.id} "${apiKey.name}" (${apiKey.scopes.join(',')}):`);
+      console.log(apiKey.key);
+      console.log('Store it now, it cannot be shown again.');
+    } else if (command === 'list') {
+      const keys = await apiKeyService.list();
+      keys.forEach(key => console.log(formatKey(key)));
+    } else {
+      if (!(await apiKeyService.revoke(parseInt(target, 10)))) {
+        throw new Error(`Active API key ${target} not found`);
+      }
+      console.log(`✅ API key #${target} revoked`);
+    }
+  } finally {
+    databaseService.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Historical submission backfill
+ *
+ *   npm run backfill -- start <formId> [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                          [--portal domain] [--page-size 100] [--dry-run]
+ *   npm run backfill -- resume <runId>
+ *   npm run backfill -- list [formId]
+ *
+ * Submissions are mapped and put on the submission queue; the server's queue
+ * worker creates the leads. Already synced or queued submissions are skipped.
+ * An interrupted or failed run continues from its last page with `resume`.
+ */
+require('dotenv').config();
+
+const { ServiceContainer } = require('../services/service-container');
+
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--from') {
+      options.from = args[++i];
+    } else if (arg === '--to') {
+      options.to = args[++i];
+    } else if (arg === '--portal') {
+      options.portal = args[++i];
+    } else if (arg === '--page-size') {
+      options.pageSize = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.positional = options.positional || [];
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function formatRun(run) {
+  return `#${run.id} form ${run.form_id} [${run.status}${run.dry_run ? ', dry run' : ''}] ` +
+    `${run.date_from || '…'} → ${run.date_to}: ${run.total} read, ${run.queued} ${run.dry_run ? 'would be queued' : 'queued'}, ` +
+    `${run.skipped} already synced, ${run.empty} without contact data, ${run.failed} failed`;
+}
+
+function printProgress(run) {
+  console.log(`  offset ${run.next_offset}: ${formatRun(run)}`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const options = parseOptions(process.argv.slice(3));
+  const [target] = options.positional || [];
+
+  if (!['start', 'resume', 'list'].includes(command) || (command !== 'list' && !target)) {
+    console.log('Usage: node src/scripts/backfill.js <start <formId> [--from] [--to] [--portal] [--page-size] [--dry-run]|resume <runId>|list [formId]>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const container = ServiceContainer.getInstance();
+  await container.initializeServices();
+  const backfillService = await container.getBackfillService();
+  const databaseService = await container.getDatabaseService();
+
+  try {
+    if (command === 'list') {
+      const runs = await backfillService.listRuns({ formId: target });
+      runs.forEach(run => console.log(formatRun(run)));
+      return;
+    }
+
+    let run;
+    if (command === 'start') {
+      if (options.portal) {
+        const portalService = await container.getPortalService();
+        if (!(await portalService.findPortal(options.portal))) {
+          throw new Error(`Bitrix24 portal "${options.portal}" is not installed`);
+        }
+      }
+
+      run = await backfillService.createRun({ ...options, formId: target });
+    } else {
+      run = await backfillService.getRun(parseInt(target, 10));
+      if (!run) {
+        throw new Error(`Backfill run ${target} not found`);
+      }
+    }
+
+    console.log(`📚 Backfill run #${run.id} (resume with: npm run backfill -- resume ${run.id})`);
+    const result = await backfillService.resume(run.id, printProgress);
+    console.log(`✅ ${formatRun(result)}`);
+  } finally {
+    databaseService.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Token encryption maintenance
+ *
+ *   npm run tokens -- generate-key   Print a new random master key
+ *   npm run tokens -- status         Count encrypted / plaintext token secrets
+ *   npm run tokens -- migrate        Encrypt plaintext tokens in tokens.db
+ *   npm run tokens -- rotate         Re-wrap every token with TOKEN_ENCRYPTION_KEY
+ *
+ * Key rotation: generate a key, set it as TOKEN_ENCRYPTION_KEY, move the old
+ * key to TOKEN_ENCRYPTION_PREVIOUS_KEYS, run `rotate`, then drop the old key.
+ */
+require('dotenv').config();
+
+const DatabaseService = require('../services/database.service');
+const { TokenCipher, getTokenCipher, SECRET_FIELDS } = require('../utils/tokenCipher');
+
+function readSecrets(databaseService) {
+  return new Promise((resolve, reject) => {
+    databaseService.db.all(`SELECT id, domain, ${SECRET_FIELDS.join(', ')} FROM tokens`, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+}
+
+async function status(databaseService) {
+  const cipher = getTokenCipher();
+  const rows = await readSecrets(databaseService);
+
+  console.log(`Encryption: ${cipher.enabled ? `enabled (key ${cipher.currentKeyId})` : 'disabled'}`);
+  rows.forEach(row => {
+    const fields = SECRET_FIELDS
+      .filter(field => row[field])
+      .map(field => {
+        if (!cipher.isEncrypted(row[field])) return `${field}=plaintext`;
+        return `${field}=key ${cipher.parse(row[field]).keyId}`;
+      });
+    console.log(`  #${row.id} ${row.domain}: ${fields.join(', ') || 'no secrets'}`);
+  });
+}
+
+async function reencrypt(databaseService, rewrap) {
+  const cipher = getTokenCipher();
+  if (!cipher.enabled) {
+    throw new Error('Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE first');
+  }
+
+  // Opening the database already encrypts plaintext rows, so report the end state
+  await databaseService.reencryptTokens({ rewrap });
+  const rows = await readSecrets(databaseService);
+  const current = rows.filter(row => SECRET_FIELDS.every(field =>
+    !row[field] || (cipher.isEncrypted(row[field]) && cipher.parse(row[field]).keyId === cipher.currentKeyId)
+  ));
+
+  console.log(`tokens.db: ${current.length} of ${rows.length} rows encrypted with key ${cipher.currentKeyId}`);
+}
+
+async function main() {
+  const command = process.argv[2];
+
+  if (command === 'generate-key') {
+    console.log(TokenCipher.generateKey());
+    return;
+  }
+
+  if (!['status', 'migrate', 'rotate'].includes(command)) {
+    console.log('Usage: node src/scripts/tokens.js <generate-key|status|migrate|rotate>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const databaseService = new DatabaseService();
+  await databaseService.initDatabase();
+
+  try {
+    if (command === 'status') {
+      await status(databaseService);
+    } else {
+      await reencrypt(databaseService, command === 'rotate');
+    }
+  } finally {
+    databaseService.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
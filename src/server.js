@@ -3,6 +3,7 @@ const cors = require('cors');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const { requestLogger, errorHandler, notFound } = require('./middleware/common');
+const { ServiceContainer } = require('./services/service-container');
 
 // Import routes
 const healthRoutes = require('./routes/health');
@@ -11,6 +12,7 @@ const oauthRoutes = require('./routes/oauth');
 const oauth2Routes = require('./routes/oauth2');
 const installRoutes = require('./routes/install');
 const apiRoutes = require('./routes/api');
+const eventRoutes = require('./routes/events');
 
 class Server {
   constructor() {
@@ -21,12 +23,25 @@ class Server {
   }
 
   setupMiddleware() {
+    // Real client IP behind a reverse proxy / tunnel (webhook IP allowlist)
+    const trustProxy = config.server.trustProxy;
+    if (trustProxy === 'true') {
+      this.app.set('trust proxy', true);
+    } else if (/^\d+$/.test(trustProxy)) {
+      this.app.set('trust proxy', parseInt(trustProxy, 10));
+    } else if (trustProxy) {
+      this.app.set('trust proxy', trustProxy);
+    }
+
     // CORS
     this.app.use(cors());
     
-    // Body parsing
-    this.app.use(express.json());
-    this.app.use(express.urlencoded({ extended: true }));
+    // Body parsing (raw body kept for webhook HMAC verification)
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    this.app.use(express.json({ verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
     
     // Request logging
     this.app.use(requestLogger);
@@ -47,6 +62,9 @@ class Server {
     
     // Webhook routes
     this.app.use('/webhook', webhookRoutes);
+
+    // Bitrix24 event handlers (ONAPPUNINSTALL, ...)
+    this.app.use('/bitrix24/events', eventRoutes);
     
     // API routes
     this.app.use('/api', apiRoutes);
@@ -62,8 +80,9 @@ class Server {
           health: ['GET /health', 'GET /ping'],
           oauth: ['GET /oauth/authorize', 'GET /oauth/callback', 'GET /oauth/status'],
           oauth2: ['GET /oauth2/start', 'POST /oauth2/domain', 'GET /oauth2/callback', 'GET /oauth2/status'],
-          webhook: ['POST /webhook/jotform'],
-          api: ['GET /api/status', 'GET /api/test-token', 'GET /api/contacts', 'POST /api/bitrix24'],
+          webhook: ['POST /webhook/jotform', 'POST /webhook/jotform/:portal', 'POST /webhook/jotform/:portal/:token'],
+          events: ['POST /bitrix24/events'],
+          api: ['GET /api/status', 'GET /api/test-token', 'GET /api/contacts', 'POST /api/bitrix24', 'GET /api/queue', 'POST /api/queue/:id/retry', 'GET /api/mappings', 'POST /api/mappings/reload', 'GET /api/portals', 'PUT /api/portals/bindings/:formId', 'DELETE /api/portals/bindings/:formId', 'GET /api/webhook/rejections', 'GET /api/keys', 'POST /api/keys', 'DELETE /api/keys/:id', 'POST /api/backfill', 'GET /api/backfill', 'GET /api/backfill/:id', 'POST /api/backfill/:id/resume', 'GET /api/polling', 'POST /api/polling/:formId/run', 'GET /api/items/types', 'GET /api/items/:entityTypeId/fields', 'GET /api/items/:entityTypeId', 'GET /api/items/:entityTypeId/:id'],
           test: ['GET /webhook/test']
         },
         timestamp: new Date().toISOString()
@@ -77,8 +96,29 @@ class Server {
     this.app.use(errorHandler);
   }
 
+  /**
+   * Start background workers (submission queue, token refresh, Jotform poller)
+   */
+  async startBackgroundWorkers() {
+    try {
+      const container = ServiceContainer.getInstance();
+      const tokenRefresh = await container.getTokenRefreshService();
+      tokenRefresh.start();
+
+      const submissionQueue = await container.getSubmissionQueueService();
+      await submissionQueue.start();
+
+      const submissionPoller = await container.getSubmissionPollerService();
+      submissionPoller.start();
+    } catch (error) {
+      logger.error('Failed to start background workers', { error: error.message });
+    }
+  }
+
   start() {
     this.app.listen(this.port, () => {
+      this.startBackgroundWorkers();
+
       logger.info(`Server running on port ${this.port}`);
       logger.info('Environment:', process.env.NODE_ENV || 'development');
       
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Each scope includes the ones before it: admin can do everything
+const SCOPES = ['read', 'write', 'admin'];
+
+const KEY_PREFIX = 'jb24_';
+
+/**
+ * Admin API keys for /api and /oauth/token.
+ *
+ * Keys are random, shown once when created and stored as their SHA-256 with
+ * a short prefix to recognise them. Scopes are cumulative: "read" allows GET
+ * requests, "write" also changes (POST/PUT/DELETE), "admin" also token and
+ * key management. The first key is minted with `npm run apikeys -- create`.
+ * A key can also be limited to some Bitrix24 methods (patterns like crm.lead.*)
+ * for the POST /api/bitrix24 proxy, see Bitrix24ProxyPolicyService.
+ */
+class ApiKeyService {
+  constructor(configService, databaseService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+
+    const authConfig = this.configService.getApiAuthConfig();
+
+    this.enabled = authConfig.enabled;
+    this.header = authConfig.header;
+
+    if (!this.enabled) {
+      logger.warn('⚠️ API authentication is disabled (API_AUTH_ENABLED=false), /api accepts any request');
+    }
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Validate a scope list ("read,write" or an array); throws on unknown scopes
+   */
+  parseScopes(scopes) {
+    const list = (Array.isArray(scopes) ? scopes : String(scopes || 'read').split(','))
+      .map(scope => String(scope).trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = list.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0 || list.length === 0) {
+      throw new Error(`Invalid scopes: ${unknown.join(', ') || 'none'} (use ${SCOPES.join(', ')})`);
+    }
+    return Array.from(new Set(list));
+  }
+
+  /**
+   * Validate Bitrix24 method patterns ("crm.lead.*,crm.contact.get" or an
+   * array). Returns null (any method) when there are none.
+   */
+  parseMethods(methods) {
+    if (!methods) {
+      return null;
+    }
+
+    const list = (Array.isArray(methods) ? methods : String(methods).split(','))
+      .map(method => String(method).trim().toLowerCase())
+      .filter(Boolean);
+
+    const invalid = list.filter(method => !/^[a-z0-9_.*]+$/.test(method));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid method patterns: ${invalid.join(', ')}`);
+    }
+    return list.length > 0 ? Array.from(new Set(list)) : null;
+  }
+
+  /**
+   * Whether a key's scopes cover a required scope
+   */
+  hasScope(apiKey, required) {
+    const level = Math.max(...apiKey.scopes.map(scope => SCOPES.indexOf(scope)));
+    return level >= SCOPES.indexOf(required);
+  }
+
+  /**
+   * Mint a key. The returned key is the only time it is readable.
+   */
+  async create(name, scopes = 'read', methods = null) {
+    if (!name) {
+      throw new Error('API key name is required');
+    }
+
+    const scopeList = this.parseScopes(scopes);
+    const methodList = this.parseMethods(methods);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const prefix = key.slice(0, KEY_PREFIX.length + 6);
+
+    const id = await this.databaseService.saveApiKey({
+      name,
+      key_prefix: prefix,
+      key_hash: this.hash(key),
+      scopes: scopeList.join(','),
+      methods: methodList ? methodList.join(',') : null
+    });
+
+    logger.info('🔑 API key created', { id, name, prefix, scopes: scopeList, methods: methodList });
+    return { id, name, key, prefix, scopes: scopeList, methods: methodList };
+  }
+
+  /**
+   * Key presented by a request (API key header or Authorization: Bearer)
+   */
+  getRequestKey(req) {
+    const header = req.get(this.header);
+    if (header) {
+      return header.trim();
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(authorization);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * Active key matching a raw key, with its scopes and methods as arrays, or null
+   */
+  async authenticate(rawKey) {
+    if (!rawKey) {
+      return null;
+    }
+
+    const record = await this.databaseService.getApiKeyByHash(this.hash(rawKey));
+    if (!record) {
+      return null;
+    }
+
+    await this.databaseService.touchApiKey(record.id);
+    return {
+      id: record.id,
+      name: record.name,
+      prefix: record.key_prefix,
+      scopes: record.scopes.split(','),
+      methods: record.methods ? record.methods.split(',') : null
+    };
+  }
+
+  async list() {
+    const keys = await this.databaseService.getApiKeys();
+    return keys.map(key => ({
+      id: key.id,
+      name: key.name,
+      prefix: key.key_prefix,
+      scopes: key.scopes.split(','),
+      methods: key.methods ? key.methods.split(',') : null,
+      createdAt: key.created_at,
+      lastUsedAt: key.last_used_at,
+      revokedAt: key.revoked_at
+    }));
+  }
+
+  async revoke(id) {
+    const revoked = await this.databaseService.revokeApiKey(id);
+    if (revoked) {
+      logger.info('🔑 API key revoked', { id });
+    }
+    return revoked;
+  }
+}
+
+module.exports = ApiKeyService;
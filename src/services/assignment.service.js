@@ -0,0 +1,324 @@
+const logger = require('../utils/logger');
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+// Users per batch: one user.get and one timeman.status command each
+const AVAILABILITY_CHUNK = 25;
+
+/**
+ * Picks the responsible user (ASSIGNED_BY_ID) for a submission.
+ *
+ * A form mapping's "assignment" block defines teams and rules:
+ *   "teams": { "north": { "users": [5, 6], "schedule": { ... } }, "night": [9] },
+ *   "rules": [{ "question": { "name": "region" }, "values": ["Hà Nội"], "team": "north" }],
+ *   "team": "north", "afterHours": "night"
+ * The first rule whose answer matches one of its values (case-insensitive)
+ * picks the team, else "team", else the ASSIGNMENT_USERS pool. Outside the
+ * team's working hours the "afterHours" team (ASSIGNMENT_AFTER_HOURS_USERS)
+ * takes over when there is one.
+ *
+ * Users of a team take turns (round robin, position kept in assignment_state).
+ * Deactivated users (user.get) and, with ASSIGNMENT_CHECK_TIMEMAN, users whose
+ * workday is not open (timeman.status) are skipped. When nobody is available
+ * the submission goes to ASSIGNMENT_FALLBACK_USER_ID.
+ */
+class AssignmentService {
+  constructor(configService, databaseService, bitrix24Service, fieldMappingService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.bitrix24Service = bitrix24Service;
+    this.fieldMappingService = fieldMappingService;
+
+    this.config = this.configService.getAssignmentConfig();
+
+    // User availability by portal and user ID
+    this.availabilityCache = new Map();
+  }
+
+  /**
+   * Default schedule from the environment (null: always open)
+   */
+  getDefaultSchedule() {
+    if (!this.config.workingHours) {
+      return null;
+    }
+    return {
+      timezone: this.config.timezone,
+      days: this.config.workingDays,
+      hours: this.config.workingHours
+    };
+  }
+
+  /**
+   * Teams of a form: its mapping's teams plus "default" (ASSIGNMENT_USERS)
+   * and "afterHours" (ASSIGNMENT_AFTER_HOURS_USERS) from the environment.
+   * A team is a list of user IDs or { users, schedule }.
+   */
+  getTeams(assignment) {
+    const teams = {
+      default: { users: this.config.users, schedule: this.getDefaultSchedule() },
+      afterHours: { users: this.config.afterHoursUsers, schedule: null }
+    };
+
+    Object.keys(assignment.teams || {}).forEach(name => {
+      const team = assignment.teams[name];
+      const users = Array.isArray(team) ? team : (team.users || []);
+      teams[name] = {
+        users: users.map(user => parseInt(user, 10)).filter(user => user > 0),
+        schedule: team.schedule !== undefined ? team.schedule : (assignment.schedule || this.getDefaultSchedule())
+      };
+    });
+
+    return teams;
+  }
+
+  /**
+   * Team picked by the first matching rule, else the form's default team
+   */
+  selectTeam(assignment, contactData) {
+    const answers = contactData.answers || [];
+
+    for (const rule of assignment.rules || []) {
+      const answer = this.fieldMappingService.findAnswer(answers, rule);
+      if (!answer) {
+        continue;
+      }
+
+      const value = String(answer.value).trim().toLowerCase();
+      const values = (rule.values || [rule.value]).map(item => String(item).trim().toLowerCase());
+      if (values.includes(value)) {
+        return { team: rule.team, rule: rule.values || rule.value };
+      }
+    }
+
+    return { team: assignment.team || 'default', rule: null };
+  }
+
+  /**
+   * ISO weekday and minutes after midnight of a moment in a timezone
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).reduce((result, part) => {
+      result[part.type] = part.value;
+      return result;
+    }, {});
+
+    return {
+      day: WEEKDAYS[parts.weekday],
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Whether a moment falls inside a schedule ({ timezone, days, hours: "08:00-17:30" })
+   */
+  isWorkingTime(schedule, date = new Date()) {
+    if (!schedule || !schedule.hours) {
+      return true;
+    }
+
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(schedule.hours);
+    if (!match) {
+      logger.warn('⚠️ Invalid working hours, schedule ignored', { hours: schedule.hours });
+      return true;
+    }
+
+    const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    const days = schedule.days && schedule.days.length > 0 ? schedule.days.map(Number) : DEFAULT_WORKING_DAYS;
+    const local = this.getLocalTime(date, schedule.timezone || this.config.timezone);
+
+    return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+  }
+
+  /**
+   * IDs of users that cannot take a submission right now. Availability is
+   * cached for ASSIGNMENT_AVAILABILITY_TTL; when Bitrix24 cannot be asked
+   * everyone counts as available.
+   */
+  async getUnavailableUsers(users, portal = null) {
+    if (!this.config.checkActive && !this.config.checkTimeman) {
+      return new Set();
+    }
+
+    const now = Date.now();
+    const unavailable = new Set();
+    const unknown = [];
+
+    users.forEach(userId => {
+      const cached = this.availabilityCache.get(`${portal || 'default'}:${userId}`);
+      if (cached && now - cached.checkedAt < this.config.availabilityTtl) {
+        if (!cached.available) {
+          unavailable.add(userId);
+        }
+      } else {
+        unknown.push(userId);
+      }
+    });
+
+    for (let index = 0; index < unknown.length; index += AVAILABILITY_CHUNK) {
+      const chunk = unknown.slice(index, index + AVAILABILITY_CHUNK);
+      const commands = {};
+      chunk.forEach(userId => {
+        if (this.config.checkActive) {
+          commands[`user_${userId}`] = { method: 'user.get', params: { ID: userId } };
+        }
+        if (this.config.checkTimeman) {
+          commands[`timeman_${userId}`] = { method: 'timeman.status', params: { USER_ID: userId } };
+        }
+      });
+
+      let batch;
+      try {
+        batch = await this.bitrix24Service.callBatch(commands, { halt: false }, portal);
+      } catch (error) {
+        logger.warn('⚠️ Could not check user availability, assigning without it', {
+          portal,
+          users: chunk,
+          error: error.message
+        });
+        continue;
+      }
+
+      chunk.forEach(userId => {
+        const user = batch.results[`user_${userId}`];
+        const timeman = batch.results[`timeman_${userId}`];
+        let available = true;
+        let reason = null;
+
+        if (user && user.success) {
+          const record = (user.result || [])[0];
+          if (!record || !(record.ACTIVE === true || record.ACTIVE === 'Y')) {
+            available = false;
+            reason = 'inactive';
+          }
+        }
+
+        // Missing timeman scope or timeman not used: only user.get counts
+        if (available && timeman && timeman.success && timeman.result && timeman.result.STATUS !== 'OPENED') {
+          available = false;
+          reason = `workday ${String(timeman.result.STATUS).toLowerCase()}`;
+        }
+
+        this.availabilityCache.set(`${portal || 'default'}:${userId}`, { available, reason, checkedAt: now });
+        if (!available) {
+          unavailable.add(userId);
+        }
+      });
+    }
+
+    return unavailable;
+  }
+
+  /**
+   * Next available user of a pool after the last one assigned (round robin)
+   */
+  async pickUser(pool, users, portal = null) {
+    const state = await this.databaseService.getAssignmentState(pool);
+    const lastIndex = state ? users.indexOf(state.last_user_id) : -1;
+    const unavailable = await this.getUnavailableUsers(users, portal);
+
+    for (let offset = 1; offset <= users.length; offset++) {
+      const userId = users[(lastIndex + offset) % users.length];
+      if (!unavailable.has(userId)) {
+        await this.databaseService.saveAssignmentState(pool, userId);
+        return { userId, skipped: Array.from(unavailable) };
+      }
+    }
+
+    return { userId: null, skipped: Array.from(unavailable) };
+  }
+
+  /**
+   * Responsible user for a submission. Returns { userId, team, reason }.
+   */
+  async assign(contactData) {
+    const mapping = this.fieldMappingService.getMapping(contactData.formId);
+    const assignment = mapping.assignment || {};
+    const teams = this.getTeams(assignment);
+    const portal = contactData.portal || null;
+
+    const selection = this.selectTeam(assignment, contactData);
+    let teamName = selection.team;
+    let team = teams[teamName];
+
+    if (!team) {
+      logger.warn('⚠️ Assignment rule points to an unknown team, using the default pool', {
+        formId: contactData.formId,
+        team: teamName
+      });
+      teamName = 'default';
+      team = teams.default;
+    }
+
+    let reason = selection.rule ? 'rule' : 'default';
+    if (!this.isWorkingTime(team.schedule)) {
+      const afterHoursName = assignment.afterHours || 'afterHours';
+      const afterHours = teams[afterHoursName];
+      if (afterHours && afterHours.users.length > 0) {
+        teamName = afterHoursName;
+        team = afterHours;
+        reason = 'after_hours';
+      }
+    }
+
+    if (team.users.length === 0) {
+      return { userId: this.config.fallbackUserId, team: null, reason: 'fallback' };
+    }
+
+    // The environment pools are shared by every form of a portal
+    const scope = ['default', 'afterHours'].includes(teamName) && !(assignment.teams || {})[teamName] ?
+      teamName :
+      `${mapping.formId}:${teamName}`;
+    const pool = `${portal || 'default'}:${scope}`;
+
+    const picked = await this.pickUser(pool, team.users, portal);
+    if (!picked.userId) {
+      logger.warn('⚠️ Nobody in the team is available, using the fallback user', {
+        submissionId: contactData.submissionId,
+        team: teamName,
+        skipped: picked.skipped,
+        fallbackUserId: this.config.fallbackUserId
+      });
+      return { userId: this.config.fallbackUserId, team: teamName, reason: 'fallback' };
+    }
+
+    logger.info('👤 Submission assigned', {
+      submissionId: contactData.submissionId,
+      team: teamName,
+      userId: picked.userId,
+      reason,
+      skipped: picked.skipped
+    });
+
+    return { userId: picked.userId, team: teamName, reason };
+  }
+
+  /**
+   * Round-robin positions for status endpoints
+   */
+  async getStatus() {
+    const states = await this.databaseService.getAssignmentStates();
+
+    return {
+      users: this.config.users,
+      fallbackUserId: this.config.fallbackUserId,
+      workingHours: this.config.workingHours,
+      pools: states.map(state => ({
+        pool: state.pool,
+        lastUserId: state.last_user_id,
+        assigned: state.assigned,
+        updatedAt: state.updated_at
+      }))
+    };
+  }
+}
+
+module.exports = AssignmentService;
@@ -0,0 +1,292 @@
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+
+/**
+ * Historical submission backfill.
+ * Pages through a form's submissions in a date range (JotformService.getSubmissions),
+ * maps each one with the form's field mapping and puts it on the submission
+ * queue, the same path webhook submissions take. Submissions already synced
+ * or queued are skipped. Progress (next offset and counters) is saved after
+ * every page in backfill_runs, so an interrupted or failed run can be resumed.
+ * The upper date bound is fixed when the run starts, which keeps the offsets
+ * stable while new submissions keep arriving. Without a "to" date it is the
+ * created_at of the form's newest submission: Jotform compares created_at in
+ * the account's timezone, so a bound from this server's clock could cut off
+ * the latest submissions.
+ */
+class BackfillService {
+  constructor(configService, databaseService, jotformService, fieldMappingService, submissionQueueService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.jotformService = jotformService;
+    this.fieldMappingService = fieldMappingService;
+    this.submissionQueueService = submissionQueueService;
+
+    // Runs executing in this process, by run ID
+    this.active = new Map();
+  }
+
+  /**
+   * Normalize a date bound to Jotform's "YYYY-MM-DD HH:mm:ss"
+   */
+  normalizeDate(value, endOfDay = false) {
+    if (!value) {
+      return null;
+    }
+
+    if (!DATE_PATTERN.test(value)) {
+      throw new Error(`Invalid date "${value}", expected YYYY-MM-DD or YYYY-MM-DD HH:mm:ss`);
+    }
+
+    if (value.length === 10) {
+      return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+    }
+    return value;
+  }
+
+  /**
+   * created_at of the form's newest submission (in the Jotform account's
+   * timezone), or null when the form has none
+   */
+  async latestSubmissionTime(formId) {
+    const latest = await this.jotformService.getSubmissions(formId, {
+      limit: 1,
+      filter: { 'status:ne': 'DELETED' },
+      orderby: 'created_at'
+    });
+
+    if (!latest.success) {
+      throw new Error(`Failed to fetch submissions: ${latest.error}`);
+    }
+    return latest.data[0] ? latest.data[0].created_at : null;
+  }
+
+  /**
+   * Create a backfill run. Options: formId, from, to, dryRun, portal, pageSize
+   */
+  async createRun(options = {}) {
+    if (!options.formId) {
+      throw new Error('formId is required');
+    }
+
+    const pageSize = parseInt(options.pageSize || 100, 10);
+    if (!(pageSize > 0 && pageSize <= 1000)) {
+      throw new Error('pageSize must be between 1 and 1000');
+    }
+
+    const dateFrom = this.normalizeDate(options.from);
+    const dateTo = this.normalizeDate(options.to, true);
+
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+      throw new Error('"from" must be before "to"');
+    }
+
+    const run = {
+      form_id: String(options.formId),
+      portal: options.portal || null,
+      date_from: dateFrom,
+      // A form without submissions has nothing to import
+      date_to: dateTo || await this.latestSubmissionTime(options.formId) || '0000-00-00 00:00:00',
+      dry_run: !!options.dryRun,
+      page_size: pageSize
+    };
+
+    const runId = await this.databaseService.createBackfillRun(run);
+
+    logger.info('📚 Backfill run created', {
+      runId,
+      formId: run.form_id,
+      from: run.date_from,
+      to: run.date_to,
+      dryRun: run.dry_run
+    });
+
+    return await this.databaseService.getBackfillRun(runId);
+  }
+
+  /**
+   * Create a run and execute it. onProgress(run) is called after every page.
+   */
+  async start(options = {}, onProgress = null) {
+    const run = await this.createRun(options);
+    return await this.execute(run.id, onProgress);
+  }
+
+  /**
+   * Continue a run from its saved offset
+   */
+  async resume(runId, onProgress = null) {
+    const run = await this.databaseService.getBackfillRun(runId);
+    if (!run) {
+      throw new Error(`Backfill run ${runId} not found`);
+    }
+    if (run.status === 'completed') {
+      throw new Error(`Backfill run ${runId} is already completed`);
+    }
+
+    return await this.execute(run.id, onProgress);
+  }
+
+  /**
+   * Execute a run; a run can only execute once at a time in this process
+   */
+  async execute(runId, onProgress = null) {
+    if (this.active.has(runId)) {
+      throw new Error(`Backfill run ${runId} is already running`);
+    }
+
+    const execution = this.processRun(runId, onProgress)
+      .finally(() => this.active.delete(runId));
+    this.active.set(runId, execution);
+
+    return await execution;
+  }
+
+  /**
+   * Page through the run's submissions starting at its saved offset
+   */
+  async processRun(runId, onProgress) {
+    let run = await this.databaseService.getBackfillRun(runId);
+    await this.databaseService.updateBackfillRun(runId, { status: 'running', last_error: null });
+
+    const filter = {
+      'created_at:lte': run.date_to,
+      'status:ne': 'DELETED'
+    };
+    if (run.date_from) {
+      filter['created_at:gte'] = run.date_from;
+    }
+
+    logger.info('▶️ Backfill run started', {
+      runId,
+      formId: run.form_id,
+      offset: run.next_offset,
+      dryRun: run.dry_run
+    });
+
+    try {
+      let done = false;
+      while (!done) {
+        const page = await this.jotformService.getSubmissions(run.form_id, {
+          limit: run.page_size,
+          offset: run.next_offset,
+          filter,
+          orderby: 'created_at'
+        });
+
+        if (!page.success) {
+          throw new Error(`Failed to fetch submissions: ${page.error}`);
+        }
+
+        const counters = { queued: 0, skipped: 0, empty: 0, failed: 0 };
+        for (const submission of page.data) {
+          const outcome = await this.processSubmission(run, submission);
+          counters[outcome]++;
+        }
+
+        done = page.data.length < run.page_size;
+
+        await this.databaseService.updateBackfillRun(runId, {
+          next_offset: run.next_offset + page.data.length,
+          total: run.total + page.data.length,
+          queued: run.queued + counters.queued,
+          skipped: run.skipped + counters.skipped,
+          empty: run.empty + counters.empty,
+          failed: run.failed + counters.failed,
+          ...(done && { status: 'completed' })
+        });
+
+        run = await this.databaseService.getBackfillRun(runId);
+        if (onProgress) {
+          onProgress(run);
+        }
+      }
+
+      logger.info('✅ Backfill run completed', {
+        runId,
+        formId: run.form_id,
+        total: run.total,
+        queued: run.queued,
+        skipped: run.skipped,
+        empty: run.empty,
+        failed: run.failed,
+        dryRun: run.dry_run
+      });
+
+      return run;
+
+    } catch (error) {
+      logger.error('❌ Backfill run failed', {
+        runId,
+        offset: run.next_offset,
+        error: error.message
+      });
+
+      await this.databaseService.updateBackfillRun(runId, {
+        status: 'failed',
+        last_error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Map one submission and queue it. Returns queued | skipped | empty | failed
+   * (a dry run reports "queued" for submissions it would queue).
+   */
+  async processSubmission(run, submission) {
+    try {
+      const existing = await this.submissionQueueService.findExisting(submission.id);
+      if (existing) {
+        return 'skipped';
+      }
+
+      const contactData = this.fieldMappingService.mapSubmission({
+        ...submission,
+        form_id: submission.form_id || run.form_id
+      });
+      contactData.portal = run.portal;
+
+      if (!this.fieldMappingService.hasContactData(contactData)) {
+        logger.warn('⚠️ Backfill: submission has no contact data', {
+          runId: run.id,
+          submissionId: submission.id
+        });
+        return 'empty';
+      }
+
+      if (!run.dry_run) {
+        await this.submissionQueueService.enqueue(contactData, run.form_id);
+      }
+      return 'queued';
+
+    } catch (error) {
+      logger.error('❌ Backfill: failed to queue submission', {
+        runId: run.id,
+        submissionId: submission.id,
+        error: error.message
+      });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Recent runs with whether they are executing in this process
+   */
+  async listRuns(options = {}) {
+    const runs = await this.databaseService.getBackfillRuns(options);
+    return runs.map(run => ({ ...run, active: this.active.has(run.id) }));
+  }
+
+  /**
+   * A run with whether it is executing in this process
+   */
+  async getRun(runId) {
+    const run = await this.databaseService.getBackfillRun(runId);
+    return run ? { ...run, active: this.active.has(run.id) } : null;
+  }
+}
+
+module.exports = BackfillService;
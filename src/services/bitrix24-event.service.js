@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// app.info errors meaning the app's credentials are gone from the portal
+const REMOVED_APP_ERRORS = ['NO_AUTH_FOUND', 'INVALID_TOKEN', 'INVALID_GRANT', 'APPLICATION_NOT_FOUND', 'ACCESS_DENIED'];
+
+const PORTAL_DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+/**
+ * Inbound Bitrix24 events (ONAPPINSTALL, ONAPPUNINSTALL, ...).
+ *
+ * Every event carries auth.application_token, issued to the app when it was
+ * installed on the portal and stored by processONAPPINSTALLEvent. An event is
+ * accepted only when its token matches the one stored for its portal; forged
+ * events are rejected and written to the webhook_rejections audit trail.
+ * ONAPPINSTALL is the one event that may come with a new token: it is
+ * accepted when its access_token belongs to this app on the portal it names
+ * (app.info on that portal), for a first install as for a reinstall.
+ *
+ * Portals authorized through /oauth have no application_token. Their first
+ * event that carries a working access_token stores it; their ONAPPUNINSTALL
+ * (which carries no access_token) is accepted only when the stored
+ * credentials no longer work on the portal.
+ *
+ * ONAPPUNINSTALL purges the portal's tokens and cached data and pauses the
+ * forms bound to it, so their submissions wait instead of failing.
+ */
+class Bitrix24EventService {
+  constructor(configService, databaseService, httpService, bitrix24Service, portalService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.httpService = httpService;
+    this.bitrix24Service = bitrix24Service;
+    this.portalService = portalService;
+  }
+
+  /**
+   * Stored token of the portal an event comes from (by member_id, then domain)
+   */
+  async findInstallation(auth) {
+    if (auth.member_id) {
+      const token = await this.databaseService.getTokenByPortal(auth.member_id);
+      if (token) {
+        return token;
+      }
+    }
+    return auth.domain ? await this.databaseService.getTokenByPortal(auth.domain) : null;
+  }
+
+  /**
+   * Constant-time comparison of two application tokens
+   */
+  safeEqual(value, expected) {
+    const a = crypto.createHash('sha256').update(String(value)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * app.info on a portal with an access token: { result } or { error } with
+   * the Bitrix24 error code. Throws when the portal cannot be reached.
+   */
+  async appInfo(domain, accessToken) {
+    try {
+      const response = await this.httpService.post(`https://${domain}/rest/app.info`, { auth: accessToken }, {
+        timeout: 10000
+      });
+      return response.data || {};
+    } catch (error) {
+      if (error.response && error.response.data && error.response.data.error) {
+        return error.response.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an access token belongs to this app on a portal: app.info must
+   * answer on that portal's own REST endpoint with our client_id
+   */
+  async isAppAccessToken(domain, accessToken) {
+    if (!accessToken || !PORTAL_DOMAIN.test(String(domain || ''))) {
+      return false;
+    }
+
+    try {
+      const { result } = await this.appInfo(domain, accessToken);
+      const clientId = result && (result.CLIENT_ID || result.CODE);
+      if (clientId !== this.bitrix24Service.clientId) {
+        logger.warn('⚠️ Access token not accepted by app.info for this app', { domain, clientId: clientId || null });
+        return false;
+      }
+      return true;
+    } catch (error) {
+      logger.warn('⚠️ Could not verify access token with app.info', { domain, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Whether the app is gone from a portal: its stored access token (refreshed
+   * once if expired) is refused by app.info. Throws when the portal cannot
+   * be reached, so an outage is not taken for an uninstall.
+   */
+  async isAppRemoved(token) {
+    let response = await this.appInfo(token.domain, token.access_token);
+
+    if (String(response.error || '').toLowerCase() === 'expired_token') {
+      try {
+        await this.bitrix24Service.refreshTokenIfNeeded(true, token.domain);
+      } catch (error) {
+        // The OAuth server refused the refresh token: the app is gone
+        if (/refresh error/i.test(error.message)) {
+          return true;
+        }
+        throw error;
+      }
+
+      const refreshed = await this.databaseService.getTokenByPortal(token.domain);
+      response = await this.appInfo(token.domain, refreshed.access_token);
+    }
+
+    return !response.result && REMOVED_APP_ERRORS.includes(String(response.error || '').toUpperCase());
+  }
+
+  /**
+   * Whether a client_endpoint URL is on the portal's own domain
+   */
+  isPortalEndpoint(endpoint, domain) {
+    try {
+      return new URL(endpoint).hostname.toLowerCase() === String(domain).toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check an event's application_token. Returns { rejection } with
+   * { status, reason } for a forged event, else { token } (the stored token,
+   * null for a first install).
+   */
+  async verifyEvent(body) {
+    const event = String(body.event || '').toUpperCase();
+    const auth = body.auth || {};
+
+    if (!auth.application_token) {
+      return { rejection: { status: 401, reason: 'Missing application_token' } };
+    }
+    if (!auth.member_id && !auth.domain) {
+      return { rejection: { status: 400, reason: 'Missing portal (domain or member_id)' } };
+    }
+
+    if (auth.client_endpoint && auth.domain && !this.isPortalEndpoint(auth.client_endpoint, auth.domain)) {
+      return { rejection: { status: 401, reason: 'client_endpoint is not on the event\'s portal' } };
+    }
+
+    const token = await this.findInstallation(auth);
+
+    if (!token) {
+      if (event !== 'ONAPPINSTALL') {
+        return { rejection: { status: 401, reason: 'Unknown portal' } };
+      }
+      if (!await this.isAppAccessToken(auth.domain, auth.access_token)) {
+        return { rejection: { status: 401, reason: 'Install could not be verified with app.info' } };
+      }
+      return { token: null };
+    }
+
+    if (token.application_token && this.safeEqual(auth.application_token, token.application_token)) {
+      return { token };
+    }
+
+    // The stored domain is used, never the one in the event
+    if (event === 'ONAPPINSTALL' && await this.isAppAccessToken(token.domain, auth.access_token)) {
+      logger.info('🔁 Reinstall with a new application_token accepted', { domain: token.domain });
+      return { token };
+    }
+
+    if (!token.application_token) {
+      if (await this.isAppAccessToken(token.domain, auth.access_token)) {
+        await this.databaseService.updateToken(token.id, { application_token: auth.application_token });
+        logger.info('🔐 application_token stored for OAuth-authorized portal', { domain: token.domain });
+        return { token };
+      }
+
+      if (event === 'ONAPPUNINSTALL') {
+        let removed;
+        try {
+          removed = await this.isAppRemoved(token);
+        } catch (error) {
+          logger.warn('⚠️ Could not check whether the app was removed', { domain: token.domain, error: error.message });
+          return { rejection: { status: 503, reason: 'Portal unreachable, uninstall could not be verified' } };
+        }
+        if (removed) {
+          return { token };
+        }
+      }
+    }
+
+    return {
+      rejection: {
+        status: 401,
+        reason: token.application_token ? 'application_token mismatch' : 'No application_token stored for portal'
+      }
+    };
+  }
+
+  /**
+   * Log a rejected event and add it to the audit trail
+   */
+  async recordRejection(req, rejection) {
+    const auth = (req.body && req.body.auth) || {};
+    const entry = {
+      reason: `${req.body && req.body.event ? req.body.event : 'event'}: ${rejection.reason}`,
+      check_name: 'bitrix_event',
+      ip: req.ip,
+      path: req.baseUrl + req.path,
+      user_agent: req.get('User-Agent') || null
+    };
+
+    logger.warn('🚫 Bitrix24 event rejected', { ...entry, domain: auth.domain, memberId: auth.member_id });
+
+    try {
+      await this.databaseService.saveWebhookRejection(entry);
+    } catch (error) {
+      logger.error('❌ Failed to write webhook rejection audit entry', { error: error.message });
+    }
+  }
+
+  /**
+   * Resume a portal's paused forms after it installed the app again
+   */
+  async handleInstall(domain) {
+    return await this.portalService.resumePortal(domain);
+  }
+
+  /**
+   * Forget a portal that uninstalled the app: delete its tokens, drop cached
+   * data and pause its forms. data.CLEAN is set when the user also chose to
+   * delete the app's data; tokens are useless either way.
+   */
+  async handleUninstall(token, body) {
+    const domain = token.domain;
+    const memberId = token.member_id || null;
+
+    const tokensDeleted = await this.databaseService.deletePortalTokens(domain, memberId);
+    this.bitrix24Service.forgetPortal(domain, memberId);
+    const formsPaused = await this.portalService.pausePortal(domain, 'Application uninstalled from Bitrix24');
+
+    logger.warn('🗑️ Bitrix24 application uninstalled', {
+      domain,
+      memberId,
+      clean: !!(body.data && String(body.data.CLEAN) === '1'),
+      tokensDeleted,
+      formsPaused
+    });
+
+    return { domain, tokensDeleted, formsPaused };
+  }
+}
+
+module.exports = Bitrix24EventService;
@@ -3,15 +3,34 @@ const ConfigService = require('./config.service');
 const HttpService = require('./http.service');
 const DatabaseService = require('./database.service');
 const { BitrixAuthDto, TokenData, ApiResponse } = require('../dto/bitrix-auth.dto');
+const { firstName, lastName } = require('../utils/transforms');
+
+// How long smart process field definitions (crm.item.fields) are cached
+const ITEM_FIELDS_TTL = 10 * 60 * 1000;
+
+// How long the SOURCE dictionary (crm.status.list) is cached
+const SOURCE_STATUSES_TTL = 10 * 60 * 1000;
+
+// Most commands the batch REST method accepts in one call
+const BATCH_LIMIT = 50;
+
+// Bitrix24's OAuth server. Codes and refresh tokens are only ever sent here,
+// never to a portal domain taken from a request, as they carry client_secret.
+const OAUTH_TOKEN_URL = 'https://oauth.bitrix.info/oauth/token/';
+
+// Bitrix24 error codes worth retrying (rate limits are handled separately)
+const RETRYABLE_API_ERRORS = ['INTERNAL_SERVER_ERROR', 'ERROR_SERVER_BUSY'];
 
 /**
  * Bitrix24 Service with dependency injection pattern
  */
 class Bitrix24NewService {
-  constructor(configService, httpService, databaseService) {
+  constructor(configService, httpService, databaseService, fieldMappingService, rateLimiter) {
     this.configService = configService;
     this.httpService = httpService;
     this.databaseService = databaseService;
+    this.fieldMappingService = fieldMappingService;
+    this.rateLimiter = rateLimiter;
     
     const bitrixConfig = this.configService.getBitrix24Config();
     
@@ -22,6 +41,24 @@ class Bitrix24NewService {
     this.apiTimeout = bitrixConfig.apiTimeout;
     this.retryAttempts = bitrixConfig.retryAttempts;
     this.retryDelay = bitrixConfig.retryDelay;
+    this.refreshTokenLifetimeDays = this.configService.getTokenRefreshConfig().refreshTokenLifetimeDays;
+
+    // Responsible user when a submission has no assignment (see AssignmentService)
+    this.defaultAssignee = this.configService.getAssignmentConfig().fallbackUserId;
+
+    const utmConfig = this.configService.getUtmConfig();
+    this.utmEnabled = utmConfig.enabled;
+    this.defaultSourceId = utmConfig.defaultSourceId;
+    this.utmSources = utmConfig.sources;
+
+    // SOURCE dictionary entries by portal
+    this.sourceStatusesCache = new Map();
+
+    // In-flight token refreshes by portal domain (single-flight)
+    this.refreshLocks = new Map();
+
+    // Smart process field definitions by portal and entityTypeId
+    this.itemFieldsCache = new Map();
 
     logger.info('🔧 Bitrix24NewService initialized', {
       clientId: this.clientId ? '***' : 'NOT_SET',
@@ -185,7 +222,8 @@ class Bitrix24NewService {
       logger.info('💾 Saving simplified auth token to database', {
         tokenData: {
           ...tokenData,
-          access_token: '***MASKED***'  // Don't log full token
+          access_token: '***MASKED***',  // Don't log full token
+          refresh_token: tokenData.refresh_token ? '***MASKED***' : null
         }
       });
 
@@ -297,15 +335,16 @@ class Bitrix24NewService {
         hasParams: Object.keys(params).length > 0
       });
 
-      // Make API call using webhook URL
-      const response = await this.httpService.post(webhookUrl, params, {
+      // Make API call using webhook URL (queued by the portal's rate limiter)
+      const response = await this.rateLimiter.schedule(token.domain, method, () => this.httpService.post(webhookUrl, params, {
         timeout: this.apiTimeout,
         headers: {
           'Content-Type': 'application/json'
         }
-      });
+      }));
 
       const result = response.data;
+      this.rateLimiter.recordResponse(token.domain, method, result.time);
 
       logger.info('✅ Simplified auth API call successful', {
         method,
@@ -368,15 +407,19 @@ class Bitrix24NewService {
   }
 
   /**
-   * Generate OAuth 2.0 authorization URL (improved based on Bitrix24 docs)
+   * Generate OAuth 2.0 authorization URL (improved based on Bitrix24 docs).
+   * state must come from OAuthStateService, the callback checks it.
    */
   getAuthorizationUrl(domain = null, state = null) {
     const targetDomain = domain || this.domain;
     if (!targetDomain) {
       throw new Error('Domain is required for authorization URL');
     }
+    if (!state) {
+      throw new Error('State is required for authorization URL');
+    }
 
-    const stateParam = state || `state_${Date.now()}`;
+    const stateParam = state;
     
     // Proper OAuth 2.0 URL format according to Bitrix24 docs
     const authUrl = `https://${targetDomain}/oauth/authorize/` +
@@ -397,18 +440,18 @@ class Bitrix24NewService {
   }
 
   /**
-   * Exchange authorization code for tokens (improved OAuth 2.0 flow)
+   * Exchange authorization code for tokens (improved OAuth 2.0 flow).
+   * domain is the portal the verified OAuth state was issued for.
    */
-  async exchangeCodeForToken(code, state) {
+  async exchangeCodeForToken(code, domain = null) {
+    const targetDomain = domain || this.domain;
+
     try {
       logger.info('🔄 Exchanging authorization code for tokens', {
         hasCode: !!code,
-        state
+        domain: targetDomain
       });
 
-      // Use the domain-specific token endpoint as per the article
-      const tokenUrl = `https://${this.domain}/oauth/token/`;
-      
       // Prepare form data as per OAuth 2.0 spec (exactly like the article)
       const params = new URLSearchParams({
         grant_type: 'authorization_code',
@@ -418,7 +461,7 @@ class Bitrix24NewService {
         redirect_uri: this.redirectUri
       });
 
-      const response = await this.httpService.post(tokenUrl, params.toString(), {
+      const response = await this.httpService.post(OAUTH_TOKEN_URL, params.toString(), {
         timeout: this.apiTimeout,
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -431,6 +474,12 @@ class Bitrix24NewService {
         throw new Error(`OAuth error: ${tokenData.error_description || tokenData.error}`);
       }
 
+      // The OAuth server says which portal issued the code; it must be the
+      // one the authorization (and its state) was started for
+      if (domain && tokenData.domain && tokenData.domain.toLowerCase() !== String(domain).toLowerCase()) {
+        throw new Error(`Authorization code was issued by ${tokenData.domain}, not ${domain}`);
+      }
+
       logger.info('✅ Token exchange successful', {
         hasAccessToken: !!tokenData.access_token,
         hasRefreshToken: !!tokenData.refresh_token,
@@ -449,9 +498,9 @@ class Bitrix24NewService {
         refresh_token: tokenData.refresh_token,
         expires_in: tokenData.expires_in,
         expires_at: expiresAt,
-        domain: tokenData.domain || this.domain,
+        domain: tokenData.domain || targetDomain,
         scope: tokenData.scope,
-        client_endpoint: tokenData.client_endpoint || `https://${tokenData.domain || this.domain}/rest/`,
+        client_endpoint: tokenData.client_endpoint || `https://${tokenData.domain || targetDomain}/rest/`,
         server_endpoint: tokenData.server_endpoint || 'https://oauth.bitrix.info/rest/',
         member_id: tokenData.member_id,
         status: tokenData.status,
@@ -523,11 +572,37 @@ class Bitrix24NewService {
   }
 
   /**
-   * Get current token status
+   * Resolve the token of a portal (domain or member_id).
+   * Without a portal the default portal (BITRIX24_DOMAIN) is used, or the
+   * only installed portal. With several portals and no default installed the
+   * caller has to say which one, so nothing is sent to the wrong tenant.
    */
-  async getTokenStatus() {
+  async resolveToken(portal = null) {
+    if (portal) {
+      return await this.databaseService.getTokenByPortal(portal);
+    }
+
+    if (this.domain) {
+      const token = await this.databaseService.getTokenByDomain(this.domain);
+      if (token) {
+        return token;
+      }
+    }
+
+    const portals = await this.databaseService.getPortals();
+    if (portals.length > 1) {
+      throw new Error(`Several Bitrix24 portals are installed (${portals.map(token => token.domain).join(', ')}); specify which portal to use`);
+    }
+
+    return portals[0] || null;
+  }
+
+  /**
+   * Get token status of a portal (default portal when omitted)
+   */
+  async getTokenStatus(portal = null) {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      const token = await this.resolveToken(portal);
 
       if (!token) {
         return {
@@ -550,7 +625,12 @@ class Bitrix24NewService {
         scope: token.scope,
         memberId: token.member_id,
         status: token.status,
-        method: token.method
+        method: token.method,
+        needsReauth: token.reauth_required,
+        reauthReason: token.reauth_reason || null,
+        ...(token.reauth_required && {
+          recommendation: `Re-authorize the app: /oauth2/start?domain=${token.domain}`
+        })
       };
 
     } catch (error) {
@@ -560,16 +640,51 @@ class Bitrix24NewService {
   }
 
   /**
-   * Refresh access token if needed or forced
+   * Refresh access token if needed or forced.
+   * Bitrix24 rotates the refresh_token on every refresh and rejects the old
+   * one, so concurrent refreshes of the same portal share a single request.
+   */
+  async refreshTokenIfNeeded(force = false, portal = null) {
+    const token = await this.resolveToken(portal);
+
+    if (!token) {
+      throw new Error('No token available for refresh');
+    }
+
+    const inFlight = this.refreshLocks.get(token.domain);
+    if (inFlight) {
+      logger.info('⏳ Token refresh already in progress, waiting for it', { domain: token.domain });
+      return await inFlight;
+    }
+
+    const refresh = this.performTokenRefresh(token, force)
+      .finally(() => this.refreshLocks.delete(token.domain));
+    this.refreshLocks.set(token.domain, refresh);
+
+    return await refresh;
+  }
+
+  /**
+   * Refresh a portal's token; only ever runs once at a time per portal
    */
-  async refreshTokenIfNeeded(force = false) {
+  async performTokenRefresh(staleToken, force = false) {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      // Re-read under the lock: a refresh that just finished has already rotated the refresh_token
+      const token = await this.resolveToken(staleToken.domain);
 
       if (!token) {
         throw new Error('No token available for refresh');
       }
 
+      if (token.reauth_required) {
+        throw new Error(`Bitrix24 portal ${token.domain} needs re-authorization: ${token.reauth_reason}`);
+      }
+
+      if (token.access_token !== staleToken.access_token) {
+        logger.info('🔋 Token was refreshed by another request', { domain: token.domain });
+        return { refreshed: false, message: 'Token was refreshed by another request' };
+      }
+
       const now = new Date();
       const isExpired = token.expires_at ? now > token.expires_at : false;
       const needsRefresh = force || isExpired;
@@ -579,14 +694,17 @@ class Bitrix24NewService {
         return { refreshed: false, message: 'Token is still valid' };
       }
 
+      if (this.isRefreshTokenExpired(token)) {
+        await this.markReauthRequired(token, `Refresh token not used for more than ${this.refreshTokenLifetimeDays} days`);
+      }
+
       logger.info('🔄 Refreshing access token', {
+        domain: token.domain,
         isExpired,
         force,
         expiresAt: token.expires_at
       });
 
-      // Use domain-specific token endpoint as per the article
-      const tokenUrl = `https://${token.domain}/oauth/token/`;
       const params = new URLSearchParams({
         grant_type: 'refresh_token',
         client_id: this.clientId,
@@ -594,17 +712,28 @@ class Bitrix24NewService {
         refresh_token: token.refresh_token
       });
 
-      const response = await this.httpService.post(tokenUrl, params.toString(), {
-        timeout: this.apiTimeout,
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
+      let newTokenData;
+      try {
+        const response = await this.httpService.post(OAUTH_TOKEN_URL, params.toString(), {
+          timeout: this.apiTimeout,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        });
+        newTokenData = response.data;
+      } catch (error) {
+        newTokenData = error.response?.data;
+        if (!newTokenData?.error) {
+          throw error;
         }
-      });
-
-      const newTokenData = response.data;
+      }
 
       if (newTokenData.error) {
-        throw new Error(`Token refresh error: ${newTokenData.error_description || newTokenData.error}`);
+        const reason = newTokenData.error_description || newTokenData.error;
+        if (this.isDeadRefreshTokenError(newTokenData.error)) {
+          await this.markReauthRequired(token, `Refresh token rejected: ${reason}`);
+        }
+        throw new Error(`Token refresh error: ${reason}`);
       }
 
       // Update token in database
@@ -622,6 +751,7 @@ class Bitrix24NewService {
       await this.databaseService.updateToken(token.id, updatedToken);
 
       logger.info('✅ Token refreshed successfully', {
+        domain: token.domain,
         expiresAt,
         expiresIn: newTokenData.expires_in
       });
@@ -634,6 +764,7 @@ class Bitrix24NewService {
 
     } catch (error) {
       logger.error('❌ Token refresh failed', {
+        domain: staleToken.domain,
         error: error.message,
         response: error.response?.data
       });
@@ -642,22 +773,62 @@ class Bitrix24NewService {
   }
 
   /**
-   * Generic function to call Bitrix24 API (improved for OAuth 2.0)
+   * Whether the refresh token has outlived its lifetime. Every refresh issues
+   * a new refresh token, so its age is the time since the token row was last updated.
    */
-  async callBitrixAPI(method, params = {}) {
+  isRefreshTokenExpired(token) {
+    if (!token.refresh_token || !token.updated_at) {
+      return false;
+    }
+
+    const lifetime = this.refreshTokenLifetimeDays * 24 * 60 * 60 * 1000;
+    return Date.now() - token.updated_at.getTime() > lifetime;
+  }
+
+  /**
+   * Check if a token endpoint error means the refresh token is dead
+   */
+  isDeadRefreshTokenError(error) {
+    return ['invalid_grant', 'expired_token'].includes(String(error).toLowerCase());
+  }
+
+  /**
+   * Flag a portal as needing re-authorization and stop using its refresh token
+   */
+  async markReauthRequired(token, reason) {
+    await this.databaseService.markTokenReauthRequired(token.id, reason);
+
+    logger.error('🔒 Bitrix24 portal needs re-authorization', {
+      domain: token.domain,
+      reason,
+      authorizeUrl: `/oauth2/start?domain=${token.domain}`
+    });
+
+    throw new Error(`Bitrix24 portal ${token.domain} needs re-authorization: ${reason}`);
+  }
+
+  /**
+   * Generic function to call Bitrix24 API (improved for OAuth 2.0).
+   * portal selects the tenant (domain or member_id), default portal when omitted.
+   */
+  async callBitrixAPI(method, params = {}, portal = null) {
     let attempt = 1;
+    let limitRetries = 0;
+    let domain = portal;
     while (attempt <= this.retryAttempts) {
       try {
         logger.info(`🔄 Calling Bitrix24 API (attempt ${attempt})`, {
           method,
+          portal,
           hasParams: Object.keys(params).length > 0
         });
 
-        // Get current token
-        let token = await this.databaseService.getCurrentToken();
+        // Get the tenant's token
+        let token = await this.resolveToken(portal);
         if (!token) {
           throw new Error('No access token available. Please complete OAuth authorization.');
         }
+        domain = token.domain;
 
         // For simplified auth, use webhook method
         if (token.method === 'simplified_auth') {
@@ -669,9 +840,9 @@ class Bitrix24NewService {
           const now = new Date();
           if (now > token.expires_at) {
             logger.info('🔄 OAuth 2.0 token expired, refreshing...');
-            await this.refreshTokenIfNeeded();
+            await this.refreshTokenIfNeeded(false, token.domain);
             // Get updated token
-            token = await this.databaseService.getCurrentToken();
+            token = await this.resolveToken(token.domain);
             if (!token) {
               throw new Error('Failed to refresh token');
             }
@@ -712,8 +883,8 @@ class Bitrix24NewService {
           };
         }
 
-        // Make API call
-        const response = await this.httpService.post(apiUrl, params, requestOptions);
+        // Make API call (queued by the portal's rate limiter)
+        const response = await this.rateLimiter.schedule(token.domain, method, () => this.httpService.post(apiUrl, params, requestOptions));
         const result = response.data;
 
         // Handle API errors
@@ -726,19 +897,24 @@ class Bitrix24NewService {
             });
 
             if (attempt < this.retryAttempts && token.method === 'oauth2') {
-              await this.refreshTokenIfNeeded(true);
+              await this.refreshTokenIfNeeded(true, token.domain);
               // Get updated token and retry immediately
-              token = await this.databaseService.getCurrentToken();
+              token = await this.resolveToken(token.domain);
               attempt++;
               continue; // Retry the API call with new token
             }
           }
 
-          throw new Error(`Bitrix24 API error: ${result.error_description || result.error}`);
+          const apiError = new Error(`Bitrix24 API error: ${result.error_description || result.error}`);
+          apiError.bitrixError = result.error;
+          throw apiError;
         }
 
+        this.rateLimiter.recordResponse(token.domain, method, result.time);
+
         logger.info('✅ Bitrix24 API call successful', {
           method,
+          domain: token.domain,
           hasResult: !!result.result,
           total: result.total,
           time: result.time?.duration,
@@ -749,29 +925,156 @@ class Bitrix24NewService {
           success: true,
           result: result.result,
           total: result.total,
-          time: result.time
+          time: result.time,
+          next: result.next
         });
 
       } catch (error) {
+        const errorCode = this.getBitrixErrorCode(error);
+
         logger.error(`❌ Bitrix24 API call failed (attempt ${attempt})`, {
           method,
           error: error.message,
+          errorCode,
           response: error.response?.data,
           status: error.response?.status
         });
 
+        // Rate limits: the scheduler holds the portal (or method) before the next try
+        if (domain && limitRetries < this.rateLimiter.maxRetries &&
+            (errorCode === 'QUERY_LIMIT_EXCEEDED' || errorCode === 'OPERATION_TIME_LIMIT')) {
+          limitRetries++;
+          if (errorCode === 'QUERY_LIMIT_EXCEEDED') {
+            this.rateLimiter.penalize(domain);
+          } else {
+            this.rateLimiter.pauseMethod(domain, method);
+          }
+          continue;
+        }
+
         // If it's the last attempt or not a retryable error, throw
         if (attempt === this.retryAttempts || !this.isRetryableError(error)) {
-          throw new Error(`Bitrix24 API call failed: ${error.message}`);
+          const failure = new Error(`Bitrix24 API call failed: ${error.message}`);
+          if (error.circuitOpen) {
+            failure.circuitOpen = true;
+            failure.retryAt = error.retryAt;
+          }
+          throw failure;
         }
 
         // Wait before retry
-        await this.sleep(this.retryDelay * attempt);
+        await this.sleep(this.getRetryDelay(attempt));
         attempt++;
       }
     }
   }
 
+  /**
+   * Encode params as a PHP-style query string for a batch command
+   * (fields[EMAIL][0][VALUE]=...). $result[key] references are decoded by
+   * Bitrix24 before they are resolved, so values are encoded as usual.
+   */
+  buildBatchQuery(params, prefix = null) {
+    return Object.keys(params).reduce((parts, key) => {
+      const value = params[key];
+      const name = prefix ? `${prefix}[${key}]` : key;
+
+      if (value !== null && typeof value === 'object') {
+        const nested = this.buildBatchQuery(value, name);
+        if (nested) {
+          parts.push(nested);
+        }
+      } else if (value !== undefined) {
+        parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value === null ? '' : value)}`);
+      }
+
+      return parts;
+    }, []).join('&');
+  }
+
+  /**
+   * Run several Bitrix24 methods in one round trip with the batch method.
+   * commands: { key: { method, params } } executed in order (at most 50);
+   * params may reference earlier results as '$result[key]' (or '$result[key][ID]').
+   * With options.halt the batch stops at the first failing command.
+   * Returns { success, halted, results: { key: { success, result, error, total, next } } };
+   * commands not executed after a halt have skipped: true.
+   */
+  async callBatch(commands, options = {}, portal = null) {
+    const keys = Object.keys(commands);
+    if (keys.length === 0) {
+      return { success: true, halted: false, results: {} };
+    }
+    if (keys.length > BATCH_LIMIT) {
+      throw new Error(`Bitrix24 batch accepts at most ${BATCH_LIMIT} commands (got ${keys.length})`);
+    }
+
+    const cmd = {};
+    keys.forEach(key => {
+      const { method, params } = commands[key];
+      const query = this.buildBatchQuery(params || {});
+      cmd[key] = query ? `${method}?${query}` : method;
+    });
+
+    const response = await this.callBitrixAPI('batch', {
+      halt: options.halt ? 1 : 0,
+      cmd
+    }, portal);
+
+    const batch = response.result || {};
+    const results = batch.result || {};
+    const errors = batch.result_error || {};
+    const totals = batch.result_total || {};
+    const next = batch.result_next || {};
+
+    let halted = false;
+    const unpacked = {};
+
+    keys.forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(errors, key)) {
+        const error = errors[key] || {};
+        unpacked[key] = {
+          success: false,
+          error: error.error || 'BATCH_COMMAND_FAILED',
+          details: error.error_description || null
+        };
+        return;
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(results, key)) {
+        halted = true;
+        unpacked[key] = {
+          success: false,
+          skipped: true,
+          error: 'Not executed, batch halted on an earlier error'
+        };
+        return;
+      }
+
+      unpacked[key] = {
+        success: true,
+        result: results[key],
+        total: totals[key],
+        next: next[key]
+      };
+    });
+
+    const failed = keys.filter(key => !unpacked[key].success);
+
+    logger.info('📦 Bitrix24 batch completed', {
+      commands: keys.length,
+      failed,
+      halted,
+      portal
+    });
+
+    return {
+      success: failed.length === 0,
+      halted,
+      results: unpacked
+    };
+  }
+
   /**
    * Check if error is token-related
    */
@@ -787,16 +1090,39 @@ class Bitrix24NewService {
     );
   }
 
+  /**
+   * Bitrix24 error code of a failed call (error body or HTTP error response)
+   */
+  getBitrixErrorCode(error) {
+    return error.bitrixError || error.response?.data?.error || null;
+  }
+
   /**
    * Check if error is retryable
    */
   isRetryableError(error) {
+    // The host's circuit is open: retrying now would only be rejected again
+    if (error.circuitOpen) return false;
+
+    const errorCode = this.getBitrixErrorCode(error);
+    if (errorCode) {
+      return RETRYABLE_API_ERRORS.includes(errorCode);
+    }
+
     if (!error.response) return true; // Network errors are retryable
     
     const status = error.response.status;
     return status >= 500 || status === 429; // Server errors and rate limiting
   }
 
+  /**
+   * Exponential retry delay with jitter (half fixed, half random)
+   */
+  getRetryDelay(attempt) {
+    const delay = this.retryDelay * 2 ** (attempt - 1);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
   /**
    * Sleep utility for retry delays
    */
@@ -807,9 +1133,9 @@ class Bitrix24NewService {
   /**
    * Test connection to Bitrix24
    */
-  async testConnection() {
+  async testConnection(portal = null) {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      const token = await this.resolveToken(portal);
       
       if (!token) {
         return {
@@ -820,12 +1146,13 @@ class Bitrix24NewService {
       }
 
       // Test connection by calling a simple API method
-      const result = await this.callBitrixAPI('user.current');
+      const result = await this.callBitrixAPI('user.current', {}, token.domain);
       
       if (result.success) {
         return {
           success: true,
           message: 'Connection successful',
+          domain: token.domain,
           user: result.result
         };
       } else {
@@ -854,7 +1181,7 @@ class Bitrix24NewService {
    */
   async validateConnection() {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      const token = await this.resolveToken();
       
       if (!token) {
         return {
@@ -1130,7 +1457,7 @@ class Bitrix24NewService {
    */
   async loadTokens() {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      const token = await this.resolveToken();
       
       if (!token) {
         return null;
@@ -1180,7 +1507,7 @@ class Bitrix24NewService {
   /**
    * Test available API methods (optimized)
    */
-  async testAvailableMethods() {
+  async testAvailableMethods(portal = null) {
     try {
       logger.info('🔍 Testing available API methods (optimized)');
       
@@ -1197,7 +1524,7 @@ class Bitrix24NewService {
       
       for (const method of testMethods) {
         try {
-          const result = await this.callBitrixAPI(method);
+          const result = await this.callBitrixAPI(method, {}, portal);
           results[method] = {
             success: true,
             hasResult: !!result.result
@@ -1227,12 +1554,15 @@ class Bitrix24NewService {
   }
 
   /**
-   * Create a new lead in Bitrix24 CRM (optimized)
+   * Create a new lead in Bitrix24 CRM (optimized).
+   * The lead goes to contactData.portal (default portal when not set).
+   * extraFields are merged last, e.g. CONTACT_ID of a matched contact.
    */
-  async createLead(contactData) {
+  async createLead(contactData, extraFields = {}) {
     try {
-      // Get current token to check method
-      const token = await this.databaseService.getCurrentToken();
+      // Get the tenant's token to check method
+      const portal = contactData.portal || null;
+      const token = await this.resolveToken(portal);
       
       if (!token) {
         return {
@@ -1249,29 +1579,7 @@ class Bitrix24NewService {
           domain: token.domain
         });
 
-        const leadData = {
-          fields: {
-            TITLE: `Jotform Lead: ${contactData.fullName || 'Unknown'}`,
-            NAME: this.extractFirstName(contactData.fullName),
-            LAST_NAME: this.extractLastName(contactData.fullName),
-            SOURCE_ID: 'WEBFORM',
-            STATUS_ID: 'NEW',
-            SOURCE_DESCRIPTION: `Jotform Submission ID: ${contactData.submissionId}`,
-            COMMENTS: `Lead created from Jotform submission\nSubmission ID: ${contactData.submissionId}\nSubmitted at: ${contactData.submittedAt}`,
-            ASSIGNED_BY_ID: 1,
-            OPENED: 'Y'
-          }
-        };
-
-        // Add email if available
-        if (contactData.email) {
-          leadData.fields.EMAIL = [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }];
-        }
-
-        // Add phone if available
-        if (contactData.phone) {
-          leadData.fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
-        }
+        const leadData = this.buildLeadData(contactData, extraFields);
 
         logger.info('Creating Bitrix24 lead with OAuth2', {
           submissionId: contactData.submissionId,
@@ -1281,17 +1589,19 @@ class Bitrix24NewService {
           hasPhone: !!contactData.phone
         });
 
-        const result = await this.callBitrixAPI('crm.lead.add', leadData);
+        const result = await this.callBitrixAPI('crm.lead.add', leadData, token.domain);
 
         if (result.success) {
           logger.info('Lead created successfully in Bitrix24', {
             leadId: result.result,
+            domain: token.domain,
             submissionId: contactData.submissionId
           });
 
           return {
             success: true,
             leadId: result.result,
+            domain: token.domain,
             message: 'Lead created successfully'
           };
         } else {
@@ -1305,7 +1615,7 @@ class Bitrix24NewService {
 
       // For simplified auth, test available methods first
       logger.info('🔍 Testing available methods for simplified auth');
-      const availableMethods = await this.testAvailableMethods();
+      const availableMethods = await this.testAvailableMethods(token.domain);
       
       // Check if crm.lead.add is available
       if (!availableMethods['crm.lead.add']?.success) {
@@ -1313,26 +1623,13 @@ class Bitrix24NewService {
           availableMethods: Object.keys(availableMethods).filter(method => availableMethods[method].success)
         });
         
-        // Try alternative methods that might work with simplified auth
-        const alternativeMethods = [
-          'crm.contact.add',
-          'crm.deal.add',
-          'crm.company.add'
-        ];
-
-        for (const altMethod of alternativeMethods) {
-          if (availableMethods[altMethod]?.success) {
-            logger.info(`🔄 Trying alternative method: ${altMethod}`);
-            return await this.createContactAlternative(contactData, altMethod);
-          }
-        }
-        
-        // If no CRM methods available, return detailed error
+        // Portals without leads (simple CRM mode) route forms to deals instead
         return {
           success: false,
-          error: 'No CRM methods available with simplified auth',
-          details: 'Simplified auth (AUTH_ID) has limited permissions. Available methods: ' + 
-                   Object.keys(availableMethods).filter(method => availableMethods[method].success).join(', '),
+          error: 'crm.lead.add is not available on this portal',
+          details: 'Leads are disabled or not permitted for this auth. Available methods: ' +
+                   Object.keys(availableMethods).filter(method => availableMethods[method].success).join(', ') +
+                   '. Route the form to a deal ("entities": { "target": "deal" } or CRM_ENTITY_TARGET=deal) or use OAuth 2.0.',
           recommendation: {
             title: 'Upgrade to OAuth 2.0 for Full CRM Access',
             description: 'Simplified auth only provides basic access. For full CRM functionality, use OAuth 2.0.',
@@ -1347,29 +1644,7 @@ class Bitrix24NewService {
       }
 
       // Simplified auth with crm.lead.add available
-      const leadData = {
-        fields: {
-          TITLE: `Jotform Lead: ${contactData.fullName || 'Unknown'}`,
-          NAME: this.extractFirstName(contactData.fullName),
-          LAST_NAME: this.extractLastName(contactData.fullName),
-          SOURCE_ID: 'WEBFORM',
-          STATUS_ID: 'NEW',
-          SOURCE_DESCRIPTION: `Jotform Submission ID: ${contactData.submissionId}`,
-          COMMENTS: `Lead created from Jotform submission\nSubmission ID: ${contactData.submissionId}\nSubmitted at: ${contactData.submittedAt}`,
-          ASSIGNED_BY_ID: 1,
-          OPENED: 'Y'
-        }
-      };
-
-      // Add email if available
-      if (contactData.email) {
-        leadData.fields.EMAIL = [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }];
-      }
-
-      // Add phone if available
-      if (contactData.phone) {
-        leadData.fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
-      }
+      const leadData = this.buildLeadData(contactData, extraFields);
 
       logger.info('Creating Bitrix24 lead with simplified auth', {
         submissionId: contactData.submissionId,
@@ -1379,17 +1654,19 @@ class Bitrix24NewService {
         hasPhone: !!contactData.phone
       });
 
-      const result = await this.callBitrixAPI('crm.lead.add', leadData);
+      const result = await this.callBitrixAPI('crm.lead.add', leadData, token.domain);
 
       if (result.success) {
         logger.info('Lead created successfully in Bitrix24', {
           leadId: result.result,
+          domain: token.domain,
           submissionId: contactData.submissionId
         });
 
         return {
           success: true,
           leadId: result.result,
+          domain: token.domain,
           message: 'Lead created successfully'
         };
       } else {
@@ -1414,62 +1691,643 @@ class Bitrix24NewService {
   }
 
   /**
-   * Create contact using alternative method (for simplified auth)
+   * SOURCE_DESCRIPTION of created entities: the submission and its referrer
    */
-  async createContactAlternative(contactData, method) {
+  getSourceDescription(contactData) {
+    const description = `Jotform Submission ID: ${contactData.submissionId}`;
+    return contactData.referrer ? `${description}\nReferrer: ${contactData.referrer}` : description;
+  }
+
+  /**
+   * Native UTM_* fields from the submission's UTM hidden fields, unless
+   * UTM capture is off globally or for the form ("utm": { "capture": false })
+   */
+  getUtmFields(contactData) {
+    const mapping = this.fieldMappingService ? this.fieldMappingService.getMapping(contactData.formId) : {};
+    const utmSettings = mapping.utm || {};
+    const enabled = utmSettings.capture !== undefined ? utmSettings.capture : this.utmEnabled;
+    if (!enabled || !contactData.utm) {
+      return {};
+    }
+
+    return Object.keys(contactData.utm).reduce((fields, param) => {
+      fields[`UTM_${param.toUpperCase()}`] = contactData.utm[param];
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Entries of the SOURCE dictionary (crm.status.list), cached for
+   * SOURCE_STATUSES_TTL; pass refresh to reload
+   */
+  async getSourceStatuses(portal = null, refresh = false) {
+    const cacheKey = portal || '';
+    const cached = this.sourceStatusesCache.get(cacheKey);
+    if (cached && !refresh && cached.expiresAt > Date.now()) {
+      return cached.statuses;
+    }
+
+    const result = await this.callBitrixAPI('crm.status.list', {
+      filter: { ENTITY_ID: 'SOURCE' },
+      order: { SORT: 'ASC' }
+    }, portal);
+    const statuses = result.result || [];
+
+    this.sourceStatusesCache.set(cacheKey, { statuses, expiresAt: Date.now() + SOURCE_STATUSES_TTL });
+    return statuses;
+  }
+
+  /**
+   * SOURCE_ID for a submission's utm_source: UTM_SOURCE_MAP and the mapping's
+   * "utm.sources" give a status ID or name, which must exist in the portal's
+   * SOURCE dictionary. Returns null (DEFAULT_SOURCE_ID is used) when utm_source
+   * is missing, not mapped or the entry is unknown.
+   */
+  async resolveSourceId(contactData) {
+    const utmSource = contactData.utm && contactData.utm.source;
+    if (!utmSource) {
+      return null;
+    }
+
+    const mapping = this.fieldMappingService ? this.fieldMappingService.getMapping(contactData.formId) : {};
+    const sources = { ...this.utmSources };
+    Object.keys((mapping.utm && mapping.utm.sources) || {}).forEach(key => {
+      sources[key.toLowerCase()] = mapping.utm.sources[key];
+    });
+
+    const wanted = sources[utmSource.toLowerCase()];
+    if (!wanted) {
+      return null;
+    }
+
+    let statuses;
     try {
-      const contactFields = {
-        fields: {
-          NAME: this.extractFirstName(contactData.fullName),
-          LAST_NAME: this.extractLastName(contactData.fullName),
-          COMMENTS: `Contact created from Jotform submission\nSubmission ID: ${contactData.submissionId}\nSubmitted at: ${contactData.submittedAt}`,
-          ASSIGNED_BY_ID: 1,
-          OPENED: 'Y'
-        }
+      statuses = await this.getSourceStatuses(contactData.portal || null);
+    } catch (error) {
+      // Dictionary unavailable: trust the configuration
+      logger.warn('⚠️ Could not load the SOURCE dictionary, using the mapped value as is', {
+        utmSource,
+        sourceId: wanted,
+        error: error.message
+      });
+      return wanted;
+    }
+
+    const status = statuses.find(entry =>
+      String(entry.STATUS_ID).toUpperCase() === String(wanted).toUpperCase() ||
+      String(entry.NAME || '').toLowerCase() === String(wanted).toLowerCase()
+    );
+
+    if (!status) {
+      logger.warn('⚠️ Mapped source is not in the SOURCE dictionary, using the default', {
+        utmSource,
+        sourceId: wanted,
+        defaultSourceId: this.defaultSourceId,
+        known: statuses.map(entry => entry.STATUS_ID)
+      });
+      return null;
+    }
+
+    return status.STATUS_ID;
+  }
+
+  /**
+   * Build crm.lead.add payload from contact data.
+   * Form-specific defaults and mapped fields (incl. UF_CRM_*) from the
+   * field mapping engine override the built-in values.
+   */
+  buildLeadData(contactData, extraFields = {}) {
+    const fields = {
+      TITLE: `Jotform Lead: ${contactData.fullName || 'Unknown'}`,
+      NAME: firstName(contactData.fullName),
+      LAST_NAME: lastName(contactData.fullName),
+      SOURCE_ID: contactData.sourceId || this.defaultSourceId,
+      STATUS_ID: 'NEW',
+      SOURCE_DESCRIPTION: this.getSourceDescription(contactData),
+      COMMENTS: `Lead created from Jotform submission\nSubmission ID: ${contactData.submissionId}\nSubmitted at: ${contactData.submittedAt}`,
+      ASSIGNED_BY_ID: contactData.assignedById || this.defaultAssignee,
+      OPENED: 'Y',
+      ...this.getUtmFields(contactData)
+    };
+
+    // Add email if available
+    if (contactData.email) {
+      fields.EMAIL = [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }];
+    }
+
+    // Add phone if available
+    if (contactData.phone) {
+      fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
+    }
+
+    if (this.fieldMappingService) {
+      Object.assign(fields, this.fieldMappingService.getEntityFields(contactData, 'lead'));
+    }
+
+    Object.assign(fields, extraFields);
+
+    return { fields };
+  }
+
+  /**
+   * Find existing CRM entities (CONTACT or LEAD) sharing the submission's
+   * email or phone. Uses crm.duplicate.findbycomm and falls back to
+   * crm.<entity>.list filters when that method is not available.
+   * Returns matching IDs, newest first.
+   */
+  async findDuplicates(entityType, contactData, matchBy = ['EMAIL', 'PHONE']) {
+    const values = {
+      EMAIL: contactData.email,
+      PHONE: contactData.phone
+    };
+    const ids = new Set();
+
+    for (const type of matchBy) {
+      const value = values[type];
+      if (!value) {
+        continue;
+      }
+
+      let found;
+      try {
+        const result = await this.callBitrixAPI('crm.duplicate.findbycomm', {
+          entity_type: entityType,
+          type,
+          values: [value]
+        }, contactData.portal);
+        found = (result.result && result.result[entityType]) || [];
+      } catch (error) {
+        logger.warn('⚠️ crm.duplicate.findbycomm failed, falling back to list filter', {
+          entityType,
+          type,
+          error: error.message
+        });
+
+        const result = await this.callBitrixAPI(`crm.${entityType.toLowerCase()}.list`, {
+          filter: { [type]: value },
+          select: ['ID'],
+          order: { ID: 'DESC' }
+        }, contactData.portal);
+        found = (result.result || []).map(item => item.ID);
+      }
+
+      found.forEach(id => ids.add(Number(id)));
+    }
+
+    const matches = Array.from(ids).sort((a, b) => b - a);
+
+    logger.info('🔍 Duplicate lookup completed', {
+      entityType,
+      submissionId: contactData.submissionId,
+      matchBy,
+      matches
+    });
+
+    return matches;
+  }
+
+  /**
+   * Update lead fields
+   */
+  async updateLead(leadId, fields, portal = null) {
+    try {
+      await this.callBitrixAPI('crm.lead.update', { id: leadId, fields }, portal);
+
+      logger.info('Lead updated successfully in Bitrix24', {
+        leadId,
+        fields: Object.keys(fields)
+      });
+
+      return {
+        success: true,
+        leadId,
+        message: 'Lead updated successfully'
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to update lead', {
+        leadId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Failed to update lead',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Add a comment to the timeline of a CRM entity (lead, contact, deal...)
+   */
+  async addTimelineComment(entityType, entityId, comment, portal = null, files = []) {
+    try {
+      const fields = {
+        ENTITY_ID: entityId,
+        ENTITY_TYPE: entityType,
+        COMMENT: comment
       };
 
-      // Add email if available
-      if (contactData.email) {
-        contactFields.fields.EMAIL = [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }];
+      // Attachments as [fileName, base64Content] pairs
+      if (files.length > 0) {
+        fields.FILES = files;
       }
 
-      // Add phone if available
-      if (contactData.phone) {
-        contactFields.fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
+      const result = await this.callBitrixAPI('crm.timeline.comment.add', { fields }, portal);
+
+      return {
+        success: true,
+        commentId: result.result,
+        message: 'Timeline comment added'
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to add timeline comment', {
+        entityType,
+        entityId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Failed to add timeline comment',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Build crm.contact.add payload: name, email and phone of the submission
+   * plus the mapping's contact fields ("contact.*" targets)
+   */
+  buildContactData(contactData, extraFields = {}) {
+    const fields = {
+      NAME: firstName(contactData.fullName),
+      LAST_NAME: lastName(contactData.fullName),
+      SOURCE_ID: contactData.sourceId || this.defaultSourceId,
+      SOURCE_DESCRIPTION: this.getSourceDescription(contactData),
+      ASSIGNED_BY_ID: contactData.assignedById || this.defaultAssignee,
+      OPENED: 'Y'
+    };
+
+    if (contactData.email) {
+      fields.EMAIL = [{ VALUE: contactData.email, VALUE_TYPE: 'WORK' }];
+    }
+
+    if (contactData.phone) {
+      fields.PHONE = [{ VALUE: contactData.phone, VALUE_TYPE: 'WORK' }];
+    }
+
+    if (this.fieldMappingService) {
+      Object.assign(fields, this.fieldMappingService.getEntityFields(contactData, 'contact'));
+    }
+
+    Object.assign(fields, extraFields);
+
+    return { fields };
+  }
+
+  /**
+   * Build crm.company.add payload from the mapping's company fields
+   * ("company.*" targets). Without a TITLE no company is created.
+   */
+  buildCompanyData(contactData, extraFields = {}) {
+    const fields = {
+      ASSIGNED_BY_ID: contactData.assignedById || this.defaultAssignee,
+      OPENED: 'Y'
+    };
+
+    if (this.fieldMappingService) {
+      Object.assign(fields, this.fieldMappingService.getEntityFields(contactData, 'company'));
+    }
+
+    Object.assign(fields, extraFields);
+
+    return { fields };
+  }
+
+  /**
+   * Build crm.deal.add payload in the route's pipeline (CATEGORY_ID) and stage.
+   * Form defaults and mapped fields override the built-in values.
+   */
+  buildDealData(contactData, route, extraFields = {}) {
+    const fields = {
+      TITLE: `Jotform Deal: ${contactData.fullName || 'Unknown'}`,
+      CATEGORY_ID: route.categoryId,
+      SOURCE_ID: contactData.sourceId || this.defaultSourceId,
+      SOURCE_DESCRIPTION: this.getSourceDescription(contactData),
+      COMMENTS: `Deal created from Jotform submission\nSubmission ID: ${contactData.submissionId}\nSubmitted at: ${contactData.submittedAt}`,
+      ASSIGNED_BY_ID: contactData.assignedById || this.defaultAssignee,
+      OPENED: 'Y',
+      ...this.getUtmFields(contactData)
+    };
+
+    if (route.stageId) {
+      fields.STAGE_ID = route.stageId;
+    }
+
+    if (this.fieldMappingService) {
+      Object.assign(fields, this.fieldMappingService.getEntityFields(contactData, 'deal'));
+    }
+
+    Object.assign(fields, extraFields);
+
+    return { fields };
+  }
+
+  /**
+   * Find a company by exact title, newest first
+   */
+  async findCompanyByTitle(title, portal = null) {
+    const result = await this.callBitrixAPI('crm.company.list', {
+      filter: { TITLE: title },
+      select: ['ID'],
+      order: { ID: 'DESC' }
+    }, portal);
+
+    const [company] = result.result || [];
+    return company ? Number(company.ID) : null;
+  }
+
+  /**
+   * Create the deal chain of a submission in one batch: company (found by
+   * title or created, when the mapping gives it a TITLE), contact (contactId
+   * of a matched contact, else created and linked to the company) and a deal
+   * linked to both in the route's pipeline and stage. The batch halts at the
+   * first failing command so a failed contact never gets an orphan deal.
+   */
+  async createDealChain(contactData, route, contactId = null) {
+    const portal = contactData.portal || null;
+
+    try {
+      let companyId = null;
+      const commands = {};
+
+      const companyData = this.buildCompanyData(contactData);
+      if (companyData.fields.TITLE) {
+        companyId = await this.findCompanyByTitle(companyData.fields.TITLE, portal);
+        if (!companyId) {
+          commands.company = { method: 'crm.company.add', params: companyData };
+        }
       }
+      const companyRef = commands.company ? '$result[company]' : companyId;
 
-      logger.info(`Creating Bitrix24 ${method} with simplified auth`, {
+      if (!contactId) {
+        commands.contact = {
+          method: 'crm.contact.add',
+          params: this.buildContactData(contactData, companyRef ? { COMPANY_ID: companyRef } : {})
+        };
+      }
+
+      const dealData = this.buildDealData(contactData, route, {
+        CONTACT_ID: contactId || '$result[contact]',
+        ...(companyRef && { COMPANY_ID: companyRef })
+      });
+      commands.deal = { method: 'crm.deal.add', params: dealData };
+
+      // Last, so a failed link cannot halt the deal
+      if (contactId && companyRef) {
+        commands.contactCompany = {
+          method: 'crm.contact.company.add',
+          params: { id: contactId, fields: { COMPANY_ID: companyRef } }
+        };
+      }
+
+      logger.info('Creating Bitrix24 deal', {
         submissionId: contactData.submissionId,
-        method,
-        hasName: !!contactData.fullName,
-        hasEmail: !!contactData.email,
-        hasPhone: !!contactData.phone
+        dealTitle: dealData.fields.TITLE,
+        categoryId: dealData.fields.CATEGORY_ID,
+        stageId: dealData.fields.STAGE_ID,
+        commands: Object.keys(commands)
       });
 
-      const result = await this.callBitrixAPI(method, contactFields);
+      const batch = await this.callBatch(commands, { halt: true }, portal);
+      const { results } = batch;
 
-      if (result.success) {
-        logger.info(`${method} created successfully in Bitrix24`, {
-          id: result.result,
-          submissionId: contactData.submissionId
+      if (results.company) companyId = results.company.success ? results.company.result : null;
+      if (results.contact) contactId = results.contact.success ? results.contact.result : null;
+
+      // Linking an existing contact is best effort
+      if (results.contactCompany && !results.contactCompany.success && !results.contactCompany.skipped) {
+        logger.warn('⚠️ Failed to link existing contact to company', {
+          contactId,
+          companyId,
+          error: results.contactCompany.details || results.contactCompany.error
         });
+      }
 
+      const failed = ['company', 'contact', 'deal'].find(key => results[key] && !results[key].success && !results[key].skipped);
+      if (failed) {
+        const failure = results[failed];
         return {
-          success: true,
-          id: result.result,
-          method: method,
-          message: `${method} created successfully`
+          success: false,
+          error: `Failed to create ${failed}`,
+          details: failure.details || failure.error,
+          contactId,
+          companyId
         };
+      }
+
+      logger.info('Deal created successfully in Bitrix24', {
+        dealId: results.deal.result,
+        contactId,
+        companyId,
+        submissionId: contactData.submissionId
+      });
+
+      return {
+        success: true,
+        dealId: results.deal.result,
+        contactId,
+        companyId,
+        message: 'Deal created successfully'
+      };
+
+    } catch (error) {
+      logger.error('Error creating Bitrix24 deal', {
+        error: error.message,
+        submissionId: contactData.submissionId
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List smart process types of a portal (crm.type.list)
+   */
+  async getSmartProcessTypes(portal = null) {
+    try {
+      const result = await this.callBitrixAPI('crm.type.list', {
+        select: ['id', 'entityTypeId', 'title', 'isCategoriesEnabled', 'isStagesEnabled', 'isClientEnabled']
+      }, portal);
+
+      return {
+        success: true,
+        types: (result.result && result.result.types) || [],
+        total: result.total,
+        message: 'Smart process types retrieved successfully'
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to get smart process types', {
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Failed to get smart process types',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Field definitions of a smart process (crm.item.fields), keyed by the
+   * camelCase field name. Cached for ITEM_FIELDS_TTL; pass refresh to reload.
+   */
+  async getItemFields(entityTypeId, portal = null, refresh = false) {
+    const cacheKey = `${portal || ''}:${entityTypeId}`;
+    const cached = this.itemFieldsCache.get(cacheKey);
+    if (cached && !refresh && cached.expiresAt > Date.now()) {
+      return cached.fields;
+    }
+
+    const result = await this.callBitrixAPI('crm.item.fields', { entityTypeId }, portal);
+    const fields = (result.result && result.result.fields) || {};
+
+    this.itemFieldsCache.set(cacheKey, { fields, expiresAt: Date.now() + ITEM_FIELDS_TTL });
+    return fields;
+  }
+
+  /**
+   * Drop everything cached for a portal (after the app was uninstalled).
+   * Caches are keyed by whichever of domain or member_id the caller used.
+   */
+  forgetPortal(domain, memberId = null) {
+    const keys = [domain, memberId].filter(Boolean);
+
+    keys.forEach(key => {
+      this.sourceStatusesCache.delete(key);
+      this.refreshLocks.delete(key);
+    });
+
+    Array.from(this.itemFieldsCache.keys())
+      .filter(cacheKey => keys.some(key => cacheKey.startsWith(`${key}:`)))
+      .forEach(cacheKey => this.itemFieldsCache.delete(cacheKey));
+  }
+
+  /**
+   * Smart process field matching a mapping target: the camelCase name
+   * (any case) or the UF_CRM_* style upperName
+   */
+  resolveItemField(itemFields, target) {
+    return Object.keys(itemFields).find(key =>
+      key.toLowerCase() === target.toLowerCase() ||
+      (itemFields[key].upperName || '').toUpperCase() === target.toUpperCase()
+    ) || null;
+  }
+
+  /**
+   * Build crm.item.add fields. Built-in values are only sent when the smart
+   * process has the field; mapped targets must exist, others are reported in unknown.
+   */
+  buildItemData(contactData, route, itemFields) {
+    const builtIn = {
+      title: `Jotform: ${contactData.fullName || 'Unknown'}`,
+      sourceId: contactData.sourceId || this.defaultSourceId,
+      sourceDescription: this.getSourceDescription(contactData),
+      assignedById: contactData.assignedById || this.defaultAssignee,
+      opened: 'Y',
+      categoryId: route.categoryId,
+      stageId: route.stageId
+    };
+
+    const utm = this.getUtmFields(contactData);
+    Object.keys(utm).forEach(name => {
+      // UTM_SOURCE -> utmSource
+      builtIn[name.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = utm[name];
+    });
+
+    const fields = {};
+    const unknown = [];
+
+    Object.keys(builtIn).forEach(name => {
+      const field = this.resolveItemField(itemFields, name);
+      if (field && builtIn[name] !== null && builtIn[name] !== undefined) {
+        fields[field] = builtIn[name];
+      }
+    });
+
+    const mapped = this.fieldMappingService ? this.fieldMappingService.getEntityFields(contactData, 'item') : {};
+    Object.keys(mapped).forEach(target => {
+      const field = this.resolveItemField(itemFields, target);
+      if (!field) {
+        unknown.push(target);
+        return;
+      }
+      // crm.item.* takes files as [name, base64] instead of { fileData }
+      const value = mapped[target];
+      if (Array.isArray(value) && value.every(entry => entry && entry.fileData)) {
+        fields[field] = value.map(entry => entry.fileData);
       } else {
+        fields[field] = value && value.fileData ? value.fileData : value;
+      }
+    });
+
+    return { fields, unknown };
+  }
+
+  /**
+   * Create a smart process item (crm.item.add) from a submission
+   */
+  async createItem(contactData, route) {
+    const portal = contactData.portal || null;
+
+    try {
+      const itemFields = await this.getItemFields(route.entityTypeId, portal);
+      const { fields, unknown } = this.buildItemData(contactData, route, itemFields);
+
+      if (unknown.length > 0) {
         return {
           success: false,
-          error: result.error,
-          details: result.error_description
+          error: `Unknown fields for smart process ${route.entityTypeId}`,
+          details: `${unknown.join(', ')} (see GET /api/items/${route.entityTypeId}/fields)`
         };
       }
 
+      logger.info('Creating Bitrix24 smart process item', {
+        submissionId: contactData.submissionId,
+        entityTypeId: route.entityTypeId,
+        fields: Object.keys(fields)
+      });
+
+      const result = await this.callBitrixAPI('crm.item.add', {
+        entityTypeId: route.entityTypeId,
+        fields
+      }, portal);
+      const item = (result.result && result.result.item) || {};
+
+      logger.info('Smart process item created successfully in Bitrix24', {
+        entityTypeId: route.entityTypeId,
+        itemId: item.id,
+        submissionId: contactData.submissionId
+      });
+
+      return {
+        success: true,
+        itemId: item.id,
+        entityTypeId: route.entityTypeId,
+        message: 'Smart process item created successfully'
+      };
+
     } catch (error) {
-      logger.error(`Error creating Bitrix24 ${method}`, {
+      logger.error('Error creating Bitrix24 smart process item', {
+        entityTypeId: route.entityTypeId,
         error: error.message,
         submissionId: contactData.submissionId
       });
@@ -1481,12 +2339,83 @@ class Bitrix24NewService {
     }
   }
 
+  /**
+   * List items of a smart process (crm.item.list)
+   */
+  async getItemList(entityTypeId, options = {}, portal = null) {
+    try {
+      const params = {
+        entityTypeId,
+        select: options.select || ['*'],
+        start: options.start || 0
+      };
+
+      if (options.filter) {
+        params.filter = options.filter;
+      }
+
+      if (options.order) {
+        params.order = options.order;
+      }
+
+      const result = await this.callBitrixAPI('crm.item.list', params, portal);
+
+      return {
+        success: true,
+        items: (result.result && result.result.items) || [],
+        total: result.total,
+        next: result.next,
+        message: 'Items retrieved successfully'
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to get item list', {
+        entityTypeId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Failed to get item list',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Get a smart process item (crm.item.get)
+   */
+  async getItem(entityTypeId, itemId, portal = null) {
+    try {
+      const result = await this.callBitrixAPI('crm.item.get', { entityTypeId, id: itemId }, portal);
+
+      return {
+        success: true,
+        item: result.result && result.result.item,
+        message: 'Item retrieved successfully'
+      };
+
+    } catch (error) {
+      logger.error('❌ Failed to get item', {
+        entityTypeId,
+        itemId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Failed to get item',
+        details: error.message
+      };
+    }
+  }
+
   /**
    * Get current access token
    */
   async getAccessToken() {
     try {
-      const token = await this.databaseService.getCurrentToken();
+      const token = await this.resolveToken();
       
       if (!token) {
         return null;
@@ -1497,9 +2426,9 @@ class Bitrix24NewService {
         const now = new Date();
         if (now > token.expires_at) {
           logger.warn('⏰ Access token is expired, attempting refresh');
-          await this.refreshTokenIfNeeded();
+          await this.refreshTokenIfNeeded(false, token.domain);
           // Get updated token
-          const updatedToken = await this.databaseService.getCurrentToken();
+          const updatedToken = await this.resolveToken(token.domain);
           return updatedToken ? updatedToken.access_token : null;
         }
       }
@@ -1515,40 +2444,31 @@ class Bitrix24NewService {
   }
 
   /**
-   * Set tokens manually (legacy method for compatibility)
+   * Set tokens manually (legacy method for compatibility).
+   * Saved for a portal like any other token; returns its domain.
    */
-  setTokens(accessToken, refreshToken) {
+  async setTokens(accessToken, refreshToken, domain = null) {
     // This is a legacy method - for new implementation, use processInstallation
     logger.warn('⚠️ setTokens is a legacy method. Consider using processInstallation instead');
-    
-    // For compatibility, we'll store this as a simplified token
+
+    const targetDomain = domain || this.domain;
+    if (!targetDomain) {
+      throw new Error('Domain is required to save a token');
+    }
+
+    // Without an expiry the token counts as valid until a call rejects it
     const tokenData = {
       access_token: accessToken,
       refresh_token: refreshToken,
-      method: 'manual',
+      domain: targetDomain,
+      client_endpoint: `https://${targetDomain}/rest/`,
+      method: refreshToken ? 'oauth2' : 'manual',
       created_at: new Date(),
       updated_at: new Date()
     };
 
-    // Save to database
-    this.databaseService.saveToken(new TokenData(tokenData));
-  }
-
-  /**
-   * Extract first name from full name
-   */
-  extractFirstName(fullName) {
-    if (!fullName) return '';
-    return fullName.split(' ')[0] || '';
-  }
-
-  /**
-   * Extract last name from full name
-   */
-  extractLastName(fullName) {
-    if (!fullName) return '';
-    const parts = fullName.split(' ');
-    return parts.length > 1 ? parts.slice(1).join(' ') : '';
+    await this.databaseService.saveToken(new TokenData(tokenData));
+    return targetDomain;
   }
 }
 
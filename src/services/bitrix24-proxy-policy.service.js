@@ -0,0 +1,170 @@
+const logger = require('../utils/logger');
+
+// Methods that only read data, the only ones allowed in read-only mode
+const READ_METHODS = [
+  '*.get',
+  '*.list',
+  '*.fields',
+  '*.search',
+  '*.current',
+  '*.info',
+  'crm.duplicate.findbycomm',
+  'profile',
+  'methods',
+  'scope',
+  'server.time'
+];
+
+const MASK = '***MASKED***';
+
+/**
+ * Policy for the generic POST /api/bitrix24 proxy.
+ *
+ * A method must not match BITRIX24_PROXY_DENY, must match
+ * BITRIX24_PROXY_ALLOW, must be a read method in read-only mode
+ * (BITRIX24_PROXY_READ_ONLY) and must match the API key's own method
+ * patterns when the key has any. "batch" is checked command by command.
+ * Patterns are case-insensitive and * matches any characters, dots included.
+ */
+class Bitrix24ProxyPolicyService {
+  constructor(configService) {
+    this.configService = configService;
+
+    const proxyConfig = this.configService.getBitrix24ProxyConfig();
+
+    this.allow = proxyConfig.allow;
+    this.deny = proxyConfig.deny;
+    this.readOnly = proxyConfig.readOnly;
+    this.redact = proxyConfig.redact;
+  }
+
+  /**
+   * Whether a name matches a * pattern
+   */
+  matches(pattern, name) {
+    const source = String(pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`, 'i').test(String(name));
+  }
+
+  findMatch(patterns, name) {
+    return patterns.find(pattern => this.matches(pattern, name)) || null;
+  }
+
+  /**
+   * Why a single method is refused, or null when it may be called
+   */
+  refusalReason(method, apiKey) {
+    const denied = this.findMatch(this.deny, method);
+    if (denied) {
+      return `Method "${method}" is denied by BITRIX24_PROXY_DENY (${denied})`;
+    }
+    if (!this.findMatch(this.allow, method)) {
+      return `Method "${method}" is not in BITRIX24_PROXY_ALLOW`;
+    }
+    if (this.readOnly && !this.findMatch(READ_METHODS, method)) {
+      return `Method "${method}" changes data and the proxy is read-only (BITRIX24_PROXY_READ_ONLY)`;
+    }
+    if (apiKey && apiKey.methods && !this.findMatch(apiKey.methods, method)) {
+      return `API key "${apiKey.name}" may not call "${method}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Methods of a batch call (params.cmd, an object or array of "method?query"
+   * strings), or null when cmd is not one
+   */
+  batchMethods(params) {
+    const cmd = params ? params.cmd : undefined;
+    if (cmd === undefined || cmd === null) {
+      return [];
+    }
+    // Object.values of a string would check it character by character
+    if (typeof cmd !== 'object' || Object.values(cmd).some(command => typeof command !== 'string')) {
+      return null;
+    }
+    return Object.values(cmd).map(command => command.split('?')[0].trim().toLowerCase());
+  }
+
+  /**
+   * Check a proxy call. Returns { methods } with the methods it will run,
+   * or { rejection: { status, reason } }.
+   */
+  check(method, params, apiKey = null) {
+    const reject = (status, reason) => {
+      logger.warn('🚫 Bitrix24 proxy call refused', {
+        method,
+        reason,
+        keyId: apiKey ? apiKey.id : null
+      });
+      return { rejection: { status, reason } };
+    };
+
+    const name = String(method || '').trim().toLowerCase();
+    if (!/^[a-z0-9_.]+$/.test(name)) {
+      return reject(400, `Invalid method name "${method}"`);
+    }
+
+    let methods = [name];
+    if (name === 'batch') {
+      const denied = this.findMatch(this.deny, name);
+      if (denied) {
+        return reject(403, `Method "batch" is denied by BITRIX24_PROXY_DENY (${denied})`);
+      }
+
+      methods = this.batchMethods(params);
+      if (methods === null) {
+        return reject(400, 'Batch commands (params.cmd) must be an object of "method?query" strings');
+      }
+      if (methods.length === 0) {
+        return reject(400, 'Batch call without commands (params.cmd)');
+      }
+      const invalid = methods.find(command => !/^[a-z0-9_.]+$/.test(command) || command === 'batch');
+      if (invalid !== undefined) {
+        return reject(400, `Invalid batch command "${invalid}"`);
+      }
+    }
+
+    for (const command of methods) {
+      const reason = this.refusalReason(command, apiKey);
+      if (reason) {
+        return reject(403, reason);
+      }
+    }
+
+    return { methods };
+  }
+
+  /**
+   * Copy of the call parameters for logs, with the values of BITRIX24_PROXY_REDACT
+   * keys masked. Batch commands keep only their method, their query may carry data.
+   */
+  redactParams(method, params) {
+    const mask = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(mask);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+          key,
+          this.findMatch(this.redact, key) ? MASK : mask(item)
+        ]));
+      }
+      return value;
+    };
+
+    const redacted = mask(params || {});
+    if (String(method).trim().toLowerCase() === 'batch' && params && params.cmd) {
+      redacted.cmd = Object.fromEntries(Object.entries(params.cmd).map(([key, command]) => {
+        const [commandMethod, query] = String(command).split('?');
+        return [key, query ? `${commandMethod}?${MASK}` : commandMethod];
+      }));
+    }
+    return redacted;
+  }
+}
+
+module.exports = Bitrix24ProxyPolicyService;
@@ -0,0 +1,234 @@
+const logger = require('../utils/logger');
+
+// Bitrix24 answers its own rate limits with HTTP 503; the rate limiter handles
+// those and they say nothing about the host being down
+const RATE_LIMIT_ERRORS = ['QUERY_LIMIT_EXCEEDED', 'OPERATION_TIME_LIMIT'];
+
+/**
+ * Circuit breaker per upstream host (Bitrix24 portals, oauth.bitrix.info,
+ * api.jotform.com, ...), attached to axios instances as interceptors.
+ *
+ * A host's circuit opens after CIRCUIT_FAILURE_THRESHOLD consecutive
+ * failures (network errors, timeouts, 5xx). While open, requests to the host
+ * fail at once with error.circuitOpen instead of waiting out their timeouts.
+ * After CIRCUIT_RESET_TIMEOUT the circuit is half-open and lets
+ * CIRCUIT_HALF_OPEN_REQUESTS trial requests through: a success closes it,
+ * a failure opens it again.
+ */
+class CircuitBreakerService {
+  constructor(configService) {
+    this.configService = configService;
+
+    const circuitConfig = this.configService.getCircuitBreakerConfig();
+
+    this.enabled = circuitConfig.enabled;
+    this.failureThreshold = circuitConfig.failureThreshold;
+    this.resetTimeout = circuitConfig.resetTimeout;
+    this.halfOpenRequests = circuitConfig.halfOpenRequests;
+
+    // Circuit by host name
+    this.circuits = new Map();
+  }
+
+  getCircuit(host) {
+    if (!this.circuits.has(host)) {
+      this.circuits.set(host, {
+        host,
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        retryAt: 0,
+        trials: 0,
+        lastError: null,
+        successes: 0,
+        rejected: 0,
+        opened: 0
+      });
+    }
+    return this.circuits.get(host);
+  }
+
+  /**
+   * Host of an axios request config, or null when it cannot be parsed
+   */
+  getHost(config) {
+    try {
+      return new URL(config.url, config.baseURL).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a failed request counts against its host
+   */
+  isFailure(error) {
+    if (!error.response) {
+      return true;
+    }
+
+    const status = error.response.status;
+    const data = error.response.data;
+    if (data && RATE_LIMIT_ERRORS.includes(data.error)) {
+      return false;
+    }
+    return status >= 500;
+  }
+
+  /**
+   * Let a request through or throw when its host's circuit is open
+   */
+  beforeRequest(host) {
+    const circuit = this.getCircuit(host);
+    const now = Date.now();
+
+    if (circuit.state === 'open' && now >= circuit.retryAt) {
+      circuit.state = 'half_open';
+      circuit.trials = 0;
+      logger.info('🔌 Circuit half-open, sending trial request', { host });
+    }
+
+    if (circuit.state === 'closed') {
+      return false;
+    }
+
+    if (circuit.state === 'half_open' && circuit.trials < this.halfOpenRequests) {
+      circuit.trials++;
+      return true;
+    }
+
+    circuit.rejected++;
+    const retryAt = circuit.state === 'open' ? circuit.retryAt : now + this.resetTimeout;
+    const error = new Error(`Circuit open for ${host} after repeated failures, retry after ${new Date(retryAt).toISOString()}`);
+    error.circuitOpen = true;
+    error.host = host;
+    error.retryAt = retryAt;
+    throw error;
+  }
+
+  recordSuccess(host, trial = false) {
+    const circuit = this.getCircuit(host);
+    circuit.successes++;
+    circuit.failures = 0;
+
+    if (trial) {
+      circuit.trials = Math.max(circuit.trials - 1, 0);
+    }
+
+    if (circuit.state !== 'closed') {
+      circuit.state = 'closed';
+      circuit.openedAt = null;
+      circuit.retryAt = 0;
+      logger.info('✅ Circuit closed, host is answering again', { host });
+    }
+  }
+
+  recordFailure(host, error, trial = false) {
+    const circuit = this.getCircuit(host);
+    circuit.failures++;
+    circuit.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+    if (trial) {
+      circuit.trials = Math.max(circuit.trials - 1, 0);
+    }
+
+    if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= this.failureThreshold)) {
+      this.open(circuit);
+    }
+  }
+
+  open(circuit) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.retryAt = circuit.openedAt + this.resetTimeout;
+    circuit.trials = 0;
+    circuit.opened++;
+
+    logger.error('🔌 Circuit opened, failing requests fast', {
+      host: circuit.host,
+      failures: circuit.failures,
+      lastError: circuit.lastError,
+      retryAt: new Date(circuit.retryAt).toISOString()
+    });
+  }
+
+  /**
+   * Time (ms timestamp) until which a host's circuit rejects requests,
+   * or null when requests would go through
+   */
+  getRetryAt(host) {
+    const circuit = host && this.circuits.get(host.toLowerCase());
+    if (!circuit || circuit.state !== 'open' || Date.now() >= circuit.retryAt) {
+      return null;
+    }
+    return circuit.retryAt;
+  }
+
+  /**
+   * Install the breaker on an axios instance
+   */
+  attach(axiosInstance) {
+    if (!this.enabled) {
+      return;
+    }
+
+    axiosInstance.interceptors.request.use((config) => {
+      const host = this.getHost(config);
+      if (host) {
+        config.circuitHost = host;
+        config.circuitTrial = this.beforeRequest(host);
+      }
+      return config;
+    });
+
+    axiosInstance.interceptors.response.use(
+      (response) => {
+        if (response.config && response.config.circuitHost) {
+          this.recordSuccess(response.config.circuitHost, response.config.circuitTrial);
+        }
+        return response;
+      },
+      (error) => {
+        const config = error.config;
+        if (!error.circuitOpen && config && config.circuitHost) {
+          if (this.isFailure(error)) {
+            this.recordFailure(config.circuitHost, error, config.circuitTrial);
+          } else {
+            this.recordSuccess(config.circuitHost, config.circuitTrial);
+          }
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Circuit states for status endpoints
+   */
+  getStatus() {
+    const now = Date.now();
+    const circuits = Array.from(this.circuits.values()).map(circuit => {
+      const state = circuit.state === 'open' && now >= circuit.retryAt ? 'half_open' : circuit.state;
+      return {
+        host: circuit.host,
+        state,
+        failures: circuit.failures,
+        lastError: circuit.lastError,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(circuit.retryAt).toISOString() : null,
+        rejected: circuit.rejected,
+        opened: circuit.opened
+      };
+    });
+
+    return {
+      enabled: this.enabled,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      open: circuits.filter(circuit => circuit.state === 'open').map(circuit => circuit.host),
+      circuits
+    };
+  }
+}
+
+module.exports = CircuitBreakerService;
@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * Configuration service for environment variables
  */
@@ -42,7 +44,7 @@ class ConfigService {
       port: this.get('PORT', 3000),
       nodeEnv: this.get('NODE_ENV', 'development'),
       rateLimitMax: this.get('API_RATE_LIMIT', 100),
-      webhookSecret: this.get('WEBHOOK_SECRET', 'dev-secret-key')
+      webhookSecret: this.get('WEBHOOK_SECRET', null)
     };
   }
 
@@ -57,6 +59,37 @@ class ConfigService {
     };
   }
 
+  /**
+   * Get Jotform webhook verification configuration. Every check is enforced
+   * once configured:
+   * - secret / formTokens: token in the webhook URL (path or ?token=)
+   * - hmacSecret: HMAC-SHA256 of the raw body in signatureHeader
+   * - ipAllowlist: caller IPs / CIDR ranges
+   * - requireKnownForm: formID must be a configured form
+   */
+  getWebhookAuthConfig() {
+    const list = (key) => this.get(key, '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    return {
+      secret: this.get('WEBHOOK_SECRET', null),
+      formTokens: list('WEBHOOK_FORM_TOKENS').reduce((tokens, entry) => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+          tokens[entry.substring(0, separator).trim()] = entry.substring(separator + 1).trim();
+        }
+        return tokens;
+      }, {}),
+      hmacSecret: this.get('WEBHOOK_HMAC_SECRET', null),
+      signatureHeader: this.get('WEBHOOK_SIGNATURE_HEADER', 'x-jotform-signature').toLowerCase(),
+      ipAllowlist: list('WEBHOOK_IP_ALLOWLIST'),
+      requireKnownForm: this.get('WEBHOOK_REQUIRE_KNOWN_FORM', false),
+      allowedForms: list('WEBHOOK_ALLOWED_FORMS')
+    };
+  }
+
   /**
    * Get Bitrix24 configuration
    */
@@ -74,6 +107,266 @@ class ConfigService {
     };
   }
 
+  /**
+   * Get Bitrix24 request scheduling configuration: token bucket per portal
+   * (requests/second and burst), back-off on QUERY_LIMIT_EXCEEDED (ms) and
+   * the per-method operating time limit (seconds per 10 minutes)
+   */
+  getRateLimitConfig() {
+    return {
+      rate: this.get('BITRIX24_RATE_LIMIT', 2),
+      burst: this.get('BITRIX24_RATE_BURST', 50),
+      maxRetries: this.get('BITRIX24_RATE_LIMIT_RETRIES', 5),
+      backoffBase: this.get('BITRIX24_RATE_BACKOFF_BASE', 1000),
+      backoffMax: this.get('BITRIX24_RATE_BACKOFF_MAX', 60000),
+      operatingLimit: this.get('BITRIX24_OPERATING_LIMIT', 480),
+      operatingMargin: this.get('BITRIX24_OPERATING_MARGIN', 60)
+    };
+  }
+
+  /**
+   * Get circuit breaker configuration: consecutive failures that open a
+   * host's circuit, how long it stays open (ms) and the trial requests
+   * allowed once it is half-open
+   */
+  getCircuitBreakerConfig() {
+    return {
+      enabled: this.get('CIRCUIT_BREAKER_ENABLED', true),
+      failureThreshold: this.get('CIRCUIT_FAILURE_THRESHOLD', 5),
+      resetTimeout: this.get('CIRCUIT_RESET_TIMEOUT', 30000),
+      halfOpenRequests: this.get('CIRCUIT_HALF_OPEN_REQUESTS', 1)
+    };
+  }
+
+  /**
+   * Get submission queue configuration
+   */
+  getQueueConfig() {
+    return {
+      enabled: this.get('QUEUE_WORKER_ENABLED', true),
+      pollInterval: this.get('QUEUE_POLL_INTERVAL', 5000),
+      maxAttempts: this.get('QUEUE_MAX_ATTEMPTS', 5),
+      backoffBase: this.get('QUEUE_BACKOFF_BASE', 30000),
+      backoffMax: this.get('QUEUE_BACKOFF_MAX', 3600000)
+    };
+  }
+
+  /**
+   * Get Jotform polling configuration (alternative to webhooks). Forms are
+   * listed in POLLING_FORMS or enabled with a "polling" block in their mapping.
+   */
+  getPollingConfig() {
+    return {
+      enabled: this.get('POLLING_ENABLED', false),
+      interval: this.get('POLLING_INTERVAL', 60000),
+      pageSize: this.get('POLLING_PAGE_SIZE', 100),
+      forms: this.get('POLLING_FORMS', '')
+        .split(',')
+        .map(formId => formId.trim())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Get default CRM entity routing: "lead" creates a lead, "deal" a
+   * contact (+ company) + deal chain in the given pipeline and stage,
+   * "item" an item of the smart process SMART_PROCESS_ENTITY_TYPE_ID.
+   * Form mappings override it with an "entities" block.
+   */
+  getEntityRoutingConfig() {
+    return {
+      target: this.get('CRM_ENTITY_TARGET', 'lead'),
+      dealCategoryId: this.get('DEAL_CATEGORY_ID', 0),
+      dealStageId: this.get('DEAL_STAGE_ID', null),
+      entityTypeId: this.get('SMART_PROCESS_ENTITY_TYPE_ID', null)
+    };
+  }
+
+  /**
+   * Get field mapping configuration
+   */
+  getFieldMappingConfig() {
+    return {
+      directory: this.get('FIELD_MAPPINGS_DIR', path.join(__dirname, '../config/mappings'))
+    };
+  }
+
+  /**
+   * Get Jotform file upload configuration. Files are attached to a timeline
+   * comment ("comment") or ignored ("none") unless a mapping rule writes them
+   * to a file field; a failed download is noted on the lead ("skip") or
+   * fails the job so it is retried ("fail").
+   */
+  getFileUploadConfig() {
+    const list = (key, defaultValue) => this.get(key, defaultValue)
+      .split(',')
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      mode: this.get('FILE_UPLOADS_MODE', 'comment'),
+      onFailure: this.get('FILE_UPLOAD_ON_FAILURE', 'skip'),
+      maxSize: this.get('FILE_UPLOAD_MAX_SIZE', 10485760),
+      allowedTypes: list('FILE_UPLOAD_ALLOWED_TYPES', 'application/pdf,image/*,text/plain,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document'),
+      allowedHosts: list('FILE_UPLOAD_ALLOWED_HOSTS', 'jotform.com'),
+      timeout: this.get('FILE_UPLOAD_TIMEOUT', 30000)
+    };
+  }
+
+  /**
+   * Get submission timeline configuration: the comment with every answer and
+   * the optional follow-up to-do (due after todoDueHours, assigned to
+   * todoResponsibleId or the entity's responsible user). The submission link
+   * template may use {formId} and {submissionId}. Form mappings override it
+   * with a "timeline" block.
+   */
+  getTimelineConfig() {
+    return {
+      summary: this.get('TIMELINE_SUMMARY_ENABLED', true),
+      submissionUrl: this.get('JOTFORM_SUBMISSION_URL', 'https://www.jotform.com/submission/{submissionId}'),
+      todo: this.get('ACTIVITY_TODO_ENABLED', false),
+      todoDueHours: this.get('ACTIVITY_TODO_DUE_HOURS', 24),
+      todoTitle: this.get('ACTIVITY_TODO_TITLE', 'Follow up Jotform submission'),
+      todoResponsibleId: this.get('ACTIVITY_RESPONSIBLE_ID', null)
+    };
+  }
+
+  /**
+   * Get responsible-user assignment configuration: the default round-robin
+   * pool, working hours ("08:00-17:30" on ISO weekdays in timezone; no hours
+   * means always open), the pool used outside them and the availability
+   * checks (user.get ACTIVE, timeman.status). fallbackUserId gets submissions
+   * when no pool member is available. Form mappings add teams and rules
+   * with an "assignment" block.
+   */
+  getAssignmentConfig() {
+    const list = (key) => this.get(key, '')
+      .split(',')
+      .map(item => parseInt(item.trim(), 10))
+      .filter(item => item > 0);
+
+    return {
+      users: list('ASSIGNMENT_USERS'),
+      fallbackUserId: this.get('ASSIGNMENT_FALLBACK_USER_ID', 1),
+      timezone: this.get('ASSIGNMENT_TIMEZONE', 'UTC'),
+      workingDays: list('ASSIGNMENT_WORKING_DAYS'),
+      workingHours: this.get('ASSIGNMENT_WORKING_HOURS', null),
+      afterHoursUsers: list('ASSIGNMENT_AFTER_HOURS_USERS'),
+      checkActive: this.get('ASSIGNMENT_CHECK_ACTIVE', true),
+      checkTimeman: this.get('ASSIGNMENT_CHECK_TIMEMAN', false),
+      availabilityTtl: this.get('ASSIGNMENT_AVAILABILITY_TTL', 60000)
+    };
+  }
+
+  /**
+   * Get traffic source configuration: UTM hidden fields go to the UTM_*
+   * fields when enabled, and utm_source values map to SOURCE_ID entries
+   * ("google:ADVERTISING,facebook:Facebook", status ID or name). Form
+   * mappings add sources with a "utm" block.
+   */
+  getUtmConfig() {
+    return {
+      enabled: this.get('UTM_CAPTURE_ENABLED', true),
+      defaultSourceId: this.get('DEFAULT_SOURCE_ID', 'WEBFORM'),
+      sources: this.get('UTM_SOURCE_MAP', '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .reduce((sources, entry) => {
+          const separator = entry.indexOf(':');
+          if (separator > 0) {
+            sources[entry.substring(0, separator).trim().toLowerCase()] = entry.substring(separator + 1).trim();
+          }
+          return sources;
+        }, {})
+    };
+  }
+
+  /**
+   * Get contact deduplication configuration
+   */
+  getDeduplicationConfig() {
+    return {
+      policy: this.get('DEDUP_POLICY', 'attach_contact'),
+      matchBy: this.get('DEDUP_MATCH_BY', 'EMAIL,PHONE')
+        .split(',')
+        .map(type => type.trim().toUpperCase())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Get token encryption configuration (master keys are base64 or hex, 32 bytes)
+   */
+  getTokenEncryptionConfig() {
+    return {
+      key: this.get('TOKEN_ENCRYPTION_KEY', null),
+      keyFile: this.get('TOKEN_ENCRYPTION_KEY_FILE', null),
+      previousKeys: this.get('TOKEN_ENCRYPTION_PREVIOUS_KEYS', '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Get background token refresh configuration (times in milliseconds)
+   */
+  getTokenRefreshConfig() {
+    return {
+      enabled: this.get('TOKEN_REFRESH_ENABLED', true),
+      interval: this.get('TOKEN_REFRESH_INTERVAL', 60000),
+      margin: this.get('TOKEN_REFRESH_MARGIN', 600000),
+      refreshTokenLifetimeDays: this.get('REFRESH_TOKEN_LIFETIME_DAYS', 30)
+    };
+  }
+
+  /**
+   * Get admin API authentication configuration: whether /api and
+   * /oauth/token require an API key and the header that carries it
+   * (Authorization: Bearer is accepted too)
+   */
+  getApiAuthConfig() {
+    return {
+      enabled: this.get('API_AUTH_ENABLED', true),
+      header: this.get('API_KEY_HEADER', 'X-API-Key')
+    };
+  }
+
+  /**
+   * Get the POST /api/bitrix24 proxy policy: method patterns that may and
+   * may not be called (deny wins), read-only mode and the parameter names
+   * masked in logs. Patterns use * as a wildcard (crm.*.delete).
+   */
+  getBitrix24ProxyConfig() {
+    const list = (value) => String(value)
+      .split(',')
+      .map(item => item.trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      allow: list(this.get('BITRIX24_PROXY_ALLOW', '*')),
+      deny: list(this.get('BITRIX24_PROXY_DENY', '*.delete,user.add,user.update,event.*,placement.*')),
+      readOnly: this.get('BITRIX24_PROXY_READ_ONLY', false),
+      redact: list(this.get('BITRIX24_PROXY_REDACT', '*phone*,*email*,*password*,*token*,*secret*,auth'))
+    };
+  }
+
+  /**
+   * Get OAuth state configuration: how long an authorization may take
+   * (milliseconds) and the hosts an absolute return URL may point to
+   * (relative paths are always allowed)
+   */
+  getOAuthStateConfig() {
+    return {
+      ttl: this.get('OAUTH_STATE_TTL', 600000),
+      returnHosts: this.get('OAUTH_RETURN_URL_HOSTS', '')
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean)
+    };
+  }
+
   /**
    * Get logging configuration
    */
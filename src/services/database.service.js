@@ -1,6 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const logger = require('../utils/logger');
+const { getTokenCipher, SECRET_FIELDS } = require('../utils/tokenCipher');
+const legacyTokenFile = require('../utils/legacyTokenFile');
 
 /**
  * Database service for token management using SQLite
@@ -10,7 +12,7 @@ class DatabaseService {
     this.dbPath = path.join(__dirname, '../../data/tokens.db');
     this.dataDir = path.dirname(this.dbPath);
     this.ensureDataDirectory();
-    this.initDatabase();
+    this.initialization = null;
   }
 
   ensureDataDirectory() {
@@ -20,9 +22,17 @@ class DatabaseService {
   }
 
   /**
-   * Initialize SQLite database and create tables
+   * Initialize SQLite database and create tables. Opens one connection and
+   * runs the migrations once, however often it is called.
    */
   initDatabase() {
+    if (!this.initialization) {
+      this.initialization = this.openDatabase();
+    }
+    return this.initialization;
+  }
+
+  openDatabase() {
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
@@ -38,6 +48,10 @@ class DatabaseService {
 
         // Create tokens table if it doesn't exist
         this.createTables()
+          // One-time migration: encrypt tokens saved before encryption was enabled
+          .then(() => this.reencryptTokens({ rewrap: false }))
+          // One-time migration: the token of the legacy data/tokens.json store
+          .then(() => this.importLegacyTokenFile())
           .then(() => {
             logger.info('✅ Database tables initialized successfully');
             resolve();
@@ -67,6 +81,8 @@ class DatabaseService {
           status TEXT,
           application_token TEXT,
           method TEXT NOT NULL DEFAULT 'oauth2',
+          reauth_required INTEGER NOT NULL DEFAULT 0,
+          reauth_reason TEXT,
           created_at TEXT NOT NULL,
           updated_at TEXT NOT NULL
         )
@@ -86,12 +102,367 @@ class DatabaseService {
             logger.warn('⚠️ Failed to create index', { error: err.message });
             // Don't fail if index creation fails
           }
+
+          this.migrateTokensTable()
+            .then(() => this.createSubmissionJobsTable())
+            .then(() => this.createSubmissionLedgerTable())
+            .then(() => this.createPortalBindingsTable())
+            .then(() => this.createWebhookRejectionsTable())
+            .then(() => this.createBackfillRunsTable())
+            .then(() => this.createPollStateTable())
+            .then(() => this.createAssignmentStateTable())
+            .then(() => this.createOAuthStatesTable())
+            .then(() => this.createApiKeysTable())
+            .then(resolve)
+            .catch(reject);
+        });
+      });
+    });
+  }
+
+  /**
+   * Add columns introduced after the tokens table was first created
+   */
+  migrateTokensTable() {
+    return this.addMissingColumns('tokens', {
+      reauth_required: 'INTEGER NOT NULL DEFAULT 0',
+      reauth_reason: 'TEXT'
+    });
+  }
+
+  /**
+   * Add the columns of a table that an older database does not have yet
+   */
+  addMissingColumns(table, columns) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const existing = rows.map(row => row.name);
+        const missing = Object.keys(columns).filter(column => !existing.includes(column));
+
+        const addNext = () => {
+          const column = missing.shift();
+          if (!column) {
+            resolve();
+            return;
+          }
+
+          this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${columns[column]}`, (err) => {
+            if (err) {
+              logger.error(`❌ Failed to migrate ${table} table`, { error: err.message, column });
+              reject(err);
+              return;
+            }
+
+            logger.info(`🛠️ ${table} table migrated`, { column });
+            addNext();
+          });
+        };
+
+        addNext();
+      });
+    });
+  }
+
+  /**
+   * Create the submission_jobs table used as a durable queue between
+   * the Jotform webhook and Bitrix24 lead creation
+   */
+  createSubmissionJobsTable() {
+    return new Promise((resolve, reject) => {
+      const createJobsTable = `
+        CREATE TABLE IF NOT EXISTS submission_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          submission_id TEXT NOT NULL,
+          form_id TEXT,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 5,
+          next_attempt_at TEXT NOT NULL,
+          last_error TEXT,
+          result TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createJobsTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create submission_jobs table', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        const createIndex = `CREATE INDEX IF NOT EXISTS idx_submission_jobs_status_next ON submission_jobs(status, next_attempt_at)`;
+        this.db.run(createIndex, (err) => {
+          if (err) {
+            logger.warn('⚠️ Failed to create submission_jobs index', { error: err.message });
+          }
           resolve();
         });
       });
     });
   }
 
+  /**
+   * Create the submission_ledger table mapping Jotform submission IDs
+   * to the Bitrix24 entity created for them
+   */
+  createSubmissionLedgerTable() {
+    return new Promise((resolve, reject) => {
+      const createLedgerTable = `
+        CREATE TABLE IF NOT EXISTS submission_ledger (
+          submission_id TEXT PRIMARY KEY,
+          form_id TEXT,
+          entity_type TEXT NOT NULL DEFAULT 'lead',
+          entity_id TEXT NOT NULL,
+          sync_count INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createLedgerTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create submission_ledger table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the portal_bindings table that ties a Jotform form to the
+   * Bitrix24 portal (tenant) its submissions belong to
+   */
+  createPortalBindingsTable() {
+    return new Promise((resolve, reject) => {
+      const createBindingsTable = `
+        CREATE TABLE IF NOT EXISTS portal_bindings (
+          form_id TEXT PRIMARY KEY,
+          domain TEXT NOT NULL,
+          paused_at TEXT,
+          paused_reason TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createBindingsTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create portal_bindings table', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        // Bindings are paused when their portal uninstalls the app
+        this.addMissingColumns('portal_bindings', {
+          paused_at: 'TEXT',
+          paused_reason: 'TEXT'
+        }).then(resolve, reject);
+      });
+    });
+  }
+
+  /**
+   * Create the webhook_rejections table, the audit trail of Jotform
+   * webhook requests that failed verification
+   */
+  createWebhookRejectionsTable() {
+    return new Promise((resolve, reject) => {
+      const createRejectionsTable = `
+        CREATE TABLE IF NOT EXISTS webhook_rejections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          reason TEXT NOT NULL,
+          check_name TEXT NOT NULL,
+          ip TEXT,
+          form_id TEXT,
+          submission_id TEXT,
+          path TEXT,
+          user_agent TEXT,
+          created_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createRejectionsTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create webhook_rejections table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the backfill_runs table holding the progress (resume point and
+   * counters) of historical submission imports
+   */
+  createBackfillRunsTable() {
+    return new Promise((resolve, reject) => {
+      const createRunsTable = `
+        CREATE TABLE IF NOT EXISTS backfill_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          form_id TEXT NOT NULL,
+          portal TEXT,
+          date_from TEXT,
+          date_to TEXT NOT NULL,
+          dry_run INTEGER NOT NULL DEFAULT 0,
+          page_size INTEGER NOT NULL DEFAULT 100,
+          status TEXT NOT NULL DEFAULT 'running',
+          next_offset INTEGER NOT NULL DEFAULT 0,
+          total INTEGER NOT NULL DEFAULT 0,
+          queued INTEGER NOT NULL DEFAULT 0,
+          skipped INTEGER NOT NULL DEFAULT 0,
+          empty INTEGER NOT NULL DEFAULT 0,
+          failed INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createRunsTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create backfill_runs table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the poll_state table with the per-form high-water mark of the
+   * Jotform poller (newest submission already handed to the queue)
+   */
+  createPollStateTable() {
+    return new Promise((resolve, reject) => {
+      const createPollTable = `
+        CREATE TABLE IF NOT EXISTS poll_state (
+          form_id TEXT PRIMARY KEY,
+          last_created_at TEXT,
+          last_submission_id TEXT,
+          last_polled_at TEXT,
+          last_error TEXT,
+          queued INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createPollTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create poll_state table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the assignment_state table with the round-robin position of each
+   * assignment pool (last user a submission was assigned to)
+   */
+  createAssignmentStateTable() {
+    return new Promise((resolve, reject) => {
+      const createAssignmentTable = `
+        CREATE TABLE IF NOT EXISTS assignment_state (
+          pool TEXT PRIMARY KEY,
+          last_user_id INTEGER,
+          assigned INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createAssignmentTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create assignment_state table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the oauth_states table with the pending OAuth authorizations:
+   * the SHA-256 of each state value, the portal and return URL it was issued
+   * for, and when it expires or was used
+   */
+  createOAuthStatesTable() {
+    return new Promise((resolve, reject) => {
+      const createStatesTable = `
+        CREATE TABLE IF NOT EXISTS oauth_states (
+          state_hash TEXT PRIMARY KEY,
+          domain TEXT NOT NULL,
+          return_url TEXT,
+          expires_at TEXT NOT NULL,
+          used_at TEXT,
+          created_at TEXT NOT NULL
+        )
+      `;
+
+      this.db.run(createStatesTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create oauth_states table', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create the api_keys table with the admin API keys: the SHA-256 of each
+   * key (never the key itself), a short prefix to recognise it, its scopes
+   * and the Bitrix24 methods it may call through the proxy (empty: any)
+   */
+  createApiKeysTable() {
+    return new Promise((resolve, reject) => {
+      const createKeysTable = `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          methods TEXT,
+          created_at TEXT NOT NULL,
+          last_used_at TEXT,
+          revoked_at TEXT
+        )
+      `;
+
+      this.db.run(createKeysTable, (err) => {
+        if (err) {
+          logger.error('❌ Failed to create api_keys table', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        // Bitrix24 method patterns a key may call through POST /api/bitrix24
+        this.addMissingColumns('api_keys', {
+          methods: 'TEXT'
+        }).then(resolve, reject);
+      });
+    });
+  }
+
   /**
    * Save token to database
    */
@@ -105,9 +476,10 @@ class DatabaseService {
         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
+      const cipher = getTokenCipher();
       const params = [
-        tokenData.access_token,
-        tokenData.refresh_token || null,
+        cipher.encrypt(tokenData.access_token),
+        cipher.encrypt(tokenData.refresh_token) || null,
         tokenData.expires_in || null,
         tokenData.expires_at ? tokenData.expires_at.toISOString() : null,
         tokenData.domain,
@@ -116,7 +488,7 @@ class DatabaseService {
         tokenData.server_endpoint || null,
         tokenData.member_id || null,
         tokenData.status || null,
-        tokenData.application_token || null,
+        cipher.encrypt(tokenData.application_token) || null,
         tokenData.method || 'oauth2',
         tokenData.created_at.toISOString(),
         tokenData.updated_at.toISOString()
@@ -169,13 +541,15 @@ class DatabaseService {
           return;
         }
 
-        // Convert string dates back to Date objects
-        const token = {
-          ...row,
-          expires_at: row.expires_at ? new Date(row.expires_at) : null,
-          created_at: new Date(row.created_at),
-          updated_at: new Date(row.updated_at)
-        };
+        // Convert string dates back to Date objects and decrypt secrets
+        let token;
+        try {
+          token = this.mapTokenRow(row);
+        } catch (error) {
+          logger.error('❌ Failed to decrypt token', { error: error.message, tokenId: row.id });
+          reject(error);
+          return;
+        }
 
         // Check if token is expired (only for tokens with expiration dates)
         const now = new Date();
@@ -230,15 +604,94 @@ class DatabaseService {
           return;
         }
 
-        // Convert string dates back to Date objects
-        const token = {
-          ...row,
-          expires_at: row.expires_at ? new Date(row.expires_at) : null,
-          created_at: new Date(row.created_at),
-          updated_at: new Date(row.updated_at)
-        };
+        // Convert string dates back to Date objects and decrypt secrets
+        this.resolveTokenRows(row, resolve, reject);
+      });
+    });
+  }
 
-        resolve(token);
+  /**
+   * Convert a tokens row into a token object (secrets decrypted)
+   */
+  mapTokenRow(row) {
+    const cipher = getTokenCipher();
+    return {
+      ...cipher.mapSecrets(row, value => cipher.decrypt(value)),
+      expires_at: row.expires_at ? new Date(row.expires_at) : null,
+      reauth_required: !!row.reauth_required,
+      created_at: new Date(row.created_at),
+      updated_at: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * Map token row(s) and settle a query promise; a token that cannot be
+   * decrypted (wrong or missing key) rejects instead of throwing in the callback
+   */
+  resolveTokenRows(rows, resolve, reject) {
+    try {
+      if (rows === null) {
+        resolve(null);
+      } else {
+        resolve(Array.isArray(rows) ? rows.map(row => this.mapTokenRow(row)) : this.mapTokenRow(rows));
+      }
+    } catch (error) {
+      logger.error('❌ Failed to decrypt token', { error: error.message });
+      reject(error);
+    }
+  }
+
+  /**
+   * Get the newest token of a portal, identified by domain or member_id
+   */
+  async getTokenByPortal(portal) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM tokens
+        WHERE domain = ? OR member_id = ?
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      this.db.get(sql, [portal, portal], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get token by portal', {
+            error: err.message,
+            portal
+          });
+          reject(err);
+          return;
+        }
+
+        this.resolveTokenRows(row || null, resolve, reject);
+      });
+    });
+  }
+
+  /**
+   * Get the newest token of every installed portal
+   */
+  async getPortals() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT t.* FROM tokens t
+        WHERE t.id = (
+          SELECT id FROM tokens
+          WHERE domain = t.domain
+          ORDER BY created_at DESC
+          LIMIT 1
+        )
+        ORDER BY t.domain
+      `;
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get portals from database', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        this.resolveTokenRows(rows, resolve, reject);
       });
     });
   }
@@ -257,6 +710,8 @@ class DatabaseService {
           fields.push(`${key} = ?`);
           if (key === 'expires_at' && updates[key] instanceof Date) {
             params.push(updates[key].toISOString());
+          } else if (SECRET_FIELDS.includes(key)) {
+            params.push(getTokenCipher().encrypt(updates[key]));
           } else if (key === 'updated_at') {
             params.push(new Date().toISOString());
           } else {
@@ -293,6 +748,17 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Flag a token whose refresh token no longer works; the portal has to be
+   * authorized again (a new install/OAuth token replaces the flagged row)
+   */
+  async markTokenReauthRequired(id, reason) {
+    return await this.updateToken(id, {
+      reauth_required: 1,
+      reauth_reason: reason
+    });
+  }
+
   /**
    * Delete token from database
    */
@@ -321,38 +787,145 @@ class DatabaseService {
   }
 
   /**
-   * Get all tokens (for admin purposes)
+   * Delete every token of a portal (domain or member_id)
    */
-  async getAllTokens() {
+  async deletePortalTokens(domain, memberId = null) {
     return new Promise((resolve, reject) => {
-      const sql = 'SELECT * FROM tokens ORDER BY created_at DESC';
+      const sql = 'DELETE FROM tokens WHERE domain = ? OR member_id = ?';
 
-      this.db.all(sql, (err, rows) => {
+      this.db.run(sql, [domain, memberId || domain], function(err) {
         if (err) {
-          logger.error('❌ Failed to get all tokens from database', {
-            error: err.message
+          logger.error('❌ Failed to delete portal tokens', {
+            error: err.message,
+            domain
           });
           reject(err);
           return;
         }
 
-        // Convert string dates back to Date objects
-        const tokens = rows.map(row => ({
-          ...row,
-          expires_at: row.expires_at ? new Date(row.expires_at) : null,
-          created_at: new Date(row.created_at),
-          updated_at: new Date(row.updated_at)
-        }));
+        logger.info('🗑️ Portal tokens deleted from database', {
+          domain,
+          changes: this.changes
+        });
 
-        resolve(tokens);
+        resolve(this.changes);
       });
     });
   }
 
   /**
-   * Clear all tokens (for reset purposes)
+   * Get all tokens (for admin purposes)
    */
-  async clearAllTokens() {
+  async getAllTokens() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM tokens ORDER BY created_at DESC';
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get all tokens from database', {
+            error: err.message
+          });
+          reject(err);
+          return;
+        }
+
+        // Convert string dates back to Date objects and decrypt secrets
+        this.resolveTokenRows(rows, resolve, reject);
+      });
+    });
+  }
+
+  /**
+   * Encrypt plaintext token secrets and re-wrap those sealed with a previous
+   * master key. With options.rewrap === false only plaintext is encrypted
+   * (the startup migration). Returns { total, updated }.
+   */
+  async reencryptTokens(options = {}) {
+    const cipher = getTokenCipher();
+    if (!cipher.enabled) {
+      return { total: 0, updated: 0 };
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT id, ${SECRET_FIELDS.join(', ')} FROM tokens`, (err, result) => {
+        if (err) {
+          logger.error('❌ Failed to read tokens for encryption', { error: err.message });
+          reject(err);
+          return;
+        }
+        resolve(result);
+      });
+    });
+
+    let updated = 0;
+    for (const row of rows) {
+      const next = cipher.mapSecrets(row, value =>
+        options.rewrap === false && cipher.isEncrypted(value) ? value : cipher.reencrypt(value)
+      );
+      const changed = SECRET_FIELDS.filter(field => next[field] !== row[field]);
+
+      if (changed.length > 0) {
+        const updates = {};
+        changed.forEach(field => {
+          updates[field] = next[field];
+        });
+        await this.updateToken(row.id, updates);
+        updated++;
+      }
+    }
+
+    if (updated > 0) {
+      logger.info('🔐 Token secrets encrypted with current key', {
+        total: rows.length,
+        updated,
+        keyId: cipher.currentKeyId
+      });
+    }
+
+    return { total: rows.length, updated };
+  }
+
+  /**
+   * Import data/tokens.json (the legacy file store) into the tokens table,
+   * unless the portal already has a token here, then archive the file.
+   */
+  async importLegacyTokenFile() {
+    if (!legacyTokenFile.exists()) {
+      return null;
+    }
+
+    let token;
+    try {
+      token = legacyTokenFile.load();
+    } catch (error) {
+      // Left in place so it can be fixed and imported on the next start
+      logger.error('❌ Failed to read legacy token file', { error: error.message });
+      return null;
+    }
+
+    if (token && token.domain) {
+      const existing = await this.getTokenByPortal(token.domain) ||
+        (token.member_id ? await this.getTokenByPortal(token.member_id) : null);
+
+      if (existing) {
+        logger.info('📦 Legacy token file not imported, portal already has a token', { domain: token.domain });
+      } else {
+        await this.saveToken(token);
+        logger.info('📦 Legacy token file imported into database', {
+          domain: token.domain,
+          method: token.method
+        });
+      }
+    }
+
+    legacyTokenFile.archive();
+    return token ? token.domain : null;
+  }
+
+  /**
+   * Clear all tokens (for reset purposes)
+   */
+  async clearAllTokens() {
     return new Promise((resolve, reject) => {
       const sql = 'DELETE FROM tokens';
 
@@ -371,6 +944,1105 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Convert a submission_jobs row into a job object
+   */
+  mapJobRow(row) {
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : null,
+      result: row.result ? JSON.parse(row.result) : null,
+      next_attempt_at: new Date(row.next_attempt_at),
+      created_at: new Date(row.created_at),
+      updated_at: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * Add a submission to the processing queue
+   */
+  async enqueueSubmissionJob(job) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        INSERT INTO submission_jobs (
+          submission_id, form_id, payload, status, attempts, max_attempts,
+          next_attempt_at, created_at, updated_at
+        ) VALUES (?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        job.submission_id,
+        job.form_id || null,
+        JSON.stringify(job.payload),
+        job.max_attempts || 5,
+        now,
+        now,
+        now
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to enqueue submission job', {
+            error: err.message,
+            submissionId: job.submission_id
+          });
+          reject(err);
+          return;
+        }
+
+        logger.info('📥 Submission job enqueued', {
+          jobId: this.lastID,
+          submissionId: job.submission_id
+        });
+
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  /**
+   * Claim the next due pending job by moving it to the processing state
+   */
+  async claimNextSubmissionJob() {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const selectSql = `
+        SELECT * FROM submission_jobs
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT 1
+      `;
+
+      this.db.get(selectSql, [now], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to read next submission job', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        if (!row) {
+          resolve(null);
+          return;
+        }
+
+        const claimSql = `
+          UPDATE submission_jobs
+          SET status = 'processing', attempts = attempts + 1, updated_at = ?
+          WHERE id = ? AND status = 'pending'
+        `;
+
+        this.db.run(claimSql, [now, row.id], (err) => {
+          if (err) {
+            logger.error('❌ Failed to claim submission job', {
+              error: err.message,
+              jobId: row.id
+            });
+            reject(err);
+            return;
+          }
+
+          resolve(this.mapJobRow({
+            ...row,
+            status: 'processing',
+            attempts: row.attempts + 1,
+            updated_at: now
+          }));
+        });
+      });
+    });
+  }
+
+  /**
+   * Update a submission job (status, error, result, schedule)
+   */
+  async updateSubmissionJob(id, updates) {
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const params = [];
+
+      Object.keys(updates).forEach(key => {
+        if (key === 'id' || key === 'updated_at') {
+          return;
+        }
+        fields.push(`${key} = ?`);
+        if (updates[key] instanceof Date) {
+          params.push(updates[key].toISOString());
+        } else if (key === 'payload' || key === 'result') {
+          params.push(updates[key] ? JSON.stringify(updates[key]) : null);
+        } else {
+          params.push(updates[key]);
+        }
+      });
+
+      fields.push('updated_at = ?');
+      params.push(new Date().toISOString());
+      params.push(id);
+
+      const sql = `UPDATE submission_jobs SET ${fields.join(', ')} WHERE id = ?`;
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to update submission job', {
+            error: err.message,
+            jobId: id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Get submission job by ID
+   */
+  async getSubmissionJob(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM submission_jobs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get submission job', {
+            error: err.message,
+            jobId: id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row ? this.mapJobRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * List submission jobs, optionally filtered by status
+   */
+  async getSubmissionJobs(options = {}) {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM submission_jobs';
+      const params = [];
+
+      if (options.status) {
+        sql += ' WHERE status = ?';
+        params.push(options.status);
+      }
+
+      sql += ' ORDER BY id DESC LIMIT ?';
+      params.push(options.limit || 50);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to list submission jobs', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows.map(row => this.mapJobRow(row)));
+      });
+    });
+  }
+
+  /**
+   * Count submission jobs per status
+   */
+  async getSubmissionJobStats() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT status, COUNT(*) AS count FROM submission_jobs GROUP BY status';
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get submission job stats', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        const stats = { pending: 0, processing: 0, paused: 0, completed: 0, dead: 0 };
+        rows.forEach(row => {
+          stats[row.status] = row.count;
+        });
+
+        resolve(stats);
+      });
+    });
+  }
+
+  /**
+   * Return paused jobs (see SubmissionQueueService) to the queue once their
+   * form is no longer paused
+   */
+  async resumePausedSubmissionJobs() {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        UPDATE submission_jobs
+        SET status = 'pending', next_attempt_at = ?, updated_at = ?
+        WHERE status = 'paused' AND form_id NOT IN (
+          SELECT form_id FROM portal_bindings WHERE paused_at IS NOT NULL
+        )
+      `;
+
+      this.db.run(sql, [now, now], function(err) {
+        if (err) {
+          logger.error('❌ Failed to resume paused submission jobs', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        if (this.changes > 0) {
+          logger.info('▶️ Paused submission jobs returned to queue', {
+            count: this.changes
+          });
+        }
+
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Return a dead job, or a pending one waiting after a failed attempt, to the
+   * queue with fresh attempts. The status is checked in the same statement, so
+   * a job the worker has just claimed is left alone. Resolves true when the
+   * job was requeued.
+   */
+  async requeueFailedSubmissionJob(id) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        UPDATE submission_jobs
+        SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+        WHERE id = ? AND (status = 'dead' OR (status = 'pending' AND last_error IS NOT NULL))
+      `;
+
+      this.db.run(sql, [now, now, id], function(err) {
+        if (err) {
+          logger.error('❌ Failed to requeue submission job', {
+            error: err.message,
+            jobId: id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Return jobs left in processing (e.g. after a crash) to the pending state
+   */
+  async resetProcessingSubmissionJobs() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE submission_jobs
+        SET status = 'pending', updated_at = ?
+        WHERE status = 'processing'
+      `;
+
+      this.db.run(sql, [new Date().toISOString()], function(err) {
+        if (err) {
+          logger.error('❌ Failed to reset processing submission jobs', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        if (this.changes > 0) {
+          logger.warn('♻️ Interrupted submission jobs returned to queue', {
+            count: this.changes
+          });
+        }
+
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Get the active (pending, processing or paused) job for a submission, if any
+   */
+  async getActiveSubmissionJob(submissionId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM submission_jobs
+        WHERE submission_id = ? AND status IN ('pending', 'processing', 'paused')
+        ORDER BY id DESC
+        LIMIT 1
+      `;
+
+      this.db.get(sql, [submissionId], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get active submission job', {
+            error: err.message,
+            submissionId
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row ? this.mapJobRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Get the ledger entry for a Jotform submission
+   */
+  async getSubmissionRecord(submissionId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM submission_ledger WHERE submission_id = ?';
+
+      this.db.get(sql, [submissionId], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get submission ledger entry', {
+            error: err.message,
+            submissionId
+          });
+          reject(err);
+          return;
+        }
+
+        if (!row) {
+          resolve(null);
+          return;
+        }
+
+        resolve({
+          ...row,
+          created_at: new Date(row.created_at),
+          updated_at: new Date(row.updated_at)
+        });
+      });
+    });
+  }
+
+  /**
+   * Record (or replace on re-sync) the Bitrix24 entity created for a submission
+   */
+  async saveSubmissionRecord(record) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        INSERT INTO submission_ledger (
+          submission_id, form_id, entity_type, entity_id, sync_count, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, 1, ?, ?)
+        ON CONFLICT(submission_id) DO UPDATE SET
+          form_id = COALESCE(excluded.form_id, submission_ledger.form_id),
+          entity_type = excluded.entity_type,
+          entity_id = excluded.entity_id,
+          sync_count = submission_ledger.sync_count + 1,
+          updated_at = excluded.updated_at
+      `;
+
+      const params = [
+        record.submission_id,
+        record.form_id || null,
+        record.entity_type || 'lead',
+        String(record.entity_id),
+        now,
+        now
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to save submission ledger entry', {
+            error: err.message,
+            submissionId: record.submission_id
+          });
+          reject(err);
+          return;
+        }
+
+        logger.info('📒 Submission ledger updated', {
+          submissionId: record.submission_id,
+          entityType: record.entity_type || 'lead',
+          entityId: record.entity_id
+        });
+
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Get the portal a form is bound to
+   */
+  async getPortalBinding(formId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM portal_bindings WHERE form_id = ?';
+
+      this.db.get(sql, [String(formId)], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get portal binding', {
+            error: err.message,
+            formId
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * List all form → portal bindings
+   */
+  async getPortalBindings() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM portal_bindings ORDER BY form_id';
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get portal bindings', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Bind a form to a portal (replaces an existing binding)
+   */
+  async savePortalBinding(formId, domain) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        INSERT INTO portal_bindings (form_id, domain, created_at, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(form_id) DO UPDATE SET
+          domain = excluded.domain,
+          paused_at = NULL,
+          paused_reason = NULL,
+          updated_at = excluded.updated_at
+      `;
+
+      this.db.run(sql, [String(formId), domain, now, now], (err) => {
+        if (err) {
+          logger.error('❌ Failed to save portal binding', {
+            error: err.message,
+            formId,
+            domain
+          });
+          reject(err);
+          return;
+        }
+
+        logger.info('🔗 Form bound to portal', { formId, domain });
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Remove the portal binding of a form
+   */
+  async deletePortalBinding(formId) {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM portal_bindings WHERE form_id = ?';
+
+      this.db.run(sql, [String(formId)], function(err) {
+        if (err) {
+          logger.error('❌ Failed to delete portal binding', {
+            error: err.message,
+            formId
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Pause every form bound to a portal (e.g. the app was uninstalled)
+   */
+  async pausePortalBindings(domain, reason) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        UPDATE portal_bindings
+        SET paused_at = ?, paused_reason = ?, updated_at = ?
+        WHERE domain = ?
+      `;
+
+      this.db.run(sql, [now, reason, now, domain], function(err) {
+        if (err) {
+          logger.error('❌ Failed to pause portal bindings', {
+            error: err.message,
+            domain
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Resume the paused forms of a portal
+   */
+  async resumePortalBindings(domain) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE portal_bindings
+        SET paused_at = NULL, paused_reason = NULL, updated_at = ?
+        WHERE domain = ? AND paused_at IS NOT NULL
+      `;
+
+      this.db.run(sql, [new Date().toISOString(), domain], function(err) {
+        if (err) {
+          logger.error('❌ Failed to resume portal bindings', {
+            error: err.message,
+            domain
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Record a rejected webhook request in the audit trail
+   */
+  async saveWebhookRejection(rejection) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_rejections (
+          reason, check_name, ip, form_id, submission_id, path, user_agent, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        rejection.reason,
+        rejection.check_name,
+        rejection.ip || null,
+        rejection.form_id || null,
+        rejection.submission_id || null,
+        rejection.path || null,
+        rejection.user_agent || null,
+        new Date().toISOString()
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to save webhook rejection', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  /**
+   * List recent webhook rejections (newest first)
+   */
+  async getWebhookRejections(options = {}) {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM webhook_rejections';
+      const params = [];
+
+      if (options.ip) {
+        sql += ' WHERE ip = ?';
+        params.push(options.ip);
+      }
+
+      sql += ' ORDER BY id DESC LIMIT ?';
+      params.push(options.limit || 50);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get webhook rejections', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Convert a backfill_runs row into a run object
+   */
+  mapBackfillRunRow(row) {
+    return {
+      ...row,
+      dry_run: !!row.dry_run,
+      created_at: new Date(row.created_at),
+      updated_at: new Date(row.updated_at)
+    };
+  }
+
+  /**
+   * Create a backfill run
+   */
+  async createBackfillRun(run) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        INSERT INTO backfill_runs (
+          form_id, portal, date_from, date_to, dry_run, page_size, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?)
+      `;
+
+      const params = [
+        String(run.form_id),
+        run.portal || null,
+        run.date_from || null,
+        run.date_to,
+        run.dry_run ? 1 : 0,
+        run.page_size || 100,
+        now,
+        now
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to create backfill run', {
+            error: err.message,
+            formId: run.form_id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  /**
+   * Update progress or status of a backfill run
+   */
+  async updateBackfillRun(id, updates) {
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const params = [];
+
+      Object.keys(updates).forEach(key => {
+        if (key === 'id' || key === 'updated_at') {
+          return;
+        }
+        fields.push(`${key} = ?`);
+        params.push(updates[key]);
+      });
+
+      fields.push('updated_at = ?');
+      params.push(new Date().toISOString());
+      params.push(id);
+
+      const sql = `UPDATE backfill_runs SET ${fields.join(', ')} WHERE id = ?`;
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to update backfill run', {
+            error: err.message,
+            runId: id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Get a backfill run by ID
+   */
+  async getBackfillRun(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM backfill_runs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get backfill run', {
+            error: err.message,
+            runId: id
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row ? this.mapBackfillRunRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * List recent backfill runs (newest first)
+   */
+  async getBackfillRuns(options = {}) {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM backfill_runs';
+      const params = [];
+
+      if (options.formId) {
+        sql += ' WHERE form_id = ?';
+        params.push(String(options.formId));
+      }
+
+      sql += ' ORDER BY id DESC LIMIT ?';
+      params.push(options.limit || 20);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to list backfill runs', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows.map(row => this.mapBackfillRunRow(row)));
+      });
+    });
+  }
+
+  /**
+   * Get the poller state of a form
+   */
+  async getPollState(formId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM poll_state WHERE form_id = ?', [String(formId)], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get poll state', {
+            error: err.message,
+            formId
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Get the poller state of every polled form
+   */
+  async getPollStates() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM poll_state ORDER BY form_id', (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get poll states', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Create or update the poller state of a form
+   */
+  async savePollState(formId, updates) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const columns = Object.keys(updates).filter(key => !['form_id', 'created_at', 'updated_at'].includes(key));
+
+      const sql = `
+        INSERT INTO poll_state (form_id, ${columns.join(', ')}${columns.length ? ', ' : ''}created_at, updated_at)
+        VALUES (?, ${columns.map(() => '?, ').join('')}?, ?)
+        ON CONFLICT(form_id) DO UPDATE SET
+          ${columns.map(column => `${column} = excluded.${column}, `).join('')}updated_at = excluded.updated_at
+      `;
+
+      const params = [String(formId), ...columns.map(column => updates[column]), now, now];
+
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          logger.error('❌ Failed to save poll state', {
+            error: err.message,
+            formId
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Get the round-robin state of an assignment pool
+   */
+  async getAssignmentState(pool) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM assignment_state WHERE pool = ?', [pool], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get assignment state', {
+            error: err.message,
+            pool
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Get the round-robin state of every assignment pool
+   */
+  async getAssignmentStates() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM assignment_state ORDER BY pool', (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get assignment states', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Record the user a pool's latest submission was assigned to
+   */
+  async saveAssignmentState(pool, userId) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const sql = `
+        INSERT INTO assignment_state (pool, last_user_id, assigned, created_at, updated_at)
+        VALUES (?, ?, 1, ?, ?)
+        ON CONFLICT(pool) DO UPDATE SET
+          last_user_id = excluded.last_user_id,
+          assigned = assigned + 1,
+          updated_at = excluded.updated_at
+      `;
+
+      this.db.run(sql, [pool, userId, now, now], (err) => {
+        if (err) {
+          logger.error('❌ Failed to save assignment state', {
+            error: err.message,
+            pool
+          });
+          reject(err);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Save an issued OAuth state
+   */
+  async saveOAuthState(entry) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO oauth_states (state_hash, domain, return_url, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        entry.state_hash,
+        entry.domain,
+        entry.return_url || null,
+        entry.expires_at,
+        new Date().toISOString()
+      ];
+
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          logger.error('❌ Failed to save OAuth state', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Get an OAuth state by its hash
+   */
+  async getOAuthState(stateHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM oauth_states WHERE state_hash = ?', [stateHash], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get OAuth state', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Mark an OAuth state as used. Returns false when it already was, so
+   * concurrent callbacks with the same state cannot both succeed.
+   */
+  async markOAuthStateUsed(stateHash) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE oauth_states SET used_at = ?
+        WHERE state_hash = ? AND used_at IS NULL
+      `;
+
+      this.db.run(sql, [new Date().toISOString(), stateHash], function(err) {
+        if (err) {
+          logger.error('❌ Failed to mark OAuth state used', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Delete OAuth states that expired before a given time
+   */
+  async deleteExpiredOAuthStates(before) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM oauth_states WHERE expires_at < ?', [before], function(err) {
+        if (err) {
+          logger.error('❌ Failed to delete expired OAuth states', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Save a new API key (hash only). Returns its ID.
+   */
+  async saveApiKey(entry) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, methods, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        entry.name,
+        entry.key_prefix,
+        entry.key_hash,
+        entry.scopes,
+        entry.methods || null,
+        new Date().toISOString()
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('❌ Failed to save API key', { error: err.message, name: entry.name });
+          reject(err);
+          return;
+        }
+
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  /**
+   * Get an active (not revoked) API key by its hash
+   */
+  async getApiKeyByHash(keyHash) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL';
+
+      this.db.get(sql, [keyHash], (err, row) => {
+        if (err) {
+          logger.error('❌ Failed to get API key', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Get all API keys, revoked ones included
+   */
+  async getApiKeys() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, name, key_prefix, scopes, methods, created_at, last_used_at, revoked_at
+        FROM api_keys ORDER BY id
+      `;
+
+      this.db.all(sql, (err, rows) => {
+        if (err) {
+          logger.error('❌ Failed to get API keys', { error: err.message });
+          reject(err);
+          return;
+        }
+
+        resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Record that an API key was used
+   */
+  async touchApiKey(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id], (err) => {
+        if (err) {
+          logger.error('❌ Failed to update API key', { error: err.message, id });
+          reject(err);
+          return;
+        }
+
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Revoke an API key. Returns whether an active key was revoked.
+   */
+  async revokeApiKey(id) {
+    return new Promise((resolve, reject) => {
+      const sql = 'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+
+      this.db.run(sql, [new Date().toISOString(), id], function(err) {
+        if (err) {
+          logger.error('❌ Failed to revoke API key', { error: err.message, id });
+          reject(err);
+          return;
+        }
+
+        resolve(this.changes > 0);
+      });
+    });
+  }
+
   /**
    * Close database connection
    */
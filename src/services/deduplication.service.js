@@ -0,0 +1,270 @@
+const logger = require('../utils/logger');
+const { escapeBBCode } = require('../utils/bbcode');
+
+/**
+ * What to do when a submission belongs to someone already in the CRM:
+ * - create_new:     always create a new lead (no lookup)
+ * - attach_contact: create the lead linked to the matching contact
+ * - update_lead:    update the matching lead instead of creating one
+ * - comment_only:   only add a timeline comment to the matching lead/contact
+ * Without a match every policy creates a new lead.
+ *
+ * Forms routed to deals (FieldMappingService.getEntityRoute) always create a
+ * deal; the policy decides whether a matching contact is reused for it
+ * (every policy but create_new) and comment_only only comments on it. A
+ * contact whose deal failed is kept on the queue job and reused by the retry.
+ * Forms routed to a smart process always create a new item.
+ */
+const POLICIES = ['create_new', 'attach_contact', 'update_lead', 'comment_only'];
+
+// Lead fields left untouched when a returning customer updates an existing lead
+// (the UTM fields keep the first touch)
+const PRESERVED_LEAD_FIELDS = [
+  'TITLE', 'STATUS_ID', 'SOURCE_ID', 'ASSIGNED_BY_ID', 'OPENED', 'COMMENTS', 'EMAIL', 'PHONE',
+  'UTM_SOURCE', 'UTM_MEDIUM', 'UTM_CAMPAIGN', 'UTM_CONTENT', 'UTM_TERM'
+];
+
+/**
+ * Contact deduplication before lead creation.
+ * The global policy comes from DEDUP_POLICY; a form mapping can override it
+ * with "dedupPolicy".
+ */
+class DeduplicationService {
+  constructor(configService, bitrix24Service, fieldMappingService, timelineService = null) {
+    this.configService = configService;
+    this.bitrix24Service = bitrix24Service;
+    this.fieldMappingService = fieldMappingService;
+    this.timelineService = timelineService;
+
+    const dedupConfig = this.configService.getDeduplicationConfig();
+
+    this.policy = this.validatePolicy(dedupConfig.policy, 'DEDUP_POLICY');
+    this.matchBy = dedupConfig.matchBy;
+  }
+
+  /**
+   * Make sure a policy name is one we know
+   */
+  validatePolicy(policy, source) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`${source} must be one of ${POLICIES.join(', ')} (got "${policy}")`);
+    }
+    return policy;
+  }
+
+  /**
+   * Effective policy for a form
+   */
+  getPolicy(formId) {
+    const mapping = this.fieldMappingService ? this.fieldMappingService.getMapping(formId) : null;
+    if (mapping && mapping.dedupPolicy) {
+      return this.validatePolicy(mapping.dedupPolicy, `dedupPolicy of mapping ${mapping.formId}`);
+    }
+    return this.policy;
+  }
+
+  /**
+   * Sync a submission to Bitrix24 according to the deduplication policy.
+   * Result: { success, action, entityType, entityId, leadId, contactId }
+   */
+  async sync(contactData) {
+    const policy = this.getPolicy(contactData.formId);
+
+    // utm_source -> SOURCE_ID dictionary entry
+    contactData = { ...contactData, sourceId: await this.bitrix24Service.resolveSourceId(contactData) };
+
+    const route = this.fieldMappingService.getEntityRoute(contactData.formId);
+    if (route.target === 'deal') {
+      return this.syncDeal(contactData, policy, route);
+    }
+    if (route.target === 'item') {
+      return this.syncItem(contactData, policy, route);
+    }
+
+    if (policy === 'create_new' || (!contactData.email && !contactData.phone)) {
+      return this.createLead(contactData, policy);
+    }
+
+    if (policy === 'attach_contact') {
+      const [contactId] = await this.bitrix24Service.findDuplicates('CONTACT', contactData, this.matchBy);
+      return this.createLead(contactData, policy, contactId || null);
+    }
+
+    if (policy === 'update_lead') {
+      const [leadId] = await this.bitrix24Service.findDuplicates('LEAD', contactData, this.matchBy);
+      return leadId ? this.updateLead(contactData, leadId) : this.createLead(contactData, policy);
+    }
+
+    // comment_only: prefer the existing lead, then the contact
+    const [leadId] = await this.bitrix24Service.findDuplicates('LEAD', contactData, this.matchBy);
+    if (leadId) {
+      return this.commentOnly(contactData, 'lead', leadId);
+    }
+
+    const [contactId] = await this.bitrix24Service.findDuplicates('CONTACT', contactData, this.matchBy);
+    if (contactId) {
+      return this.commentOnly(contactData, 'contact', contactId);
+    }
+
+    return this.createLead(contactData, policy);
+  }
+
+  /**
+   * Create the contact + company + deal chain, reusing a matching contact
+   */
+  async syncDeal(contactData, policy, route) {
+    // A contact created by an earlier attempt whose deal failed is reused, not created again
+    const dealContactId = contactData.dealContactId || null;
+
+    let contactId = dealContactId;
+    if (!contactId && policy !== 'create_new' && (contactData.email || contactData.phone)) {
+      [contactId] = await this.bitrix24Service.findDuplicates('CONTACT', contactData, this.matchBy);
+    }
+
+    if (contactId && !dealContactId && policy === 'comment_only') {
+      return this.commentOnly(contactData, 'contact', contactId);
+    }
+
+    const result = await this.bitrix24Service.createDealChain(contactData, route, contactId || null);
+
+    if (contactId && !dealContactId) {
+      logger.info('🔗 Returning customer, deal attached to existing contact', {
+        submissionId: contactData.submissionId,
+        contactId,
+        dealId: result.dealId
+      });
+    }
+
+    return {
+      ...result,
+      policy,
+      action: contactId && !dealContactId ? 'attached' : 'created',
+      entityType: 'deal',
+      entityId: result.dealId,
+      dealContactId: dealContactId || (!contactId && result.contactId) || null,
+      leadId: null
+    };
+  }
+
+  /**
+   * Create a smart process item; its timeline entity type is dynamic_<entityTypeId>
+   */
+  async syncItem(contactData, policy, route) {
+    const result = await this.bitrix24Service.createItem(contactData, route);
+
+    return {
+      ...result,
+      policy,
+      action: 'created',
+      entityType: `dynamic_${route.entityTypeId}`,
+      entityId: result.itemId,
+      leadId: null
+    };
+  }
+
+  /**
+   * Create a new lead, optionally linked to an existing contact
+   */
+  async createLead(contactData, policy, contactId = null) {
+    const extraFields = contactId ? { CONTACT_ID: contactId } : {};
+    const result = await this.bitrix24Service.createLead(contactData, extraFields);
+
+    if (contactId) {
+      logger.info('🔗 Returning customer, lead attached to existing contact', {
+        submissionId: contactData.submissionId,
+        contactId,
+        leadId: result.leadId
+      });
+    }
+
+    return {
+      ...result,
+      policy,
+      action: contactId ? 'attached' : 'created',
+      entityType: 'lead',
+      entityId: result.leadId,
+      contactId
+    };
+  }
+
+  /**
+   * Update the matching lead with the newly mapped fields and note the repeat submission
+   */
+  async updateLead(contactData, leadId) {
+    const { fields } = this.bitrix24Service.buildLeadData(contactData);
+    PRESERVED_LEAD_FIELDS.forEach(field => delete fields[field]);
+
+    const result = await this.bitrix24Service.updateLead(leadId, fields, contactData.portal);
+    if (!result.success) {
+      return result;
+    }
+
+    await this.bitrix24Service.addTimelineComment('lead', leadId, this.buildComment(contactData), contactData.portal);
+
+    logger.info('♻️ Returning customer, existing lead updated', {
+      submissionId: contactData.submissionId,
+      leadId
+    });
+
+    return {
+      success: true,
+      policy: 'update_lead',
+      action: 'updated',
+      entityType: 'lead',
+      entityId: leadId,
+      leadId,
+      message: 'Existing lead updated'
+    };
+  }
+
+  /**
+   * Only record the submission on the timeline of the matching lead/contact
+   */
+  async commentOnly(contactData, entityType, entityId) {
+    // Every answer, like the summary a new entity gets (SubmissionTimelineService)
+    const comment = this.timelineService && contactData.answers ?
+      await this.timelineService.buildSummary(contactData, 'Repeat Jotform submission') :
+      this.buildComment(contactData);
+
+    const result = await this.bitrix24Service.addTimelineComment(entityType, entityId, comment, contactData.portal);
+    if (!result.success) {
+      return result;
+    }
+
+    logger.info('💬 Returning customer, submission added as timeline comment', {
+      submissionId: contactData.submissionId,
+      entityType,
+      entityId
+    });
+
+    return {
+      success: true,
+      policy: 'comment_only',
+      action: 'commented',
+      entityType,
+      entityId,
+      leadId: entityType === 'lead' ? entityId : null,
+      message: `Timeline comment added to ${entityType} ${entityId}`
+    };
+  }
+
+  /**
+   * Timeline comment describing a repeat submission (BB code, submitted values escaped)
+   */
+  buildComment(contactData) {
+    const lines = [
+      'Repeat Jotform submission',
+      `Submission ID: ${escapeBBCode(contactData.submissionId)}`,
+      `Submitted at: ${escapeBBCode(contactData.submittedAt)}`
+    ];
+
+    if (contactData.fullName) lines.push(`Name: ${escapeBBCode(contactData.fullName)}`);
+    if (contactData.email) lines.push(`Email: ${escapeBBCode(contactData.email)}`);
+    if (contactData.phone) lines.push(`Phone: ${escapeBBCode(contactData.phone)}`);
+    if (contactData.fields && contactData.fields.COMMENTS) lines.push('', escapeBBCode(contactData.fields.COMMENTS));
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = DeduplicationService;
@@ -0,0 +1,629 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { applyTransforms, validateTransforms } = require('../utils/transforms');
+
+// Bitrix24 multi-value fields expect [{ VALUE, VALUE_TYPE }]
+const MULTI_FIELDS = ['PHONE', 'EMAIL', 'WEB', 'IM'];
+
+// CRM entities a form can route to ("item" is a smart process item), and
+// entity-prefixed rule targets ("contact.POST", "company.TITLE", "item.ufCrm5_1712")
+const ENTITY_TARGETS = ['lead', 'deal', 'item'];
+const ENTITY_TARGET_PATTERN = /^(lead|deal|item|contact|company)\.(.+)$/;
+
+// Jotform file upload answers are lists of links to /uploads/
+const UPLOAD_URL_PATTERN = /^https?:\/\/[^/]+\/uploads\//i;
+
+// Hidden fields recognised as traffic source (names compared without case,
+// "_" or "-": utm_source, utmSource and UTM-Source all match)
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'content', 'term'];
+const REFERRER_NAMES = ['referrer', 'referer', 'httpreferer', 'documentreferrer'];
+
+// Keys of a Jotform name answer in display order
+const NAME_PARTS = ['prefix', 'first', 'middle', 'last', 'suffix'];
+
+/**
+ * Declarative field mapping engine.
+ * Each Jotform form ID has a JSON/YAML definition in the mappings directory
+ * (default.json is used for forms without one). Rules select a question by
+ * qid, unique name or control type and write its answer either to one of the
+ * contact keys in config.fieldMapping.jotformToBitrix24 (fullName, phone,
+ * email) or directly to a Bitrix24 lead field, including UF_CRM_* fields.
+ * Values can be chained through named transforms (see utils/transforms).
+ * A form can route to a deal instead of a lead ("entities"); targets prefixed
+ * with contact., company. or deal. then go to that entity.
+ */
+class FieldMappingService {
+  constructor(configService, jotformService) {
+    this.configService = configService;
+    this.jotformService = jotformService;
+
+    const mappingConfig = this.configService.getFieldMappingConfig();
+
+    this.directory = mappingConfig.directory;
+    this.contactKeys = config.fieldMapping.jotformToBitrix24;
+    this.mappings = new Map();
+    this.questionsCache = new Map();
+
+    this.loadMappings();
+  }
+
+  /**
+   * Load every mapping definition from the mappings directory
+   */
+  loadMappings() {
+    const mappings = new Map();
+
+    if (!fs.existsSync(this.directory)) {
+      logger.warn('⚠️ Field mapping directory not found', { directory: this.directory });
+      this.mappings = mappings;
+      return mappings;
+    }
+
+    fs.readdirSync(this.directory)
+      .filter(file => ['.json', '.yml', '.yaml'].includes(path.extname(file).toLowerCase()))
+      .forEach(file => {
+        const filePath = path.join(this.directory, file);
+        try {
+          const content = fs.readFileSync(filePath, 'utf8');
+          const definition = path.extname(file).toLowerCase() === '.json' ?
+            JSON.parse(content) :
+            yaml.load(content);
+
+          const mapping = this.validateMapping(definition, file);
+          const formId = String(mapping.formId || path.basename(file, path.extname(file)));
+          mappings.set(formId, { ...mapping, formId, file });
+        } catch (error) {
+          logger.error('❌ Invalid field mapping definition', {
+            file,
+            error: error.message
+          });
+        }
+      });
+
+    this.mappings = mappings;
+    this.questionsCache.clear();
+
+    logger.info('🗺️ Field mappings loaded', {
+      directory: this.directory,
+      forms: Array.from(mappings.keys())
+    });
+
+    return mappings;
+  }
+
+  /**
+   * Check the shape of a mapping definition
+   */
+  validateMapping(definition, file) {
+    if (!definition || !Array.isArray(definition.fields)) {
+      throw new Error(`Mapping ${file} must define a "fields" array`);
+    }
+
+    definition.fields.forEach((rule, index) => {
+      if (!(rule.question || rule.questions) || !rule.target) {
+        throw new Error(`Rule #${index} in ${file} needs "question" (or "questions") and "target"`);
+      }
+      if (rule.transforms !== undefined && !Array.isArray(rule.transforms)) {
+        throw new Error(`Rule #${index} in ${file}: "transforms" must be a list`);
+      }
+      try {
+        validateTransforms(rule.transforms);
+      } catch (error) {
+        throw new Error(`Rule #${index} in ${file}: ${error.message}`);
+      }
+    });
+
+    const entities = definition.entities || {};
+    if (entities.target && !ENTITY_TARGETS.includes(entities.target)) {
+      throw new Error(`Mapping ${file}: "entities.target" must be one of ${ENTITY_TARGETS.join(', ')}`);
+    }
+    if (entities.deal) {
+      this.checkDealStage(entities.deal.categoryId, entities.deal.stageId, `Mapping ${file}`);
+    }
+    if (entities.item && entities.item.entityTypeId !== undefined && !(parseInt(entities.item.entityTypeId, 10) > 0)) {
+      throw new Error(`Mapping ${file}: "entities.item.entityTypeId" must be a smart process entityTypeId`);
+    }
+
+    const timeline = definition.timeline || {};
+    const todo = timeline.todo && typeof timeline.todo === 'object' ? timeline.todo : {};
+    if (todo.dueHours !== undefined && !(Number(todo.dueHours) > 0)) {
+      throw new Error(`Mapping ${file}: "timeline.todo.dueHours" must be a positive number`);
+    }
+
+    const assignment = definition.assignment || {};
+    (assignment.rules || []).forEach((rule, index) => {
+      if (!rule.question || !(rule.values || rule.value !== undefined) || !rule.team) {
+        throw new Error(`Mapping ${file}: assignment rule #${index} needs "question", "values" and "team"`);
+      }
+    });
+
+    return {
+      description: definition.description || '',
+      formId: definition.formId,
+      defaults: definition.defaults || {},
+      lookups: definition.lookups || {},
+      dedupPolicy: definition.dedupPolicy || null,
+      polling: definition.polling || null,
+      attachments: definition.attachments || null,
+      timeline: definition.timeline || null,
+      assignment: definition.assignment || null,
+      utm: definition.utm || null,
+      entities: definition.entities || null,
+      fields: definition.fields
+    };
+  }
+
+  /**
+   * Deal stages outside the default pipeline are prefixed with it ("C2:NEW")
+   */
+  checkDealStage(categoryId, stageId, source) {
+    const category = parseInt(categoryId || 0, 10);
+    if (stageId && category > 0 && !String(stageId).startsWith(`C${category}:`)) {
+      throw new Error(`${source}: deal stage ${stageId} is not in pipeline ${category} (expected C${category}:...)`);
+    }
+  }
+
+  /**
+   * Entity route of a form: { target, categoryId, stageId, entityTypeId }.
+   * The form's "entities" block overrides CRM_ENTITY_TARGET / DEAL_CATEGORY_ID /
+   * DEAL_STAGE_ID / SMART_PROCESS_ENTITY_TYPE_ID.
+   */
+  getEntityRoute(formId) {
+    const routing = this.configService.getEntityRoutingConfig();
+    const entities = this.getMapping(formId).entities || {};
+    const target = entities.target || routing.target;
+
+    if (!ENTITY_TARGETS.includes(target)) {
+      throw new Error(`CRM_ENTITY_TARGET must be one of ${ENTITY_TARGETS.join(', ')} (got "${target}")`);
+    }
+
+    if (target === 'item') {
+      const item = entities.item || {};
+      const entityTypeId = parseInt(item.entityTypeId || routing.entityTypeId, 10);
+      if (!(entityTypeId > 0)) {
+        throw new Error('Smart process routing needs "entities.item.entityTypeId" or SMART_PROCESS_ENTITY_TYPE_ID');
+      }
+
+      return {
+        target,
+        entityTypeId,
+        categoryId: item.categoryId !== undefined ? parseInt(item.categoryId, 10) : null,
+        stageId: item.stageId || null
+      };
+    }
+
+    const deal = entities.deal || {};
+    const route = {
+      target,
+      categoryId: deal.categoryId !== undefined ? parseInt(deal.categoryId, 10) : routing.dealCategoryId,
+      stageId: deal.stageId || routing.dealStageId
+    };
+    this.checkDealStage(route.categoryId, route.stageId, 'DEAL_STAGE_ID');
+
+    return route;
+  }
+
+  /**
+   * Get the mapping for a form, falling back to the default mapping
+   */
+  getMapping(formId) {
+    return (formId && this.mappings.get(String(formId))) ||
+      this.mappings.get('default') ||
+      { formId: 'default', defaults: {}, lookups: {}, fields: [] };
+  }
+
+  /**
+   * Summary of loaded mappings (for admin endpoints)
+   */
+  listMappings() {
+    return Array.from(this.mappings.values()).map(mapping => ({
+      formId: mapping.formId,
+      file: mapping.file,
+      description: mapping.description,
+      rules: mapping.fields.length,
+      targets: mapping.fields.map(rule => rule.target)
+    }));
+  }
+
+  /**
+   * Whether any rule of a mapping selects questions by control type
+   */
+  usesControlTypes(mapping) {
+    return mapping.fields.some(rule =>
+      this.getSelectors(rule).some(selector => selector.type)
+    );
+  }
+
+  /**
+   * Fetch (and cache) form questions so rawRequest answers get their control type
+   */
+  async getQuestions(formId) {
+    if (this.questionsCache.has(formId)) {
+      return this.questionsCache.get(formId);
+    }
+
+    const result = await this.jotformService.getFormQuestions(formId);
+    if (!result.success) {
+      logger.warn('⚠️ Could not load form questions, type selectors will be skipped', {
+        formId,
+        error: result.error
+      });
+      // Cache the miss so every webhook doesn't hit the Jotform API again
+      this.questionsCache.set(formId, {});
+      return {};
+    }
+
+    this.questionsCache.set(formId, result.data || {});
+    return result.data || {};
+  }
+
+  /**
+   * Normalize a webhook rawRequest (q3_name: {...}) into answer entries
+   */
+  normalizeRawRequest(formData, questions = {}) {
+    return Object.keys(formData)
+      .map(key => {
+        const match = key.match(/^q(\d+)_(.+)$/);
+        if (!match) {
+          return null;
+        }
+
+        const qid = match[1];
+        const question = questions[qid] || {};
+        return {
+          qid,
+          name: match[2],
+          type: question.type || null,
+          text: question.text || null,
+          value: formData[key]
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalize Jotform API submission answers ({ "3": { name, type, answer } })
+   */
+  normalizeAnswers(answers = {}) {
+    return Object.keys(answers).map(qid => {
+      const answer = answers[qid] || {};
+      return {
+        qid,
+        name: answer.name || null,
+        type: answer.type || null,
+        text: answer.text || null,
+        value: answer.answer !== undefined ? answer.answer : answer.prettyFormat
+      };
+    });
+  }
+
+  /**
+   * A rule's question selector may be a single object or a list of alternatives.
+   * Rules with "questions" combine several answers, each selector counts.
+   */
+  getSelectors(rule) {
+    if (rule.questions) {
+      return rule.questions;
+    }
+    return Array.isArray(rule.question) ? rule.question : [rule.question];
+  }
+
+  /**
+   * Check whether an answer satisfies every key of a selector
+   */
+  matchesSelector(answer, selector) {
+    if (selector.qid !== undefined && String(selector.qid) !== answer.qid) {
+      return false;
+    }
+    if (selector.name && (answer.name || '').toLowerCase() !== selector.name.toLowerCase()) {
+      return false;
+    }
+    if (selector.type && (answer.type || '').toLowerCase() !== selector.type.toLowerCase()) {
+      return false;
+    }
+    return selector.qid !== undefined || !!selector.name || !!selector.type;
+  }
+
+  /**
+   * Find the answer for a rule (first matching alternative wins)
+   */
+  findAnswer(answers, rule) {
+    for (const selector of this.getSelectors(rule)) {
+      const answer = answers.find(entry => this.matchesSelector(entry, selector));
+      if (answer) {
+        return answer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turn a Jotform answer value (string, name/phone/date object, list) into text
+   */
+  formatValue(value, rule = {}) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    if (rule.path && typeof value === 'object') {
+      return this.formatValue(value[rule.path]);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.formatValue(item)).filter(Boolean).join(', ');
+    }
+
+    if (typeof value === 'object') {
+      if (value.first !== undefined || value.last !== undefined) {
+        return NAME_PARTS.map(part => value[part]).filter(Boolean).join(' ').trim();
+      }
+      if (value.full !== undefined || value.phone !== undefined) {
+        return (value.full || `${value.area || ''}${value.phone || ''}`).toString().trim();
+      }
+      if (value.year !== undefined && value.month !== undefined && value.day !== undefined) {
+        return `${value.year}-${value.month}-${value.day}`;
+      }
+      return Object.values(value).map(item => this.formatValue(item)).filter(Boolean).join(' ');
+    }
+
+    return value.toString().trim();
+  }
+
+  /**
+   * Whether an answer is a file upload (by control type, or by its upload links
+   * for webhook answers without question metadata)
+   */
+  isFileAnswer(answer) {
+    if ((answer.type || '').toLowerCase() === 'control_fileupload') {
+      return true;
+    }
+    return this.getFileUrls(answer.value).length > 0;
+  }
+
+  /**
+   * Upload links of a file answer
+   */
+  getFileUrls(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter(item => typeof item === 'string' && UPLOAD_URL_PATTERN.test(item.trim()))
+      .map(item => item.trim());
+  }
+
+  /**
+   * Compute a rule's value: the formatted answer (or the list of
+   * { label, value } for "questions" rules) run through its transforms.
+   * A failing transform drops the field instead of failing the submission.
+   */
+  resolveValue(mapping, answers, rule) {
+    let value;
+
+    if (rule.questions) {
+      value = rule.questions
+        .map(selector => {
+          const answer = answers.find(entry => this.matchesSelector(entry, selector));
+          return answer && {
+            label: selector.label || answer.text || answer.name || `q${answer.qid}`,
+            value: this.formatValue(answer.value, selector)
+          };
+        })
+        .filter(item => item && item.value);
+    } else {
+      const answer = this.findAnswer(answers, rule);
+      if (!answer) {
+        return null;
+      }
+      value = this.formatValue(answer.value, rule);
+    }
+
+    try {
+      value = applyTransforms(value, rule.transforms, { lookups: mapping.lookups || {} });
+    } catch (error) {
+      logger.warn('⚠️ Field transform failed, field skipped', {
+        formId: mapping.formId,
+        target: rule.target,
+        error: error.message
+      });
+      return null;
+    }
+
+    // Combined answers without an explicit concat are joined line by line
+    if (Array.isArray(value)) {
+      value = applyTransforms(value, ['concat']);
+    }
+
+    return value;
+  }
+
+  /**
+   * Apply a mapping to normalized answers and build contact data
+   */
+  applyMapping(mapping, answers, base) {
+    const contactData = {
+      fullName: '',
+      phone: '',
+      email: '',
+      ...base,
+      formId: base.formId || null,
+      fields: {},
+      entityFields: {}
+    };
+
+    // Every answered question, for the submission summary on the timeline
+    contactData.answers = answers
+      .map(answer => ({
+        qid: answer.qid,
+        name: answer.name,
+        type: answer.type,
+        text: answer.text,
+        value: this.formatValue(answer.value)
+      }))
+      .filter(answer => answer.value);
+
+    this.captureTrafficSource(contactData, answers);
+
+    // File uploads: rules with "file": true write them to a file field,
+    // the remaining uploads are attached to the lead's timeline
+    const fileAnswers = new Set();
+    contactData.files = [];
+
+    mapping.fields.filter(rule => rule.file).forEach(rule => {
+      const answer = this.findAnswer(answers, rule);
+      if (answer && this.isFileAnswer(answer)) {
+        fileAnswers.add(answer);
+        contactData.files.push({
+          qid: answer.qid,
+          label: answer.text || answer.name || `q${answer.qid}`,
+          target: rule.target,
+          urls: this.getFileUrls(answer.value)
+        });
+      }
+    });
+
+    answers
+      .filter(answer => !fileAnswers.has(answer) && this.isFileAnswer(answer))
+      .forEach(answer => {
+        contactData.files.push({
+          qid: answer.qid,
+          label: answer.text || answer.name || `q${answer.qid}`,
+          target: null,
+          urls: this.getFileUrls(answer.value)
+        });
+      });
+
+    mapping.fields.filter(rule => !rule.file).forEach(rule => {
+      const value = this.resolveValue(mapping, answers, rule);
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(this.contactKeys, rule.target)) {
+        contactData[rule.target] = value;
+        return;
+      }
+
+      const entityTarget = rule.target.match(ENTITY_TARGET_PATTERN);
+      if (entityTarget) {
+        const [, entity, field] = entityTarget;
+        contactData.entityFields[entity] = contactData.entityFields[entity] || {};
+        this.assignField(contactData.entityFields[entity], field, value, rule);
+        return;
+      }
+
+      this.assignField(contactData.fields, rule.target, value, rule);
+    });
+
+    return contactData;
+  }
+
+  /**
+   * Collect UTM parameters (contactData.utm) and the referrer from hidden fields
+   */
+  captureTrafficSource(contactData, answers) {
+    contactData.utm = {};
+    contactData.referrer = null;
+
+    answers.forEach(answer => {
+      const key = (answer.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      if (!key) {
+        return;
+      }
+
+      const value = this.formatValue(answer.value);
+      if (!value) {
+        return;
+      }
+
+      const param = UTM_PARAMS.find(name => key === `utm${name}`);
+      if (param) {
+        contactData.utm[param] = value;
+      } else if (REFERRER_NAMES.includes(key)) {
+        contactData.referrer = value;
+      }
+    });
+  }
+
+  /**
+   * Write a value to a CRM field (multi-value fields collect { VALUE, VALUE_TYPE } entries)
+   */
+  assignField(fields, target, value, rule) {
+    if (MULTI_FIELDS.includes(target)) {
+      const entries = fields[target] || [];
+      entries.push({ VALUE: value, VALUE_TYPE: rule.valueType || 'WORK' });
+      fields[target] = entries;
+      return;
+    }
+
+    fields[target] = value;
+  }
+
+  /**
+   * Map a webhook rawRequest payload for the given form
+   */
+  async mapRawRequest(formId, formData, submissionId) {
+    const mapping = this.getMapping(formId);
+    const questions = formId && this.usesControlTypes(mapping) ?
+      await this.getQuestions(formId) :
+      {};
+
+    const contactData = this.applyMapping(mapping, this.normalizeRawRequest(formData, questions), {
+      submissionId,
+      formId,
+      submittedAt: formData.submitDate ? new Date(parseInt(formData.submitDate)).toISOString() : new Date().toISOString()
+    });
+
+    logger.info('🗺️ Submission mapped', {
+      submissionId,
+      formId,
+      mapping: mapping.formId,
+      mappedFields: Object.keys(contactData.fields)
+    });
+
+    return contactData;
+  }
+
+  /**
+   * Map a submission returned by the Jotform API
+   */
+  mapSubmission(submission) {
+    const formId = submission.form_id || null;
+    const mapping = this.getMapping(formId);
+
+    return this.applyMapping(mapping, this.normalizeAnswers(submission.answers), {
+      submissionId: submission.id,
+      formId,
+      submittedAt: submission.created_at || submission.updated_at
+    });
+  }
+
+  /**
+   * Whether mapped contact data has anything to create a lead from
+   */
+  hasContactData(contactData) {
+    return !!(contactData.fullName || contactData.email || contactData.phone ||
+      Object.keys(contactData.fields || {}).length > 0 ||
+      Object.keys(contactData.entityFields || {}).length > 0);
+  }
+
+  /**
+   * Fields the mapping contributes to one CRM entity. The routed entity (lead
+   * or deal) gets the form defaults and unprefixed targets; every entity gets
+   * the "fields" of its "entities" block and its prefixed targets.
+   */
+  getEntityFields(contactData, entity) {
+    const mapping = this.getMapping(contactData.formId);
+    const entities = mapping.entities || {};
+    const routed = entity === this.getEntityRoute(contactData.formId).target;
+
+    return {
+      ...(routed ? mapping.defaults : {}),
+      ...((entities[entity] && entities[entity].fields) || {}),
+      ...(routed ? (contactData.fields || {}) : {}),
+      ...((contactData.entityFields && contactData.entityFields[entity]) || {})
+    };
+  }
+}
+
+module.exports = FieldMappingService;
@@ -0,0 +1,262 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Fallback MIME types when the download is served as application/octet-stream
+const EXTENSION_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Jotform file upload answers (see FieldMappingService.applyMapping, contactData.files).
+ * Files are downloaded from their Jotform links with the API key and sent to Bitrix24
+ * as base64: into a file field (UF_CRM_*) for mapping rules with "file": true, the
+ * others on a timeline comment of the created lead. Only hosts in
+ * FILE_UPLOAD_ALLOWED_HOSTS are fetched, and files over FILE_UPLOAD_MAX_SIZE or of
+ * a type outside FILE_UPLOAD_ALLOWED_TYPES are refused.
+ *
+ * A file that cannot be attached is listed with its link and the reason on the
+ * lead's timeline. With FILE_UPLOAD_ON_FAILURE=fail a download error (network,
+ * 5xx, 429) fails the job instead, so it is retried before any lead is created;
+ * refused files never fail the job since retrying cannot change the outcome.
+ */
+class FileAttachmentService {
+  constructor(configService, httpService, bitrix24Service, fieldMappingService) {
+    this.configService = configService;
+    this.httpService = httpService;
+    this.bitrix24Service = bitrix24Service;
+    this.fieldMappingService = fieldMappingService;
+
+    const uploadConfig = this.configService.getFileUploadConfig();
+
+    this.mode = uploadConfig.mode;
+    this.onFailure = uploadConfig.onFailure;
+    this.maxSize = uploadConfig.maxSize;
+    this.allowedTypes = uploadConfig.allowedTypes;
+    this.allowedHosts = uploadConfig.allowedHosts;
+    this.timeout = uploadConfig.timeout;
+  }
+
+  /**
+   * Whether a host is (a subdomain of) an allowed host
+   */
+  isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return this.allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+  }
+
+  /**
+   * Whether a MIME type matches the allowlist (entries may end in /*)
+   */
+  isAllowedType(type) {
+    return this.allowedTypes.some(allowed => {
+      if (allowed === '*' || allowed === '*/*') {
+        return true;
+      }
+      if (allowed.endsWith('/*')) {
+        return type.startsWith(allowed.slice(0, -1));
+      }
+      return type === allowed;
+    });
+  }
+
+  /**
+   * File name from the last segment of an upload link
+   */
+  getFileName(url) {
+    const segment = url.pathname.split('/').pop() || 'file';
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+
+  /**
+   * MIME type from the response, or from the file extension when generic
+   */
+  getFileType(contentType, fileName) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (type && type !== 'application/octet-stream') {
+      return type;
+    }
+    return EXTENSION_TYPES[path.extname(fileName).toLowerCase()] || type || 'application/octet-stream';
+  }
+
+  /**
+   * Error that retrying cannot fix (policy refusals, 4xx)
+   */
+  refuse(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+  }
+
+  /**
+   * Download one upload link and check it against the limits.
+   * Returns { name, type, size, content } with base64 content.
+   */
+  async download(link) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch (error) {
+      throw this.refuse('Invalid file link');
+    }
+
+    if (url.protocol !== 'https:' || !this.isAllowedHost(url.hostname)) {
+      throw this.refuse(`Host ${url.hostname} is not in FILE_UPLOAD_ALLOWED_HOSTS`);
+    }
+
+    const name = this.getFileName(url);
+
+    let response;
+    let refusedRedirect = null;
+    try {
+      response = await this.httpService.get(url.toString(), {
+        params: { apiKey: this.configService.get('JOTFORM_API_KEY') },
+        responseType: 'arraybuffer',
+        maxContentLength: this.maxSize,
+        timeout: this.timeout,
+        // Upload links may redirect to Jotform's file storage; stay on allowed hosts
+        beforeRedirect: (options) => {
+          if (!this.isAllowedHost(options.hostname)) {
+            refusedRedirect = this.refuse(`Redirect to ${options.hostname} is not in FILE_UPLOAD_ALLOWED_HOSTS`);
+            throw refusedRedirect;
+          }
+        }
+      });
+    } catch (error) {
+      if (refusedRedirect) {
+        throw refusedRedirect;
+      }
+      if (error.message && error.message.includes('maxContentLength')) {
+        throw this.refuse(`File is larger than ${this.maxSize} bytes`);
+      }
+
+      const status = error.response && error.response.status;
+      const reason = status ? `Download failed with HTTP ${status}` : `Download failed: ${error.message}`;
+      if (status && status < 500 && status !== 429) {
+        throw this.refuse(reason);
+      }
+      throw new Error(reason);
+    }
+
+    const content = Buffer.from(response.data);
+    if (content.length > this.maxSize) {
+      throw this.refuse(`File is larger than ${this.maxSize} bytes`);
+    }
+
+    const type = this.getFileType(response.headers && response.headers['content-type'], name);
+    if (!this.isAllowedType(type)) {
+      throw this.refuse(`File type ${type} is not in FILE_UPLOAD_ALLOWED_TYPES`);
+    }
+
+    return { name, type, size: content.length, content: content.toString('base64') };
+  }
+
+  /**
+   * Download a submission's files before the lead is created.
+   * Returns { fields, comment, failures }: file field values for the lead,
+   * [name, base64] pairs for the timeline comment and files that were not attached.
+   */
+  async prepare(contactData) {
+    const attachments = { fields: {}, comment: [], failures: [] };
+    const files = contactData.files || [];
+    if (files.length === 0) {
+      return attachments;
+    }
+
+    const mapping = this.fieldMappingService.getMapping(contactData.formId);
+    const mode = mapping.attachments || this.mode;
+
+    for (const file of files) {
+      if (!file.target && mode === 'none') {
+        continue;
+      }
+
+      const downloaded = [];
+      for (const link of file.urls) {
+        try {
+          downloaded.push(await this.download(link));
+        } catch (error) {
+          logger.warn('⚠️ Jotform file upload could not be attached', {
+            submissionId: contactData.submissionId,
+            question: file.label,
+            url: link,
+            error: error.message
+          });
+
+          if (!error.permanent && this.onFailure === 'fail') {
+            throw new Error(`File upload "${file.label}" could not be downloaded (${error.message})`);
+          }
+          attachments.failures.push({ label: file.label, url: link, reason: error.message });
+        }
+      }
+
+      if (downloaded.length === 0) {
+        continue;
+      }
+
+      if (file.target) {
+        const values = downloaded.map(item => ({ fileData: [item.name, item.content] }));
+        attachments.fields[file.target] = values.length === 1 ? values[0] : values;
+      } else {
+        downloaded.forEach(item => attachments.comment.push([item.name, item.content]));
+      }
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Add the timeline comment with the remaining files and any files that
+   * could not be attached. Failing to comment does not fail the submission.
+   */
+  async attach(result, attachments, contactData, portal = null) {
+    if (!result.entityId || (attachments.comment.length === 0 && attachments.failures.length === 0)) {
+      return;
+    }
+
+    const lines = [`📎 Files from Jotform submission ${contactData.submissionId}`];
+    attachments.comment.forEach(([name]) => lines.push(`• ${name}`));
+
+    if (attachments.failures.length > 0) {
+      lines.push('', '⚠️ Files that could not be attached:');
+      attachments.failures.forEach(failure => {
+        lines.push(`• ${failure.label}: ${failure.url} (${failure.reason})`);
+      });
+    }
+
+    const comment = await this.bitrix24Service.addTimelineComment(
+      result.entityType,
+      result.entityId,
+      lines.join('\n'),
+      portal,
+      attachments.comment
+    );
+
+    if (!comment.success) {
+      logger.error('❌ Failed to add file attachments to the timeline', {
+        submissionId: contactData.submissionId,
+        entityType: result.entityType,
+        entityId: result.entityId,
+        error: comment.error
+      });
+    }
+  }
+}
+
+module.exports = FileAttachmentService;
@@ -2,10 +2,11 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 
 /**
- * HTTP service wrapper for making HTTP requests
+ * HTTP service wrapper for making HTTP requests.
+ * Requests go through the per-host circuit breaker when one is given.
  */
 class HttpService {
-  constructor() {
+  constructor(circuitBreaker = null) {
     this.axiosInstance = axios.create({
       timeout: 10000,
       headers: {
@@ -49,6 +50,10 @@ class HttpService {
         return Promise.reject(error);
       }
     );
+
+    if (circuitBreaker) {
+      circuitBreaker.attach(this.axiosInstance);
+    }
   }
 
   /**
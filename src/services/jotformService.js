@@ -3,7 +3,10 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class JotformService {
-  constructor() {
+  /**
+   * @param {CircuitBreakerService} [circuitBreaker] - Per-host circuit breaker for API calls
+   */
+  constructor(circuitBreaker = null) {
     this.apiKey = config.jotform.apiKey;
     this.baseUrl = config.jotform.apiUrl;
     this.formId = config.jotform.formId;
@@ -54,6 +57,10 @@ class JotformService {
         return Promise.reject(error);
       }
     );
+
+    if (circuitBreaker) {
+      circuitBreaker.attach(this.client);
+    }
   }
 
   /**
@@ -91,6 +98,40 @@ class JotformService {
     }
   }
 
+  /**
+   * Get form questions
+   * @param {string} formId - Jotform form ID
+   * @returns {Promise<Object>} Questions keyed by qid
+   */
+  async getFormQuestions(formId = this.formId) {
+    try {
+      const startTime = Date.now();
+      const response = await this.client.get(`/form/${formId}/questions`);
+      const duration = Date.now() - startTime;
+      
+      logger.logApiCall('Jotform', `/form/${formId}/questions`, 'GET', response.status, duration);
+      
+      if (response.data.responseCode === 200) {
+        return {
+          success: true,
+          data: response.data.content
+        };
+      } else {
+        throw new Error(`Jotform API error: ${response.data.message}`);
+      }
+    } catch (error) {
+      logger.error('Failed to get form questions from Jotform', {
+        formId,
+        error: error.message
+      });
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get form submissions
    * @param {string} formId - Jotform form ID
@@ -103,7 +144,8 @@ class JotformService {
       const params = {
         limit: options.limit || 20,
         offset: options.offset || 0,
-        filter: options.filter || {},
+        // Jotform expects the filter as a JSON string, e.g. {"created_at:gt":"2024-01-01 00:00:00"}
+        filter: JSON.stringify(options.filter || {}),
         orderby: options.orderby || 'created_at'
       };
       
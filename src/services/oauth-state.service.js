@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * OAuth "state" values for the /oauth and /oauth2 authorization flows.
+ *
+ * Each authorization gets a random state, stored (as its SHA-256) with the
+ * portal domain and return URL it was issued for. The callback must bring
+ * back a state that exists, has not expired (OAUTH_STATE_TTL), was issued
+ * for the same portal and was not used before; anything else is rejected
+ * before the code is exchanged, so a forged or replayed callback cannot
+ * attach someone else's portal.
+ */
+class OAuthStateService {
+  constructor(configService, databaseService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+
+    const stateConfig = this.configService.getOAuthStateConfig();
+
+    this.ttl = stateConfig.ttl;
+    this.returnHosts = stateConfig.returnHosts;
+  }
+
+  hash(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+  }
+
+  /**
+   * Portal domain without protocol, path or case differences
+   */
+  normalizeDomain(domain) {
+    return String(domain || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/.*$/, '');
+  }
+
+  /**
+   * Check a return URL: a local path, or an absolute URL on one of
+   * OAUTH_RETURN_URL_HOSTS. Throws error.invalidReturnUrl otherwise.
+   */
+  validateReturnUrl(returnUrl) {
+    if (!returnUrl) {
+      return null;
+    }
+
+    const value = String(returnUrl);
+    if (value.startsWith('/') && !value.startsWith('//') && !value.includes('\\')) {
+      return value;
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      url = null;
+    }
+
+    if (url && ['http:', 'https:'].includes(url.protocol) && this.returnHosts.includes(url.hostname.toLowerCase())) {
+      return url.toString();
+    }
+
+    const error = new Error(`Return URL is not allowed: ${value}`);
+    error.invalidReturnUrl = true;
+    throw error;
+  }
+
+  /**
+   * Issue a state for an authorization of a portal
+   */
+  async create(domain, returnUrl = null) {
+    const portal = this.normalizeDomain(domain);
+    if (!portal) {
+      throw new Error('Domain is required for authorization URL');
+    }
+
+    const validReturnUrl = this.validateReturnUrl(returnUrl);
+    const state = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    await this.databaseService.deleteExpiredOAuthStates(new Date(now).toISOString());
+    await this.databaseService.saveOAuthState({
+      state_hash: this.hash(state),
+      domain: portal,
+      return_url: validReturnUrl,
+      expires_at: new Date(now + this.ttl).toISOString()
+    });
+
+    return state;
+  }
+
+  /**
+   * Use up the state of a callback. Returns { domain, returnUrl } it was
+   * issued with, or { rejection: { reason } }.
+   * domain is the portal Bitrix24 reports in the callback, when it does.
+   */
+  async consume(state, domain = null) {
+    const reject = (reason) => {
+      logger.warn('🚫 OAuth callback rejected', { reason, domain });
+      return { rejection: { reason } };
+    };
+
+    if (!state) {
+      return reject('Missing state');
+    }
+
+    const stateHash = this.hash(state);
+    const entry = await this.databaseService.getOAuthState(stateHash);
+
+    if (!entry) {
+      return reject('Unknown state');
+    }
+    if (entry.used_at) {
+      return reject('State already used');
+    }
+    if (new Date(entry.expires_at).getTime() <= Date.now()) {
+      return reject('State expired');
+    }
+    if (domain && this.normalizeDomain(domain) !== entry.domain) {
+      return reject('State was issued for another portal');
+    }
+
+    // Only marked when used_at is empty: of two concurrent callbacks with
+    // the same state only one gets through
+    if (!await this.databaseService.markOAuthStateUsed(stateHash)) {
+      return reject('State already used');
+    }
+
+    return { domain: entry.domain, returnUrl: entry.return_url };
+  }
+}
+
+module.exports = OAuthStateService;
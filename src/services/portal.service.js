@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+
+/**
+ * Bitrix24 portals (tenants) and the Jotform forms bound to them.
+ * A portal is identified by its domain or member_id. A submission goes to
+ * the portal named in the webhook URL, else to the portal its form is bound
+ * to, else to the default portal (see Bitrix24NewService.resolveToken).
+ */
+class PortalService {
+  constructor(configService, databaseService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+
+    this.defaultDomain = this.configService.getBitrix24Config().domain;
+  }
+
+  /**
+   * Find an installed portal by domain or member_id
+   */
+  async findPortal(portal) {
+    if (!portal) {
+      return null;
+    }
+
+    const token = await this.databaseService.getTokenByPortal(portal);
+    return token ? { domain: token.domain, memberId: token.member_id } : null;
+  }
+
+  /**
+   * Domain of the portal a submission belongs to, or null for the default portal
+   */
+  async resolvePortal(portal, formId = null) {
+    if (portal) {
+      const found = await this.findPortal(portal);
+      if (!found) {
+        throw new Error(`Bitrix24 portal "${portal}" is not installed`);
+      }
+      return found.domain;
+    }
+
+    if (formId) {
+      const binding = await this.databaseService.getPortalBinding(formId);
+      if (binding) {
+        return binding.domain;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Installed portals with the forms bound to each
+   */
+  async listPortals() {
+    const portals = await this.databaseService.getPortals();
+    const bindings = await this.databaseService.getPortalBindings();
+
+    return portals.map(token => ({
+      domain: token.domain,
+      memberId: token.member_id,
+      method: token.method,
+      isDefault: token.domain === this.defaultDomain,
+      expiresAt: token.expires_at,
+      needsReauth: token.reauth_required,
+      reauthReason: token.reauth_reason || null,
+      installedAt: token.created_at,
+      forms: bindings.filter(binding => binding.domain === token.domain).map(binding => binding.form_id),
+      pausedForms: bindings.filter(binding => binding.domain === token.domain && binding.paused_at).map(binding => binding.form_id)
+    }));
+  }
+
+  /**
+   * All form → portal bindings
+   */
+  async listBindings() {
+    const bindings = await this.databaseService.getPortalBindings();
+    return bindings.map(binding => ({
+      formId: binding.form_id,
+      domain: binding.domain,
+      pausedAt: binding.paused_at || null,
+      pausedReason: binding.paused_reason || null,
+      updatedAt: binding.updated_at
+    }));
+  }
+
+  /**
+   * Bind a form to an installed portal
+   */
+  async bindForm(formId, portal) {
+    const found = await this.findPortal(portal);
+    if (!found) {
+      throw new Error(`Bitrix24 portal "${portal}" is not installed`);
+    }
+
+    await this.databaseService.savePortalBinding(formId, found.domain);
+    // Binding again resumes a paused form
+    await this.databaseService.resumePausedSubmissionJobs();
+
+    logger.info('🏢 Form bound to Bitrix24 portal', {
+      formId,
+      domain: found.domain
+    });
+
+    return { formId: String(formId), domain: found.domain };
+  }
+
+  /**
+   * Pause the forms bound to a portal: their queued submissions wait
+   * (status "paused") until the portal is installed or the form bound again
+   */
+  async pausePortal(domain, reason) {
+    const paused = await this.databaseService.pausePortalBindings(domain, reason);
+
+    if (paused > 0) {
+      logger.warn('⏸️ Forms of Bitrix24 portal paused', { domain, forms: paused, reason });
+    }
+    return paused;
+  }
+
+  /**
+   * Resume the paused forms of a portal and their queued submissions
+   */
+  async resumePortal(domain) {
+    const resumed = await this.databaseService.resumePortalBindings(domain);
+
+    if (resumed > 0) {
+      await this.databaseService.resumePausedSubmissionJobs();
+      logger.info('▶️ Forms of Bitrix24 portal resumed', { domain, forms: resumed });
+    }
+    return resumed;
+  }
+
+  /**
+   * Remove a form binding (the form falls back to the default portal)
+   */
+  async unbindForm(formId) {
+    return await this.databaseService.deletePortalBinding(formId);
+  }
+}
+
+module.exports = PortalService;
@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+
+/**
+ * Per-portal scheduler for Bitrix24 REST calls.
+ * Bitrix24 limits each portal with a leaky bucket (about 2 requests/second
+ * with a burst of 50) and answers QUERY_LIMIT_EXCEEDED beyond it. Calls are
+ * queued per portal and released by a token bucket of the same shape
+ * (BITRIX24_RATE_LIMIT / BITRIX24_RATE_BURST). On a limit error the portal is
+ * paused with exponential back-off and jitter. A method whose time.operating
+ * (seconds of execution in the last 10 minutes) gets close to the
+ * BITRIX24_OPERATING_LIMIT is held until its operating_reset_at.
+ */
+class RateLimiterService {
+  constructor(configService) {
+    this.configService = configService;
+
+    const rateConfig = this.configService.getRateLimitConfig();
+
+    this.rate = rateConfig.rate;
+    this.burst = rateConfig.burst;
+    this.maxRetries = rateConfig.maxRetries;
+    this.backoffBase = rateConfig.backoffBase;
+    this.backoffMax = rateConfig.backoffMax;
+    this.operatingLimit = rateConfig.operatingLimit;
+    this.operatingMargin = rateConfig.operatingMargin;
+
+    // Bucket and queue by portal domain
+    this.buckets = new Map();
+  }
+
+  getBucket(portal) {
+    const key = portal || 'default';
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        portal: key,
+        tokens: this.burst,
+        updatedAt: Date.now(),
+        queue: [],
+        timer: null,
+        pausedUntil: 0,
+        limitHits: 0,
+        methodPauses: new Map(),
+        sent: 0,
+        limited: 0
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.rate / 1000);
+    bucket.updatedAt = now;
+  }
+
+  isMethodPaused(bucket, method, now) {
+    const resumeAt = bucket.methodPauses.get(method);
+    if (resumeAt && resumeAt <= now) {
+      bucket.methodPauses.delete(method);
+      return false;
+    }
+    return !!resumeAt;
+  }
+
+  /**
+   * Queue a call for a portal; task is run once the portal has a token.
+   * Resolves or rejects with the task's outcome.
+   */
+  schedule(portal, method, task) {
+    const bucket = this.getBucket(portal);
+
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({ method, task, resolve, reject });
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Release queued calls while tokens last, then wait for the next one
+   */
+  drain(bucket) {
+    // Re-plan from scratch: a new call may be runnable before the pending wake-up
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+
+    const now = Date.now();
+    this.refill(bucket);
+
+    while (bucket.queue.length > 0 && now >= bucket.pausedUntil && bucket.tokens >= 1) {
+      const index = bucket.queue.findIndex(entry => !this.isMethodPaused(bucket, entry.method, now));
+      if (index === -1) {
+        break;
+      }
+
+      const [entry] = bucket.queue.splice(index, 1);
+      bucket.tokens -= 1;
+      bucket.sent++;
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject);
+    }
+
+    if (bucket.queue.length === 0) {
+      return;
+    }
+
+    let wait;
+    if (now < bucket.pausedUntil) {
+      wait = bucket.pausedUntil - now;
+    } else if (bucket.queue.every(entry => this.isMethodPaused(bucket, entry.method, now))) {
+      wait = Math.min(...bucket.queue.map(entry => bucket.methodPauses.get(entry.method))) - now;
+    } else {
+      wait = (1 - bucket.tokens) * 1000 / this.rate;
+    }
+
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      this.drain(bucket);
+    }, Math.max(Math.ceil(wait), 1));
+  }
+
+  /**
+   * Record a successful response: ends the back-off streak and holds the
+   * method when its operating time nears the limit
+   */
+  recordResponse(portal, method, time) {
+    const bucket = this.getBucket(portal);
+    bucket.limitHits = 0;
+
+    if (time && time.operating >= this.operatingLimit - this.operatingMargin) {
+      const resumeAt = time.operating_reset_at ? time.operating_reset_at * 1000 : Date.now() + 60000;
+      this.pauseMethod(portal, method, resumeAt, time.operating);
+    }
+  }
+
+  /**
+   * Hold one method of a portal until resumeAt (ms timestamp)
+   */
+  pauseMethod(portal, method, resumeAt = null, operating = null) {
+    const bucket = this.getBucket(portal);
+    const until = resumeAt || Date.now() + 60000;
+    bucket.methodPauses.set(method, until);
+
+    logger.warn('⏳ Bitrix24 method near its operating time limit, holding calls', {
+      portal: bucket.portal,
+      method,
+      operating,
+      resumeAt: new Date(until).toISOString()
+    });
+  }
+
+  /**
+   * Back off after QUERY_LIMIT_EXCEEDED: empty the bucket and pause the
+   * portal for base * 2^(hits - 1) ms (capped), with jitter. Returns the delay.
+   */
+  penalize(portal) {
+    const bucket = this.getBucket(portal);
+    bucket.limitHits++;
+    bucket.limited++;
+    bucket.tokens = 0;
+
+    const delay = Math.min(this.backoffMax, this.backoffBase * 2 ** (bucket.limitHits - 1));
+    const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+    bucket.pausedUntil = Date.now() + jittered;
+
+    logger.warn('🐢 Bitrix24 rate limit exceeded, backing off', {
+      portal: bucket.portal,
+      hits: bucket.limitHits,
+      delay: jittered,
+      queued: bucket.queue.length
+    });
+
+    return jittered;
+  }
+
+  /**
+   * Scheduler state and queue depth for status endpoints
+   */
+  getStatus() {
+    const now = Date.now();
+    const portals = Array.from(this.buckets.values()).map(bucket => {
+      this.refill(bucket);
+
+      const pausedMethods = {};
+      bucket.methodPauses.forEach((resumeAt, method) => {
+        if (resumeAt > now) {
+          pausedMethods[method] = new Date(resumeAt).toISOString();
+        }
+      });
+
+      return {
+        portal: bucket.portal,
+        queued: bucket.queue.length,
+        tokens: Math.floor(bucket.tokens),
+        pausedUntil: bucket.pausedUntil > now ? new Date(bucket.pausedUntil).toISOString() : null,
+        pausedMethods,
+        sent: bucket.sent,
+        limited: bucket.limited
+      };
+    });
+
+    return {
+      rate: this.rate,
+      burst: this.burst,
+      queued: portals.reduce((total, portal) => total + portal.queued, 0),
+      portals
+    };
+  }
+}
+
+module.exports = RateLimiterService;
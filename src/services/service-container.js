@@ -1,7 +1,25 @@
 const ConfigService = require('./config.service');
+const CircuitBreakerService = require('./circuit-breaker.service');
 const HttpService = require('./http.service');
 const DatabaseService = require('./database.service');
+const JotformService = require('./jotformService');
+const FieldMappingService = require('./field-mapping.service');
+const PortalService = require('./portal.service');
+const OAuthStateService = require('./oauth-state.service');
+const ApiKeyService = require('./api-key.service');
+const Bitrix24ProxyPolicyService = require('./bitrix24-proxy-policy.service');
+const RateLimiterService = require('./rate-limiter.service');
 const Bitrix24NewService = require('./bitrix24-new.service');
+const Bitrix24EventService = require('./bitrix24-event.service');
+const DeduplicationService = require('./deduplication.service');
+const FileAttachmentService = require('./file-attachment.service');
+const AssignmentService = require('./assignment.service');
+const SubmissionTimelineService = require('./submission-timeline.service');
+const SubmissionQueueService = require('./submission-queue.service');
+const TokenRefreshService = require('./token-refresh.service');
+const WebhookAuthService = require('./webhook-auth.service');
+const BackfillService = require('./backfill.service');
+const SubmissionPollerService = require('./submission-poller.service');
 
 /**
  * Simple service container for dependency injection
@@ -11,6 +29,7 @@ class ServiceContainer {
   constructor() {
     this.services = new Map();
     this.initialized = false;
+    this.initialization = null;
   }
 
   static getInstance() {
@@ -20,17 +39,32 @@ class ServiceContainer {
     return ServiceContainer.instance;
   }
 
-  async initializeServices() {
-    if (this.initialized) {
-      return;
+  /**
+   * Build the service graph once. Concurrent callers (background workers at
+   * startup, the first requests) share the same initialization, so there is
+   * only ever one set of token refresh locks, rate limiter buckets and
+   * circuit breakers. A failed initialization can be retried.
+   */
+  initializeServices() {
+    if (!this.initialization) {
+      this.initialization = this.createServices().catch(error => {
+        this.initialization = null;
+        throw error;
+      });
     }
+    return this.initialization;
+  }
 
+  async createServices() {
     try {
       // Initialize services in dependency order
       const configService = new ConfigService();
       this.services.set('ConfigService', configService);
 
-      const httpService = new HttpService();
+      const circuitBreaker = new CircuitBreakerService(configService);
+      this.services.set('CircuitBreakerService', circuitBreaker);
+
+      const httpService = new HttpService(circuitBreaker);
       this.services.set('HttpService', httpService);
 
       const databaseService = new DatabaseService();
@@ -38,13 +72,121 @@ class ServiceContainer {
       await databaseService.initDatabase();
       this.services.set('DatabaseService', databaseService);
 
+      const jotformService = new JotformService(circuitBreaker);
+      this.services.set('JotformService', jotformService);
+
+      const fieldMappingService = new FieldMappingService(configService, jotformService);
+      this.services.set('FieldMappingService', fieldMappingService);
+
+      const portalService = new PortalService(configService, databaseService);
+      this.services.set('PortalService', portalService);
+
+      const oauthStateService = new OAuthStateService(configService, databaseService);
+      this.services.set('OAuthStateService', oauthStateService);
+
+      const apiKeyService = new ApiKeyService(configService, databaseService);
+      this.services.set('ApiKeyService', apiKeyService);
+
+      const proxyPolicyService = new Bitrix24ProxyPolicyService(configService);
+      this.services.set('Bitrix24ProxyPolicyService', proxyPolicyService);
+
+      const webhookAuthService = new WebhookAuthService(
+        configService,
+        databaseService,
+        fieldMappingService
+      );
+      this.services.set('WebhookAuthService', webhookAuthService);
+
+      const rateLimiter = new RateLimiterService(configService);
+      this.services.set('RateLimiterService', rateLimiter);
+
       const bitrix24Service = new Bitrix24NewService(
         configService,
         httpService,
-        databaseService
+        databaseService,
+        fieldMappingService,
+        rateLimiter
       );
       this.services.set('Bitrix24NewService', bitrix24Service);
 
+      const tokenRefreshService = new TokenRefreshService(
+        configService,
+        databaseService,
+        bitrix24Service
+      );
+      this.services.set('TokenRefreshService', tokenRefreshService);
+
+      const bitrix24EventService = new Bitrix24EventService(
+        configService,
+        databaseService,
+        httpService,
+        bitrix24Service,
+        portalService
+      );
+      this.services.set('Bitrix24EventService', bitrix24EventService);
+
+      const timelineService = new SubmissionTimelineService(
+        configService,
+        jotformService,
+        bitrix24Service,
+        fieldMappingService
+      );
+      this.services.set('SubmissionTimelineService', timelineService);
+
+      const deduplicationService = new DeduplicationService(
+        configService,
+        bitrix24Service,
+        fieldMappingService,
+        timelineService
+      );
+      this.services.set('DeduplicationService', deduplicationService);
+
+      const fileAttachmentService = new FileAttachmentService(
+        configService,
+        httpService,
+        bitrix24Service,
+        fieldMappingService
+      );
+      this.services.set('FileAttachmentService', fileAttachmentService);
+
+      const assignmentService = new AssignmentService(
+        configService,
+        databaseService,
+        bitrix24Service,
+        fieldMappingService
+      );
+      this.services.set('AssignmentService', assignmentService);
+
+      const submissionQueueService = new SubmissionQueueService(
+        configService,
+        databaseService,
+        deduplicationService,
+        portalService,
+        fileAttachmentService,
+        circuitBreaker,
+        timelineService,
+        assignmentService
+      );
+      this.services.set('SubmissionQueueService', submissionQueueService);
+
+      const backfillService = new BackfillService(
+        configService,
+        databaseService,
+        jotformService,
+        fieldMappingService,
+        submissionQueueService
+      );
+      this.services.set('BackfillService', backfillService);
+
+      const submissionPollerService = new SubmissionPollerService(
+        configService,
+        databaseService,
+        jotformService,
+        fieldMappingService,
+        submissionQueueService
+      );
+      this.services.set('SubmissionPollerService', submissionPollerService);
+
       this.initialized = true;
       console.log('✅ Service container initialized successfully');
     } catch (error) {
@@ -100,6 +242,132 @@ class ServiceContainer {
   async getHttpService() {
     return await this.get('HttpService');
   }
+
+  /**
+   * Get Jotform service instance
+   */
+  async getJotformService() {
+    return await this.get('JotformService');
+  }
+
+  /**
+   * Get field mapping service instance
+   */
+  async getFieldMappingService() {
+    return await this.get('FieldMappingService');
+  }
+
+  /**
+   * Get portal service instance
+   */
+  async getPortalService() {
+    return await this.get('PortalService');
+  }
+
+  /**
+   * Get OAuth state service instance
+   */
+  async getOAuthStateService() {
+    return await this.get('OAuthStateService');
+  }
+
+  /**
+   * Get admin API key service instance
+   */
+  async getApiKeyService() {
+    return await this.get('ApiKeyService');
+  }
+
+  /**
+   * Get POST /api/bitrix24 proxy policy service instance
+   */
+  async getBitrix24ProxyPolicyService() {
+    return await this.get('Bitrix24ProxyPolicyService');
+  }
+
+  /**
+   * Get webhook verification service instance
+   */
+  async getWebhookAuthService() {
+    return await this.get('WebhookAuthService');
+  }
+
+  /**
+   * Get Bitrix24 event service instance
+   */
+  async getBitrix24EventService() {
+    return await this.get('Bitrix24EventService');
+  }
+
+  /**
+   * Get deduplication service instance
+   */
+  async getDeduplicationService() {
+    return await this.get('DeduplicationService');
+  }
+
+  /**
+   * Get token refresh scheduler instance
+   */
+  async getTokenRefreshService() {
+    return await this.get('TokenRefreshService');
+  }
+
+  /**
+   * Get Bitrix24 rate limiter instance
+   */
+  async getRateLimiterService() {
+    return await this.get('RateLimiterService');
+  }
+
+  /**
+   * Get upstream circuit breaker instance
+   */
+  async getCircuitBreakerService() {
+    return await this.get('CircuitBreakerService');
+  }
+
+  /**
+   * Get file attachment service instance
+   */
+  async getFileAttachmentService() {
+    return await this.get('FileAttachmentService');
+  }
+
+  /**
+   * Get submission timeline service instance
+   */
+  async getSubmissionTimelineService() {
+    return await this.get('SubmissionTimelineService');
+  }
+
+  /**
+   * Get responsible-user assignment service instance
+   */
+  async getAssignmentService() {
+    return await this.get('AssignmentService');
+  }
+
+  /**
+   * Get submission queue service instance
+   */
+  async getSubmissionQueueService() {
+    return await this.get('SubmissionQueueService');
+  }
+
+  /**
+   * Get submission backfill service instance
+   */
+  async getBackfillService() {
+    return await this.get('BackfillService');
+  }
+
+  /**
+   * Get Jotform poller instance
+   */
+  async getSubmissionPollerService() {
+    return await this.get('SubmissionPollerService');
+  }
 }
 
 module.exports = { ServiceContainer };
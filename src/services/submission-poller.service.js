@@ -0,0 +1,383 @@
+const logger = require('../utils/logger');
+
+// Shortest wait between two poller ticks
+const MIN_TICK = 1000;
+
+/**
+ * Jotform polling ingestion, for forms whose webhooks cannot reach this server.
+ * Each polled form keeps a high-water mark (created_at and ID of the newest
+ * submission handed to the queue) in poll_state. Every interval the poller
+ * fetches submissions at or after the mark, maps them and puts them on the
+ * submission queue, the same path /webhook/jotform uses. Submissions already
+ * synced or queued (e.g. delivered by a webhook too) are skipped, and the
+ * queue worker checks the ledger again before creating a lead, so polling and
+ * webhooks can run side by side.
+ *
+ * A form's first poll only records the newest existing submission as the
+ * mark; older submissions are imported with the backfill command.
+ */
+class SubmissionPollerService {
+  constructor(configService, databaseService, jotformService, fieldMappingService, submissionQueueService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.jotformService = jotformService;
+    this.fieldMappingService = fieldMappingService;
+    this.submissionQueueService = submissionQueueService;
+
+    const pollingConfig = this.configService.getPollingConfig();
+
+    this.enabled = pollingConfig.enabled;
+    this.interval = pollingConfig.interval;
+    this.pageSize = pollingConfig.pageSize;
+    this.forms = pollingConfig.forms;
+
+    this.timer = null;
+    this.running = false;
+    this.polling = new Set();
+    this.lastPolled = new Map();
+  }
+
+  /**
+   * Polled forms with their settings. A mapping can enable polling with
+   * "polling": true or { "enabled": true, "interval": 300000, "portal": "..." }
+   */
+  getPolledForms() {
+    const forms = new Map();
+
+    this.forms.forEach(formId => {
+      forms.set(String(formId), { formId: String(formId), interval: this.interval, portal: null });
+    });
+
+    this.fieldMappingService.listMappings().forEach(summary => {
+      const mapping = this.fieldMappingService.getMapping(summary.formId);
+      const polling = mapping.polling;
+      if (!polling || summary.formId === 'default') {
+        return;
+      }
+
+      const settings = polling === true ? {} : polling;
+      if (settings.enabled === false) {
+        forms.delete(String(summary.formId));
+        return;
+      }
+
+      forms.set(String(summary.formId), {
+        formId: String(summary.formId),
+        interval: settings.interval || this.interval,
+        portal: settings.portal || null
+      });
+    });
+
+    return Array.from(forms.values());
+  }
+
+  /**
+   * Start the poller
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.enabled) {
+      logger.info('⏸️ Jotform poller disabled (POLLING_ENABLED=false)');
+      return;
+    }
+
+    this.running = true;
+
+    logger.info('▶️ Jotform poller started', {
+      interval: this.interval,
+      forms: this.getPolledForms().map(form => form.formId)
+    });
+
+    this.tick();
+  }
+
+  /**
+   * Poll the due forms, then wait until the next form is due
+   */
+  tick() {
+    this.timer = null;
+
+    this.pollDueForms()
+      .catch(error => logger.error('❌ Jotform poller tick failed', { error: error.message }))
+      .finally(() => this.scheduleNext());
+  }
+
+  /**
+   * Wake up when the next form is due, so a per-form interval shorter than
+   * POLLING_INTERVAL is honoured. Never waits longer than POLLING_INTERVAL,
+   * so forms added by a mapping reload are picked up.
+   */
+  scheduleNext() {
+    if (!this.running) {
+      return;
+    }
+
+    const now = Date.now();
+    const dueIn = this.getPolledForms().map(form => (this.lastPolled.get(form.formId) || 0) + form.interval - now);
+    const delay = Math.max(MIN_TICK, Math.min(this.interval, ...dueIn));
+
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the poller
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+    logger.info('⏹️ Jotform poller stopped');
+  }
+
+  /**
+   * Poll every form whose own interval has elapsed
+   */
+  async pollDueForms() {
+    const now = Date.now();
+
+    for (const form of this.getPolledForms()) {
+      const lastPolled = this.lastPolled.get(form.formId) || 0;
+      if (now - lastPolled < form.interval) {
+        continue;
+      }
+
+      try {
+        await this.pollForm(form.formId);
+      } catch (error) {
+        // Already recorded in poll_state by pollForm
+      }
+    }
+  }
+
+  /**
+   * Order submissions oldest first (created_at, then numeric ID)
+   */
+  compareSubmissions(a, b) {
+    if (a.created_at !== b.created_at) {
+      return a.created_at < b.created_at ? -1 : 1;
+    }
+    return this.compareIds(a.id, b.id);
+  }
+
+  compareIds(a, b) {
+    const left = String(a);
+    const right = String(b);
+    if (left.length !== right.length) {
+      return left.length - right.length;
+    }
+    return left < right ? -1 : (left > right ? 1 : 0);
+  }
+
+  /**
+   * Whether a submission is newer than the high-water mark
+   */
+  isAfterMark(submission, mark) {
+    if (!mark.last_created_at) {
+      return true;
+    }
+    return this.compareSubmissions(submission, {
+      created_at: mark.last_created_at,
+      id: mark.last_submission_id || ''
+    }) > 0;
+  }
+
+  /**
+   * Fetch every submission at or after the mark (newest first from Jotform)
+   */
+  async fetchSince(formId, mark) {
+    const filter = { 'status:ne': 'DELETED' };
+    if (mark && mark.last_created_at) {
+      filter['created_at:gte'] = mark.last_created_at;
+    }
+
+    const submissions = [];
+    let offset = 0;
+
+    while (true) {
+      const page = await this.jotformService.getSubmissions(formId, {
+        limit: this.pageSize,
+        offset,
+        filter,
+        orderby: 'created_at'
+      });
+
+      if (!page.success) {
+        throw new Error(`Failed to fetch submissions: ${page.error}`);
+      }
+
+      submissions.push(...page.data);
+      if (page.data.length < this.pageSize) {
+        return submissions;
+      }
+      offset += this.pageSize;
+    }
+  }
+
+  /**
+   * Poll one form now
+   */
+  async pollForm(formId) {
+    formId = String(formId);
+
+    if (this.polling.has(formId)) {
+      return { formId, skipped: true, message: 'Poll already in progress' };
+    }
+
+    const form = this.getPolledForms().find(item => item.formId === formId) || { formId, portal: null };
+    const mark = { last_created_at: null, last_submission_id: null };
+    const result = { formId, fetched: 0, queued: 0, skipped: 0, empty: 0 };
+    let state = null;
+
+    try {
+      this.polling.add(formId);
+      this.lastPolled.set(formId, Date.now());
+
+      state = await this.databaseService.getPollState(formId);
+      if (state) {
+        mark.last_created_at = state.last_created_at;
+        mark.last_submission_id = state.last_submission_id;
+      }
+
+      // First poll: start from the newest existing submission
+      if (!state) {
+        const latest = await this.jotformService.getSubmissions(formId, {
+          limit: 1,
+          filter: { 'status:ne': 'DELETED' },
+          orderby: 'created_at'
+        });
+        if (!latest.success) {
+          throw new Error(`Failed to fetch submissions: ${latest.error}`);
+        }
+
+        const newest = latest.data[0];
+        await this.databaseService.savePollState(formId, {
+          last_created_at: newest ? newest.created_at : null,
+          last_submission_id: newest ? String(newest.id) : null,
+          last_polled_at: new Date().toISOString(),
+          last_error: null
+        });
+
+        logger.info('📍 Jotform poller initialized', {
+          formId,
+          lastCreatedAt: newest ? newest.created_at : null,
+          lastSubmissionId: newest ? newest.id : null
+        });
+
+        return { ...result, initialized: true };
+      }
+
+      const submissions = (await this.fetchSince(formId, mark))
+        .filter(submission => this.isAfterMark(submission, mark))
+        .sort((a, b) => this.compareSubmissions(a, b));
+      result.fetched = submissions.length;
+
+      for (const submission of submissions) {
+        const outcome = await this.processSubmission(form, submission);
+        result[outcome]++;
+
+        // Advance the mark only past submissions that made it to the queue
+        mark.last_created_at = submission.created_at;
+        mark.last_submission_id = String(submission.id);
+      }
+
+      await this.databaseService.savePollState(formId, {
+        ...mark,
+        last_polled_at: new Date().toISOString(),
+        last_error: null,
+        queued: (state.queued || 0) + result.queued
+      });
+
+      if (result.fetched > 0) {
+        logger.info('📬 Jotform poll finished', result);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('❌ Jotform poll failed', {
+        formId,
+        error: error.message
+      });
+
+      // Without a stored mark (first poll, or poll_state unreadable) nothing
+      // is written: a row with an empty mark would re-import every submission
+      if (state) {
+        try {
+          await this.databaseService.savePollState(formId, {
+            ...mark,
+            last_polled_at: new Date().toISOString(),
+            last_error: error.message,
+            queued: (state.queued || 0) + result.queued
+          });
+        } catch (saveError) {
+          // Logged by DatabaseService; the poll error is what the caller needs
+        }
+      }
+
+      throw error;
+    } finally {
+      this.polling.delete(formId);
+    }
+  }
+
+  /**
+   * Map one submission and queue it. Returns queued | skipped | empty;
+   * throws when it cannot be queued so the mark stays before it.
+   */
+  async processSubmission(form, submission) {
+    const existing = await this.submissionQueueService.findExisting(submission.id);
+    if (existing) {
+      return 'skipped';
+    }
+
+    const contactData = this.fieldMappingService.mapSubmission({
+      ...submission,
+      form_id: submission.form_id || form.formId
+    });
+    contactData.portal = form.portal;
+
+    if (!this.fieldMappingService.hasContactData(contactData)) {
+      logger.warn('⚠️ Jotform poller: submission has no contact data', {
+        formId: form.formId,
+        submissionId: submission.id
+      });
+      return 'empty';
+    }
+
+    await this.submissionQueueService.enqueue(contactData, form.formId);
+    return 'queued';
+  }
+
+  /**
+   * Poller state for status endpoints
+   */
+  async getStatus() {
+    const states = await this.databaseService.getPollStates();
+
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      interval: this.interval,
+      forms: this.getPolledForms().map(form => {
+        const state = states.find(item => item.form_id === form.formId);
+        return {
+          ...form,
+          polling: this.polling.has(form.formId),
+          lastCreatedAt: state ? state.last_created_at : null,
+          lastSubmissionId: state ? state.last_submission_id : null,
+          lastPolledAt: state ? state.last_polled_at : null,
+          lastError: state ? state.last_error : null,
+          queued: state ? state.queued : 0
+        };
+      })
+    };
+  }
+}
+
+module.exports = SubmissionPollerService;
@@ -0,0 +1,395 @@
+const logger = require('../utils/logger');
+
+/**
+ * Durable submission queue backed by the submission_jobs table.
+ * The webhook enqueues parsed submissions and a background worker
+ * drains them into Bitrix24 with retries and exponential backoff.
+ * Jobs that exhaust their attempts are kept in the 'dead' state.
+ * While the circuit of a job's Bitrix24 portal is open (see
+ * CircuitBreakerService) the job waits for it without using an attempt;
+ * jobs of paused forms are held in the 'paused' state.
+ */
+class SubmissionQueueService {
+  constructor(configService, databaseService, deduplicationService, portalService, fileAttachmentService, circuitBreaker, timelineService, assignmentService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.deduplicationService = deduplicationService;
+    this.portalService = portalService;
+    this.fileAttachmentService = fileAttachmentService;
+    this.circuitBreaker = circuitBreaker;
+    this.timelineService = timelineService;
+    this.assignmentService = assignmentService;
+
+    const queueConfig = this.configService.getQueueConfig();
+
+    this.enabled = queueConfig.enabled;
+    this.pollInterval = queueConfig.pollInterval;
+    this.maxAttempts = queueConfig.maxAttempts;
+    this.backoffBase = queueConfig.backoffBase;
+    this.backoffMax = queueConfig.backoffMax;
+
+    this.timer = null;
+    this.running = false;
+    this.processing = false;
+  }
+
+  /**
+   * Persist a parsed submission for background processing.
+   * Pass options.force to re-sync a submission that is already in the ledger.
+   */
+  async enqueue(contactData, formId = null, options = {}) {
+    const jobId = await this.databaseService.enqueueSubmissionJob({
+      submission_id: contactData.submissionId,
+      form_id: formId,
+      payload: { contactData, force: !!options.force },
+      max_attempts: this.maxAttempts
+    });
+
+    // Pick the job up straight away instead of waiting for the next tick
+    if (this.running) {
+      setImmediate(() => this.drain());
+    }
+
+    return jobId;
+  }
+
+  /**
+   * Start the background worker
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.enabled) {
+      logger.info('⏸️ Submission queue worker disabled (QUEUE_WORKER_ENABLED=false)');
+      return;
+    }
+
+    await this.databaseService.resetProcessingSubmissionJobs();
+
+    this.running = true;
+    this.timer = setInterval(() => this.drain(), this.pollInterval);
+    this.timer.unref();
+
+    logger.info('▶️ Submission queue worker started', {
+      pollInterval: this.pollInterval,
+      maxAttempts: this.maxAttempts
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+    logger.info('⏹️ Submission queue worker stopped');
+  }
+
+  /**
+   * Process due jobs until the queue has nothing ready
+   */
+  async drain() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      let job = await this.databaseService.claimNextSubmissionJob();
+      while (job) {
+        await this.processJob(job);
+        job = this.running ? await this.databaseService.claimNextSubmissionJob() : null;
+      }
+    } catch (error) {
+      logger.error('❌ Submission queue drain failed', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Look up what already happened to a submission: either the Bitrix24
+   * entity recorded in the ledger or a job still waiting in the queue
+   */
+  async findExisting(submissionId) {
+    const record = await this.databaseService.getSubmissionRecord(submissionId);
+    if (record) {
+      return { state: 'synced', record };
+    }
+
+    const job = await this.databaseService.getActiveSubmissionJob(submissionId);
+    if (job) {
+      return { state: 'queued', job };
+    }
+
+    return null;
+  }
+
+  /**
+   * Sync a submission to Bitrix24 (see DeduplicationService) unless the
+   * ledger already has it. With options.force it is synced again and the
+   * ledger entry replaced.
+   */
+  async processSubmission(contactData, options = {}) {
+    const submissionId = contactData.submissionId;
+
+    if (!options.force) {
+      const record = await this.databaseService.getSubmissionRecord(submissionId);
+      if (record) {
+        logger.info('♻️ Submission already synced, skipping lead creation', {
+          submissionId,
+          entityType: record.entity_type,
+          entityId: record.entity_id
+        });
+
+        return {
+          success: true,
+          duplicate: true,
+          leadId: record.entity_type === 'lead' ? record.entity_id : null,
+          entityType: record.entity_type,
+          entityId: record.entity_id,
+          syncedAt: record.updated_at
+        };
+      }
+    }
+
+    // Portal from the webhook URL, else the form's bound portal, else the default one
+    const portal = await this.portalService.resolvePortal(contactData.portal, options.formId || contactData.formId);
+
+    // Files are downloaded first: with FILE_UPLOAD_ON_FAILURE=fail a download
+    // error fails the job before any lead exists
+    const attachments = await this.fileAttachmentService.prepare(contactData);
+
+    const assignment = await this.assignmentService.assign({ ...contactData, portal });
+
+    const result = await this.deduplicationService.sync({
+      ...contactData,
+      portal,
+      assignedById: assignment.userId,
+      fields: { ...(contactData.fields || {}), ...attachments.fields }
+    });
+
+    if (result.success && result.entityId) {
+      await this.databaseService.saveSubmissionRecord({
+        submission_id: submissionId,
+        form_id: options.formId,
+        entity_type: result.entityType,
+        entity_id: result.entityId
+      });
+
+      await this.fileAttachmentService.attach(result, attachments, contactData, portal);
+      await this.timelineService.record(result, contactData, portal);
+    }
+
+    return { ...result, duplicate: false };
+  }
+
+  /**
+   * Send a single job to Bitrix24 and record the outcome
+   */
+  async processJob(job) {
+    const { contactData, force } = job.payload;
+
+    logger.info('⚙️ Processing submission job', {
+      jobId: job.id,
+      submissionId: job.submission_id,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts
+    });
+
+    if (await this.holdForPausedForm(job) || await this.deferForCircuit(job)) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.processSubmission(contactData, {
+        formId: job.form_id,
+        force
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await this.databaseService.updateSubmissionJob(job.id, {
+        status: 'completed',
+        last_error: null,
+        result: {
+          leadId: result.leadId,
+          entityType: result.entityType,
+          entityId: result.entityId,
+          action: result.action,
+          duplicate: result.duplicate
+        }
+      });
+
+      logger.info('✅ Submission job completed', {
+        jobId: job.id,
+        submissionId: job.submission_id,
+        leadId: result.leadId,
+        action: result.action,
+        duplicate: result.duplicate
+      });
+      return;
+    }
+
+    const errorMessage = result.details ? `${result.error}: ${result.details}` : result.error;
+
+    // The deal chain created the contact before failing: retries link the deal to it
+    if (result.dealContactId && result.dealContactId !== contactData.dealContactId) {
+      job.payload = { ...job.payload, contactData: { ...contactData, dealContactId: result.dealContactId } };
+      await this.databaseService.updateSubmissionJob(job.id, { payload: job.payload });
+    }
+
+    // The portal went down during this attempt: wait for the circuit like the jobs behind it
+    if (await this.deferForCircuit(job, errorMessage)) {
+      return;
+    }
+
+    if (job.attempts >= job.max_attempts) {
+      await this.databaseService.updateSubmissionJob(job.id, {
+        status: 'dead',
+        last_error: errorMessage
+      });
+
+      logger.error('💀 Submission job moved to dead-letter state', {
+        jobId: job.id,
+        submissionId: job.submission_id,
+        attempts: job.attempts,
+        error: errorMessage
+      });
+      return;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + this.getBackoffDelay(job.attempts));
+
+    await this.databaseService.updateSubmissionJob(job.id, {
+      status: 'pending',
+      last_error: errorMessage,
+      next_attempt_at: nextAttemptAt
+    });
+
+    logger.warn('🔁 Submission job failed, retry scheduled', {
+      jobId: job.id,
+      submissionId: job.submission_id,
+      attempts: job.attempts,
+      nextAttemptAt: nextAttemptAt.toISOString(),
+      error: errorMessage
+    });
+  }
+
+  /**
+   * Park a job whose form is paused (its portal uninstalled the app) without
+   * using an attempt; PortalService.resumePortal returns it to the queue.
+   * Returns whether it was held.
+   */
+  async holdForPausedForm(job) {
+    const binding = job.form_id ? await this.databaseService.getPortalBinding(job.form_id) : null;
+    if (!binding || !binding.paused_at) {
+      return false;
+    }
+
+    await this.databaseService.updateSubmissionJob(job.id, {
+      status: 'paused',
+      attempts: job.attempts - 1,
+      last_error: `Form paused: ${binding.paused_reason || 'portal unavailable'}`
+    });
+
+    logger.warn('⏸️ Submission job held, its form is paused', {
+      jobId: job.id,
+      submissionId: job.submission_id,
+      formId: job.form_id,
+      domain: binding.domain
+    });
+    return true;
+  }
+
+  /**
+   * Put a job back until its portal's circuit lets requests through again,
+   * returning the attempt it was claimed with. Returns whether it was deferred.
+   */
+  async deferForCircuit(job, errorMessage = null) {
+    let host;
+    try {
+      const portal = await this.portalService.resolvePortal(job.payload.contactData.portal, job.form_id);
+      host = portal || this.portalService.defaultDomain;
+    } catch (error) {
+      return false;
+    }
+
+    const retryAt = this.circuitBreaker.getRetryAt(host);
+    if (!retryAt) {
+      return false;
+    }
+
+    await this.databaseService.updateSubmissionJob(job.id, {
+      status: 'pending',
+      attempts: job.attempts - 1,
+      last_error: errorMessage || `Circuit open for ${host}`,
+      next_attempt_at: new Date(retryAt)
+    });
+
+    logger.warn('🔌 Submission job deferred until the Bitrix24 circuit closes', {
+      jobId: job.id,
+      submissionId: job.submission_id,
+      host,
+      retryAt: new Date(retryAt).toISOString()
+    });
+    return true;
+  }
+
+  /**
+   * Exponential backoff delay (ms) for the given attempt number
+   */
+  getBackoffDelay(attempts) {
+    const delay = this.backoffBase * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.backoffMax);
+  }
+
+  /**
+   * Move a dead (or failed) job back to the queue. Returns null for an
+   * unknown job and throws (error.notRetryable) for a job in any other state.
+   */
+  async retryJob(jobId) {
+    const job = await this.databaseService.getSubmissionJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (!await this.databaseService.requeueFailedSubmissionJob(jobId)) {
+      const current = await this.databaseService.getSubmissionJob(jobId);
+      const error = new Error(`Job ${jobId} is ${current.status}${current.status === 'pending' ? ' without a failed attempt' : ''}, only dead or failed jobs can be retried`);
+      error.notRetryable = true;
+      throw error;
+    }
+
+    if (this.running) {
+      setImmediate(() => this.drain());
+    }
+
+    return await this.databaseService.getSubmissionJob(jobId);
+  }
+
+  /**
+   * Queue statistics for status endpoints
+   */
+  async getStats() {
+    const counts = await this.databaseService.getSubmissionJobStats();
+    return {
+      running: this.running,
+      pollInterval: this.pollInterval,
+      maxAttempts: this.maxAttempts,
+      counts
+    };
+  }
+}
+
+module.exports = SubmissionQueueService;
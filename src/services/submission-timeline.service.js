@@ -0,0 +1,221 @@
+const logger = require('../utils/logger');
+const { escapeBBCode } = require('../utils/bbcode');
+
+// crm.activity.todo.add owner types; smart process items use their entityTypeId
+const OWNER_TYPE_IDS = {
+  lead: 1,
+  deal: 2,
+  contact: 3,
+  company: 4
+};
+
+/**
+ * Records each synced submission on the Bitrix24 entity it created or matched:
+ * a timeline comment with every answer (question → answer), the Jotform form
+ * title and a link to the submission, and optionally a follow-up to-do
+ * (crm.activity.todo.add) due ACTIVITY_TODO_DUE_HOURS later. The to-do goes to
+ * ACTIVITY_RESPONSIBLE_ID, else to the entity's responsible user.
+ *
+ * Both are sent in one batch after the entity exists. Failing to add them is
+ * logged and does not fail the submission. A comment_only match already got
+ * this summary as its comment from DeduplicationService, so it only gets the to-do.
+ */
+class SubmissionTimelineService {
+  constructor(configService, jotformService, bitrix24Service, fieldMappingService) {
+    this.configService = configService;
+    this.jotformService = jotformService;
+    this.bitrix24Service = bitrix24Service;
+    this.fieldMappingService = fieldMappingService;
+
+    this.config = this.configService.getTimelineConfig();
+
+    // Form titles by form ID
+    this.formTitles = new Map();
+  }
+
+  /**
+   * Settings for a form: the mapping's "timeline" block over the defaults.
+   * "todo" may be true/false or { dueHours, title, responsibleId }.
+   */
+  getSettings(formId) {
+    const timeline = this.fieldMappingService.getMapping(formId).timeline || {};
+    const todo = timeline.todo !== undefined ? timeline.todo : this.config.todo;
+    const todoSettings = todo && typeof todo === 'object' ? todo : {};
+
+    return {
+      summary: timeline.summary !== undefined ? !!timeline.summary : this.config.summary,
+      todo: todo ? {
+        dueHours: Number(todoSettings.dueHours || this.config.todoDueHours),
+        title: todoSettings.title || this.config.todoTitle,
+        responsibleId: todoSettings.responsibleId || this.config.todoResponsibleId
+      } : null
+    };
+  }
+
+  /**
+   * Form title from Jotform (cached); falls back to the form ID
+   */
+  async getFormTitle(formId) {
+    if (!formId) {
+      return 'Jotform';
+    }
+    if (this.formTitles.has(formId)) {
+      return this.formTitles.get(formId);
+    }
+
+    const form = await this.jotformService.getForm(formId);
+    if (!form.success || !form.data || !form.data.title) {
+      return `Form ${formId}`;
+    }
+
+    this.formTitles.set(formId, form.data.title);
+    return form.data.title;
+  }
+
+  getSubmissionUrl(contactData) {
+    return this.config.submissionUrl
+      .replace('{formId}', encodeURIComponent(contactData.formId || ''))
+      .replace('{submissionId}', encodeURIComponent(contactData.submissionId));
+  }
+
+  /**
+   * Answers in form order, labelled with the question text. Webhook answers
+   * may only carry the field name; the form's questions (cached) fill it in.
+   */
+  async getLabelledAnswers(contactData) {
+    const answers = contactData.answers || [];
+    const questions = contactData.formId ?
+      await this.fieldMappingService.getQuestions(contactData.formId) :
+      {};
+
+    const order = (answer) => {
+      const question = questions[answer.qid] || {};
+      return Number(question.order || answer.qid) || 0;
+    };
+
+    return answers
+      .map(answer => ({
+        label: answer.text || (questions[answer.qid] || {}).text || answer.name || `q${answer.qid}`,
+        value: answer.value,
+        order: order(answer)
+      }))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Timeline comment text (Bitrix24 BB code), under an optional heading
+   */
+  async buildSummary(contactData, heading = null) {
+    const title = await this.getFormTitle(contactData.formId);
+    const answers = await this.getLabelledAnswers(contactData);
+
+    const lines = [
+      ...(heading ? [heading] : []),
+      `[b]📝 ${escapeBBCode(title)}[/b]`,
+      `Submission: [url=${this.getSubmissionUrl(contactData)}]${escapeBBCode(contactData.submissionId)}[/url]`,
+      `Submitted at: ${escapeBBCode(contactData.submittedAt)}`,
+      ''
+    ];
+
+    answers.forEach(answer => {
+      lines.push(`[b]${escapeBBCode(answer.label)}[/b]: ${escapeBBCode(answer.value)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Owner type of a synced entity ("lead", "deal", "dynamic_<id>", ...)
+   */
+  getOwnerTypeId(entityType) {
+    const dynamic = /^dynamic_(\d+)$/.exec(entityType);
+    if (dynamic) {
+      return parseInt(dynamic[1], 10);
+    }
+    return OWNER_TYPE_IDS[entityType] || null;
+  }
+
+  /**
+   * Add the summary comment and the follow-up to-do for a synced submission
+   */
+  async record(result, contactData, portal = null) {
+    if (!result.entityId) {
+      return;
+    }
+
+    const settings = this.getSettings(contactData.formId);
+    const commands = {};
+
+    try {
+      if (settings.summary && contactData.answers && result.action !== 'commented') {
+        commands.comment = {
+          method: 'crm.timeline.comment.add',
+          params: {
+            fields: {
+              ENTITY_ID: result.entityId,
+              ENTITY_TYPE: result.entityType,
+              COMMENT: await this.buildSummary(contactData)
+            }
+          }
+        };
+      }
+
+      const ownerTypeId = this.getOwnerTypeId(result.entityType);
+      if (settings.todo && ownerTypeId) {
+        // Without a configured user the to-do follows the entity's responsible user
+        if (!settings.todo.responsibleId) {
+          commands.entity = {
+            method: 'crm.item.get',
+            params: { entityTypeId: ownerTypeId, id: result.entityId }
+          };
+        }
+
+        commands.todo = {
+          method: 'crm.activity.todo.add',
+          params: {
+            ownerTypeId,
+            ownerId: result.entityId,
+            deadline: new Date(Date.now() + settings.todo.dueHours * 3600000).toISOString(),
+            title: settings.todo.title,
+            description: `Jotform submission ${contactData.submissionId}: ${this.getSubmissionUrl(contactData)}`,
+            responsibleId: settings.todo.responsibleId || '$result[entity][item][assignedById]'
+          }
+        };
+      }
+
+      if (Object.keys(commands).length === 0) {
+        return;
+      }
+
+      const batch = await this.bitrix24Service.callBatch(commands, { halt: false }, portal);
+      const failed = Object.keys(batch.results).filter(key => !batch.results[key].success);
+
+      if (failed.length > 0) {
+        logger.error('❌ Failed to record submission on the timeline', {
+          submissionId: contactData.submissionId,
+          entityType: result.entityType,
+          entityId: result.entityId,
+          errors: failed.map(key => `${key}: ${batch.results[key].details || batch.results[key].error}`)
+        });
+        return;
+      }
+
+      logger.info('🗒️ Submission recorded on the timeline', {
+        submissionId: contactData.submissionId,
+        entityType: result.entityType,
+        entityId: result.entityId,
+        todoId: batch.results.todo ? batch.results.todo.result : null
+      });
+
+    } catch (error) {
+      logger.error('❌ Failed to record submission on the timeline', {
+        submissionId: contactData.submissionId,
+        entityType: result.entityType,
+        entityId: result.entityId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = SubmissionTimelineService;
@@ -0,0 +1,150 @@
+const logger = require('../utils/logger');
+
+/**
+ * Background OAuth2 token refresh.
+ * Every interval the newest token of each portal is refreshed when it expires
+ * within the configured margin, so webhooks rarely find an expired token and
+ * race to refresh it. Refreshes go through Bitrix24NewService.refreshTokenIfNeeded,
+ * which allows a single refresh per portal at a time. Portals whose refresh
+ * token is dead are flagged as needing re-authorization and skipped.
+ */
+class TokenRefreshService {
+  constructor(configService, databaseService, bitrix24Service) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.bitrix24Service = bitrix24Service;
+
+    const refreshConfig = this.configService.getTokenRefreshConfig();
+
+    this.enabled = refreshConfig.enabled;
+    this.interval = refreshConfig.interval;
+    this.margin = refreshConfig.margin;
+
+    this.timer = null;
+    this.running = false;
+    this.checking = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the refresh scheduler
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.enabled) {
+      logger.info('⏸️ Token refresh scheduler disabled (TOKEN_REFRESH_ENABLED=false)');
+      return;
+    }
+
+    this.running = true;
+    this.timer = setInterval(() => this.refreshDueTokens(), this.interval);
+    this.timer.unref();
+
+    logger.info('▶️ Token refresh scheduler started', {
+      interval: this.interval,
+      margin: this.margin
+    });
+
+    this.refreshDueTokens();
+  }
+
+  /**
+   * Stop the refresh scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+    logger.info('⏹️ Token refresh scheduler stopped');
+  }
+
+  /**
+   * Whether a token should be refreshed now
+   */
+  isDue(token, now = Date.now()) {
+    if (token.method !== 'oauth2' || !token.refresh_token || !token.expires_at) {
+      return false;
+    }
+
+    return token.expires_at.getTime() - this.margin <= now;
+  }
+
+  /**
+   * Refresh every portal token that expires within the margin
+   */
+  async refreshDueTokens() {
+    if (this.checking) {
+      return { skipped: true };
+    }
+
+    this.checking = true;
+    const summary = { checked: 0, refreshed: 0, failed: 0, needsReauth: [] };
+
+    try {
+      const portals = await this.databaseService.getPortals();
+
+      for (const token of portals) {
+        summary.checked++;
+
+        if (token.reauth_required) {
+          summary.needsReauth.push(token.domain);
+          continue;
+        }
+
+        if (!this.isDue(token)) {
+          continue;
+        }
+
+        try {
+          const result = await this.bitrix24Service.refreshTokenIfNeeded(true, token.domain);
+          if (result.refreshed) {
+            summary.refreshed++;
+          }
+        } catch (error) {
+          summary.failed++;
+
+          const current = await this.databaseService.getTokenByPortal(token.domain);
+          if (current && current.reauth_required) {
+            summary.needsReauth.push(token.domain);
+          }
+
+          logger.warn('⚠️ Scheduled token refresh failed', {
+            domain: token.domain,
+            error: error.message
+          });
+        }
+      }
+
+      if (summary.refreshed > 0 || summary.failed > 0) {
+        logger.info('🔄 Scheduled token refresh finished', summary);
+      }
+    } catch (error) {
+      logger.error('❌ Scheduled token refresh error', { error: error.message });
+    } finally {
+      this.checking = false;
+      this.lastRun = new Date();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Scheduler state for status endpoints
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      interval: this.interval,
+      margin: this.margin,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = TokenRefreshService;
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const net = require('net');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticity checks for Jotform webhook requests (/webhook/jotform).
+ * Each check is enforced once it is configured (see ConfigService.getWebhookAuthConfig):
+ * - ip:     caller IP must be in WEBHOOK_IP_ALLOWLIST (addresses or CIDR ranges)
+ * - token:  secret token in the URL path or ?token=; a form listed in
+ *           WEBHOOK_FORM_TOKENS only accepts its own token, other forms WEBHOOK_SECRET
+ * - hmac:   hex HMAC-SHA256 of the raw body in the signature header (WEBHOOK_HMAC_SECRET),
+ *           for deployments where a relay signs the Jotform request
+ * - form:   formID must be a configured form (WEBHOOK_REQUIRE_KNOWN_FORM)
+ * With no check configured, requests are refused when NODE_ENV=production
+ * and accepted (with a warning) elsewhere.
+ * Rejected requests are written to the webhook_rejections audit trail.
+ */
+class WebhookAuthService {
+  constructor(configService, databaseService, fieldMappingService) {
+    this.configService = configService;
+    this.databaseService = databaseService;
+    this.fieldMappingService = fieldMappingService;
+
+    const authConfig = this.configService.getWebhookAuthConfig();
+
+    this.secret = authConfig.secret;
+    this.formTokens = authConfig.formTokens;
+    this.hmacSecret = authConfig.hmacSecret;
+    this.signatureHeader = authConfig.signatureHeader;
+    this.requireKnownForm = authConfig.requireKnownForm;
+    this.allowedForms = authConfig.allowedForms;
+    this.ipAllowlist = authConfig.ipAllowlist.length > 0 ?
+      this.buildAllowlist(authConfig.ipAllowlist) :
+      null;
+    this.failClosed = this.configService.getServerConfig().nodeEnv === 'production';
+
+    if (this.getEnabledChecks().length === 0) {
+      if (this.failClosed) {
+        logger.error('❌ Jotform webhook verification is not configured, /webhook/jotform refuses every request (NODE_ENV=production)');
+      } else {
+        logger.warn('⚠️ Jotform webhook verification is not configured, /webhook/jotform accepts any request');
+      }
+    }
+  }
+
+  /**
+   * Build a BlockList from IP addresses and CIDR ranges. Invalid entries are
+   * logged and skipped; if none is valid the list matches no IP at all.
+   */
+  buildAllowlist(entries) {
+    const allowlist = new net.BlockList();
+
+    entries.forEach(entry => {
+      const [address, prefix, ...rest] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      const maxPrefix = type === 'ipv6' ? 128 : 32;
+
+      if (!net.isIP(address) || rest.length > 0 ||
+          (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+        logger.error('❌ Invalid WEBHOOK_IP_ALLOWLIST entry skipped', { entry });
+        return;
+      }
+
+      if (prefix !== undefined) {
+        allowlist.addSubnet(address, Number(prefix), type);
+      } else {
+        allowlist.addAddress(address, type);
+      }
+    });
+
+    return allowlist;
+  }
+
+  /**
+   * Names of the checks currently enforced
+   */
+  getEnabledChecks() {
+    const checks = [];
+    if (this.ipAllowlist) checks.push('ip');
+    if (this.secret || Object.keys(this.formTokens).length > 0) checks.push('token');
+    if (this.hmacSecret) checks.push('hmac');
+    if (this.requireKnownForm) checks.push('form');
+    return checks;
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(actual, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(actual), digest(expected));
+  }
+
+  /**
+   * Client IP without the IPv4-mapped IPv6 prefix
+   */
+  getClientIp(req) {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress) || '';
+    return ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+  }
+
+  /**
+   * Forms the integration is configured for
+   */
+  async getKnownForms() {
+    const forms = new Set(this.allowedForms);
+
+    Object.keys(this.formTokens).forEach(formId => forms.add(formId));
+
+    const defaultFormId = this.configService.get('JOTFORM_FORM_ID', null);
+    if (defaultFormId) {
+      forms.add(String(defaultFormId));
+    }
+
+    this.fieldMappingService.listMappings()
+      .filter(mapping => mapping.formId !== 'default')
+      .forEach(mapping => forms.add(String(mapping.formId)));
+
+    const bindings = await this.databaseService.getPortalBindings();
+    bindings.forEach(binding => forms.add(binding.form_id));
+
+    return forms;
+  }
+
+  checkIp(req) {
+    const ip = this.getClientIp(req);
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(ip) || !this.ipAllowlist.check(ip, type)) {
+      return { check: 'ip', status: 403, reason: `IP ${ip || 'unknown'} is not in WEBHOOK_IP_ALLOWLIST` };
+    }
+    return null;
+  }
+
+  checkToken(req, formId) {
+    const token = req.params.token || req.query.token;
+    const expected = (formId && this.formTokens[formId]) || this.secret;
+
+    if (!expected) {
+      return { check: 'token', status: 401, reason: `No webhook token configured for form ${formId || '(none)'}` };
+    }
+    if (!token) {
+      return { check: 'token', status: 401, reason: 'Missing webhook token' };
+    }
+    if (!this.safeEqual(token, expected)) {
+      return { check: 'token', status: 401, reason: 'Invalid webhook token' };
+    }
+    return null;
+  }
+
+  checkHmac(req) {
+    const header = req.get(this.signatureHeader);
+    if (!header) {
+      return { check: 'hmac', status: 401, reason: `Missing ${this.signatureHeader} header` };
+    }
+    if (!req.rawBody) {
+      return { check: 'hmac', status: 401, reason: 'Raw request body not available for signature check' };
+    }
+
+    const signature = header.replace(/^sha256=/i, '').trim();
+    const expected = crypto
+      .createHmac('sha256', this.hmacSecret)
+      .update(req.rawBody)
+      .digest('hex');
+
+    if (!this.safeEqual(signature.toLowerCase(), expected)) {
+      return { check: 'hmac', status: 401, reason: 'Invalid webhook signature' };
+    }
+    return null;
+  }
+
+  async checkForm(formId) {
+    if (!formId) {
+      return { check: 'form', status: 403, reason: 'Missing formID' };
+    }
+
+    const knownForms = await this.getKnownForms();
+    if (!knownForms.has(formId)) {
+      return { check: 'form', status: 403, reason: `Form ${formId} is not configured` };
+    }
+    return null;
+  }
+
+  /**
+   * Run the enabled checks against a parsed webhook request.
+   * Returns null when the request passes, else { check, status, reason }.
+   */
+  async verify(req) {
+    const formId = req.body && req.body.formID ? String(req.body.formID) : null;
+    const checks = this.getEnabledChecks();
+
+    if (checks.length === 0 && this.failClosed) {
+      return { check: 'config', status: 503, reason: 'No webhook verification configured (NODE_ENV=production)' };
+    }
+
+    if (checks.includes('ip')) {
+      const rejection = this.checkIp(req);
+      if (rejection) return rejection;
+    }
+
+    if (checks.includes('token')) {
+      const rejection = this.checkToken(req, formId);
+      if (rejection) return rejection;
+    }
+
+    if (checks.includes('hmac')) {
+      const rejection = this.checkHmac(req);
+      if (rejection) return rejection;
+    }
+
+    if (checks.includes('form')) {
+      const rejection = await this.checkForm(formId);
+      if (rejection) return rejection;
+    }
+
+    return null;
+  }
+
+  /**
+   * Log a rejected request and add it to the audit trail
+   */
+  async recordRejection(req, rejection) {
+    // Never store the URL token itself
+    let path = req.baseUrl + req.path;
+    if (req.params.token) {
+      path = path.replace(req.params.token, '***');
+    }
+
+    const entry = {
+      reason: rejection.reason,
+      check_name: rejection.check,
+      ip: this.getClientIp(req),
+      form_id: req.body && req.body.formID ? String(req.body.formID) : null,
+      submission_id: req.body && req.body.submissionID ? String(req.body.submissionID) : null,
+      path,
+      user_agent: req.get('User-Agent') || null
+    };
+
+    logger.warn('🚫 Jotform webhook rejected', entry);
+
+    try {
+      await this.databaseService.saveWebhookRejection(entry);
+    } catch (error) {
+      logger.error('❌ Failed to write webhook rejection audit entry', { error: error.message });
+    }
+  }
+
+  /**
+   * Verification settings for status endpoints (no secrets)
+   */
+  getStatus() {
+    return {
+      checks: this.getEnabledChecks(),
+      formTokens: Object.keys(this.formTokens),
+      signatureHeader: this.hmacSecret ? this.signatureHeader : null
+    };
+  }
+}
+
+module.exports = WebhookAuthService;
@@ -0,0 +1,14 @@
+/**
+ * Submitted text for Bitrix24 BB code (timeline comments). BB code has no
+ * escape sequence: full-width brackets look the same and keep a value like
+ * "[url=...]" from opening a tag.
+ */
+function escapeBBCode(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\[/g, '［')
+    .replace(/\]/g, '］');
+}
+
+module.exports = {
+  escapeBBCode
+};
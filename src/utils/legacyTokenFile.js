@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getTokenCipher, SECRET_FIELDS } = require('./tokenCipher');
+
+// Secret keys in tokens.json (camelCase from the old file store, snake_case in older files)
+const FILE_SECRET_FIELDS = ['accessToken', 'refreshToken', 'applicationToken', ...SECRET_FIELDS];
+
+/**
+ * Reader for data/tokens.json, the token file of the legacy Bitrix24
+ * clients. SQLite (data/tokens.db) is the only token store now; the file is
+ * imported once by DatabaseService.importLegacyTokenFile and then renamed to
+ * tokens.json.migrated so it is not imported again.
+ */
+class LegacyTokenFile {
+  constructor() {
+    this.tokenFile = path.join(__dirname, '../../data/tokens.json');
+  }
+
+  exists() {
+    return fs.existsSync(this.tokenFile);
+  }
+
+  /**
+   * Token of the file in the tokens table layout, or null when the file
+   * holds no access token
+   * @returns {Object|null}
+   */
+  load() {
+    const cipher = getTokenCipher();
+    const data = cipher.mapSecrets(
+      JSON.parse(fs.readFileSync(this.tokenFile, 'utf8')),
+      value => cipher.decrypt(value),
+      FILE_SECRET_FIELDS
+    );
+
+    const pick = (snake, camel) => data[snake] !== undefined ? data[snake] : data[camel];
+    const accessToken = pick('access_token', 'accessToken');
+    if (!accessToken) {
+      return null;
+    }
+
+    const refreshToken = pick('refresh_token', 'refreshToken');
+    const expiresAt = pick('expires_at', 'expiresAt');
+    const createdAt = pick('created_at', 'savedAt');
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken || null,
+      expires_in: parseInt(pick('expires_in', 'expiresIn'), 10) || null,
+      expires_at: expiresAt ? new Date(expiresAt) : null,
+      domain: data.domain,
+      scope: data.scope || null,
+      client_endpoint: pick('client_endpoint', 'clientEndpoint') || null,
+      server_endpoint: pick('server_endpoint', 'serverEndpoint') || null,
+      member_id: pick('member_id', 'memberId') || null,
+      status: data.status || null,
+      application_token: pick('application_token', 'applicationToken') || null,
+      method: data.method || (refreshToken ? 'oauth2' : 'simplified_auth'),
+      created_at: createdAt ? new Date(createdAt) : new Date(),
+      updated_at: new Date()
+    };
+  }
+
+  /**
+   * Rename the file once it has been imported
+   */
+  archive() {
+    const archived = `${this.tokenFile}.migrated`;
+    fs.renameSync(this.tokenFile, archived);
+    logger.info('📦 Legacy token file archived', { tokenFile: archived });
+    return archived;
+  }
+}
+
+module.exports = new LegacyTokenFile();
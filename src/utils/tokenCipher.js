@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const ConfigService = require('../services/config.service');
+const logger = require('./logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+// Token fields that are encrypted at rest
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'application_token'];
+
+/**
+ * Envelope encryption for stored Bitrix24 tokens.
+ * Every value gets its own random data key (AES-256-GCM); the data key is
+ * wrapped with the master key from TOKEN_ENCRYPTION_KEY or
+ * TOKEN_ENCRYPTION_KEY_FILE. Rotating the master key only re-wraps data keys.
+ *
+ * Stored format: enc:v1:<keyId>:<wrapIv>:<wrapTag>:<wrappedKey>:<iv>:<tag>:<ciphertext>
+ * Values without the prefix are plaintext (written before encryption was enabled).
+ */
+class TokenCipher {
+  constructor(configService = new ConfigService()) {
+    const encryptionConfig = configService.getTokenEncryptionConfig();
+
+    this.keys = new Map();
+    this.currentKeyId = null;
+
+    let masterKey = encryptionConfig.key;
+    if (!masterKey && encryptionConfig.keyFile) {
+      masterKey = fs.readFileSync(encryptionConfig.keyFile, 'utf8').trim();
+    }
+
+    if (masterKey) {
+      this.currentKeyId = this.addKey(masterKey);
+    }
+
+    // Old master keys stay readable until `npm run tokens rotate` re-wraps everything
+    encryptionConfig.previousKeys.forEach(key => this.addKey(key));
+
+    if (!this.enabled) {
+      logger.warn('⚠️ TOKEN_ENCRYPTION_KEY not set, Bitrix24 tokens are stored in plaintext');
+    }
+  }
+
+  get enabled() {
+    return this.currentKeyId !== null;
+  }
+
+  /**
+   * Parse a base64 or hex master key and register it under its key ID
+   */
+  addKey(encodedKey) {
+    const key = /^[0-9a-f]{64}$/i.test(encodedKey) ?
+      Buffer.from(encodedKey, 'hex') :
+      Buffer.from(encodedKey, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('Token encryption keys must be 32 bytes (base64 or 64 hex characters)');
+    }
+
+    const keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+    this.keys.set(keyId, key);
+    return keyId;
+  }
+
+  /**
+   * Generate a new random master key (base64)
+   */
+  static generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  /**
+   * AES-256-GCM encrypt, returns [iv, tag, ciphertext] as base64
+   */
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64'));
+  }
+
+  /**
+   * AES-256-GCM decrypt of [iv, tag, ciphertext] base64 parts
+   */
+  open(key, [iv, tag, ciphertext]) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  }
+
+  /**
+   * Split a stored value into key ID, wrapped data key and payload
+   */
+  parse(value) {
+    const parts = value.substring(PREFIX.length + 1).split(':');
+    if (parts.length !== 7) {
+      throw new Error('Malformed encrypted token value');
+    }
+    return { keyId: parts[0], wrappedKey: parts.slice(1, 4), payload: parts.slice(4) };
+  }
+
+  /**
+   * Look up the master key a value was wrapped with
+   */
+  getKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Token was encrypted with unknown key ${keyId}; set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_PREVIOUS_KEYS`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt a value (returned unchanged when encryption is disabled)
+   */
+  encrypt(value) {
+    if (!this.enabled || value === null || value === undefined || value === '' || this.isEncrypted(value)) {
+      return value;
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    const wrappedKey = this.seal(this.keys.get(this.currentKeyId), dataKey);
+    const payload = this.seal(dataKey, Buffer.from(String(value), 'utf8'));
+
+    return [PREFIX, this.currentKeyId, ...wrappedKey, ...payload].join(':');
+  }
+
+  /**
+   * Decrypt a value (plaintext values are returned unchanged)
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const { keyId, wrappedKey, payload } = this.parse(value);
+    const dataKey = this.open(this.getKey(keyId), wrappedKey);
+    return this.open(dataKey, payload).toString('utf8');
+  }
+
+  /**
+   * Bring a stored value up to date: encrypt plaintext and re-wrap data keys
+   * of values sealed with an old master key. Returns the value unchanged when
+   * nothing needs doing.
+   */
+  reencrypt(value) {
+    if (!this.enabled || value === null || value === undefined || value === '') {
+      return value;
+    }
+
+    if (!this.isEncrypted(value)) {
+      return this.encrypt(value);
+    }
+
+    const { keyId, wrappedKey, payload } = this.parse(value);
+    if (keyId === this.currentKeyId) {
+      return value;
+    }
+
+    const dataKey = this.open(this.getKey(keyId), wrappedKey);
+    const rewrapped = this.seal(this.keys.get(this.currentKeyId), dataKey);
+    return [PREFIX, this.currentKeyId, ...rewrapped, ...payload].join(':');
+  }
+
+  /**
+   * Apply fn to the secret fields present on an object (copy)
+   */
+  mapSecrets(data, fn, fields = SECRET_FIELDS) {
+    const result = { ...data };
+    fields.forEach(field => {
+      if (result[field] !== undefined && result[field] !== null) {
+        result[field] = fn(result[field]);
+      }
+    });
+    return result;
+  }
+}
+
+let instance = null;
+
+/**
+ * Shared cipher configured from the environment
+ */
+function getTokenCipher() {
+  if (!instance) {
+    instance = new TokenCipher();
+  }
+  return instance;
+}
+
+module.exports = {
+  TokenCipher,
+  getTokenCipher,
+  SECRET_FIELDS
+};
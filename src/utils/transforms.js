@@ -0,0 +1,246 @@
+/**
+ * Named value transforms applied to mapped Jotform answers before they are
+ * sent to Bitrix24. A mapping rule lists them in order, either by name
+ * ("trim") or as an object with options ({ "name": "lookup", "table": {...} }).
+ *
+ * Every transform receives (value, options, context) and returns the new
+ * value. context.lookups holds the lookup tables declared by the mapping.
+ */
+
+/**
+ * Split a full name into its words
+ */
+function splitName(value) {
+  return String(value || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Remove surrounding whitespace
+ */
+function trim(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Lower-case the value
+ */
+function lowercase(value) {
+  return trim(value).toLowerCase();
+}
+
+/**
+ * Upper-case the value
+ */
+function uppercase(value) {
+  return trim(value).toUpperCase();
+}
+
+/**
+ * Capitalize the first letter of every word ("nguyễn văn a" → "Nguyễn Văn A")
+ */
+function titleCase(value) {
+  return splitName(value)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * First word of a full name
+ */
+function firstName(value) {
+  return splitName(value)[0] || '';
+}
+
+/**
+ * Everything after the first word of a full name
+ */
+function lastName(value) {
+  return splitName(value).slice(1).join(' ');
+}
+
+/**
+ * Reformat a date to the ISO 8601 form Bitrix24 accepts (YYYY-MM-DD, or
+ * YYYY-MM-DDTHH:mm:ss when the input has a time).
+ * options.format: input order, 'YYYY-MM-DD' (default), 'MM/DD/YYYY' or 'DD/MM/YYYY'
+ * options.timezone: offset appended to date-times, e.g. '+07:00'
+ */
+function date(value, options = {}) {
+  const text = trim(value);
+  if (!text) {
+    return '';
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const parts = text.match(/\d+/g) || [];
+  const format = (options.format || 'YYYY-MM-DD').toUpperCase();
+
+  let year;
+  let month;
+  let day;
+  if (format.startsWith('YYYY')) {
+    [year, month, day] = parts;
+  } else if (format.startsWith('MM')) {
+    [month, day, year] = parts;
+  } else if (format.startsWith('DD')) {
+    [day, month, year] = parts;
+  } else {
+    throw new Error(`Unsupported date format "${options.format}"`);
+  }
+
+  if (!year || !month || !day) {
+    throw new Error(`Cannot parse date "${text}" as ${format}`);
+  }
+
+  // Reject days the calendar does not have (2024-02-31, 2023-02-29, month 13)
+  const calendarDate = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  calendarDate.setUTCFullYear(Number(year));
+  if (calendarDate.getUTCFullYear() !== Number(year) ||
+      calendarDate.getUTCMonth() !== Number(month) - 1 ||
+      calendarDate.getUTCDate() !== Number(day)) {
+    throw new Error(`Invalid date "${text}": no such day in ${format}`);
+  }
+
+  const isoDate = `${year.padStart(4, '0')}-${pad(month)}-${pad(day)}`;
+  const [hours, minutes, seconds] = parts.slice(3);
+
+  if (hours === undefined) {
+    return isoDate;
+  }
+
+  let hour = Number(hours);
+  if (/pm/i.test(text) && hour < 12) {
+    hour += 12;
+  } else if (/am/i.test(text) && hour === 12) {
+    hour = 0;
+  }
+
+  if (hour > 23 || Number(minutes || 0) > 59 || Number(seconds || 0) > 59) {
+    throw new Error(`Invalid time in "${text}"`);
+  }
+
+  return `${isoDate}T${pad(hour)}:${pad(minutes || 0)}:${pad(seconds || 0)}${options.timezone || ''}`;
+}
+
+/**
+ * Translate a value through a lookup table, e.g. a dropdown label to a
+ * Bitrix24 STATUS_ID / SOURCE_ID. options.table is either an inline object
+ * or the name of a table in the mapping's "lookups". Matching ignores case
+ * unless options.caseSensitive is set; options.default is used on a miss
+ * (the original value is kept when no default is given).
+ */
+function lookup(value, options = {}, context = {}) {
+  const table = typeof options.table === 'string' ?
+    (context.lookups || {})[options.table] :
+    options.table;
+
+  if (!table) {
+    throw new Error(`Lookup table "${options.table}" is not defined`);
+  }
+
+  const key = trim(value);
+  if (Object.prototype.hasOwnProperty.call(table, key)) {
+    return table[key];
+  }
+
+  if (!options.caseSensitive) {
+    const match = Object.keys(table).find(entry => entry.toLowerCase() === key.toLowerCase());
+    if (match !== undefined) {
+      return table[match];
+    }
+  }
+
+  return options.default !== undefined ? options.default : key;
+}
+
+/**
+ * Join several answers into one text (e.g. for COMMENTS).
+ * The value is the list of { label, value } collected by a "questions" rule.
+ * options.separator defaults to a new line; options.labels prefixes each
+ * answer with its question text.
+ */
+function concat(value, options = {}) {
+  const items = Array.isArray(value) ? value : [value];
+  const separator = options.separator !== undefined ? options.separator : '\n';
+
+  return items
+    .map(item => (item && typeof item === 'object' ? item : { label: null, value: item }))
+    .filter(item => trim(item.value) !== '')
+    .map(item => (options.labels && item.label ? `${item.label}: ${trim(item.value)}` : trim(item.value)))
+    .join(separator);
+}
+
+/**
+ * Fall back to options.value when the answer is empty
+ */
+function defaultValue(value, options = {}) {
+  return trim(value) === '' ? options.value : value;
+}
+
+/**
+ * Regular-expression replace (options.pattern, options.replacement, options.flags)
+ */
+function replace(value, options = {}) {
+  if (!options.pattern) {
+    throw new Error('replace transform needs a "pattern"');
+  }
+  return trim(value).replace(new RegExp(options.pattern, options.flags || 'g'), options.replacement || '');
+}
+
+const transforms = {
+  trim,
+  lowercase,
+  uppercase,
+  titleCase,
+  firstName,
+  lastName,
+  date,
+  lookup,
+  concat,
+  default: defaultValue,
+  replace
+};
+
+/**
+ * Normalize a transform spec ("trim" or { name, ...options }) to { name, options }
+ */
+function parseSpec(spec) {
+  if (typeof spec === 'string') {
+    return { name: spec, options: {} };
+  }
+
+  const { name, ...options } = spec || {};
+  return { name, options };
+}
+
+/**
+ * Check that every spec names a known transform
+ */
+function validateTransforms(specs = []) {
+  specs.forEach(spec => {
+    const { name } = parseSpec(spec);
+    if (!Object.prototype.hasOwnProperty.call(transforms, name)) {
+      throw new Error(`Unknown transform "${name}"`);
+    }
+  });
+}
+
+/**
+ * Run a value through a chain of transforms
+ */
+function applyTransforms(value, specs = [], context = {}) {
+  return specs.reduce((current, spec) => {
+    const { name, options } = parseSpec(spec);
+    const transform = transforms[name];
+    if (!transform) {
+      throw new Error(`Unknown transform "${name}"`);
+    }
+    return transform(current, options, context);
+  }, value);
+}
+
+module.exports = {
+  transforms,
+  applyTransforms,
+  validateTransforms,
+  ...transforms
+};
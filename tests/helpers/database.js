@@ -0,0 +1,78 @@
+const DatabaseService = require('../../src/services/database.service');
+
+/**
+ * In-memory stand-ins for the DatabaseService tables the tests go through
+ */
+
+/**
+ * Real DatabaseService on an in-memory SQLite database; close() it after use
+ */
+async function createMemoryDatabase() {
+  const databaseService = new DatabaseService();
+  databaseService.dbPath = ':memory:';
+  // Leave a developer's data/tokens.json alone
+  databaseService.importLegacyTokenFile = async () => null;
+  await databaseService.initDatabase();
+  return databaseService;
+}
+
+/**
+ * oauth_states table
+ */
+function createOAuthStateDatabase() {
+  const states = new Map();
+
+  return {
+    states,
+    saveOAuthState: jest.fn(async (entry) => {
+      states.set(entry.state_hash, { ...entry, used_at: null });
+    }),
+    getOAuthState: jest.fn(async (stateHash) => states.get(stateHash) || null),
+    markOAuthStateUsed: jest.fn(async (stateHash) => {
+      const entry = states.get(stateHash);
+      if (!entry || entry.used_at) {
+        return false;
+      }
+      entry.used_at = new Date().toISOString();
+      return true;
+    }),
+    deleteExpiredOAuthStates: jest.fn(async () => 0)
+  };
+}
+
+/**
+ * api_keys table; revoked keys are not found by their hash
+ */
+function createApiKeyDatabase() {
+  const keys = new Map();
+
+  return {
+    keys,
+    saveApiKey: jest.fn(async (entry) => {
+      const id = keys.size + 1;
+      keys.set(id, { ...entry, id, created_at: new Date().toISOString(), last_used_at: null, revoked_at: null });
+      return id;
+    }),
+    getApiKeyByHash: jest.fn(async (keyHash) => (
+      [...keys.values()].find(key => key.key_hash === keyHash && !key.revoked_at) || null
+    )),
+    touchApiKey: jest.fn(async (id) => {
+      keys.get(id).last_used_at = new Date().toISOString();
+    }),
+    getApiKeys: jest.fn(async () => [...keys.values()]),
+    revokeApiKey: jest.fn(async (id) => {
+      const key = keys.get(Number(id));
+      if (!key || key.revoked_at) {
+        return false;
+      }
+      key.revoked_at = new Date().toISOString();
+      return true;
+    })
+  };
+}
+
+module.exports = {
+  createMemoryDatabase,
+  createOAuthStateDatabase,
+  createApiKeyDatabase
+};
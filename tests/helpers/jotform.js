@@ -0,0 +1,23 @@
+/**
+ * Jotform submissions API (JotformService.getSubmissions) over a list the
+ * test can change: filters on created_at and answers newest first, like the
+ * real one with orderby=created_at
+ */
+function createJotformSubmissions(submissions) {
+  return {
+    getSubmissions: jest.fn(async (formId, options) => {
+      const filter = options.filter || {};
+      const offset = options.offset || 0;
+      const data = submissions
+        .filter(submission => !filter['created_at:lte'] || submission.created_at <= filter['created_at:lte'])
+        .filter(submission => !filter['created_at:gte'] || submission.created_at >= filter['created_at:gte'])
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(offset, offset + options.limit);
+      return { success: true, data };
+    })
+  };
+}
+
+module.exports = {
+  createJotformSubmissions
+};
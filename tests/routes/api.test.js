@@ -0,0 +1,210 @@
+jest.mock('../../src/utils/logger');
+
+const mockContainer = {};
+jest.mock('../../src/services/service-container', () => ({
+  ServiceContainer: { getInstance: () => mockContainer }
+}));
+
+const express = require('express');
+const logger = require('../../src/utils/logger');
+const ApiKeyService = require('../../src/services/api-key.service');
+const SubmissionQueueService = require('../../src/services/submission-queue.service');
+const { createApiKeyDatabase, createMemoryDatabase } = require('../helpers/database');
+
+describe('/api routes', () => {
+  let server;
+  let baseUrl;
+  let apiKeyService;
+  let databaseService;
+  let fieldMappingService;
+  let queueDatabase;
+  const keys = {};
+
+  beforeAll(async () => {
+    databaseService = createApiKeyDatabase();
+    apiKeyService = new ApiKeyService({
+      getApiAuthConfig: () => ({ enabled: true, header: 'X-API-Key' })
+    }, databaseService);
+
+    for (const scope of ['read', 'write', 'admin']) {
+      keys[scope] = (await apiKeyService.create(`${scope} key`, scope)).key;
+    }
+
+    queueDatabase = await createMemoryDatabase();
+    const submissionQueue = new SubmissionQueueService({
+      getQueueConfig: () => ({ enabled: false, pollInterval: 1000, maxAttempts: 5, backoffBase: 1000, backoffMax: 60000 })
+    }, queueDatabase);
+
+    fieldMappingService = {
+      loadMappings: jest.fn(),
+      listMappings: () => []
+    };
+
+    Object.assign(mockContainer, {
+      initializeServices: async () => {},
+      getBitrix24Service: async () => ({
+        getContactList: async () => ({ success: true, contacts: [], total: 0 })
+      }),
+      getFieldMappingService: async () => fieldMappingService,
+      getSubmissionQueueService: async () => submissionQueue,
+      getApiKeyService: async () => apiKeyService
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../../src/routes/api'));
+    app.use('/oauth', require('../../src/routes/oauth'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(() => {
+    server.close();
+    queueDatabase.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  function request(method, path, key, body) {
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(key && { 'X-API-Key': key })
+      },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  describe('API key authentication', () => {
+    it('stores only the SHA-256 of a key', async () => {
+      const created = await apiKeyService.create('hashed', 'read');
+      const [stored] = databaseService.saveApiKey.mock.calls[0];
+
+      expect(stored.key_hash).toBe(apiKeyService.hash(created.key));
+      expect(JSON.stringify(stored)).not.toContain(created.key);
+      expect(created.key.startsWith(stored.key_prefix)).toBe(true);
+    });
+
+    it('answers 401 without a key', async () => {
+      const response = await request('GET', '/contacts');
+
+      expect(response.status).toBe(401);
+      await expect(response.json()).resolves.toMatchObject({
+        error: 'Unauthorized',
+        message: 'Missing API key (X-API-Key header or Authorization: Bearer)'
+      });
+    });
+
+    it('answers 401 with an unknown key', async () => {
+      const response = await request('GET', '/contacts', 'jb24_unknown');
+
+      expect(response.status).toBe(401);
+      await expect(response.json()).resolves.toMatchObject({ message: 'Invalid or revoked API key' });
+    });
+
+    it('accepts the key as a bearer token', async () => {
+      const response = await fetch(`${baseUrl}/contacts`, {
+        headers: { Authorization: `Bearer ${keys.read}` }
+      });
+
+      expect(response.status).toBe(200);
+    });
+
+    it.each([
+      ['read', 200, 403, 403],
+      ['write', 200, 200, 403],
+      ['admin', 200, 200, 200]
+    ])('gives the %s scope every scope below it', async (scope, readStatus, writeStatus, adminStatus) => {
+      expect((await request('GET', '/contacts', keys[scope])).status).toBe(readStatus);
+      expect((await request('POST', '/mappings/reload', keys[scope])).status).toBe(writeStatus);
+      expect((await request('GET', '/keys', keys[scope])).status).toBe(adminStatus);
+    });
+
+    it('keeps POST /oauth/token for admin keys', async () => {
+      const tokenUrl = baseUrl.replace(/\/api$/, '/oauth/token');
+      const post = (key) => fetch(tokenUrl, { method: 'POST', headers: key ? { 'X-API-Key': key } : {} });
+
+      expect((await post()).status).toBe(401);
+      expect((await post(keys.write)).status).toBe(403);
+    });
+
+    it('tells which scope is missing', async () => {
+      const response = await request('POST', '/mappings/reload', keys.read);
+
+      await expect(response.json()).resolves.toMatchObject({
+        error: 'Forbidden',
+        message: 'API key needs the "write" scope'
+      });
+      expect(fieldMappingService.loadMappings).not.toHaveBeenCalled();
+    });
+
+    it('refuses a revoked key', async () => {
+      const created = await apiKeyService.create('revoked', 'admin');
+      expect((await request('GET', '/contacts', created.key)).status).toBe(200);
+
+      const response = await request('DELETE', `/keys/${created.id}`, keys.admin);
+      expect(response.status).toBe(200);
+
+      expect((await request('GET', '/contacts', created.key)).status).toBe(401);
+      expect((await request('DELETE', `/keys/${created.id}`, keys.admin)).status).toBe(404);
+    });
+
+    it('does not leak the error of a failed key lookup', async () => {
+      databaseService.getApiKeyByHash.mockRejectedValueOnce(new Error('SQLITE_CANTOPEN: /srv/app/data/tokens.db'));
+
+      const response = await request('GET', '/contacts', keys.read);
+
+      expect(response.status).toBe(500);
+      const body = await response.json();
+      expect(body).toEqual({ success: false, error: 'Internal server error', message: 'API key check failed' });
+      expect(logger.error).toHaveBeenCalledWith('API authentication error', expect.objectContaining({
+        error: 'SQLITE_CANTOPEN: /srv/app/data/tokens.db'
+      }));
+    });
+  });
+
+  describe('POST /queue/:id/retry', () => {
+    async function jobWith(updates) {
+      const id = await queueDatabase.enqueueSubmissionJob({ submission_id: `s${Date.now()}`, form_id: '111', payload: {} });
+      await queueDatabase.updateSubmissionJob(id, updates);
+      return id;
+    }
+
+    it('returns a dead job to the queue', async () => {
+      const id = await jobWith({ status: 'dead', attempts: 5, last_error: 'Bitrix24 down' });
+
+      const response = await request('POST', `/queue/${id}/retry`, keys.write);
+
+      expect(response.status).toBe(200);
+      await expect(response.json()).resolves.toMatchObject({ data: { id, status: 'pending' } });
+      await expect(queueDatabase.getSubmissionJob(id)).resolves.toMatchObject({ attempts: 0 });
+    });
+
+    it.each(['processing', 'completed'])('answers 409 for a %s job', async (status) => {
+      const id = await jobWith({ status, attempts: 1 });
+
+      const response = await request('POST', `/queue/${id}/retry`, keys.write);
+
+      expect(response.status).toBe(409);
+      await expect(response.json()).resolves.toEqual({
+        success: false,
+        error: 'Job cannot be retried',
+        message: `Job ${id} is ${status}, only dead or failed jobs can be retried`
+      });
+      await expect(queueDatabase.getSubmissionJob(id)).resolves.toMatchObject({ status, attempts: 1 });
+    });
+
+    it('answers 409 for a pending job that has not failed', async () => {
+      const id = await jobWith({});
+
+      expect((await request('POST', `/queue/${id}/retry`, keys.write)).status).toBe(409);
+    });
+
+    it('answers 404 for an unknown job', async () => {
+      expect((await request('POST', '/queue/9999/retry', keys.write)).status).toBe(404);
+    });
+  });
+});
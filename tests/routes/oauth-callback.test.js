@@ -0,0 +1,115 @@
+jest.mock('../../src/utils/logger');
+
+const mockContainer = {};
+jest.mock('../../src/services/service-container', () => ({
+  ServiceContainer: { getInstance: () => mockContainer }
+}));
+
+const express = require('express');
+const OAuthStateService = require('../../src/services/oauth-state.service');
+const { createOAuthStateDatabase } = require('../helpers/database');
+
+// Both flows: where an authorization starts and which client call exchanges the code
+describe.each([
+  ['/oauth', '../../src/routes/oauth', '/authorize', 'handleOAuthCallback'],
+  ['/oauth2', '../../src/routes/oauth2', '/start', 'exchangeCodeForToken']
+])('%s callback', (mountPath, routesModule, startPath, exchangeMethod) => {
+  let server;
+  let baseUrl;
+  let bitrix24Service;
+
+  beforeAll(async () => {
+    const oauthStateService = new OAuthStateService({
+      getOAuthStateConfig: () => ({ ttl: 600000, returnHosts: [] })
+    }, createOAuthStateDatabase());
+
+    bitrix24Service = {
+      domain: 'default.bitrix24.vn',
+      getAuthorizationUrl: (domain, state) => `https://${domain}/oauth/authorize/?state=${state}`,
+      handleOAuthCallback: jest.fn(),
+      exchangeCodeForToken: jest.fn()
+    };
+
+    Object.assign(mockContainer, {
+      initializeServices: async () => {},
+      getBitrix24Service: async () => bitrix24Service,
+      getOAuthStateService: async () => oauthStateService
+    });
+
+    const app = express();
+    app.use(mountPath, require(routesModule));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    bitrix24Service[exchangeMethod].mockReset();
+    bitrix24Service[exchangeMethod].mockResolvedValue({ success: true, domain: 'company.bitrix24.vn' });
+  });
+
+  /**
+   * Start an authorization and return the state it was given
+   */
+  async function startAuthorization(domain) {
+    const response = await fetch(`${baseUrl}${startPath}?domain=${domain}&returnUrl=/done`, { redirect: 'manual' });
+    expect(response.status).toBe(302);
+    return new URL(response.headers.get('location')).searchParams.get('state');
+  }
+
+  function callback(query) {
+    return fetch(`${baseUrl}/callback?code=auth-code&${new URLSearchParams(query)}`, { redirect: 'manual' });
+  }
+
+  async function expectRejected(response, reason) {
+    expect(response.status).toBe(400);
+    await expect(response.json()).resolves.toMatchObject({ error: 'Invalid OAuth state', message: reason });
+    expect(bitrix24Service[exchangeMethod]).not.toHaveBeenCalled();
+  }
+
+  it('exchanges the code for the portal the state was issued for, once', async () => {
+    const state = await startAuthorization('company.bitrix24.vn');
+
+    const response = await callback({ state, domain: 'company.bitrix24.vn' });
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe('/done');
+    expect(bitrix24Service[exchangeMethod]).toHaveBeenCalledWith('auth-code', 'company.bitrix24.vn');
+
+    bitrix24Service[exchangeMethod].mockClear();
+    await expectRejected(await callback({ state, domain: 'company.bitrix24.vn' }), 'State already used');
+  });
+
+  it('rejects a callback without state', async () => {
+    await expectRejected(await callback({ domain: 'company.bitrix24.vn' }), 'Missing state');
+  });
+
+  it('rejects an unknown state', async () => {
+    await expectRejected(await callback({ state: 'forged', domain: 'company.bitrix24.vn' }), 'Unknown state');
+  });
+
+  it('rejects a state issued for another portal', async () => {
+    const state = await startAuthorization('company.bitrix24.vn');
+
+    await expectRejected(await callback({ state, domain: 'attacker.bitrix24.vn' }), 'State was issued for another portal');
+  });
+
+  it('rejects an expired state', async () => {
+    const state = await startAuthorization('company.bitrix24.vn');
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 600001);
+
+    try {
+      await expectRejected(await callback({ state, domain: 'company.bitrix24.vn' }), 'State expired');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('refuses to start with an off-site return URL', async () => {
+    const response = await fetch(`${baseUrl}${startPath}?domain=company.bitrix24.vn&returnUrl=//evil.example.com`, {
+      redirect: 'manual'
+    });
+    expect(response.status).toBe(400);
+  });
+});
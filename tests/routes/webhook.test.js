@@ -0,0 +1,169 @@
+jest.mock('../../src/utils/logger');
+
+const mockContainer = {};
+jest.mock('../../src/services/service-container', () => ({
+  ServiceContainer: { getInstance: () => mockContainer }
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../../src/utils/logger');
+const { requestLogger } = require('../../src/middleware/common');
+const ApiKeyService = require('../../src/services/api-key.service');
+const WebhookAuthService = require('../../src/services/webhook-auth.service');
+const { createApiKeyDatabase } = require('../helpers/database');
+
+describe('/webhook routes', () => {
+  let server;
+  let baseUrl;
+  let submissionQueue;
+  let writeKey;
+  let readKey;
+
+  beforeAll(async () => {
+    const apiKeyService = new ApiKeyService({
+      getApiAuthConfig: () => ({ enabled: true, header: 'X-API-Key' })
+    }, createApiKeyDatabase());
+    writeKey = (await apiKeyService.create('ci', 'write')).key;
+    readKey = (await apiKeyService.create('dashboard', 'read')).key;
+
+    const webhookAuthService = new WebhookAuthService({
+      getWebhookAuthConfig: () => ({
+        secret: 'url-secret',
+        formTokens: {},
+        hmacSecret: 'hmac-secret',
+        signatureHeader: 'x-jotform-signature',
+        ipAllowlist: [],
+        requireKnownForm: false,
+        allowedForms: []
+      }),
+      getServerConfig: () => ({ nodeEnv: 'test' })
+    }, { saveWebhookRejection: jest.fn(async () => {}) }, { listMappings: () => [] });
+
+    submissionQueue = {
+      findExisting: jest.fn(async () => null),
+      enqueue: jest.fn(async () => 42),
+      processSubmission: jest.fn(async () => ({ success: true, leadId: 7, entityType: 'lead', entityId: 7, action: 'created', duplicate: false }))
+    };
+
+    Object.assign(mockContainer, {
+      initializeServices: async () => {},
+      getBitrix24Service: async () => ({}),
+      getSubmissionQueueService: async () => submissionQueue,
+      getFieldMappingService: async () => ({
+        mapRawRequest: async (formId, formData, submissionId) => ({ submissionId, email: formData.q3_email, fields: {} }),
+        hasContactData: () => true
+      }),
+      getPortalService: async () => ({
+        findPortal: async (portal) => (portal === 'company.bitrix24.vn' ? { domain: portal } : null)
+      }),
+      getWebhookAuthService: async () => webhookAuthService,
+      getApiKeyService: async () => apiKeyService
+    });
+
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use(requestLogger);
+    app.use('/webhook', require('../../src/routes/webhook'));
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /jotform (multipart)', () => {
+    const boundary = '----jotform-boundary';
+    const body = Buffer.from([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="formID"',
+      '',
+      '111',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="submissionID"',
+      '',
+      '5555',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="rawRequest"',
+      '',
+      '{"q3_email":"an@example.com"}',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n'));
+
+    function deliver(path, signature) {
+      return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          'X-Jotform-Signature': signature
+        },
+        body
+      });
+    }
+
+    it('accepts a submission signed over the raw multipart body', async () => {
+      const signature = crypto.createHmac('sha256', 'hmac-secret').update(body).digest('hex');
+
+      const response = await deliver('/jotform/company.bitrix24.vn/url-secret', signature);
+      expect(response.status).toBe(202);
+      expect(submissionQueue.enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ submissionId: '5555', email: 'an@example.com', portal: 'company.bitrix24.vn' }),
+        '111',
+        { force: false }
+      );
+    });
+
+    it('rejects a wrong signature before queueing anything', async () => {
+      const response = await deliver('/jotform/company.bitrix24.vn/url-secret', 'f'.repeat(64));
+      expect(response.status).toBe(401);
+      expect(submissionQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('keeps the URL token out of the request log', async () => {
+      await deliver('/jotform/company.bitrix24.vn/url-secret?token=url-secret', 'f'.repeat(64));
+
+      const urls = logger.info.mock.calls
+        .filter(([message]) => message === 'Request received' || message === 'Request completed')
+        .map(([, meta]) => meta.url);
+      expect(urls).toEqual([
+        '/webhook/jotform/company.bitrix24.vn/***?token=***',
+        '/webhook/jotform/company.bitrix24.vn/***?token=***'
+      ]);
+    });
+  });
+
+  describe('POST /test', () => {
+    function post(headers = {}) {
+      return fetch(`${baseUrl}/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ submissionID: 'test_1', portal: 'victim.bitrix24.vn' })
+      });
+    }
+
+    it('needs an API key', async () => {
+      expect((await post()).status).toBe(401);
+      expect((await post({ 'X-API-Key': 'jb24_forged' })).status).toBe(401);
+      expect(submissionQueue.processSubmission).not.toHaveBeenCalled();
+    });
+
+    it('needs the write scope', async () => {
+      expect((await post({ 'X-API-Key': readKey })).status).toBe(403);
+      expect(submissionQueue.processSubmission).not.toHaveBeenCalled();
+    });
+
+    it('creates the test lead on the default portal, whatever the body says', async () => {
+      const response = await post({ Authorization: `Bearer ${writeKey}` });
+
+      expect(response.status).toBe(200);
+      expect(submissionQueue.processSubmission).toHaveBeenCalledTimes(1);
+      const [contactData] = submissionQueue.processSubmission.mock.calls[0];
+      expect(contactData.submissionId).toBe('test_1');
+      expect(contactData.portal).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../src/utils/logger');
+
+const AssignmentService = require('../../src/services/assignment.service');
+const FieldMappingService = require('../../src/services/field-mapping.service');
+const { createMemoryDatabase } = require('../helpers/database');
+
+// Monday 2026-10-19 10:00 in Ho Chi Minh City
+const MONDAY_MORNING = new Date('2026-10-19T03:00:00Z');
+// Monday 2026-10-19 20:00 in Ho Chi Minh City
+const MONDAY_EVENING = new Date('2026-10-19T13:00:00Z');
+
+describe('AssignmentService', () => {
+  let databaseService;
+  let bitrix24Service;
+  let mappings;
+  let config;
+
+  function createService() {
+    // Answers are matched the way field mappings match them
+    const matcher = Object.create(FieldMappingService.prototype);
+
+    return new AssignmentService({ getAssignmentConfig: () => config }, databaseService, bitrix24Service, {
+      getMapping: formId => mappings[formId] || { formId: 'default' },
+      findAnswer: (answers, rule) => matcher.findAnswer(answers, rule)
+    });
+  }
+
+  /**
+   * Answers of the batch: users in inactive are deactivated, timeman
+   * statuses by user (OPENED when missing)
+   */
+  function portalUsers({ inactive = [], timeman = {} } = {}) {
+    bitrix24Service.callBatch.mockImplementation(async (commands) => {
+      const results = {};
+      Object.keys(commands).forEach(key => {
+        const [kind, userId] = key.split('_');
+        results[key] = kind === 'user' ?
+          { success: true, result: [{ ID: userId, ACTIVE: !inactive.includes(Number(userId)) }] } :
+          { success: true, result: { STATUS: timeman[userId] || 'OPENED' } };
+      });
+      return { results };
+    });
+  }
+
+  function submission(region) {
+    return {
+      submissionId: '5555',
+      formId: '111',
+      answers: region ? [{ qid: '4', name: 'region', type: 'control_dropdown', value: region }] : []
+    };
+  }
+
+  async function assignMany(service, count, contactData = submission()) {
+    const users = [];
+    for (let i = 0; i < count; i++) {
+      users.push((await service.assign(contactData)).userId);
+    }
+    return users;
+  }
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: MONDAY_MORNING, doNotFake: ['nextTick', 'setImmediate'] });
+    databaseService = await createMemoryDatabase();
+    bitrix24Service = { callBatch: jest.fn() };
+    portalUsers();
+
+    config = {
+      users: [1, 2, 3],
+      fallbackUserId: 99,
+      timezone: 'Asia/Ho_Chi_Minh',
+      workingDays: [],
+      workingHours: null,
+      afterHoursUsers: [],
+      checkActive: true,
+      checkTimeman: false,
+      availabilityTtl: 60000
+    };
+    mappings = {
+      111: {
+        formId: '111',
+        assignment: {
+          teams: {
+            north: { users: [5, 6], schedule: { timezone: 'Asia/Ho_Chi_Minh', hours: '08:00-17:30' } },
+            south: [7],
+            night: [9]
+          },
+          rules: [
+            { question: { name: 'region' }, values: ['Hà Nội', 'Hải Phòng'], team: 'north' },
+            { question: { name: 'region' }, value: 'Cần Thơ', team: 'lost' }
+          ],
+          team: 'south',
+          afterHours: 'night'
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    databaseService.close();
+    jest.useRealTimers();
+  });
+
+  describe('round robin', () => {
+    it('takes turns through the pool and remembers whose turn it is', async () => {
+      mappings = {};
+
+      await expect(assignMany(createService(), 4)).resolves.toEqual([1, 2, 3, 1]);
+      // A restart continues where the previous process stopped
+      await expect(assignMany(createService(), 1)).resolves.toEqual([2]);
+    });
+
+    it('skips deactivated users and users whose workday is not open', async () => {
+      mappings = {};
+      config.checkTimeman = true;
+      portalUsers({ inactive: [2], timeman: { 3: 'CLOSED' } });
+
+      await expect(assignMany(createService(), 2)).resolves.toEqual([1, 1]);
+      expect(bitrix24Service.callBatch).toHaveBeenCalledTimes(1);
+      expect(bitrix24Service.callBatch.mock.calls[0][0]).toMatchObject({
+        user_2: { method: 'user.get', params: { ID: 2 } },
+        timeman_3: { method: 'timeman.status', params: { USER_ID: 3 } }
+      });
+    });
+
+    it('asks Bitrix24 again once the availability is stale', async () => {
+      mappings = {};
+      const service = createService();
+
+      await service.assign(submission());
+      jest.advanceTimersByTime(60000);
+      await service.assign(submission());
+
+      expect(bitrix24Service.callBatch).toHaveBeenCalledTimes(2);
+    });
+
+    it('assigns without availability when Bitrix24 cannot be asked', async () => {
+      mappings = {};
+      bitrix24Service.callBatch.mockRejectedValue(new Error('Circuit open for company.bitrix24.vn'));
+
+      await expect(assignMany(createService(), 2)).resolves.toEqual([1, 2]);
+    });
+
+    it('falls back when nobody is available or the pool is empty', async () => {
+      mappings = {};
+      portalUsers({ inactive: [1, 2, 3] });
+
+      await expect(createService().assign(submission())).resolves.toEqual({ userId: 99, team: 'default', reason: 'fallback' });
+
+      config.users = [];
+      await expect(createService().assign(submission())).resolves.toEqual({ userId: 99, team: null, reason: 'fallback' });
+    });
+
+    it('keeps a turn per portal', async () => {
+      mappings = {};
+      const service = createService();
+
+      await service.assign({ ...submission(), portal: 'company.bitrix24.vn' });
+
+      await expect(service.assign({ ...submission(), portal: 'branch.bitrix24.vn' })).resolves.toMatchObject({ userId: 1 });
+    });
+  });
+
+  describe('rules', () => {
+    it('sends a matching answer to the rule\'s team', async () => {
+      const service = createService();
+
+      await expect(service.assign(submission(' hà nội '))).resolves.toEqual({ userId: 5, team: 'north', reason: 'rule' });
+      await expect(service.assign(submission('Hải Phòng'))).resolves.toEqual({ userId: 6, team: 'north', reason: 'rule' });
+    });
+
+    it('uses the form\'s team when no rule matches', async () => {
+      await expect(createService().assign(submission('Huế'))).resolves.toEqual({ userId: 7, team: 'south', reason: 'default' });
+      await expect(createService().assign(submission())).resolves.toMatchObject({ team: 'south' });
+    });
+
+    it('uses the default pool when a rule names an unknown team', async () => {
+      await expect(createService().assign(submission('Cần Thơ'))).resolves.toEqual({ userId: 1, team: 'default', reason: 'rule' });
+    });
+  });
+
+  describe('schedule', () => {
+    it('hands submissions outside working hours to the after-hours team', async () => {
+      jest.setSystemTime(MONDAY_EVENING);
+
+      await expect(createService().assign(submission('Hà Nội'))).resolves.toEqual({ userId: 9, team: 'night', reason: 'after_hours' });
+    });
+
+    it('keeps the team when there is no after-hours team', async () => {
+      jest.setSystemTime(MONDAY_EVENING);
+      delete mappings[111].assignment.afterHours;
+
+      await expect(createService().assign(submission('Hà Nội'))).resolves.toEqual({ userId: 5, team: 'north', reason: 'rule' });
+    });
+
+    it('applies ASSIGNMENT_WORKING_HOURS and ASSIGNMENT_AFTER_HOURS_USERS to the default pool', async () => {
+      mappings = {};
+      config.workingHours = '08:00-17:00';
+      config.afterHoursUsers = [8];
+      jest.setSystemTime(MONDAY_EVENING);
+
+      await expect(createService().assign(submission())).resolves.toEqual({ userId: 8, team: 'afterHours', reason: 'after_hours' });
+    });
+
+    it.each([
+      ['inside the hours', { hours: '08:00-17:30' }, MONDAY_MORNING, true],
+      ['after the hours', { hours: '08:00-17:30' }, MONDAY_EVENING, false],
+      ['on a day off', { hours: '08:00-17:30', days: [2, 3, 4, 5, 6] }, MONDAY_MORNING, false],
+      ['in another timezone', { hours: '08:00-17:30', timezone: 'Europe/Berlin' }, MONDAY_MORNING, false],
+      ['without hours', {}, MONDAY_EVENING, true],
+      ['with hours it cannot read', { hours: '8am-5pm' }, MONDAY_EVENING, true]
+    ])('tells working time %s', (label, schedule, date, expected) => {
+      expect(createService().isWorkingTime({ timezone: 'Asia/Ho_Chi_Minh', ...schedule }, date)).toBe(expected);
+    });
+  });
+});
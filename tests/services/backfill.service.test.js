@@ -0,0 +1,150 @@
+jest.mock('../../src/utils/logger');
+
+const BackfillService = require('../../src/services/backfill.service');
+const SubmissionQueueService = require('../../src/services/submission-queue.service');
+const { createMemoryDatabase } = require('../helpers/database');
+const { createJotformSubmissions } = require('../helpers/jotform');
+
+function submission(id, createdAt, answers = { 3: { answer: 'An Nguyen' } }) {
+  return { id, form_id: '111', created_at: createdAt, answers };
+}
+
+describe('BackfillService', () => {
+  let databaseService;
+  let submissions;
+  let jotformService;
+  let service;
+
+  beforeEach(async () => {
+    databaseService = await createMemoryDatabase();
+    submissions = [
+      submission('1001', '2026-10-01 08:00:00'),
+      submission('1002', '2026-10-02 08:00:00'),
+      submission('1003', '2026-10-03 08:00:00', {}),
+      submission('1004', '2026-10-04 08:00:00'),
+      submission('1005', '2026-10-05 08:00:00')
+    ];
+    jotformService = createJotformSubmissions(submissions);
+
+    const fieldMappingService = {
+      mapSubmission: (entry) => ({
+        submissionId: entry.id,
+        formId: entry.form_id,
+        fullName: entry.answers[3] && entry.answers[3].answer
+      }),
+      hasContactData: (contactData) => !!contactData.fullName
+    };
+    const submissionQueueService = new SubmissionQueueService({
+      getQueueConfig: () => ({ enabled: false, pollInterval: 1000, maxAttempts: 5, backoffBase: 1000, backoffMax: 60000 })
+    }, databaseService);
+
+    service = new BackfillService({}, databaseService, jotformService, fieldMappingService, submissionQueueService);
+  });
+
+  afterEach(() => databaseService.close());
+
+  async function queuedSubmissions() {
+    const jobs = await databaseService.getSubmissionJobs({ status: 'pending' });
+    return jobs.map(job => job.submission_id).sort();
+  }
+
+  describe('createRun', () => {
+    it('bounds a run without "to" by the newest submission on Jotform', async () => {
+      const run = await service.createRun({ formId: '111' });
+
+      expect(run.date_to).toBe('2026-10-05 08:00:00');
+      expect(jotformService.getSubmissions).toHaveBeenCalledWith('111', {
+        limit: 1,
+        filter: { 'status:ne': 'DELETED' },
+        orderby: 'created_at'
+      });
+    });
+
+    it('expands date-only bounds to whole days', async () => {
+      const run = await service.createRun({ formId: '111', from: '2026-10-02', to: '2026-10-04' });
+
+      expect(run).toMatchObject({ date_from: '2026-10-02 00:00:00', date_to: '2026-10-04 23:59:59' });
+      expect(jotformService.getSubmissions).not.toHaveBeenCalled();
+    });
+
+    it('gives a form without submissions nothing to import', async () => {
+      submissions.length = 0;
+
+      await expect(service.createRun({ formId: '111' })).resolves.toMatchObject({ date_to: '0000-00-00 00:00:00' });
+    });
+
+    it.each([
+      [{}, 'formId is required'],
+      [{ formId: '111', pageSize: 5000 }, 'pageSize must be between 1 and 1000'],
+      [{ formId: '111', from: '02/10/2026' }, 'Invalid date "02/10/2026", expected YYYY-MM-DD or YYYY-MM-DD HH:mm:ss'],
+      [{ formId: '111', from: '2026-10-05', to: '2026-10-01' }, '"from" must be before "to"']
+    ])('refuses %j', async (options, message) => {
+      await expect(service.createRun(options)).rejects.toThrow(message);
+    });
+
+    it('reports a failed lookup of the newest submission', async () => {
+      jotformService.getSubmissions.mockResolvedValueOnce({ success: false, error: 'Invalid API key' });
+
+      await expect(service.createRun({ formId: '111' })).rejects.toThrow('Failed to fetch submissions: Invalid API key');
+    });
+  });
+
+  describe('execute', () => {
+    it('queues every submission in the range page by page', async () => {
+      const progress = [];
+
+      const run = await service.start({ formId: '111', from: '2026-10-02', pageSize: 2 }, current => progress.push(current.next_offset));
+
+      expect(run).toMatchObject({ status: 'completed', total: 4, queued: 3, empty: 1, skipped: 0, failed: 0 });
+      expect(progress).toEqual([2, 4, 4]);
+      await expect(queuedSubmissions()).resolves.toEqual(['1002', '1004', '1005']);
+    });
+
+    it('keeps its upper bound while new submissions arrive', async () => {
+      const run = await service.createRun({ formId: '111', pageSize: 2 });
+      submissions.push(submission('1006', '2026-10-06 08:00:00'));
+
+      await expect(service.execute(run.id)).resolves.toMatchObject({ total: 5, queued: 4 });
+      await expect(queuedSubmissions()).resolves.not.toContain('1006');
+    });
+
+    it('skips submissions already queued or synced', async () => {
+      await databaseService.enqueueSubmissionJob({ submission_id: '1001', form_id: '111', payload: {} });
+      await databaseService.saveSubmissionRecord({ submission_id: '1002', form_id: '111', entity_type: 'lead', entity_id: 5 });
+
+      await expect(service.start({ formId: '111' })).resolves.toMatchObject({ total: 5, queued: 2, skipped: 2, empty: 1 });
+    });
+
+    it('queues nothing in a dry run', async () => {
+      await expect(service.start({ formId: '111', dryRun: true })).resolves.toMatchObject({ queued: 4 });
+      await expect(queuedSubmissions()).resolves.toEqual([]);
+    });
+
+    it('saves where a failed run stopped and resumes from there', async () => {
+      const run = await service.createRun({ formId: '111', pageSize: 2 });
+      jotformService.getSubmissions
+        .mockImplementationOnce(createJotformSubmissions(submissions).getSubmissions)
+        .mockResolvedValueOnce({ success: false, error: 'Rate limit exceeded' });
+
+      await expect(service.execute(run.id)).rejects.toThrow('Failed to fetch submissions: Rate limit exceeded');
+      await expect(service.getRun(run.id)).resolves.toMatchObject({
+        status: 'failed',
+        next_offset: 2,
+        last_error: 'Failed to fetch submissions: Rate limit exceeded',
+        active: false
+      });
+
+      await expect(service.resume(run.id)).resolves.toMatchObject({ status: 'completed', total: 5, queued: 4 });
+      expect(jotformService.getSubmissions).toHaveBeenLastCalledWith('111', expect.objectContaining({ offset: 4 }));
+      await expect(service.resume(run.id)).rejects.toThrow(`Backfill run ${run.id} is already completed`);
+    });
+
+    it('runs a run only once at a time', async () => {
+      const run = await service.createRun({ formId: '111' });
+
+      const first = service.execute(run.id);
+      await expect(service.execute(run.id)).rejects.toThrow(`Backfill run ${run.id} is already running`);
+      await first;
+    });
+  });
+});
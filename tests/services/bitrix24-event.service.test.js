@@ -0,0 +1,239 @@
+jest.mock('../../src/utils/logger');
+
+const Bitrix24EventService = require('../../src/services/bitrix24-event.service');
+
+const CLIENT_ID = 'local.app.123';
+
+/**
+ * app.info answers of the Bitrix24 portals, by access token: "token" on
+ * company.bitrix24.vn, "token@domain" on another portal
+ */
+function createPortals(answers) {
+  return {
+    post: jest.fn(async (url, body) => {
+      const host = new URL(url).hostname;
+      const answer = answers[`${body.auth}@${host}`] ||
+        (host === 'company.bitrix24.vn' ? answers[body.auth] : undefined);
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      if (answer && answer.error) {
+        const error = new Error('Request failed with status code 401');
+        error.response = { status: 401, data: answer };
+        throw error;
+      }
+      return { data: answer || { error: 'INVALID_TOKEN' } };
+    })
+  };
+}
+
+function createService(tokens, answers = {}) {
+  const databaseService = {
+    getTokenByPortal: jest.fn(async (portal) => (
+      tokens.find(token => token.domain === portal || token.member_id === portal) || null
+    )),
+    updateToken: jest.fn(async () => true),
+    saveWebhookRejection: jest.fn(async () => {})
+  };
+  const bitrix24Service = {
+    clientId: CLIENT_ID,
+    refreshTokenIfNeeded: jest.fn(async () => {})
+  };
+  const httpService = createPortals(answers);
+
+  const service = new Bitrix24EventService({}, databaseService, httpService, bitrix24Service, {});
+  return { service, databaseService, bitrix24Service, httpService };
+}
+
+const appInfo = (clientId = CLIENT_ID) => ({ result: { CLIENT_ID: clientId } });
+
+function event(name, auth) {
+  return {
+    event: name,
+    auth: {
+      domain: 'company.bitrix24.vn',
+      member_id: 'member-1',
+      client_endpoint: 'https://company.bitrix24.vn/rest/',
+      application_token: 'app-token',
+      ...auth
+    }
+  };
+}
+
+describe('Bitrix24EventService.verifyEvent', () => {
+  const installed = {
+    id: 1,
+    domain: 'company.bitrix24.vn',
+    member_id: 'member-1',
+    access_token: 'stored-access',
+    application_token: 'app-token'
+  };
+
+  it('rejects an event without application_token or portal', async () => {
+    const { service } = createService([installed]);
+
+    await expect(service.verifyEvent(event('ONAPPUNINSTALL', { application_token: undefined }))).resolves.toEqual({
+      rejection: { status: 401, reason: 'Missing application_token' }
+    });
+    await expect(service.verifyEvent(event('ONAPPUNINSTALL', { domain: undefined, member_id: undefined }))).resolves.toEqual({
+      rejection: { status: 400, reason: 'Missing portal (domain or member_id)' }
+    });
+  });
+
+  it('rejects a client_endpoint on another host', async () => {
+    const { service } = createService([installed]);
+
+    await expect(service.verifyEvent(event('ONAPPUNINSTALL', {
+      client_endpoint: 'https://attacker.example.com/rest/'
+    }))).resolves.toEqual({
+      rejection: { status: 401, reason: 'client_endpoint is not on the event\'s portal' }
+    });
+  });
+
+  describe('installed portal', () => {
+    it('accepts the stored application_token', async () => {
+      const { service, httpService } = createService([installed]);
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toEqual({ token: installed });
+      expect(httpService.post).not.toHaveBeenCalled();
+    });
+
+    it('rejects another application_token', async () => {
+      const { service } = createService([installed]);
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL', { application_token: 'forged' }))).resolves.toEqual({
+        rejection: { status: 401, reason: 'application_token mismatch' }
+      });
+    });
+
+    it('accepts a reinstall whose access_token works on the stored portal', async () => {
+      const { service, httpService } = createService([installed], { 'new-access': appInfo() });
+
+      await expect(service.verifyEvent(event('ONAPPINSTALL', {
+        application_token: 'new-app-token',
+        access_token: 'new-access'
+      }))).resolves.toEqual({ token: installed });
+      expect(httpService.post).toHaveBeenCalledWith('https://company.bitrix24.vn/rest/app.info', { auth: 'new-access' }, expect.any(Object));
+    });
+
+    it('checks a reinstall on the stored domain, not the one in the event', async () => {
+      const { service, httpService } = createService([installed], { 'attacker-access@attacker.bitrix24.vn': appInfo() });
+
+      await expect(service.verifyEvent(event('ONAPPINSTALL', {
+        domain: 'attacker.bitrix24.vn',
+        client_endpoint: 'https://attacker.bitrix24.vn/rest/',
+        application_token: 'new-app-token',
+        access_token: 'attacker-access'
+      }))).resolves.toEqual({
+        rejection: { status: 401, reason: 'application_token mismatch' }
+      });
+      expect(httpService.post).toHaveBeenCalledWith('https://company.bitrix24.vn/rest/app.info', expect.anything(), expect.anything());
+    });
+  });
+
+  describe('first install', () => {
+    it('accepts an access_token of this app on the portal it names', async () => {
+      const { service, httpService } = createService([], { 'install-access': appInfo() });
+
+      await expect(service.verifyEvent(event('ONAPPINSTALL', { access_token: 'install-access' }))).resolves.toEqual({ token: null });
+      expect(httpService.post).toHaveBeenCalledWith('https://company.bitrix24.vn/rest/app.info', { auth: 'install-access' }, expect.any(Object));
+    });
+
+    it.each([
+      ['belongs to another app', { access_token: 'other-app' }],
+      ['is refused by the portal', { access_token: 'unknown' }],
+      ['is missing', { access_token: undefined }],
+      ['cannot be checked', { access_token: 'unreachable' }]
+    ])('rejects an install whose access_token %s', async (label, auth) => {
+      const { service } = createService([], {
+        'other-app': appInfo('local.other.999'),
+        unreachable: new Error('getaddrinfo ENOTFOUND')
+      });
+
+      await expect(service.verifyEvent(event('ONAPPINSTALL', auth))).resolves.toEqual({
+        rejection: { status: 401, reason: 'Install could not be verified with app.info' }
+      });
+    });
+
+    it('never calls app.info on something that is not a portal domain', async () => {
+      const { service, httpService } = createService([]);
+
+      await expect(service.verifyEvent(event('ONAPPINSTALL', {
+        domain: 'evil.example.com/steal?x=',
+        client_endpoint: undefined,
+        access_token: 'install-access'
+      }))).resolves.toMatchObject({ rejection: { status: 401 } });
+      expect(httpService.post).not.toHaveBeenCalled();
+    });
+
+    it('rejects any other event from an unknown portal', async () => {
+      const { service } = createService([], { 'install-access': appInfo() });
+
+      await expect(service.verifyEvent(event('ONCRMLEADADD', { access_token: 'install-access' }))).resolves.toEqual({
+        rejection: { status: 401, reason: 'Unknown portal' }
+      });
+    });
+  });
+
+  describe('portal authorized through /oauth (no application_token)', () => {
+    const authorized = { ...installed, application_token: null };
+
+    it('stores the application_token of the first event with a working access_token', async () => {
+      const { service, databaseService } = createService([authorized], { 'event-access': appInfo() });
+
+      await expect(service.verifyEvent(event('ONCRMLEADADD', { access_token: 'event-access' }))).resolves.toEqual({ token: authorized });
+      expect(databaseService.updateToken).toHaveBeenCalledWith(1, { application_token: 'app-token' });
+    });
+
+    it('does not store the token of an event it cannot verify', async () => {
+      const { service, databaseService } = createService([authorized]);
+
+      await expect(service.verifyEvent(event('ONCRMLEADADD', { access_token: 'unknown' }))).resolves.toEqual({
+        rejection: { status: 401, reason: 'No application_token stored for portal' }
+      });
+      expect(databaseService.updateToken).not.toHaveBeenCalled();
+    });
+
+    it('accepts ONAPPUNINSTALL once the stored credentials stop working', async () => {
+      const { service } = createService([authorized], { 'stored-access': { error: 'NO_AUTH_FOUND' } });
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toEqual({ token: authorized });
+    });
+
+    it('rejects ONAPPUNINSTALL while the app still works on the portal', async () => {
+      const { service } = createService([authorized], { 'stored-access': appInfo() });
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toEqual({
+        rejection: { status: 401, reason: 'No application_token stored for portal' }
+      });
+    });
+
+    it('refreshes an expired token before deciding', async () => {
+      const { service, databaseService, bitrix24Service } = createService([authorized], {
+        'stored-access': { error: 'expired_token' },
+        'refreshed-access': appInfo()
+      });
+      databaseService.getTokenByPortal
+        .mockResolvedValueOnce(authorized)
+        .mockResolvedValueOnce({ ...authorized, access_token: 'refreshed-access' });
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toMatchObject({ rejection: { status: 401 } });
+      expect(bitrix24Service.refreshTokenIfNeeded).toHaveBeenCalledWith(true, 'company.bitrix24.vn');
+    });
+
+    it('takes a refused refresh token for an uninstall', async () => {
+      const { service, bitrix24Service } = createService([authorized], { 'stored-access': { error: 'expired_token' } });
+      bitrix24Service.refreshTokenIfNeeded.mockRejectedValue(new Error('Token refresh error: invalid_grant'));
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toEqual({ token: authorized });
+    });
+
+    it('answers 503 when the portal cannot be reached', async () => {
+      const { service } = createService([authorized], { 'stored-access': new Error('connect ETIMEDOUT') });
+
+      await expect(service.verifyEvent(event('ONAPPUNINSTALL'))).resolves.toEqual({
+        rejection: { status: 503, reason: 'Portal unreachable, uninstall could not be verified' }
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../src/utils/logger');
+
+const Bitrix24ProxyPolicyService = require('../../src/services/bitrix24-proxy-policy.service');
+
+function createService(config = {}) {
+  const configService = {
+    getBitrix24ProxyConfig: () => ({
+      allow: ['*'],
+      deny: ['*.delete', 'user.add', 'user.update', 'event.*', 'placement.*'],
+      readOnly: false,
+      redact: ['*phone*', '*email*', '*password*', '*token*', '*secret*', 'auth'],
+      ...config
+    })
+  };
+  return new Bitrix24ProxyPolicyService(configService);
+}
+
+describe('Bitrix24ProxyPolicyService', () => {
+  describe('check', () => {
+    const service = createService();
+
+    it('allows a method that matches no deny pattern', () => {
+      expect(service.check('crm.lead.add', {})).toEqual({ methods: ['crm.lead.add'] });
+      expect(service.check('CRM.Lead.List', {})).toEqual({ methods: ['crm.lead.list'] });
+    });
+
+    it('lets deny win over allow', () => {
+      const strict = createService({ allow: ['crm.*'] });
+
+      expect(strict.check('crm.lead.delete', {})).toEqual({
+        rejection: { status: 403, reason: 'Method "crm.lead.delete" is denied by BITRIX24_PROXY_DENY (*.delete)' }
+      });
+      expect(strict.check('user.get', {})).toEqual({
+        rejection: { status: 403, reason: 'Method "user.get" is not in BITRIX24_PROXY_ALLOW' }
+      });
+    });
+
+    it('lets * match across dots', () => {
+      expect(service.check('crm.item.productrow.delete', {})).toMatchObject({ rejection: { status: 403 } });
+      expect(service.check('event.bind', {})).toMatchObject({ rejection: { status: 403 } });
+    });
+
+    it.each(['', 'crm.lead.add?id=1', 'crm lead', 'crm.lead.*'])('rejects the method name "%s"', (method) => {
+      expect(service.check(method, {})).toMatchObject({ rejection: { status: 400 } });
+    });
+
+    it('only allows read methods in read-only mode', () => {
+      const readOnly = createService({ readOnly: true });
+
+      expect(readOnly.check('crm.lead.list', {})).toEqual({ methods: ['crm.lead.list'] });
+      expect(readOnly.check('crm.duplicate.findbycomm', {})).toEqual({ methods: ['crm.duplicate.findbycomm'] });
+      expect(readOnly.check('crm.lead.add', {})).toEqual({
+        rejection: { status: 403, reason: 'Method "crm.lead.add" changes data and the proxy is read-only (BITRIX24_PROXY_READ_ONLY)' }
+      });
+    });
+
+    it('limits a key to its own method patterns', () => {
+      const apiKey = { id: 3, name: 'leads only', methods: ['crm.lead.*'] };
+
+      expect(service.check('crm.lead.add', {}, apiKey)).toEqual({ methods: ['crm.lead.add'] });
+      expect(service.check('crm.deal.add', {}, apiKey)).toEqual({
+        rejection: { status: 403, reason: 'API key "leads only" may not call "crm.deal.add"' }
+      });
+    });
+  });
+
+  describe('batch', () => {
+    const service = createService();
+
+    it('checks every command', () => {
+      expect(service.check('batch', {
+        cmd: { lead: 'crm.lead.add?fields[TITLE]=A', list: 'crm.lead.list' }
+      })).toEqual({ methods: ['crm.lead.add', 'crm.lead.list'] });
+    });
+
+    it('rejects a denied method hidden inside a batch', () => {
+      expect(service.check('batch', {
+        cmd: { list: 'crm.lead.list', drop: 'CRM.Contact.Delete?id=5' }
+      })).toEqual({
+        rejection: { status: 403, reason: 'Method "crm.contact.delete" is denied by BITRIX24_PROXY_DENY (*.delete)' }
+      });
+    });
+
+    it('applies the key\'s method patterns to each command', () => {
+      const apiKey = { id: 3, name: 'leads only', methods: ['crm.lead.*'] };
+
+      expect(service.check('batch', { cmd: { a: 'crm.lead.get?id=1', b: 'crm.deal.get?id=1' } }, apiKey)).toMatchObject({
+        rejection: { status: 403, reason: 'API key "leads only" may not call "crm.deal.get"' }
+      });
+    });
+
+    it.each([
+      ['a string', 'crm.lead.delete?id=5'],
+      ['a number', 5],
+      ['an object with a non-string command', { drop: { method: 'crm.lead.delete' } }]
+    ])('rejects cmd given as %s', (label, cmd) => {
+      expect(service.check('batch', { cmd })).toEqual({
+        rejection: { status: 400, reason: 'Batch commands (params.cmd) must be an object of "method?query" strings' }
+      });
+    });
+
+    it('rejects a batch without commands, or nested', () => {
+      expect(service.check('batch', {})).toEqual({
+        rejection: { status: 400, reason: 'Batch call without commands (params.cmd)' }
+      });
+      expect(service.check('batch', { cmd: { inner: 'batch?cmd[a]=crm.lead.delete' } })).toEqual({
+        rejection: { status: 400, reason: 'Invalid batch command "batch"' }
+      });
+    });
+
+    it('can deny batch as a whole', () => {
+      expect(createService({ deny: ['batch'] }).check('batch', { cmd: { a: 'crm.lead.list' } })).toMatchObject({
+        rejection: { status: 403 }
+      });
+    });
+  });
+
+  describe('redactParams', () => {
+    const service = createService();
+
+    it('masks the configured keys at any depth', () => {
+      expect(service.redactParams('crm.lead.add', {
+        fields: {
+          TITLE: 'Lead',
+          PHONE: [{ VALUE: '0901234567' }],
+          EMAIL: [{ VALUE: 'an@example.com' }]
+        },
+        auth: 'access-token'
+      })).toEqual({
+        fields: { TITLE: 'Lead', PHONE: '***MASKED***', EMAIL: '***MASKED***' },
+        auth: '***MASKED***'
+      });
+    });
+
+    it('keeps only the method of batch commands', () => {
+      expect(service.redactParams('batch', {
+        halt: 1,
+        cmd: { lead: 'crm.lead.add?fields[EMAIL][0][VALUE]=an@example.com', list: 'crm.lead.list' }
+      })).toEqual({
+        halt: 1,
+        cmd: { lead: 'crm.lead.add?***MASKED***', list: 'crm.lead.list' }
+      });
+    });
+
+    it('does not change the parameters it is given', () => {
+      const params = { fields: { PHONE: '0901234567' } };
+
+      service.redactParams('crm.lead.add', params);
+      expect(params).toEqual({ fields: { PHONE: '0901234567' } });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/utils/logger');
+
+const axios = require('axios');
+const CircuitBreakerService = require('../../src/services/circuit-breaker.service');
+
+function createBreaker(config = {}) {
+  return new CircuitBreakerService({
+    getCircuitBreakerConfig: () => ({
+      enabled: true,
+      failureThreshold: 3,
+      resetTimeout: 30000,
+      halfOpenRequests: 1,
+      ...config
+    })
+  });
+}
+
+/**
+ * axios instance whose requests are answered by respond(config): a number
+ * is an HTTP status, an Error a network failure
+ */
+function createClient(breaker, respond) {
+  const client = axios.create({
+    adapter: async (config) => {
+      const answer = await respond(config);
+      if (answer instanceof Error) {
+        answer.config = config;
+        throw answer;
+      }
+
+      const [status, data] = Array.isArray(answer) ? answer : [answer, {}];
+      const response = { status, statusText: String(status), headers: {}, data, config };
+      if (status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    }
+  });
+  breaker.attach(client);
+  return client;
+}
+
+const PORTAL = 'https://company.bitrix24.vn/rest/crm.lead.add';
+
+describe('CircuitBreakerService', () => {
+  let breaker;
+  let answers;
+  let requests;
+  let client;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z') });
+    breaker = createBreaker();
+    answers = [];
+    requests = 0;
+    client = createClient(breaker, () => {
+      requests++;
+      return answers.length > 0 ? answers.shift() : 200;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function failTimes(count, failure = 503) {
+    for (let i = 0; i < count; i++) {
+      answers.push(failure);
+      await client.post(PORTAL).catch(() => {});
+    }
+  }
+
+  const state = host => breaker.getStatus().circuits.find(circuit => circuit.host === host).state;
+
+  it('opens after the threshold of consecutive failures and fails fast', async () => {
+    await failTimes(2);
+    expect(state('company.bitrix24.vn')).toBe('closed');
+
+    await failTimes(1, new Error('connect ETIMEDOUT'));
+    expect(state('company.bitrix24.vn')).toBe('open');
+    expect(breaker.getRetryAt('company.bitrix24.vn')).toBe(Date.now() + 30000);
+
+    const error = await client.post(PORTAL).catch(caught => caught);
+    expect(error).toMatchObject({ circuitOpen: true, host: 'company.bitrix24.vn', retryAt: Date.now() + 30000 });
+    expect(requests).toBe(3);
+  });
+
+  it('only counts consecutive failures', async () => {
+    await failTimes(2);
+    await client.post(PORTAL);
+    await failTimes(2);
+
+    expect(state('company.bitrix24.vn')).toBe('closed');
+  });
+
+  it.each([
+    ['a 4xx answer', 404],
+    ['a Bitrix24 rate limit', [503, { error: 'QUERY_LIMIT_EXCEEDED' }]]
+  ])('does not count %s as the host being down', async (label, answer) => {
+    await failTimes(5, answer);
+
+    expect(state('company.bitrix24.vn')).toBe('closed');
+  });
+
+  it('keeps a circuit per host', async () => {
+    await failTimes(3);
+
+    await expect(client.get('https://api.jotform.com/user')).resolves.toMatchObject({ status: 200 });
+    expect(breaker.getStatus().open).toEqual(['company.bitrix24.vn']);
+  });
+
+  describe('after the reset timeout', () => {
+    beforeEach(async () => {
+      await failTimes(3);
+      jest.advanceTimersByTime(30000);
+    });
+
+    it('is half-open and lets one trial request through', async () => {
+      expect(breaker.getRetryAt('company.bitrix24.vn')).toBeNull();
+      expect(state('company.bitrix24.vn')).toBe('half_open');
+
+      let release;
+      answers.push(new Promise(resolve => { release = () => resolve(200); }));
+      const trial = client.post(PORTAL);
+
+      await expect(client.post(PORTAL)).rejects.toMatchObject({ circuitOpen: true });
+      release();
+      await trial;
+      expect(requests).toBe(4);
+    });
+
+    it('closes on a successful trial', async () => {
+      await client.post(PORTAL);
+
+      expect(state('company.bitrix24.vn')).toBe('closed');
+      await failTimes(2);
+      expect(state('company.bitrix24.vn')).toBe('closed');
+    });
+
+    it('opens again on a failed trial', async () => {
+      await failTimes(1);
+
+      expect(state('company.bitrix24.vn')).toBe('open');
+      expect(breaker.getRetryAt('company.bitrix24.vn')).toBe(Date.now() + 30000);
+      expect(breaker.getStatus().circuits[0]).toMatchObject({ opened: 2, lastError: 'HTTP 503' });
+    });
+  });
+
+  it('does nothing when disabled', async () => {
+    breaker = createBreaker({ enabled: false });
+    client = createClient(breaker, () => 503);
+
+    for (let i = 0; i < 5; i++) {
+      await client.post(PORTAL).catch(() => {});
+    }
+
+    expect(breaker.getStatus().circuits).toEqual([]);
+  });
+});
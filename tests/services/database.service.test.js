@@ -0,0 +1,83 @@
+jest.mock('../../src/utils/logger');
+
+const { createMemoryDatabase } = require('../helpers/database');
+
+describe('DatabaseService submission jobs', () => {
+  let databaseService;
+
+  beforeEach(async () => {
+    databaseService = await createMemoryDatabase();
+  });
+
+  afterEach(() => databaseService.close());
+
+  async function enqueue(submissionId, status) {
+    const id = await databaseService.enqueueSubmissionJob({ submission_id: submissionId, form_id: '111', payload: {} });
+    if (status) {
+      await databaseService.updateSubmissionJob(id, { status });
+    }
+    return id;
+  }
+
+  it.each(['pending', 'processing', 'paused'])('finds a %s job as active', async (status) => {
+    const id = await enqueue('5555', status);
+
+    await expect(databaseService.getActiveSubmissionJob('5555')).resolves.toMatchObject({ id, status });
+  });
+
+  it.each(['completed', 'dead'])('does not count a %s job as active', async (status) => {
+    await enqueue('5555', status);
+
+    await expect(databaseService.getActiveSubmissionJob('5555')).resolves.toBeNull();
+  });
+
+  describe('requeueFailedSubmissionJob', () => {
+    it('requeues a dead job with fresh attempts', async () => {
+      const id = await enqueue('5555');
+      await databaseService.updateSubmissionJob(id, { status: 'dead', attempts: 5, last_error: 'Bitrix24 down' });
+
+      await expect(databaseService.requeueFailedSubmissionJob(id)).resolves.toBe(true);
+      await expect(databaseService.getSubmissionJob(id)).resolves.toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('requeues a pending job waiting after a failed attempt', async () => {
+      const id = await enqueue('5555');
+      await databaseService.updateSubmissionJob(id, { attempts: 2, last_error: 'Bitrix24 down' });
+
+      await expect(databaseService.requeueFailedSubmissionJob(id)).resolves.toBe(true);
+    });
+
+    it.each([
+      ['a pending job that never failed', {}],
+      ['a processing job', { status: 'processing', attempts: 1 }],
+      ['a completed job', { status: 'completed', attempts: 1 }],
+      ['a paused job', { status: 'paused', last_error: 'Form paused' }]
+    ])('leaves %s alone', async (label, updates) => {
+      const id = await enqueue('5555');
+      if (Object.keys(updates).length > 0) {
+        await databaseService.updateSubmissionJob(id, updates);
+      }
+      const before = await databaseService.getSubmissionJob(id);
+
+      await expect(databaseService.requeueFailedSubmissionJob(id)).resolves.toBe(false);
+      await expect(databaseService.getSubmissionJob(id)).resolves.toMatchObject({
+        status: before.status,
+        attempts: before.attempts
+      });
+    });
+  });
+
+  it('counts every status, paused included', async () => {
+    await enqueue('1');
+    await enqueue('2', 'paused');
+    await enqueue('3', 'paused');
+
+    await expect(databaseService.getSubmissionJobStats()).resolves.toEqual({
+      pending: 1,
+      processing: 0,
+      paused: 2,
+      completed: 0,
+      dead: 0
+    });
+  });
+});
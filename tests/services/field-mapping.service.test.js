@@ -0,0 +1,173 @@
+jest.mock('../../src/utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const FieldMappingService = require('../../src/services/field-mapping.service');
+
+describe('FieldMappingService', () => {
+  let directory;
+  let jotformService;
+  let service;
+
+  function writeMapping(file, content) {
+    fs.writeFileSync(path.join(directory, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  function createService() {
+    return new FieldMappingService({
+      getFieldMappingConfig: () => ({ directory }),
+      getEntityRoutingConfig: () => ({ target: 'lead', dealCategoryId: 0, dealStageId: null, entityTypeId: null })
+    }, jotformService);
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mappings-'));
+    jotformService = {
+      getFormQuestions: jest.fn(async () => ({
+        success: true,
+        data: { 7: { type: 'control_email', text: 'Your email' } }
+      }))
+    };
+
+    fs.copyFileSync(path.join(__dirname, '../../src/config/mappings/default.json'), path.join(directory, 'default.json'));
+    writeMapping('111.json', {
+      description: 'Quote request',
+      fields: [
+        { question: { name: 'yourName' }, target: 'fullName' },
+        { question: { qid: 4 }, target: 'PHONE', valueType: 'MOBILE' },
+        { question: { qid: 9 }, target: 'PHONE' },
+        { question: { type: 'control_email' }, target: 'email', transforms: ['lowercase'] },
+        { question: { name: 'budget' }, target: 'UF_CRM_BUDGET', transforms: ['trim'] },
+        { question: { name: 'company' }, target: 'company.TITLE' }
+      ]
+    });
+    writeMapping('222.yml', [
+      'formId: "222"',
+      'fields:',
+      '  - question: { qid: 3 }',
+      '    target: fullName',
+      '  - question: { name: notes }',
+      '    target: COMMENTS'
+    ].join('\n'));
+    writeMapping('broken.json', { fields: [{ question: { qid: 3 } }] });
+
+    service = createService();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    it('loads JSON and YAML definitions by form ID', () => {
+      expect(service.listMappings().map(mapping => mapping.formId).sort()).toEqual(['111', '222', 'default']);
+      expect(service.getMapping('222').fields).toHaveLength(2);
+    });
+
+    it('skips an invalid definition and logs why', () => {
+      expect(service.getMapping('broken').formId).toBe('default');
+      expect(logger.error).toHaveBeenCalledWith('❌ Invalid field mapping definition', {
+        file: 'broken.json',
+        error: 'Rule #0 in broken.json needs "question" (or "questions") and "target"'
+      });
+    });
+
+    it('refuses unknown transforms when loading', () => {
+      writeMapping('333.json', { fields: [{ question: { qid: 3 }, target: 'NAME', transforms: ['shout'] }] });
+
+      expect(createService().getMapping('333').formId).toBe('default');
+    });
+
+    it('falls back to the default mapping for unknown forms', () => {
+      expect(service.getMapping('999').formId).toBe('default');
+      expect(service.getMapping(null).formId).toBe('default');
+    });
+  });
+
+  describe('mapRawRequest', () => {
+    const rawRequest = {
+      q2_yourName: { first: 'An', last: 'Nguyen' },
+      q4_phone: { full: '(090) 123-4567' },
+      q9_otherPhone: '0281234567',
+      q7_email: 'An@Example.COM',
+      q8_budget: '  5000  ',
+      q10_company: 'Acme',
+      q11_utm_source: 'google',
+      submitDate: '1760860800000'
+    };
+
+    it('maps contact keys, CRM fields and prefixed entity fields', async () => {
+      const contactData = await service.mapRawRequest('111', rawRequest, '5555');
+
+      expect(contactData).toMatchObject({
+        submissionId: '5555',
+        formId: '111',
+        submittedAt: new Date(1760860800000).toISOString(),
+        fullName: 'An Nguyen',
+        email: 'an@example.com',
+        fields: {
+          PHONE: [
+            { VALUE: '(090) 123-4567', VALUE_TYPE: 'MOBILE' },
+            { VALUE: '0281234567', VALUE_TYPE: 'WORK' }
+          ],
+          UF_CRM_BUDGET: '5000'
+        },
+        entityFields: { company: { TITLE: 'Acme' } },
+        utm: { source: 'google' }
+      });
+    });
+
+    it('loads the form questions once for type selectors', async () => {
+      await service.mapRawRequest('111', rawRequest, '5555');
+      await service.mapRawRequest('111', rawRequest, '5556');
+
+      expect(jotformService.getFormQuestions).toHaveBeenCalledTimes(1);
+      expect(jotformService.getFormQuestions).toHaveBeenCalledWith('111');
+    });
+
+    it('uses the default template for forms without a mapping', async () => {
+      const contactData = await service.mapRawRequest('999', {
+        q3_fullName: { first: 'Binh', last: 'Tran' },
+        q4_phoneNumber: { area: '090', phone: '1234567' },
+        q5_email: 'binh@example.com'
+      }, '6666');
+
+      expect(contactData).toMatchObject({
+        fullName: 'Binh Tran',
+        phone: '0901234567',
+        email: 'binh@example.com',
+        fields: {}
+      });
+      expect(service.hasContactData(contactData)).toBe(true);
+    });
+
+    it('finds nothing to sync in an empty submission', async () => {
+      const contactData = await service.mapRawRequest('222', { q20_other: 'x' }, '7777');
+
+      expect(service.hasContactData(contactData)).toBe(false);
+    });
+  });
+
+  it('maps submissions from the Jotform API', () => {
+    const contactData = service.mapSubmission({
+      id: '8888',
+      form_id: '222',
+      created_at: '2026-10-19 09:30:00',
+      answers: {
+        3: { name: 'fullName', type: 'control_fullname', text: 'Name', answer: { first: 'Chi', last: 'Le' } },
+        6: { name: 'notes', type: 'control_textarea', text: 'Notes', answer: 'Call after 5pm' }
+      }
+    });
+
+    expect(contactData).toMatchObject({
+      submissionId: '8888',
+      formId: '222',
+      submittedAt: '2026-10-19 09:30:00',
+      fullName: 'Chi Le',
+      fields: { COMMENTS: 'Call after 5pm' }
+    });
+    expect(contactData.answers.map(answer => answer.text)).toEqual(['Name', 'Notes']);
+  });
+});
@@ -0,0 +1,230 @@
+jest.mock('../../src/utils/logger');
+
+const FileAttachmentService = require('../../src/services/file-attachment.service');
+
+const PDF = Buffer.from('%PDF-1.4 quote');
+
+/**
+ * Jotform file storage: responses by URL, Error instances are thrown
+ */
+function createFiles(files) {
+  return {
+    get: jest.fn(async (url) => {
+      const file = files[url.split('?')[0]];
+      if (file instanceof Error) {
+        throw file;
+      }
+      if (!file) {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404 };
+        throw error;
+      }
+      return { data: file.data, headers: { 'content-type': file.type } };
+    })
+  };
+}
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+function createService(files = {}, config = {}) {
+  const httpService = createFiles(files);
+  const bitrix24Service = { addTimelineComment: jest.fn(async () => ({ success: true })) };
+  const fieldMappingService = { getMapping: jest.fn(() => ({})) };
+
+  const service = new FileAttachmentService({
+    getFileUploadConfig: () => ({
+      mode: 'comment',
+      onFailure: 'comment',
+      maxSize: 1024,
+      allowedTypes: ['application/pdf', 'image/*'],
+      allowedHosts: ['jotform.com'],
+      timeout: 1000,
+      ...config
+    }),
+    get: () => 'jotform-api-key'
+  }, httpService, bitrix24Service, fieldMappingService);
+
+  return { service, httpService, bitrix24Service, fieldMappingService };
+}
+
+const UPLOAD = 'https://www.jotform.com/uploads/acme/111/5555/quote.pdf';
+
+describe('FileAttachmentService', () => {
+  describe('download', () => {
+    it('downloads an allowed file with the API key', async () => {
+      const { service, httpService } = createService({ [UPLOAD]: { data: PDF, type: 'application/pdf' } });
+
+      await expect(service.download(UPLOAD)).resolves.toEqual({
+        name: 'quote.pdf',
+        type: 'application/pdf',
+        size: PDF.length,
+        content: PDF.toString('base64')
+      });
+      expect(httpService.get).toHaveBeenCalledWith(UPLOAD, expect.objectContaining({
+        params: { apiKey: 'jotform-api-key' },
+        maxContentLength: 1024
+      }));
+    });
+
+    it.each([
+      ['http://www.jotform.com/uploads/quote.pdf', 'Host www.jotform.com is not in FILE_UPLOAD_ALLOWED_HOSTS'],
+      ['https://jotform.com.attacker.net/quote.pdf', 'Host jotform.com.attacker.net is not in FILE_UPLOAD_ALLOWED_HOSTS'],
+      ['https://169.254.169.254/latest/meta-data', 'Host 169.254.169.254 is not in FILE_UPLOAD_ALLOWED_HOSTS'],
+      ['not a link', 'Invalid file link']
+    ])('refuses %s without fetching it', async (link, message) => {
+      const { service, httpService } = createService();
+
+      await expect(service.download(link)).rejects.toMatchObject({ message, permanent: true });
+      expect(httpService.get).not.toHaveBeenCalled();
+    });
+
+    it('refuses a redirect off the allowed hosts', async () => {
+      const { service, httpService } = createService();
+      httpService.get.mockImplementationOnce(async (url, options) => {
+        options.beforeRedirect({ hostname: 'internal.example.com' });
+      });
+
+      await expect(service.download(UPLOAD)).rejects.toMatchObject({
+        message: 'Redirect to internal.example.com is not in FILE_UPLOAD_ALLOWED_HOSTS',
+        permanent: true
+      });
+    });
+
+    it('refuses a file over FILE_UPLOAD_MAX_SIZE', async () => {
+      const { service } = createService({
+        [UPLOAD]: new Error('maxContentLength size of 1024 exceeded'),
+        'https://files.jotform.com/big.pdf': { data: Buffer.alloc(2048), type: 'application/pdf' }
+      });
+
+      await expect(service.download(UPLOAD)).rejects.toMatchObject({ message: 'File is larger than 1024 bytes', permanent: true });
+      await expect(service.download('https://files.jotform.com/big.pdf')).rejects.toMatchObject({ permanent: true });
+    });
+
+    it('refuses a type outside FILE_UPLOAD_ALLOWED_TYPES', async () => {
+      const { service } = createService({
+        'https://www.jotform.com/uploads/setup.exe': { data: PDF, type: 'application/x-msdownload' }
+      });
+
+      await expect(service.download('https://www.jotform.com/uploads/setup.exe')).rejects.toMatchObject({
+        message: 'File type application/x-msdownload is not in FILE_UPLOAD_ALLOWED_TYPES',
+        permanent: true
+      });
+    });
+
+    it('takes the type from the extension of a generic download', async () => {
+      const { service } = createService({
+        'https://www.jotform.com/uploads/photo%20front.JPG': { data: PDF, type: 'application/octet-stream' },
+        'https://www.jotform.com/uploads/blob': { data: PDF, type: 'application/octet-stream' }
+      });
+
+      await expect(service.download('https://www.jotform.com/uploads/photo%20front.JPG')).resolves.toMatchObject({
+        name: 'photo front.JPG',
+        type: 'image/jpeg'
+      });
+      await expect(service.download('https://www.jotform.com/uploads/blob')).rejects.toMatchObject({
+        message: 'File type application/octet-stream is not in FILE_UPLOAD_ALLOWED_TYPES'
+      });
+    });
+
+    it.each([
+      ['HTTP 404', httpError(404), 'Download failed with HTTP 404', true],
+      ['HTTP 429', httpError(429), 'Download failed with HTTP 429', undefined],
+      ['HTTP 503', httpError(503), 'Download failed with HTTP 503', undefined],
+      ['a network error', new Error('socket hang up'), 'Download failed: socket hang up', undefined]
+    ])('tells whether a download that failed with %s is worth retrying', async (label, error, message, permanent) => {
+      const { service } = createService({ [UPLOAD]: error });
+
+      const failure = await service.download(UPLOAD).catch(caught => caught);
+
+      expect(failure.message).toBe(message);
+      expect(failure.permanent).toBe(permanent);
+    });
+  });
+
+  describe('prepare', () => {
+    const contactData = {
+      submissionId: '5555',
+      formId: '111',
+      files: [
+        { label: 'Quote', urls: [UPLOAD] },
+        { label: 'ID card', target: 'UF_CRM_ID_CARD', urls: ['https://www.jotform.com/uploads/front.png', 'https://www.jotform.com/uploads/back.png'] }
+      ]
+    };
+    const files = {
+      [UPLOAD]: { data: PDF, type: 'application/pdf' },
+      'https://www.jotform.com/uploads/front.png': { data: PDF, type: 'image/png' },
+      'https://www.jotform.com/uploads/back.png': { data: PDF, type: 'image/png' }
+    };
+
+    it('puts mapped files in their field and the others on the comment', async () => {
+      const { service } = createService(files);
+
+      const attachments = await service.prepare(contactData);
+
+      expect(attachments.comment).toEqual([['quote.pdf', PDF.toString('base64')]]);
+      expect(attachments.fields.UF_CRM_ID_CARD).toEqual([
+        { fileData: ['front.png', PDF.toString('base64')] },
+        { fileData: ['back.png', PDF.toString('base64')] }
+      ]);
+      expect(attachments.failures).toEqual([]);
+    });
+
+    it('lists refused files instead of failing, even with FILE_UPLOAD_ON_FAILURE=fail', async () => {
+      const { service } = createService({ ...files, [UPLOAD]: { data: PDF, type: 'text/html' } }, { onFailure: 'fail' });
+
+      const attachments = await service.prepare(contactData);
+
+      expect(attachments.failures).toEqual([
+        { label: 'Quote', url: UPLOAD, reason: 'File type text/html is not in FILE_UPLOAD_ALLOWED_TYPES' }
+      ]);
+    });
+
+    it('fails the job on a download error with FILE_UPLOAD_ON_FAILURE=fail', async () => {
+      const { service } = createService({ ...files, [UPLOAD]: httpError(503) }, { onFailure: 'fail' });
+
+      await expect(service.prepare(contactData)).rejects.toThrow('File upload "Quote" could not be downloaded (Download failed with HTTP 503)');
+    });
+
+    it('only downloads mapped files when attachments are off for the form', async () => {
+      const { service, httpService, fieldMappingService } = createService(files);
+      fieldMappingService.getMapping.mockReturnValue({ attachments: 'none' });
+
+      const attachments = await service.prepare(contactData);
+
+      expect(attachments.comment).toEqual([]);
+      expect(httpService.get).not.toHaveBeenCalledWith(UPLOAD, expect.anything());
+    });
+  });
+
+  describe('attach', () => {
+    it('comments the files and the ones that could not be attached', async () => {
+      const { service, bitrix24Service } = createService();
+
+      await service.attach({ entityType: 'lead', entityId: 42 }, {
+        fields: {},
+        comment: [['quote.pdf', 'base64']],
+        failures: [{ label: 'Photo', url: 'https://evil.example.com/p.png', reason: 'Host evil.example.com is not in FILE_UPLOAD_ALLOWED_HOSTS' }]
+      }, { submissionId: '5555' }, 'company.bitrix24.vn');
+
+      expect(bitrix24Service.addTimelineComment).toHaveBeenCalledWith('lead', 42, [
+        '📎 Files from Jotform submission 5555',
+        '• quote.pdf',
+        '',
+        '⚠️ Files that could not be attached:',
+        '• Photo: https://evil.example.com/p.png (Host evil.example.com is not in FILE_UPLOAD_ALLOWED_HOSTS)'
+      ].join('\n'), 'company.bitrix24.vn', [['quote.pdf', 'base64']]);
+    });
+
+    it('does not comment when there is nothing to tell', async () => {
+      const { service, bitrix24Service } = createService();
+
+      await service.attach({ entityType: 'lead', entityId: 42 }, { fields: { UF_CRM_ID_CARD: {} }, comment: [], failures: [] }, { submissionId: '5555' });
+
+      expect(bitrix24Service.addTimelineComment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../../src/utils/logger');
+
+const OAuthStateService = require('../../src/services/oauth-state.service');
+const { createOAuthStateDatabase } = require('../helpers/database');
+
+function createService(databaseService, config = {}) {
+  const configService = {
+    getOAuthStateConfig: () => ({
+      ttl: 600000,
+      returnHosts: ['admin.example.com'],
+      ...config
+    })
+  };
+  return new OAuthStateService(configService, databaseService);
+}
+
+describe('OAuthStateService', () => {
+  let databaseService;
+  let service;
+
+  beforeEach(() => {
+    databaseService = createOAuthStateDatabase();
+    service = createService(databaseService);
+  });
+
+  it('accepts a valid state once', async () => {
+    const state = await service.create('Company.Bitrix24.vn', '/admin');
+
+    await expect(service.consume(state, 'company.bitrix24.vn')).resolves.toEqual({
+      domain: 'company.bitrix24.vn',
+      returnUrl: '/admin'
+    });
+    await expect(service.consume(state, 'company.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'State already used' }
+    });
+  });
+
+  it('accepts a valid state when the callback does not report a portal', async () => {
+    const state = await service.create('company.bitrix24.vn');
+
+    await expect(service.consume(state)).resolves.toEqual({
+      domain: 'company.bitrix24.vn',
+      returnUrl: null
+    });
+  });
+
+  it('stores only the hash of the state', async () => {
+    const state = await service.create('company.bitrix24.vn');
+
+    expect(databaseService.states.has(state)).toBe(false);
+    expect(databaseService.states.has(service.hash(state))).toBe(true);
+  });
+
+  it('rejects a missing state', async () => {
+    await expect(service.consume(undefined, 'company.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'Missing state' }
+    });
+    expect(databaseService.getOAuthState).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown state', async () => {
+    await expect(service.consume('forged-state', 'company.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'Unknown state' }
+    });
+  });
+
+  it('rejects an expired state', async () => {
+    service = createService(databaseService, { ttl: -1000 });
+    const state = await service.create('company.bitrix24.vn');
+
+    await expect(service.consume(state, 'company.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'State expired' }
+    });
+  });
+
+  it('rejects a state issued for another portal', async () => {
+    const state = await service.create('company.bitrix24.vn');
+
+    await expect(service.consume(state, 'attacker.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'State was issued for another portal' }
+    });
+    // Not used up: the rightful callback still gets through
+    await expect(service.consume(state, 'company.bitrix24.vn')).resolves.toMatchObject({
+      domain: 'company.bitrix24.vn'
+    });
+  });
+
+  it('rejects a replay that loses the race to mark the state used', async () => {
+    const state = await service.create('company.bitrix24.vn');
+    databaseService.markOAuthStateUsed.mockResolvedValueOnce(false);
+
+    await expect(service.consume(state, 'company.bitrix24.vn')).resolves.toEqual({
+      rejection: { reason: 'State already used' }
+    });
+  });
+
+  describe('validateReturnUrl', () => {
+    it('allows local paths and URLs on the allowed hosts', () => {
+      expect(service.validateReturnUrl('/admin?tab=portals')).toBe('/admin?tab=portals');
+      expect(service.validateReturnUrl('https://admin.example.com/done')).toBe('https://admin.example.com/done');
+      expect(service.validateReturnUrl(null)).toBeNull();
+    });
+
+    it.each([
+      '//evil.example.com/path',
+      '/\\evil.example.com',
+      'https://evil.example.com/',
+      'javascript:alert(1)'
+    ])('rejects %s', (returnUrl) => {
+      expect(() => service.validateReturnUrl(returnUrl)).toThrow(expect.objectContaining({ invalidReturnUrl: true }));
+    });
+
+    it('refuses to issue a state with a disallowed return URL', async () => {
+      await expect(service.create('company.bitrix24.vn', 'https://evil.example.com/')).rejects.toMatchObject({
+        invalidReturnUrl: true
+      });
+      expect(databaseService.saveOAuthState).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../../src/utils/logger');
+
+const PortalService = require('../../src/services/portal.service');
+const Bitrix24NewService = require('../../src/services/bitrix24-new.service');
+const { createMemoryDatabase } = require('../helpers/database');
+
+const DEFAULT_DOMAIN = 'company.bitrix24.vn';
+
+function createConfig(domain = DEFAULT_DOMAIN) {
+  return {
+    getBitrix24Config: () => ({ clientId: 'local.app.123', clientSecret: 'secret', domain }),
+    getTokenRefreshConfig: () => ({ refreshTokenLifetimeDays: 180 }),
+    getAssignmentConfig: () => ({ fallbackUserId: 1 }),
+    getUtmConfig: () => ({ enabled: false, defaultSourceId: null, sources: {} })
+  };
+}
+
+describe('Bitrix24 portals', () => {
+  let databaseService;
+  let minutes;
+
+  async function install(domain, memberId, accessToken) {
+    // Tokens are ordered by created_at, keep every install a minute apart
+    const createdAt = new Date(Date.UTC(2026, 9, 19, 9, minutes++));
+    return databaseService.saveToken({
+      access_token: accessToken,
+      refresh_token: `${accessToken}-refresh`,
+      expires_at: new Date(createdAt.getTime() + 3600 * 1000),
+      domain,
+      member_id: memberId,
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+  }
+
+  beforeEach(async () => {
+    minutes = 0;
+    databaseService = await createMemoryDatabase();
+  });
+
+  afterEach(() => databaseService.close());
+
+  describe('DatabaseService', () => {
+    beforeEach(async () => {
+      await install(DEFAULT_DOMAIN, 'member-1', 'first-access');
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+      await install(DEFAULT_DOMAIN, 'member-1', 'second-access');
+    });
+
+    it('finds the newest token of a portal by domain or member_id', async () => {
+      await expect(databaseService.getTokenByPortal(DEFAULT_DOMAIN)).resolves.toMatchObject({ access_token: 'second-access' });
+      await expect(databaseService.getTokenByPortal('member-2')).resolves.toMatchObject({ domain: 'branch.bitrix24.vn' });
+      await expect(databaseService.getTokenByPortal('unknown.bitrix24.vn')).resolves.toBeNull();
+    });
+
+    it('lists every portal once, with its newest token', async () => {
+      const portals = await databaseService.getPortals();
+
+      expect(portals.map(token => [token.domain, token.access_token])).toEqual([
+        ['branch.bitrix24.vn', 'branch-access'],
+        [DEFAULT_DOMAIN, 'second-access']
+      ]);
+    });
+  });
+
+  describe('PortalService', () => {
+    let service;
+
+    beforeEach(async () => {
+      await install(DEFAULT_DOMAIN, 'member-1', 'default-access');
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+      service = new PortalService(createConfig(), databaseService);
+    });
+
+    it('sends a submission to the portal in the webhook URL first', async () => {
+      await service.bindForm('111', 'branch.bitrix24.vn');
+
+      await expect(service.resolvePortal('member-1', '111')).resolves.toBe(DEFAULT_DOMAIN);
+      await expect(service.resolvePortal('unknown.bitrix24.vn', '111'))
+        .rejects.toThrow('Bitrix24 portal "unknown.bitrix24.vn" is not installed');
+    });
+
+    it('then to the portal its form is bound to, else to the default portal', async () => {
+      await service.bindForm('111', 'member-2');
+
+      await expect(service.resolvePortal(null, '111')).resolves.toBe('branch.bitrix24.vn');
+      await expect(service.resolvePortal(null, '222')).resolves.toBeNull();
+    });
+
+    it('only binds forms to installed portals', async () => {
+      await expect(service.bindForm('111', 'unknown.bitrix24.vn'))
+        .rejects.toThrow('Bitrix24 portal "unknown.bitrix24.vn" is not installed');
+      await expect(service.listBindings()).resolves.toEqual([]);
+    });
+
+    it('lists the portals with their forms', async () => {
+      await service.bindForm('111', 'branch.bitrix24.vn');
+
+      await expect(service.listPortals()).resolves.toEqual([
+        expect.objectContaining({ domain: 'branch.bitrix24.vn', memberId: 'member-2', isDefault: false, forms: ['111'] }),
+        expect.objectContaining({ domain: DEFAULT_DOMAIN, memberId: 'member-1', isDefault: true, forms: [] })
+      ]);
+    });
+  });
+
+  describe('Bitrix24NewService.resolveToken', () => {
+    function createService(domain) {
+      return new Bitrix24NewService(createConfig(domain), {}, databaseService, {}, null);
+    }
+
+    it('uses the token of the portal it is asked for', async () => {
+      await install(DEFAULT_DOMAIN, 'member-1', 'default-access');
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+
+      await expect(createService().resolveToken('member-2')).resolves.toMatchObject({ access_token: 'branch-access' });
+      await expect(createService().resolveToken('unknown.bitrix24.vn')).resolves.toBeNull();
+    });
+
+    it('falls back to the configured portal', async () => {
+      await install(DEFAULT_DOMAIN, 'member-1', 'default-access');
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+
+      await expect(createService().resolveToken()).resolves.toMatchObject({ access_token: 'default-access' });
+    });
+
+    it('uses the only installed portal when none is configured', async () => {
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+
+      await expect(createService('').resolveToken()).resolves.toMatchObject({ domain: 'branch.bitrix24.vn' });
+      await expect(createService('other.bitrix24.vn').resolveToken()).resolves.toMatchObject({ domain: 'branch.bitrix24.vn' });
+    });
+
+    it('refuses to guess between several portals', async () => {
+      await install('branch.bitrix24.vn', 'member-2', 'branch-access');
+      await install('shop.bitrix24.vn', 'member-3', 'shop-access');
+
+      await expect(createService('').resolveToken())
+        .rejects.toThrow('Several Bitrix24 portals are installed (branch.bitrix24.vn, shop.bitrix24.vn); specify which portal to use');
+    });
+
+    it('has no token before any install', async () => {
+      await expect(createService().resolveToken()).resolves.toBeNull();
+    });
+  });
+});
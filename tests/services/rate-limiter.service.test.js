@@ -0,0 +1,174 @@
+jest.mock('../../src/utils/logger');
+
+const RateLimiterService = require('../../src/services/rate-limiter.service');
+
+function createLimiter(config = {}) {
+  return new RateLimiterService({
+    getRateLimitConfig: () => ({
+      rate: 2,
+      burst: 2,
+      maxRetries: 5,
+      backoffBase: 1000,
+      backoffMax: 8000,
+      operatingLimit: 480,
+      operatingMargin: 60,
+      ...config
+    })
+  });
+}
+
+describe('RateLimiterService', () => {
+  let limiter;
+  let calls;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z') });
+    limiter = createLimiter();
+    calls = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  function call(method, portal = 'company.bitrix24.vn') {
+    return limiter.schedule(portal, method, async () => {
+      calls.push(method);
+      return method;
+    });
+  }
+
+  async function advance(ms) {
+    await jest.advanceTimersByTimeAsync(ms);
+  }
+
+  describe('token bucket', () => {
+    it('lets a burst through, then one call per 1/rate seconds', async () => {
+      ['a', 'b', 'c', 'd'].forEach(method => call(method));
+      await advance(0);
+      expect(calls).toEqual(['a', 'b']);
+
+      await advance(499);
+      expect(calls).toEqual(['a', 'b']);
+      await advance(1);
+      expect(calls).toEqual(['a', 'b', 'c']);
+      await advance(500);
+      expect(calls).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('keeps a bucket per portal', async () => {
+      ['a', 'b', 'c'].forEach(method => call(method));
+      call('other', 'branch.bitrix24.vn');
+      await advance(0);
+
+      expect(calls).toEqual(['a', 'b', 'other']);
+    });
+
+    it('settles with the outcome of the call', async () => {
+      const failing = limiter.schedule('company.bitrix24.vn', 'crm.lead.add', async () => {
+        throw new Error('QUERY_LIMIT_EXCEEDED');
+      });
+
+      await expect(call('crm.lead.get')).resolves.toBe('crm.lead.get');
+      await expect(failing).rejects.toThrow('QUERY_LIMIT_EXCEEDED');
+    });
+  });
+
+  describe('back-off', () => {
+    it('doubles the pause on every limit hit up to the maximum', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+
+      const delays = [1, 2, 3, 4, 5].map(() => limiter.penalize('company.bitrix24.vn'));
+
+      expect(delays).toEqual([1000, 2000, 4000, 8000, 8000]);
+    });
+
+    it('jitters the pause between half and all of the delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(limiter.penalize('company.bitrix24.vn')).toBe(500);
+    });
+
+    it('starts over after a successful response', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      limiter.penalize('company.bitrix24.vn');
+      limiter.penalize('company.bitrix24.vn');
+
+      limiter.recordResponse('company.bitrix24.vn', 'crm.lead.add', null);
+
+      expect(limiter.penalize('company.bitrix24.vn')).toBe(1000);
+    });
+
+    it('holds every call of the portal until the pause is over', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      limiter.penalize('company.bitrix24.vn');
+
+      call('crm.lead.add');
+      call('other', 'branch.bitrix24.vn');
+      await advance(999);
+      expect(calls).toEqual(['other']);
+
+      // The bucket was emptied, so the first call waits for a token too
+      await advance(501);
+      expect(calls).toEqual(['other', 'crm.lead.add']);
+      expect(limiter.getStatus().portals[0]).toMatchObject({ portal: 'company.bitrix24.vn', limited: 1, pausedUntil: null });
+    });
+  });
+
+  describe('method holds', () => {
+    it('holds a method whose operating time nears the limit until its reset', async () => {
+      const resetAt = Date.now() + 5000;
+      limiter.recordResponse('company.bitrix24.vn', 'crm.lead.list', { operating: 425, operating_reset_at: resetAt / 1000 });
+
+      call('crm.lead.list');
+      call('crm.lead.add');
+      await advance(0);
+      expect(calls).toEqual(['crm.lead.add']);
+      expect(limiter.getStatus().portals[0].pausedMethods).toEqual({
+        'crm.lead.list': new Date(resetAt).toISOString()
+      });
+
+      await advance(4999);
+      expect(calls).toEqual(['crm.lead.add']);
+      await advance(1);
+      expect(calls).toEqual(['crm.lead.add', 'crm.lead.list']);
+      expect(limiter.getStatus().portals[0].pausedMethods).toEqual({});
+    });
+
+    it('does not hold a method with operating time to spare', async () => {
+      limiter.recordResponse('company.bitrix24.vn', 'crm.lead.list', { operating: 419, operating_reset_at: Date.now() / 1000 + 600 });
+
+      call('crm.lead.list');
+      await advance(0);
+
+      expect(calls).toEqual(['crm.lead.list']);
+    });
+
+    it('holds a method for a minute when the portal gives no reset time', async () => {
+      limiter.recordResponse('company.bitrix24.vn', 'crm.lead.list', { operating: 470 });
+
+      call('crm.lead.list');
+      await advance(59999);
+      expect(calls).toEqual([]);
+      await advance(1);
+      expect(calls).toEqual(['crm.lead.list']);
+    });
+  });
+
+  it('reports the queue depth', async () => {
+    ['a', 'b', 'c', 'd'].forEach(method => call(method));
+    call('other', 'branch.bitrix24.vn');
+    await advance(0);
+
+    expect(limiter.getStatus()).toMatchObject({
+      rate: 2,
+      burst: 2,
+      queued: 2,
+      portals: [
+        { portal: 'company.bitrix24.vn', queued: 2, tokens: 0, sent: 2 },
+        { portal: 'branch.bitrix24.vn', queued: 0, tokens: 1, sent: 1 }
+      ]
+    });
+  });
+});
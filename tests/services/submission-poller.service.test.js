@@ -0,0 +1,198 @@
+jest.mock('../../src/utils/logger');
+
+const SubmissionPollerService = require('../../src/services/submission-poller.service');
+const SubmissionQueueService = require('../../src/services/submission-queue.service');
+const { createMemoryDatabase } = require('../helpers/database');
+const { createJotformSubmissions } = require('../helpers/jotform');
+
+function submission(id, createdAt) {
+  return { id, form_id: '111', created_at: createdAt, answers: { 3: { answer: 'An Nguyen' } } };
+}
+
+describe('SubmissionPollerService', () => {
+  let databaseService;
+  let submissions;
+  let jotformService;
+  let fieldMappingService;
+  let submissionQueueService;
+  let service;
+
+  function createService(forms = ['111']) {
+    return new SubmissionPollerService({
+      getPollingConfig: () => ({ enabled: true, interval: 60000, pageSize: 2, forms })
+    }, databaseService, jotformService, fieldMappingService, submissionQueueService);
+  }
+
+  beforeEach(async () => {
+    databaseService = await createMemoryDatabase();
+    submissions = [
+      submission('1001', '2026-10-01 08:00:00'),
+      submission('1002', '2026-10-02 08:00:00')
+    ];
+    jotformService = createJotformSubmissions(submissions);
+
+    const mappings = {
+      default: {},
+      222: { polling: { interval: 300000, portal: 'branch.bitrix24.vn' } },
+      333: { polling: true },
+      111: {}
+    };
+    fieldMappingService = {
+      listMappings: () => Object.keys(mappings).map(formId => ({ formId })),
+      getMapping: formId => mappings[formId],
+      mapSubmission: entry => ({ submissionId: entry.id, formId: entry.form_id, fullName: 'An Nguyen' }),
+      hasContactData: () => true
+    };
+    submissionQueueService = new SubmissionQueueService({
+      getQueueConfig: () => ({ enabled: false, pollInterval: 1000, maxAttempts: 5, backoffBase: 1000, backoffMax: 60000 })
+    }, databaseService);
+
+    service = createService();
+  });
+
+  afterEach(() => {
+    service.stop();
+    databaseService.close();
+  });
+
+  async function queuedSubmissions() {
+    const jobs = await databaseService.getSubmissionJobs({ status: 'pending' });
+    return jobs.map(job => job.submission_id).sort();
+  }
+
+  describe('pollForm', () => {
+    it('only records the newest submission on the first poll', async () => {
+      await expect(service.pollForm('111')).resolves.toMatchObject({ initialized: true });
+
+      await expect(databaseService.getPollState('111')).resolves.toMatchObject({
+        last_created_at: '2026-10-02 08:00:00',
+        last_submission_id: '1002'
+      });
+      await expect(queuedSubmissions()).resolves.toEqual([]);
+    });
+
+    it('queues the submissions after the mark, oldest first and page by page', async () => {
+      await service.pollForm('111');
+      submissions.push(
+        submission('1005', '2026-10-03 08:00:00'),
+        submission('1003', '2026-10-02 08:00:00'),
+        submission('1004', '2026-10-03 08:00:00')
+      );
+
+      await expect(service.pollForm('111')).resolves.toEqual({ formId: '111', fetched: 3, queued: 3, skipped: 0, empty: 0 });
+      await expect(queuedSubmissions()).resolves.toEqual(['1003', '1004', '1005']);
+      await expect(databaseService.getPollState('111')).resolves.toMatchObject({
+        last_created_at: '2026-10-03 08:00:00',
+        last_submission_id: '1005',
+        queued: 3
+      });
+
+      await expect(service.pollForm('111')).resolves.toMatchObject({ fetched: 0 });
+    });
+
+    it('skips submissions a webhook already delivered', async () => {
+      await service.pollForm('111');
+      submissions.push(submission('1003', '2026-10-03 08:00:00'));
+      await submissionQueueService.enqueue({ submissionId: '1003' }, '111');
+
+      await expect(service.pollForm('111')).resolves.toMatchObject({ fetched: 1, queued: 0, skipped: 1 });
+    });
+
+    it('keeps the mark before a submission it could not queue', async () => {
+      await service.pollForm('111');
+      submissions.push(submission('1003', '2026-10-03 08:00:00'), submission('1004', '2026-10-04 08:00:00'));
+      const enqueue = submissionQueueService.enqueue.bind(submissionQueueService);
+      jest.spyOn(submissionQueueService, 'enqueue')
+        .mockImplementationOnce(enqueue)
+        .mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+
+      await expect(service.pollForm('111')).rejects.toThrow('SQLITE_BUSY: database is locked');
+      await expect(databaseService.getPollState('111')).resolves.toMatchObject({
+        last_submission_id: '1003',
+        last_error: 'SQLITE_BUSY: database is locked',
+        queued: 1
+      });
+      expect(service.polling.size).toBe(0);
+
+      await expect(service.pollForm('111')).resolves.toMatchObject({ fetched: 1, queued: 1 });
+      await expect(queuedSubmissions()).resolves.toEqual(['1003', '1004']);
+    });
+
+    it('writes no mark when the first poll fails, and can poll again', async () => {
+      jotformService.getSubmissions.mockResolvedValueOnce({ success: false, error: 'Invalid API key' });
+
+      await expect(service.pollForm('111')).rejects.toThrow('Failed to fetch submissions: Invalid API key');
+      await expect(databaseService.getPollState('111')).resolves.toBeNull();
+
+      await expect(service.pollForm('111')).resolves.toMatchObject({ initialized: true });
+    });
+
+    it('polls a form only once at a time', async () => {
+      const first = service.pollForm('111');
+
+      await expect(service.pollForm('111')).resolves.toEqual({ formId: '111', skipped: true, message: 'Poll already in progress' });
+      await first;
+    });
+
+    it('sends the submissions of a form to the portal of its mapping', async () => {
+      await service.pollForm('222');
+      submissions.push({ ...submission('1003', '2026-10-03 08:00:00'), form_id: '222' });
+
+      await service.pollForm('222');
+
+      const [job] = await databaseService.getSubmissionJobs({ status: 'pending' });
+      expect(job.payload.contactData.portal).toBe('branch.bitrix24.vn');
+    });
+  });
+
+  describe('schedule', () => {
+    it('combines POLLING_FORMS with the forms whose mapping enables polling', () => {
+      expect(service.getPolledForms()).toEqual([
+        { formId: '111', interval: 60000, portal: null },
+        { formId: '222', interval: 300000, portal: 'branch.bitrix24.vn' },
+        { formId: '333', interval: 60000, portal: null }
+      ]);
+    });
+
+    it('lets a mapping turn polling off for a form in POLLING_FORMS', () => {
+      fieldMappingService.getMapping = formId => (formId === '111' ? { polling: { enabled: false } } : {});
+
+      expect(service.getPolledForms()).toEqual([]);
+    });
+
+    it('only polls the forms whose own interval has elapsed', async () => {
+      const pollForm = jest.spyOn(service, 'pollForm').mockResolvedValue({});
+      service.lastPolled.set('111', Date.now() - 120000);
+      service.lastPolled.set('222', Date.now() - 120000);
+
+      await service.pollDueForms();
+
+      expect(pollForm.mock.calls.map(([formId]) => formId)).toEqual(['111', '333']);
+    });
+
+    it('goes on with the other forms when one fails', async () => {
+      const pollForm = jest.spyOn(service, 'pollForm').mockRejectedValueOnce(new Error('Jotform down')).mockResolvedValue({});
+
+      await expect(service.pollDueForms()).resolves.toBeUndefined();
+      expect(pollForm).toHaveBeenCalledTimes(3);
+    });
+
+    it('wakes up when the next form is due', () => {
+      const setTimeout = jest.spyOn(global, 'setTimeout').mockReturnValue({ unref: () => {} });
+      service = createService([]);
+      fieldMappingService.getMapping = formId => (formId === '222' ? { polling: { interval: 20000 } } : {});
+      service.running = true;
+      service.lastPolled.set('222', Date.now() - 5000);
+
+      try {
+        service.scheduleNext();
+        const delay = setTimeout.mock.calls[0][1];
+        expect(delay).toBeGreaterThan(14000);
+        expect(delay).toBeLessThanOrEqual(15000);
+      } finally {
+        setTimeout.mockRestore();
+        service.timer = null;
+      }
+    });
+  });
+});
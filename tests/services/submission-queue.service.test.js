@@ -0,0 +1,153 @@
+jest.mock('../../src/utils/logger');
+
+const SubmissionQueueService = require('../../src/services/submission-queue.service');
+const DeduplicationService = require('../../src/services/deduplication.service');
+const { createMemoryDatabase } = require('../helpers/database');
+
+describe('SubmissionQueueService', () => {
+  let databaseService;
+  let bitrix24Service;
+  let circuitBreaker;
+  let fieldMappingService;
+  let service;
+
+  beforeEach(async () => {
+    databaseService = await createMemoryDatabase();
+
+    bitrix24Service = {
+      resolveSourceId: jest.fn(async () => null),
+      findDuplicates: jest.fn(async () => []),
+      createDealChain: jest.fn(),
+      createLead: jest.fn(async () => ({ success: true, leadId: 42 }))
+    };
+    fieldMappingService = {
+      getMapping: () => ({}),
+      getEntityRoute: jest.fn(() => ({ target: 'deal', dealCategoryId: 0 }))
+    };
+    circuitBreaker = { getRetryAt: jest.fn(() => null) };
+
+    const configService = {
+      getDeduplicationConfig: () => ({ policy: 'attach_contact', matchBy: ['EMAIL', 'PHONE'] }),
+      getQueueConfig: () => ({ enabled: false, pollInterval: 1000, maxAttempts: 3, backoffBase: 1000, backoffMax: 60000 })
+    };
+    const deduplicationService = new DeduplicationService(configService, bitrix24Service, fieldMappingService);
+
+    service = new SubmissionQueueService(
+      configService,
+      databaseService,
+      deduplicationService,
+      { resolvePortal: async () => null, defaultDomain: 'company.bitrix24.vn' },
+      { prepare: async () => ({ fields: {}, comment: [], failures: [] }), attach: async () => {} },
+      circuitBreaker,
+      { record: async () => {} },
+      { assign: async () => ({ userId: 1 }) }
+    );
+  });
+
+  afterEach(() => databaseService.close());
+
+  /**
+   * Claim the job the way the worker does, as soon as its retry is due
+   */
+  async function runNextAttempt(jobId) {
+    await databaseService.updateSubmissionJob(jobId, { next_attempt_at: new Date(0) });
+    const job = await databaseService.claimNextSubmissionJob();
+    await service.processJob(job);
+    return await databaseService.getSubmissionJob(jobId);
+  }
+
+  const contactData = { submissionId: '5555', formId: '111', fullName: 'An Nguyen', email: 'an@example.com' };
+
+  describe('deal chain retries', () => {
+    it('links the retried deal to the contact the failed attempt created', async () => {
+      bitrix24Service.createDealChain
+        .mockResolvedValueOnce({ success: false, error: 'Failed to create deal', contactId: 101 })
+        .mockResolvedValueOnce({ success: false, error: 'Failed to create deal', contactId: 101 })
+        .mockResolvedValueOnce({ success: true, dealId: 7, contactId: 101 });
+      const jobId = await service.enqueue(contactData, '111');
+
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({
+        status: 'pending',
+        last_error: 'Failed to create deal',
+        payload: { contactData: { dealContactId: 101 } }
+      });
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({ status: 'pending' });
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({
+        status: 'completed',
+        result: { entityType: 'deal', entityId: 7, action: 'created' }
+      });
+
+      expect(bitrix24Service.createDealChain.mock.calls.map(call => call[2])).toEqual([null, 101, 101]);
+      // The contact lookup happens once; the retries go straight to the stored contact
+      expect(bitrix24Service.findDuplicates).toHaveBeenCalledTimes(1);
+      await expect(databaseService.getSubmissionRecord('5555')).resolves.toMatchObject({ entity_type: 'deal', entity_id: '7' });
+    });
+
+    it('stores nothing when the failed deal reused a matching contact', async () => {
+      bitrix24Service.findDuplicates.mockResolvedValue([55]);
+      bitrix24Service.createDealChain.mockResolvedValue({ success: false, error: 'Failed to create deal', contactId: 55 });
+      const jobId = await service.enqueue(contactData, '111');
+
+      const job = await runNextAttempt(jobId);
+
+      expect(job.payload.contactData.dealContactId).toBeUndefined();
+      expect(bitrix24Service.createDealChain).toHaveBeenCalledWith(expect.anything(), expect.anything(), 55);
+    });
+
+    it('does not comment on the stored contact with comment_only', async () => {
+      fieldMappingService.getMapping = () => ({ dedupPolicy: 'comment_only' });
+      bitrix24Service.createDealChain
+        .mockResolvedValueOnce({ success: false, error: 'Failed to create deal', contactId: 101 })
+        .mockResolvedValueOnce({ success: true, dealId: 7, contactId: 101 });
+      const jobId = await service.enqueue(contactData, '111');
+
+      await runNextAttempt(jobId);
+      bitrix24Service.findDuplicates.mockResolvedValue([101]);
+
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({ status: 'completed', result: { entityId: 7 } });
+      expect(bitrix24Service.createDealChain).toHaveBeenLastCalledWith(expect.anything(), expect.anything(), 101);
+    });
+  });
+
+  describe('processJob', () => {
+    beforeEach(() => {
+      fieldMappingService.getEntityRoute.mockReturnValue({ target: 'lead' });
+    });
+
+    it('retries with exponential backoff and then moves the job to dead', async () => {
+      bitrix24Service.createLead.mockResolvedValue({ success: false, error: 'Bitrix24 API error', details: 'QUERY_LIMIT_EXCEEDED' });
+      const jobId = await service.enqueue(contactData, '111');
+
+      const before = Date.now();
+      const first = await runNextAttempt(jobId);
+      expect(first).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Bitrix24 API error: QUERY_LIMIT_EXCEEDED' });
+      expect(new Date(first.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + 1000);
+
+      await runNextAttempt(jobId);
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({ status: 'dead', attempts: 3 });
+    });
+
+    it('waits for an open circuit without using an attempt', async () => {
+      const retryAt = Date.now() + 30000;
+      circuitBreaker.getRetryAt.mockReturnValue(retryAt);
+      const jobId = await service.enqueue(contactData, '111');
+
+      const job = await runNextAttempt(jobId);
+
+      expect(job).toMatchObject({ status: 'pending', attempts: 0, last_error: 'Circuit open for company.bitrix24.vn' });
+      expect(new Date(job.next_attempt_at).getTime()).toBe(retryAt);
+      expect(bitrix24Service.createLead).not.toHaveBeenCalled();
+    });
+
+    it('completes a submission the ledger already has without syncing it again', async () => {
+      await databaseService.saveSubmissionRecord({ submission_id: '5555', form_id: '111', entity_type: 'lead', entity_id: 9 });
+      const jobId = await service.enqueue(contactData, '111');
+
+      await expect(runNextAttempt(jobId)).resolves.toMatchObject({
+        status: 'completed',
+        result: { entityId: '9', duplicate: true }
+      });
+      expect(bitrix24Service.createLead).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../src/utils/logger');
+
+const SubmissionTimelineService = require('../../src/services/submission-timeline.service');
+const DeduplicationService = require('../../src/services/deduplication.service');
+
+function createServices() {
+  const configService = {
+    getTimelineConfig: () => ({
+      summary: true,
+      todo: true,
+      todoDueHours: 2,
+      todoTitle: 'Call back',
+      todoResponsibleId: 5,
+      submissionUrl: 'https://www.jotform.com/submission/{submissionId}'
+    }),
+    getDeduplicationConfig: () => ({ policy: 'comment_only', matchBy: ['email'] })
+  };
+  const bitrix24Service = {
+    callBatch: jest.fn(async (commands) => ({
+      results: Object.fromEntries(Object.keys(commands).map(key => [key, { success: true, result: 1 }]))
+    })),
+    resolveSourceId: jest.fn(async () => null),
+    findDuplicates: jest.fn(async (entityType) => (entityType === 'LEAD' ? [31] : [])),
+    addTimelineComment: jest.fn(async () => ({ success: true, commentId: 1 }))
+  };
+  const fieldMappingService = {
+    getMapping: () => ({}),
+    getQuestions: async () => ({}),
+    getEntityRoute: () => ({ target: 'lead' })
+  };
+  const jotformService = {
+    getForm: async () => ({ success: true, data: { title: 'Contact us' } })
+  };
+
+  const timelineService = new SubmissionTimelineService(configService, jotformService, bitrix24Service, fieldMappingService);
+  const deduplicationService = new DeduplicationService(configService, bitrix24Service, fieldMappingService, timelineService);
+  return { timelineService, deduplicationService, bitrix24Service };
+}
+
+const contactData = {
+  formId: '111',
+  submissionId: '5555[/url][url=https://evil.example.com]',
+  submittedAt: '2026-10-19 10:00:00',
+  email: 'an@example.com',
+  fullName: '[b]An[/b]',
+  answers: [
+    { qid: '3', text: 'Message', value: '[url=https://evil.example.com]click[/url]' },
+    { qid: '4', text: 'Email', value: 'an@example.com' }
+  ]
+};
+
+describe('SubmissionTimelineService', () => {
+  it('escapes BB code in submitted values', async () => {
+    const { timelineService } = createServices();
+
+    const summary = await timelineService.buildSummary(contactData);
+
+    expect(summary).toContain('[url=https://www.jotform.com/submission/5555%5B%2Furl%5D%5Burl%3Dhttps%3A%2F%2Fevil.example.com%5D]' +
+      '5555［/url］［url=https://evil.example.com］[/url]');
+    expect(summary).toContain('[b]Message[/b]: ［url=https://evil.example.com］click［/url］');
+    expect(summary).not.toMatch(/\[url=https:\/\/evil/);
+  });
+
+  it('adds the summary and the to-do for a new entity', async () => {
+    const { timelineService, bitrix24Service } = createServices();
+
+    await timelineService.record({ entityType: 'lead', entityId: 9, action: 'created' }, contactData);
+
+    expect(Object.keys(bitrix24Service.callBatch.mock.calls[0][0])).toEqual(['comment', 'todo']);
+  });
+
+  it('gives a comment_only match a single comment with every answer', async () => {
+    const { timelineService, deduplicationService, bitrix24Service } = createServices();
+
+    const result = await deduplicationService.sync(contactData);
+    expect(result).toMatchObject({ success: true, action: 'commented', entityType: 'lead', entityId: 31 });
+    await timelineService.record(result, contactData);
+
+    expect(bitrix24Service.addTimelineComment).toHaveBeenCalledTimes(1);
+    const [, , comment] = bitrix24Service.addTimelineComment.mock.calls[0];
+    expect(comment).toMatch(/^Repeat Jotform submission\n\[b\]📝 Contact us\[\/b\]/);
+    expect(comment).toContain('[b]Message[/b]: ［url=https://evil.example.com］click［/url］');
+    expect(Object.keys(bitrix24Service.callBatch.mock.calls[0][0])).toEqual(['todo']);
+  });
+
+  it('escapes the short repeat comment used without answers', () => {
+    const { deduplicationService } = createServices();
+
+    const comment = deduplicationService.buildComment({ ...contactData, answers: undefined, fields: { COMMENTS: '[img]x[/img]' } });
+
+    expect(comment).toContain('Name: ［b］An［/b］');
+    expect(comment).toContain('［img］x［/img］');
+    expect(comment).not.toMatch(/\[(b|img|url)/);
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../../src/utils/logger');
+
+const Bitrix24NewService = require('../../src/services/bitrix24-new.service');
+const TokenRefreshService = require('../../src/services/token-refresh.service');
+const { createMemoryDatabase } = require('../helpers/database');
+
+const HOUR = 3600 * 1000;
+
+const configService = {
+  getBitrix24Config: () => ({ clientId: 'local.app.123', clientSecret: 'secret', domain: 'company.bitrix24.vn', apiTimeout: 1000 }),
+  getTokenRefreshConfig: () => ({ enabled: true, interval: 60000, margin: 5 * 60000, refreshTokenLifetimeDays: 180 }),
+  getAssignmentConfig: () => ({ fallbackUserId: 1 }),
+  getUtmConfig: () => ({ enabled: false, defaultSourceId: null, sources: {} })
+};
+
+describe('Token refresh', () => {
+  let databaseService;
+  let httpService;
+  let bitrix24Service;
+  let answers;
+
+  async function install(domain, { expiresIn = -HOUR, updatedAt = new Date() } = {}) {
+    return databaseService.saveToken({
+      access_token: `${domain}-access`,
+      refresh_token: `${domain}-refresh`,
+      expires_at: new Date(Date.now() + expiresIn),
+      domain,
+      member_id: `${domain}-member`,
+      created_at: updatedAt,
+      updated_at: updatedAt
+    });
+  }
+
+  /**
+   * Answer the next token request once release() is called
+   */
+  function holdTokenEndpoint(answer) {
+    let release;
+    answers.push(new Promise((resolve) => {
+      release = () => resolve(answer);
+    }));
+    return () => release();
+  }
+
+  beforeEach(async () => {
+    databaseService = await createMemoryDatabase();
+    answers = [];
+    httpService = {
+      post: jest.fn(async () => {
+        const answer = await (answers.shift() || { access_token: 'unexpected', expires_in: 3600 });
+        if (answer.error) {
+          const error = new Error('Request failed with status code 400');
+          error.response = { status: 400, data: answer };
+          throw error;
+        }
+        return { data: answer };
+      })
+    };
+    bitrix24Service = new Bitrix24NewService(configService, httpService, databaseService, {}, null);
+  });
+
+  afterEach(() => databaseService.close());
+
+  describe('Bitrix24NewService.refreshTokenIfNeeded', () => {
+    it('sends one refresh for concurrent callers of the same portal', async () => {
+      await install('company.bitrix24.vn');
+      const release = holdTokenEndpoint({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 });
+
+      const refreshes = [1, 2, 3].map(() => bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn'));
+      await new Promise(resolve => setImmediate(resolve));
+      release();
+
+      const results = await Promise.all(refreshes);
+      expect(results.every(result => result.refreshed)).toBe(true);
+      expect(httpService.post).toHaveBeenCalledTimes(1);
+      expect(httpService.post.mock.calls[0][1]).toContain('refresh_token=company.bitrix24.vn-refresh');
+      await expect(databaseService.getTokenByPortal('company.bitrix24.vn')).resolves.toMatchObject({
+        access_token: 'new-access',
+        refresh_token: 'new-refresh'
+      });
+      expect(bitrix24Service.refreshLocks.size).toBe(0);
+    });
+
+    it('refreshes different portals side by side', async () => {
+      await install('company.bitrix24.vn');
+      await install('branch.bitrix24.vn');
+      const releaseFirst = holdTokenEndpoint({ access_token: 'a', expires_in: 3600 });
+      const releaseSecond = holdTokenEndpoint({ access_token: 'b', expires_in: 3600 });
+
+      const refreshes = [
+        bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn'),
+        bitrix24Service.refreshTokenIfNeeded(false, 'branch.bitrix24.vn')
+      ];
+      await new Promise(resolve => setImmediate(resolve));
+      releaseFirst();
+      releaseSecond();
+
+      await expect(Promise.all(refreshes)).resolves.toEqual([
+        expect.objectContaining({ refreshed: true }),
+        expect.objectContaining({ refreshed: true })
+      ]);
+      expect(httpService.post).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not refresh again with a token another request already rotated', async () => {
+      await install('company.bitrix24.vn');
+      const stale = await databaseService.getTokenByPortal('company.bitrix24.vn');
+      await databaseService.updateToken(stale.id, { access_token: 'rotated-access', refresh_token: 'rotated-refresh' });
+
+      await expect(bitrix24Service.performTokenRefresh(stale, true)).resolves.toEqual({
+        refreshed: false,
+        message: 'Token was refreshed by another request'
+      });
+      expect(httpService.post).not.toHaveBeenCalled();
+    });
+
+    it('leaves a valid token alone unless forced', async () => {
+      await install('company.bitrix24.vn', { expiresIn: HOUR });
+
+      await expect(bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn')).resolves.toMatchObject({ refreshed: false });
+      expect(httpService.post).not.toHaveBeenCalled();
+    });
+
+    it('lets every waiting caller see a failed refresh and then allows a new one', async () => {
+      await install('company.bitrix24.vn');
+      const release = holdTokenEndpoint({ error: 'temporarily_unavailable' });
+
+      const refreshes = [1, 2].map(() => bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn'));
+      await new Promise(resolve => setImmediate(resolve));
+      release();
+
+      for (const refresh of refreshes) {
+        await expect(refresh).rejects.toThrow('Token refresh error: temporarily_unavailable');
+      }
+      expect(httpService.post).toHaveBeenCalledTimes(1);
+
+      await expect(bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn')).resolves.toMatchObject({ refreshed: true });
+    });
+
+    it('flags the portal for re-authorization when the refresh token is rejected', async () => {
+      await install('company.bitrix24.vn');
+      answers.push({ error: 'invalid_grant', error_description: 'Refresh token is invalid' });
+
+      await expect(bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn'))
+        .rejects.toThrow('Bitrix24 portal company.bitrix24.vn needs re-authorization: Refresh token rejected: Refresh token is invalid');
+      await expect(databaseService.getTokenByPortal('company.bitrix24.vn')).resolves.toMatchObject({ reauth_required: true });
+
+      await expect(bitrix24Service.refreshTokenIfNeeded(true, 'company.bitrix24.vn')).rejects.toThrow(/needs re-authorization/);
+      expect(httpService.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not send a refresh token older than its lifetime', async () => {
+      await install('company.bitrix24.vn', { updatedAt: new Date(Date.now() - 181 * 24 * HOUR) });
+
+      await expect(bitrix24Service.refreshTokenIfNeeded(false, 'company.bitrix24.vn'))
+        .rejects.toThrow('Refresh token not used for more than 180 days');
+      expect(httpService.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TokenRefreshService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new TokenRefreshService(configService, databaseService, bitrix24Service);
+    });
+
+    it('refreshes tokens that expire within the margin', async () => {
+      await install('company.bitrix24.vn', { expiresIn: 60000 });
+      await install('branch.bitrix24.vn', { expiresIn: HOUR });
+
+      await expect(service.refreshDueTokens()).resolves.toEqual({ checked: 2, refreshed: 1, failed: 0, needsReauth: [] });
+      expect(httpService.post.mock.calls[0][1]).toContain('refresh_token=company.bitrix24.vn-refresh');
+    });
+
+    it('reports portals whose refresh token died and skips them afterwards', async () => {
+      await install('company.bitrix24.vn');
+      answers.push({ error: 'invalid_grant' });
+
+      await expect(service.refreshDueTokens()).resolves.toEqual({
+        checked: 1, refreshed: 0, failed: 1, needsReauth: ['company.bitrix24.vn']
+      });
+      await expect(service.refreshDueTokens()).resolves.toEqual({
+        checked: 1, refreshed: 0, failed: 0, needsReauth: ['company.bitrix24.vn']
+      });
+      expect(httpService.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips a run while the previous one is still going', async () => {
+      await install('company.bitrix24.vn');
+      const release = holdTokenEndpoint({ access_token: 'new-access', expires_in: 3600 });
+
+      const first = service.refreshDueTokens();
+      await expect(service.refreshDueTokens()).resolves.toEqual({ skipped: true });
+      await new Promise(resolve => setImmediate(resolve));
+      release();
+
+      await expect(first).resolves.toMatchObject({ refreshed: 1 });
+    });
+
+    it('only refreshes OAuth tokens with a refresh token and an expiry', () => {
+      const soon = new Date(Date.now() + 60000);
+
+      expect(service.isDue({ method: 'oauth2', refresh_token: 'r', expires_at: soon })).toBe(true);
+      expect(service.isDue({ method: 'oauth2', refresh_token: 'r', expires_at: new Date(Date.now() + HOUR) })).toBe(false);
+      expect(service.isDue({ method: 'webhook', refresh_token: 'r', expires_at: soon })).toBe(false);
+      expect(service.isDue({ method: 'oauth2', refresh_token: null, expires_at: soon })).toBe(false);
+      expect(service.isDue({ method: 'oauth2', refresh_token: 'r', expires_at: null })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const logger = require('../../src/utils/logger');
+const WebhookAuthService = require('../../src/services/webhook-auth.service');
+
+function createService(authConfig = {}, { nodeEnv = 'development', settings = {}, mappings = [], bindings = [] } = {}) {
+  const configService = {
+    getWebhookAuthConfig: () => ({
+      secret: null,
+      formTokens: {},
+      hmacSecret: null,
+      signatureHeader: 'x-jotform-signature',
+      ipAllowlist: [],
+      requireKnownForm: false,
+      allowedForms: [],
+      ...authConfig
+    }),
+    getServerConfig: () => ({ nodeEnv }),
+    get: (key, defaultValue) => (key in settings ? settings[key] : defaultValue)
+  };
+  const databaseService = {
+    getPortalBindings: jest.fn(async () => bindings),
+    saveWebhookRejection: jest.fn(async () => {})
+  };
+  const fieldMappingService = {
+    listMappings: () => mappings
+  };
+  return new WebhookAuthService(configService, databaseService, fieldMappingService);
+}
+
+/**
+ * The parts of an Express request the checks read
+ */
+function createRequest({ ip = '203.0.113.10', params = {}, query = {}, body = {}, headers = {}, rawBody, path = '/jotform' } = {}) {
+  return {
+    ip,
+    params,
+    query,
+    body,
+    rawBody,
+    baseUrl: '/webhook',
+    path,
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+describe('WebhookAuthService', () => {
+  describe('IP allowlist', () => {
+    it('accepts addresses and CIDR ranges', async () => {
+      const service = createService({ ipAllowlist: ['198.51.100.7', '203.0.113.0/24', '2001:db8::/32'] });
+
+      await expect(service.verify(createRequest({ ip: '198.51.100.7' }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ ip: '203.0.113.200' }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ ip: '::ffff:203.0.113.5' }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ ip: '2001:db8::1' }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ ip: '198.51.100.8' }))).resolves.toEqual({
+        check: 'ip',
+        status: 403,
+        reason: 'IP 198.51.100.8 is not in WEBHOOK_IP_ALLOWLIST'
+      });
+    });
+
+    it.each([
+      'not-an-ip',
+      '203.0.113.0/33',
+      '2001:db8::/129',
+      '203.0.113.0/x',
+      '203.0.113.0/',
+      '203.0.113.0/24/8'
+    ])('skips the malformed entry %s and keeps the others', async (entry) => {
+      const service = createService({ ipAllowlist: [entry, '198.51.100.7'] });
+
+      expect(logger.error).toHaveBeenCalledWith('❌ Invalid WEBHOOK_IP_ALLOWLIST entry skipped', { entry });
+      await expect(service.verify(createRequest({ ip: '198.51.100.7' }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ ip: '203.0.113.1' }))).resolves.toMatchObject({ check: 'ip' });
+    });
+
+    it('matches no IP when every entry is malformed', async () => {
+      const service = createService({ ipAllowlist: ['0.0.0.0/99'] });
+
+      expect(service.getEnabledChecks()).toEqual(['ip']);
+      await expect(service.verify(createRequest({ ip: '0.0.0.0' }))).resolves.toMatchObject({ check: 'ip', status: 403 });
+    });
+  });
+
+  describe('token', () => {
+    const service = createService({ secret: 'global-secret', formTokens: { 111: 'form-111-token' } });
+
+    it('accepts WEBHOOK_SECRET from the path or the query string', async () => {
+      await expect(service.verify(createRequest({ params: { token: 'global-secret' }, body: { formID: '222' } }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ query: { token: 'global-secret' } }))).resolves.toBeNull();
+    });
+
+    it('makes a form with its own token refuse WEBHOOK_SECRET', async () => {
+      await expect(service.verify(createRequest({ params: { token: 'form-111-token' }, body: { formID: '111' } }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ params: { token: 'global-secret' }, body: { formID: '111' } }))).resolves.toEqual({
+        check: 'token',
+        status: 401,
+        reason: 'Invalid webhook token'
+      });
+    });
+
+    it('does not let one form use another form\'s token', async () => {
+      await expect(service.verify(createRequest({ params: { token: 'form-111-token' }, body: { formID: '222' } }))).resolves.toMatchObject({
+        reason: 'Invalid webhook token'
+      });
+    });
+
+    it('rejects a missing token', async () => {
+      await expect(service.verify(createRequest({ body: { formID: '222' } }))).resolves.toEqual({
+        check: 'token',
+        status: 401,
+        reason: 'Missing webhook token'
+      });
+    });
+
+    it('rejects forms without a token when only WEBHOOK_FORM_TOKENS is set', async () => {
+      const perForm = createService({ formTokens: { 111: 'form-111-token' } });
+
+      await expect(perForm.verify(createRequest({ params: { token: 'form-111-token' }, body: { formID: '222' } }))).resolves.toEqual({
+        check: 'token',
+        status: 401,
+        reason: 'No webhook token configured for form 222'
+      });
+    });
+  });
+
+  describe('HMAC', () => {
+    const boundary = '----jotform-boundary';
+    const rawBody = Buffer.from([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="formID"',
+      '',
+      '111',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="rawRequest"',
+      '',
+      '{"q3_email":"an@example.com"}',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n'));
+    const sign = (body) => crypto.createHmac('sha256', 'hmac-secret').update(body).digest('hex');
+    const service = createService({ hmacSecret: 'hmac-secret' });
+
+    it('accepts a signature over the raw multipart body, with or without the sha256= prefix', async () => {
+      const signature = sign(rawBody);
+
+      await expect(service.verify(createRequest({ rawBody, headers: { 'x-jotform-signature': signature } }))).resolves.toBeNull();
+      await expect(service.verify(createRequest({ rawBody, headers: { 'x-jotform-signature': `sha256=${signature.toUpperCase()}` } }))).resolves.toBeNull();
+    });
+
+    it('rejects a signature of a modified body', async () => {
+      const tampered = Buffer.from(rawBody.toString().replace('an@example.com', 'other@example.com'));
+
+      await expect(service.verify(createRequest({ rawBody: tampered, headers: { 'x-jotform-signature': sign(rawBody) } }))).resolves.toEqual({
+        check: 'hmac',
+        status: 401,
+        reason: 'Invalid webhook signature'
+      });
+    });
+
+    it('rejects a missing signature or raw body', async () => {
+      await expect(service.verify(createRequest({ rawBody }))).resolves.toMatchObject({
+        reason: 'Missing x-jotform-signature header'
+      });
+      await expect(service.verify(createRequest({ headers: { 'x-jotform-signature': sign(rawBody) } }))).resolves.toMatchObject({
+        reason: 'Raw request body not available for signature check'
+      });
+    });
+  });
+
+  describe('known forms', () => {
+    const service = createService({ requireKnownForm: true, allowedForms: ['100'] }, {
+      settings: { JOTFORM_FORM_ID: 200 },
+      mappings: [{ formId: 'default' }, { formId: '300' }],
+      bindings: [{ form_id: '400', portal: 'company.bitrix24.vn' }]
+    });
+
+    it.each(['100', '200', '300', '400'])('accepts form %s', async (formID) => {
+      await expect(service.verify(createRequest({ body: { formID } }))).resolves.toBeNull();
+    });
+
+    it('rejects an unknown or missing form', async () => {
+      await expect(service.verify(createRequest({ body: { formID: 'default' } }))).resolves.toEqual({
+        check: 'form',
+        status: 403,
+        reason: 'Form default is not configured'
+      });
+      await expect(service.verify(createRequest())).resolves.toEqual({
+        check: 'form',
+        status: 403,
+        reason: 'Missing formID'
+      });
+    });
+  });
+
+  describe('without any check configured', () => {
+    it('refuses every request in production', async () => {
+      const service = createService({}, { nodeEnv: 'production' });
+
+      await expect(service.verify(createRequest())).resolves.toEqual({
+        check: 'config',
+        status: 503,
+        reason: 'No webhook verification configured (NODE_ENV=production)'
+      });
+    });
+
+    it('accepts requests elsewhere', async () => {
+      const service = createService();
+
+      await expect(service.verify(createRequest())).resolves.toBeNull();
+    });
+  });
+
+  it('runs the checks in order and stops at the first rejection', async () => {
+    const service = createService({ ipAllowlist: ['198.51.100.7'], secret: 'global-secret' });
+
+    await expect(service.verify(createRequest({ ip: '198.51.100.8' }))).resolves.toMatchObject({ check: 'ip' });
+    await expect(service.verify(createRequest({ ip: '198.51.100.7' }))).resolves.toMatchObject({ check: 'token' });
+  });
+
+  it('audits a rejection without the URL token', async () => {
+    const service = createService({ secret: 'global-secret' });
+    const req = createRequest({
+      params: { portal: 'company.bitrix24.vn', token: 'wrong-token' },
+      body: { formID: '111', submissionID: '5555' },
+      path: '/jotform/company.bitrix24.vn/wrong-token',
+      headers: { 'user-agent': 'JotForm' }
+    });
+
+    await service.recordRejection(req, await service.verify(req));
+
+    expect(service.databaseService.saveWebhookRejection).toHaveBeenCalledWith({
+      reason: 'Invalid webhook token',
+      check_name: 'token',
+      ip: '203.0.113.10',
+      form_id: '111',
+      submission_id: '5555',
+      path: '/webhook/jotform/company.bitrix24.vn/***',
+      user_agent: 'JotForm'
+    });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../src/utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const legacyTokenFile = require('../../src/utils/legacyTokenFile');
+const { createMemoryDatabase } = require('../helpers/database');
+
+describe('legacy data/tokens.json import', () => {
+  const originalFile = legacyTokenFile.tokenFile;
+  let directory;
+  let databaseService;
+
+  function writeTokenFile(content) {
+    fs.writeFileSync(legacyTokenFile.tokenFile, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  function importTokenFile() {
+    return databaseService.importLegacyTokenFile();
+  }
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-tokens-'));
+    legacyTokenFile.tokenFile = path.join(directory, 'tokens.json');
+    databaseService = await createMemoryDatabase();
+    // The fixture skips the import on start; bring the real one back
+    delete databaseService.importLegacyTokenFile;
+  });
+
+  afterEach(() => {
+    databaseService.close();
+    legacyTokenFile.tokenFile = originalFile;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads the camelCase file of the old token store', () => {
+    writeTokenFile({
+      accessToken: 'file-access',
+      refreshToken: 'file-refresh',
+      expiresIn: '3600',
+      expiresAt: '2026-10-19T10:00:00.000Z',
+      domain: 'company.bitrix24.vn',
+      memberId: 'member-1',
+      savedAt: '2026-10-01T08:00:00.000Z'
+    });
+
+    expect(legacyTokenFile.load()).toMatchObject({
+      access_token: 'file-access',
+      refresh_token: 'file-refresh',
+      expires_in: 3600,
+      expires_at: new Date('2026-10-19T10:00:00.000Z'),
+      member_id: 'member-1',
+      method: 'oauth2',
+      created_at: new Date('2026-10-01T08:00:00.000Z')
+    });
+  });
+
+  it('reads a snake_case file and takes a token without refresh token for simplified auth', () => {
+    writeTokenFile({ access_token: 'file-access', domain: 'company.bitrix24.vn', client_endpoint: 'https://company.bitrix24.vn/rest/' });
+
+    expect(legacyTokenFile.load()).toMatchObject({
+      access_token: 'file-access',
+      refresh_token: null,
+      client_endpoint: 'https://company.bitrix24.vn/rest/',
+      method: 'simplified_auth'
+    });
+  });
+
+  it('imports the token once and archives the file', async () => {
+    writeTokenFile({ accessToken: 'file-access', refreshToken: 'file-refresh', domain: 'company.bitrix24.vn' });
+
+    await expect(importTokenFile()).resolves.toBe('company.bitrix24.vn');
+
+    await expect(databaseService.getTokenByPortal('company.bitrix24.vn')).resolves.toMatchObject({ access_token: 'file-access' });
+    expect(fs.existsSync(legacyTokenFile.tokenFile)).toBe(false);
+    expect(fs.existsSync(`${legacyTokenFile.tokenFile}.migrated`)).toBe(true);
+    await expect(importTokenFile()).resolves.toBeNull();
+  });
+
+  it('keeps the token a portal already has in the database', async () => {
+    const now = new Date();
+    await databaseService.saveToken({
+      access_token: 'db-access',
+      domain: 'company.bitrix24.vn',
+      member_id: 'member-1',
+      created_at: now,
+      updated_at: now
+    });
+    writeTokenFile({ accessToken: 'file-access', domain: 'portal.bitrix24.vn', memberId: 'member-1' });
+
+    await importTokenFile();
+
+    await expect(databaseService.getAllTokens()).resolves.toEqual([expect.objectContaining({ access_token: 'db-access' })]);
+    expect(fs.existsSync(`${legacyTokenFile.tokenFile}.migrated`)).toBe(true);
+  });
+
+  it('leaves a file it cannot read in place', async () => {
+    writeTokenFile('{ "accessToken": ');
+
+    await expect(importTokenFile()).resolves.toBeNull();
+
+    expect(fs.existsSync(legacyTokenFile.tokenFile)).toBe(true);
+    await expect(databaseService.getAllTokens()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenCipher } = require('../../src/utils/tokenCipher');
+
+const KEY_A = crypto.randomBytes(32).toString('base64');
+const KEY_B = crypto.randomBytes(32).toString('hex');
+
+function createCipher({ key = null, keyFile = null, previousKeys = [] } = {}) {
+  return new TokenCipher({
+    getTokenEncryptionConfig: () => ({ key, keyFile, previousKeys })
+  });
+}
+
+describe('TokenCipher', () => {
+  it('round-trips a token and never stores it readable', () => {
+    const cipher = createCipher({ key: KEY_A });
+
+    const encrypted = cipher.encrypt('access-token-value');
+
+    expect(encrypted).toMatch(/^enc:v1:[0-9a-f]{8}(:[A-Za-z0-9+/=]+){6}$/);
+    expect(encrypted).not.toContain('access-token-value');
+    expect(cipher.decrypt(encrypted)).toBe('access-token-value');
+  });
+
+  it('seals every value with its own data key', () => {
+    const cipher = createCipher({ key: KEY_A });
+
+    expect(cipher.encrypt('same')).not.toBe(cipher.encrypt('same'));
+  });
+
+  it('leaves empty and already encrypted values alone', () => {
+    const cipher = createCipher({ key: KEY_A });
+    const encrypted = cipher.encrypt('token');
+
+    expect(cipher.encrypt(null)).toBeNull();
+    expect(cipher.encrypt('')).toBe('');
+    expect(cipher.encrypt(encrypted)).toBe(encrypted);
+  });
+
+  it('reads plaintext values written before encryption was enabled', () => {
+    expect(createCipher({ key: KEY_A }).decrypt('legacy-plaintext')).toBe('legacy-plaintext');
+  });
+
+  it('stores plaintext when no key is configured', () => {
+    const cipher = createCipher();
+
+    expect(cipher.enabled).toBe(false);
+    expect(cipher.encrypt('token')).toBe('token');
+  });
+
+  it('reads the master key from TOKEN_ENCRYPTION_KEY_FILE', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-key-'));
+    const keyFile = path.join(directory, 'master.key');
+    fs.writeFileSync(keyFile, `${KEY_B}\n`);
+
+    try {
+      const fromFile = createCipher({ keyFile });
+      expect(createCipher({ key: KEY_B }).decrypt(fromFile.encrypt('token'))).toBe('token');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses a master key that is not 32 bytes', () => {
+    expect(() => createCipher({ key: crypto.randomBytes(16).toString('base64') }))
+      .toThrow('Token encryption keys must be 32 bytes (base64 or 64 hex characters)');
+  });
+
+  it('rejects a tampered value', () => {
+    const cipher = createCipher({ key: KEY_A });
+    const parts = cipher.encrypt('token').split(':');
+    const ciphertext = Buffer.from(parts[8], 'base64');
+    ciphertext[0] ^= 1;
+    parts[8] = ciphertext.toString('base64');
+
+    expect(() => cipher.decrypt(parts.join(':'))).toThrow();
+    expect(() => cipher.decrypt('enc:v1:abc')).toThrow('Malformed encrypted token value');
+  });
+
+  it('cannot read a value sealed with an unknown key', () => {
+    const encrypted = createCipher({ key: KEY_A }).encrypt('token');
+
+    expect(() => createCipher({ key: KEY_B }).decrypt(encrypted)).toThrow(/encrypted with unknown key/);
+  });
+
+  describe('rotation', () => {
+    it('reads values of the previous key and re-wraps them with the new one', () => {
+      const encrypted = createCipher({ key: KEY_A }).encrypt('token');
+      const rotated = createCipher({ key: KEY_B, previousKeys: [KEY_A] });
+
+      expect(rotated.decrypt(encrypted)).toBe('token');
+
+      const rewrapped = rotated.reencrypt(encrypted);
+      expect(rewrapped).not.toBe(encrypted);
+      expect(rewrapped.split(':')[2]).toBe(rotated.currentKeyId);
+      // Only the data key is re-wrapped, the payload stays as it was
+      expect(rewrapped.split(':').slice(6)).toEqual(encrypted.split(':').slice(6));
+      expect(createCipher({ key: KEY_B }).decrypt(rewrapped)).toBe('token');
+    });
+
+    it('leaves values of the current key as they are', () => {
+      const cipher = createCipher({ key: KEY_A });
+      const encrypted = cipher.encrypt('token');
+
+      expect(cipher.reencrypt(encrypted)).toBe(encrypted);
+    });
+
+    it('encrypts plaintext values', () => {
+      const cipher = createCipher({ key: KEY_A });
+
+      expect(cipher.decrypt(cipher.reencrypt('legacy-plaintext'))).toBe('legacy-plaintext');
+    });
+  });
+
+  it('only touches the secret fields of a token', () => {
+    const cipher = createCipher({ key: KEY_A });
+
+    const stored = cipher.mapSecrets({
+      domain: 'company.bitrix24.vn',
+      access_token: 'access',
+      refresh_token: 'refresh',
+      application_token: null
+    }, value => cipher.encrypt(value));
+
+    expect(stored.domain).toBe('company.bitrix24.vn');
+    expect(stored.application_token).toBeNull();
+    expect(cipher.isEncrypted(stored.access_token)).toBe(true);
+    expect(cipher.decrypt(stored.refresh_token)).toBe('refresh');
+  });
+});
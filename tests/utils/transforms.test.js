@@ -0,0 +1,205 @@
+const {
+  transforms,
+  applyTransforms,
+  validateTransforms,
+  trim,
+  lowercase,
+  uppercase,
+  titleCase,
+  firstName,
+  lastName,
+  date,
+  lookup,
+  concat,
+  replace
+} = require('../../src/utils/transforms');
+
+describe('transforms', () => {
+  describe('trim', () => {
+    it('removes surrounding whitespace', () => {
+      expect(trim('  Nguyễn Văn A \n')).toBe('Nguyễn Văn A');
+    });
+
+    it('turns empty values into an empty string', () => {
+      expect(trim(undefined)).toBe('');
+      expect(trim(null)).toBe('');
+      expect(trim(42)).toBe('42');
+    });
+  });
+
+  describe('lowercase', () => {
+    it('lower-cases and trims', () => {
+      expect(lowercase(' John.Doe@Example.COM ')).toBe('john.doe@example.com');
+    });
+  });
+
+  describe('uppercase', () => {
+    it('upper-cases and trims', () => {
+      expect(uppercase(' vn ')).toBe('VN');
+    });
+  });
+
+  describe('titleCase', () => {
+    it('capitalizes every word and collapses whitespace', () => {
+      expect(titleCase('nguyễn  VĂN a')).toBe('Nguyễn Văn A');
+    });
+
+    it('returns an empty string for an empty value', () => {
+      expect(titleCase('   ')).toBe('');
+    });
+  });
+
+  describe('firstName', () => {
+    it('takes the first word', () => {
+      expect(firstName(' John Ronald Tolkien ')).toBe('John');
+    });
+
+    it('returns an empty string for an empty value', () => {
+      expect(firstName(null)).toBe('');
+    });
+  });
+
+  describe('lastName', () => {
+    it('takes everything after the first word', () => {
+      expect(lastName('John Ronald Tolkien')).toBe('Ronald Tolkien');
+    });
+
+    it('returns an empty string for a single word', () => {
+      expect(lastName('Cher')).toBe('');
+    });
+  });
+
+  describe('date', () => {
+    it('pads an ISO date', () => {
+      expect(date('2024-3-5')).toBe('2024-03-05');
+    });
+
+    it('reads US and European day orders', () => {
+      expect(date('03/05/2024', { format: 'MM/DD/YYYY' })).toBe('2024-03-05');
+      expect(date('05/03/2024', { format: 'DD/MM/YYYY' })).toBe('2024-03-05');
+    });
+
+    it('keeps the time, converting 12-hour clocks and adding the timezone', () => {
+      expect(date('2024-03-05 2:07 PM', { timezone: '+07:00' })).toBe('2024-03-05T14:07:00+07:00');
+      expect(date('2024-03-05 12:30:15 AM')).toBe('2024-03-05T00:30:15');
+    });
+
+    it('accepts 29 February in a leap year', () => {
+      expect(date('2024-02-29')).toBe('2024-02-29');
+    });
+
+    it.each([
+      '2024-02-31',
+      '2023-02-29',
+      '2024-04-31',
+      '2024-13-01',
+      '2024-00-10',
+      '2024-01-00'
+    ])('rejects the impossible date %s', (value) => {
+      expect(() => date(value)).toThrow(/Invalid date/);
+    });
+
+    it('rejects an impossible time', () => {
+      expect(() => date('2024-03-05 25:00')).toThrow(/Invalid time/);
+    });
+
+    it('rejects unparseable input and unknown formats', () => {
+      expect(() => date('tomorrow')).toThrow(/Cannot parse date/);
+      expect(() => date('2024-03-05', { format: 'YY.MM' })).toThrow(/Unsupported date format/);
+    });
+
+    it('returns an empty string for an empty value', () => {
+      expect(date('')).toBe('');
+    });
+  });
+
+  describe('lookup', () => {
+    const table = { Facebook: 'ADVERTISING', 'Word of mouth': 'RECOMMENDATION' };
+
+    it('translates through an inline table, ignoring case', () => {
+      expect(lookup('facebook', { table })).toBe('ADVERTISING');
+    });
+
+    it('honours caseSensitive', () => {
+      expect(lookup('facebook', { table, caseSensitive: true })).toBe('facebook');
+    });
+
+    it('uses a named table from the mapping', () => {
+      expect(lookup('Word of mouth', { table: 'sources' }, { lookups: { sources: table } })).toBe('RECOMMENDATION');
+    });
+
+    it('falls back to the default, else the original value', () => {
+      expect(lookup('Other', { table, default: 'OTHER' })).toBe('OTHER');
+      expect(lookup(' Other ', { table })).toBe('Other');
+    });
+
+    it('throws for an undefined table', () => {
+      expect(() => lookup('x', { table: 'missing' })).toThrow('Lookup table "missing" is not defined');
+    });
+  });
+
+  describe('concat', () => {
+    const answers = [
+      { label: 'Budget', value: ' 100 ' },
+      { label: 'Notes', value: '' },
+      { label: 'Timeline', value: 'Q3' }
+    ];
+
+    it('joins non-empty answers with new lines', () => {
+      expect(concat(answers)).toBe('100\nQ3');
+    });
+
+    it('adds labels and a custom separator', () => {
+      expect(concat(answers, { labels: true, separator: '; ' })).toBe('Budget: 100; Timeline: Q3');
+    });
+
+    it('accepts a single plain value', () => {
+      expect(concat('only')).toBe('only');
+    });
+  });
+
+  describe('default', () => {
+    it('replaces empty answers only', () => {
+      expect(transforms.default('  ', { value: 'N/A' })).toBe('N/A');
+      expect(transforms.default(undefined, { value: 'N/A' })).toBe('N/A');
+      expect(transforms.default('given', { value: 'N/A' })).toBe('given');
+    });
+  });
+
+  describe('replace', () => {
+    it('replaces every match by default', () => {
+      expect(replace('+84 (90) 123-4567', { pattern: '[^0-9+]' })).toBe('+84901234567');
+    });
+
+    it('uses the replacement and flags', () => {
+      expect(replace('Hello hello', { pattern: 'hello', replacement: 'Hi', flags: 'i' })).toBe('Hi hello');
+    });
+
+    it('needs a pattern', () => {
+      expect(() => replace('x')).toThrow('replace transform needs a "pattern"');
+    });
+  });
+});
+
+describe('applyTransforms', () => {
+  it('runs a chain of named and configured transforms in order', () => {
+    const specs = ['trim', 'lowercase', { name: 'lookup', table: 'sources' }];
+    const context = { lookups: { sources: { facebook: 'ADVERTISING' } } };
+
+    expect(applyTransforms('  FACEBOOK ', specs, context)).toBe('ADVERTISING');
+  });
+
+  it('throws for an unknown transform', () => {
+    expect(() => applyTransforms('x', ['shout'])).toThrow('Unknown transform "shout"');
+  });
+});
+
+describe('validateTransforms', () => {
+  it('accepts every known transform', () => {
+    expect(() => validateTransforms(Object.keys(transforms))).not.toThrow();
+  });
+
+  it('rejects unknown names', () => {
+    expect(() => validateTransforms(['trim', { name: 'nope' }])).toThrow('Unknown transform "nope"');
+  });
+});